@@ -216,7 +216,7 @@ function showInitializationError(error) {
 /**
  * Clear application data and reload
  */
-function clearApplicationData() {
+async function clearApplicationData() {
     try {
         // Clear localStorage
         const keys = Object.keys(localStorage);
@@ -226,6 +226,11 @@ function clearApplicationData() {
             }
         });
         
+        // Clear IndexedDB
+        if (window.IndexedDBAdapter && IndexedDBAdapter.isSupported()) {
+            await IndexedDBAdapter.deleteDatabase();
+        }
+        
         console.log('Application data cleared');
         location.reload();
         
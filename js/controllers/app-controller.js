@@ -25,6 +25,7 @@ class AppController {
             
             // Initialize storage
             this.storage = new StorageManager();
+            await this.storage.ready;
             
             // Initialize components
             await this.initializeComponents();
@@ -32,6 +33,9 @@ class AppController {
             // Setup global event listeners
             this.setupGlobalEventListeners();
             
+            // The theme is restored before the collection loads; keep the settings in step
+            this.handleThemeChange({ theme: ThemeUtils.getCurrentTheme() });
+            
             // Setup keyboard shortcuts
             this.setupKeyboardShortcuts();
             
@@ -47,7 +51,7 @@ class AppController {
             window.dispatchEvent(new CustomEvent('app-ready'));
             
             console.log('Prompt Collection Manager initialized successfully');
-            
+        
         } catch (error) {
             console.error('Failed to initialize application:', error);
             this.showErrorState(error);
@@ -130,9 +134,39 @@ class AppController {
         // Initialize prompt editor
         this.promptEditor = new PromptEditor(this.storage);
         
+        // Initialize import wizard
+        this.importWizard = new ImportWizard(this.storage);
+        
+        // Initialize duplicate finder dialog
+        this.duplicateDialog = new DuplicateDialog(this.storage);
+        
+        // Initialize backup manager
+        this.backupManager = new BackupManager(this.storage);
+        
+        // Initialize prompt type manager
+        this.promptTypeManager = new PromptTypeManager(this.storage);
+        
+        // Initialize custom metadata dialog
+        this.metadataFieldsDialog = new MetadataFieldsDialog(this.storage);
+        
+        // Initialize smart folder dialog
+        this.smartFolderDialog = new SmartFolderDialog(this.storage);
+        
+        // Initialize search results
+        const searchResultsContainer = document.getElementById('search-results');
+        if (searchResultsContainer) {
+            this.searchResults = new SearchResults(searchResultsContainer, this.storage);
+        }
+        
+        // Initialize bulk action bar
+        const bulkActionBarContainer = document.getElementById('bulk-action-bar');
+        if (bulkActionBarContainer && this.treeView) {
+            this.bulkActionBar = new BulkActionBar(bulkActionBarContainer, this.storage, this.treeView);
+        }
+        
         // Initialize search controller
         if (this.treeView) {
-            this.searchController = new SearchController(this.storage, this.treeView);
+            this.searchController = new SearchController(this.storage, this.treeView, this.searchResults);
         }
         
         // Wait for components to be ready
@@ -202,6 +236,15 @@ class AppController {
             });
         }
         
+        // Sort menu button
+        const sortBtn = document.getElementById('sort-btn');
+        if (sortBtn) {
+            sortBtn.addEventListener('click', () => {
+                const rect = sortBtn.getBoundingClientRect();
+                if (this.treeView) this.treeView.showSortMenu(rect.left, rect.bottom);
+            });
+        }
+        
         // Expand/Collapse all buttons
         const expandAllBtn = document.getElementById('expand-all-btn');
         if (expandAllBtn) {
@@ -209,14 +252,14 @@ class AppController {
                 if (this.treeView) this.treeView.expandAll();
             });
         }
-
+        
         const collapseAllBtn = document.getElementById('collapse-all-btn');
         if (collapseAllBtn) {
             collapseAllBtn.addEventListener('click', () => {
                 if (this.treeView) this.treeView.collapseAll();
             });
         }
-
+        
         // Settings button
         const settingsBtn = document.getElementById('settings-btn');
         if (settingsBtn) {
@@ -247,15 +290,34 @@ class AppController {
             this.handlePromptMoved(e.detail);
         });
         
+        // Bulk changes to the selected prompts
+        window.addEventListener('prompts-changed', () => {
+            this.refreshComponents();
+        });
+        
+        // Category events
+        window.addEventListener('categories-changed', () => {
+            this.refreshComponents();
+        });
+        
+        // Undo events
+        window.addEventListener('undochange', (e) => {
+            this.handleUndoChange(e.detail);
+        });
+        
         // Search events
         window.addEventListener('search-performed', (e) => {
             this.handleSearchPerformed(e.detail);
         });
         
-        // Theme events
+        // Theme and settings events
         window.addEventListener('themechange', (e) => {
             this.handleThemeChange(e.detail);
         });
+        
+        window.addEventListener('settingschange', (e) => {
+            this.handleSettingsChange(e.detail);
+        });
     }
     
     /**
@@ -308,28 +370,43 @@ class AppController {
             
             if (e.ctrlKey || e.metaKey) {
                 switch (e.key) {
+                    case 'z':
+                    case 'Z':
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                        break;
+                    
+                    case 'y':
+                        e.preventDefault();
+                        this.redo();
+                        break;
+                    
                     case 'n':
                         e.preventDefault();
                         this.createNewPrompt();
                         break;
-                        
+                    
                     case 's':
                         e.preventDefault();
                         this.saveCurrentState();
                         break;
-                        
+                    
                     case 'o':
                         e.preventDefault();
                         this.importData();
                         break;
-                        
+                    
                     case 'e':
                         if (e.shiftKey) {
                             e.preventDefault();
                             this.exportData();
                         }
                         break;
-                        
+                    
                     case ',':
                         e.preventDefault();
                         this.showSettings();
@@ -341,7 +418,7 @@ class AppController {
                         e.preventDefault();
                         this.refreshApplication();
                         break;
-                        
+                    
                     case 'F1':
                         e.preventDefault();
                         this.showHelp();
@@ -369,7 +446,10 @@ class AppController {
                 title: 'AI Code Review',
                 type: 'text_generation',
                 prompt: 'Esegui una code review dettagliata del seguente codice Java, suggerendo miglioramenti di stile, performance e sicurezza:\n<inserisci qui il codice>',
-                model: 'Claude Sonnet 3.7, GPT-4',
+                model: [
+                    { provider: 'Anthropic', name: 'Claude Sonnet 3.7', parameters: { temperature: 0.2 } },
+                    { provider: 'OpenAI', name: 'GPT-4' }
+                ],
                 author: 'Non specificato',
                 tags: ['java', 'code-review', 'programming'],
                 notes: 'Prompt per revisione del codice con focus su best practices',
@@ -394,7 +474,9 @@ class AppController {
                 type: 'image_generation',
                 prompt: 'Create a cute anthropomorphic fox character in 2D anime style, wearing casual clothes, friendly expression',
                 negative_prompt: 'realistic, 3d, human, scary, dark',
-                model: 'Stable Diffusion',
+                model: [
+                    { provider: 'Stability AI', name: 'Stable Diffusion', parameters: { steps: 30, cfg_scale: 7 } }
+                ],
                 author: 'Non specificato',
                 tags: ['furry', 'anime', 'character-design'],
                 notes: 'Per generazione personaggi furry in stile anime',
@@ -429,6 +511,24 @@ class AppController {
         DOMUtils.showToast('Dati di esempio caricati', 'info');
     }
     
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (!this.storage.undoManager.undo()) {
+            DOMUtils.showToast('Niente da annullare', 'info');
+        }
+    }
+    
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        if (!this.storage.undoManager.redo()) {
+            DOMUtils.showToast('Niente da ripetere', 'info');
+        }
+    }
+    
     /**
      * Create new prompt
      * @param {string} category - Default category
@@ -446,33 +546,23 @@ class AppController {
         const folderName = prompt('Inserisci il nome della nuova cartella:');
         if (!folderName) return;
         
-        const safeName = folderName.trim().toLowerCase().replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, '-');
-        if (!safeName) {
+        if (!StorageManager.getCategorySlug(folderName)) {
             DOMUtils.showToast('Nome cartella non valido', 'error');
             return;
         }
         
-        // Check if folder already exists
-        if (this.storage.categories.has(safeName)) {
+        // Create new category, unless it already exists
+        if (!this.storage.recordUndo(`Crea cartella "${folderName.trim()}"`, () => this.storage.createCategory(folderName))) {
             DOMUtils.showToast('Cartella già esistente', 'warning');
             return;
         }
         
-        // Create new category
-        this.storage.categories.set(safeName, {
-            name: folderName,
-            icon: 'folder',
-            color: '#6b7280'
-        });
-        
-        this.storage.saveCategories();
-        
         // Refresh tree view
         if (this.treeView) {
             this.treeView.refresh();
         }
         
-        DOMUtils.showToast('Cartella creata con successo', 'success');
+        DOMUtils.showUndoToast('Cartella creata con successo', this.storage.undoManager);
     }
     
     /**
@@ -481,7 +571,7 @@ class AppController {
     importData() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json,.yaml,.yml';
+        input.accept = '.json,.yaml,.yml,.zip';
         input.multiple = false;
         
         input.onchange = async (e) => {
@@ -489,22 +579,31 @@ class AppController {
             if (!file) return;
             
             try {
-                const text = await file.text();
-                const format = file.name.endsWith('.json') ? 'json' : 'yaml';
-                
-                const result = this.storage.importData(text, format, true);
-                
-                // Refresh components
-                this.refreshComponents();
-                
-                const message = `Importazione completata: ${result.imported} elementi importati, ${result.skipped} saltati`;
-                DOMUtils.showToast(message, 'success');
+                let parsedData;
                 
-                if (result.errors.length > 0) {
-                    console.warn('Import errors:', result.errors);
-                    DOMUtils.showToast(`${result.errors.length} errori durante l'importazione`, 'warning');
+                if (ZipUtils.isZipFile(file)) {
+                    parsedData = await CollectionArchive.read(file);
+                    
+                    // Zips without a manifest are plain `.prompt.yaml` folders
+                    if (!parsedData) {
+                        this.applyPromptFileImport(await CollectionFiles.readZip(file));
+                        return;
+                    }
+                } else {
+                    const text = await file.text();
+                    const format = file.name.endsWith('.json') ? 'json' : 'yaml';
+                    parsedData = this.storage.parseImportData(text, format);
                 }
                 
+                const summary = await this.importWizard.open(parsedData, file.name);
+                if (summary) {
+                    this.refreshComponents();
+                    
+                    if (summary.errors.length > 0) {
+                        console.warn('Import errors:', summary.errors);
+                    }
+                }
+            
             } catch (error) {
                 console.error('Import failed:', error);
                 DOMUtils.showToast(`Errore durante l'importazione: ${error.message}`, 'error');
@@ -516,22 +615,164 @@ class AppController {
     
     /**
      * Export data
+     * @param {string} format - Export format ('json' or 'zip')
+     * @param {boolean} includeTrash - Whether the trash is exported too
      */
-    exportData() {
+    async exportData(format = 'json', includeTrash = false) {
+        if (format === 'zip') {
+            await this.exportArchive(includeTrash);
+            return;
+        }
+        
         try {
-            const data = this.storage.exportData('json');
+            const data = this.storage.exportData('json', { includeTrash });
             const blob = new Blob([data], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
             
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `prompt-collection-${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
-            
-            URL.revokeObjectURL(url);
+            DOMUtils.downloadFile(blob, `prompt-collection-${new Date().toISOString().split('T')[0]}.json`);
             
             DOMUtils.showToast('Dati esportati con successo', 'success');
+        
+        } catch (error) {
+            console.error('Export failed:', error);
+            DOMUtils.showToast(`Errore durante l'esportazione: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Export the whole collection as a zip archive
+     * @param {boolean} includeTrash - Whether the trash is exported too
+     */
+    async exportArchive(includeTrash = false) {
+        try {
+            const blob = await CollectionArchive.create(this.storage, { includeTrash });
+            DOMUtils.downloadFile(blob, `prompt-collection-${new Date().toISOString().split('T')[0]}.zip`);
+            DOMUtils.showToast('Collezione esportata in un archivio zip', 'success');
+        } catch (error) {
+            console.error('Export failed:', error);
+            DOMUtils.showToast(`Errore durante l'esportazione: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Import a folder of `.prompt.yaml` files
+     * Subfolders become category paths
+     */
+    async importPromptFolder() {
+        try {
+            if (typeof window.showDirectoryPicker === 'function') {
+                const directory = await window.showDirectoryPicker({ id: 'prompt-manager-import' });
+                this.applyPromptFileImport(await CollectionFiles.readDirectory(directory));
+                return;
+            }
+            
+            // Fall back to a directory input where the picker is unavailable
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.webkitdirectory = true;
+            input.multiple = true;
+            
+            input.onchange = async (e) => {
+                try {
+                    this.applyPromptFileImport(await CollectionFiles.readFileList(e.target.files));
+                } catch (error) {
+                    this.handlePromptFileImportError(error);
+                }
+            };
+            
+            input.click();
+        } catch (error) {
+            this.handlePromptFileImportError(error);
+        }
+    }
+    
+    /**
+     * Import a zip archive of `.prompt.yaml` files
+     */
+    importPromptZip() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.zip,application/zip';
+        
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                this.applyPromptFileImport(await CollectionFiles.readZip(file));
+            } catch (error) {
+                this.handlePromptFileImportError(error);
+            }
+        };
+        
+        input.click();
+    }
+    
+    /**
+     * Import parsed prompt files and report the outcome
+     * @param {Array} files - Files ({ path, content })
+     */
+    applyPromptFileImport(files) {
+        if (files.length === 0) {
+            DOMUtils.showToast('Nessun file .prompt.yaml trovato', 'warning');
+            return;
+        }
+        
+        const result = this.storage.recordUndo('Importa file .prompt.yaml', () => this.storage.importPromptFiles(files));
+        
+        this.refreshComponents();
+        
+        const message = `Importazione completata: ${result.created} nuovi, ${result.updated} aggiornati, ${result.unchanged} invariati`;
+        DOMUtils.showUndoToast(message, this.storage.undoManager);
+        
+        if (result.errors.length > 0) {
+            console.warn('Import errors:', result.errors);
+            DOMUtils.showToast(`${result.errors.length} file non validi ignorati`, 'warning');
+        }
+    }
+    
+    /**
+     * Report a failed prompt file import
+     * @param {Error} error - Import error
+     */
+    handlePromptFileImportError(error) {
+        // Directory picker cancelled
+        if (error.name === 'AbortError') return;
+        
+        console.error('Import failed:', error);
+        DOMUtils.showToast(`Errore durante l'importazione: ${error.message}`, 'error');
+    }
+    
+    /**
+     * Export prompts as `.prompt.yaml` files into a folder
+     * Falls back to a zip archive where folders can't be written
+     */
+    async exportPromptFolder() {
+        if (!FileSystemAdapter.isSupported()) {
+            await this.exportPromptZip();
+            return;
+        }
+        
+        try {
+            const directory = await FileSystemAdapter.pickDirectory();
+            const files = this.storage.exportPromptFiles();
+            await CollectionFiles.writeDirectory(directory, files);
+            DOMUtils.showToast(`${files.length} prompt esportati nella cartella "${directory.name}"`, 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
             
+            console.error('Export failed:', error);
+            DOMUtils.showToast(`Errore durante l'esportazione: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Export prompts as a zip archive of `.prompt.yaml` files
+     */
+    async exportPromptZip() {
+        try {
+            const blob = await ZipUtils.createZip(this.storage.exportPromptFiles());
+            DOMUtils.downloadFile(blob, `prompt-collection-${new Date().toISOString().split('T')[0]}.zip`);
+            DOMUtils.showToast('Prompt esportati in un archivio zip', 'success');
         } catch (error) {
             console.error('Export failed:', error);
             DOMUtils.showToast(`Errore durante l'esportazione: ${error.message}`, 'error');
@@ -540,40 +781,534 @@ class AppController {
     
     /**
      * Show settings
+     * Every control is applied and saved as soon as it changes
      */
     showSettings() {
-        // Create simple settings dialog
-        const settings = this.storage.settings;
         const stats = this.storage.getStorageStats();
+        const settings = this.storage.settings;
         
-        const settingsHtml = `
-            <div class="settings-dialog">
-                <h3>Impostazioni</h3>
-                <div class="settings-section">
-                    <h4>Statistiche</h4>
-                    <p>Prompt: ${stats.prompts}</p>
-                    <p>Categorie: ${stats.categories}</p>
-                    <p>Preferiti: ${stats.favorites}</p>
-                    <p>Spazio utilizzato: ${DOMUtils.formatFileSize(stats.totalSize)}</p>
-                </div>
-                <div class="settings-section">
-                    <h4>Backup</h4>
-                    <button class="btn btn--secondary" onclick="appController.createBackup()">Crea Backup</button>
-                    <button class="btn btn--secondary" onclick="appController.restoreBackup()">Ripristina Backup</button>
-                </div>
-                <div class="settings-section">
-                    <h4>Dati</h4>
-                    <button class="btn btn--danger" onclick="appController.clearAllData()">Cancella Tutti i Dati</button>
-                </div>
-            </div>
-        `;
+        const statsList = DOMUtils.createElement('dl', {
+            className: 'settings-stats'
+        });
+        
+        [
+            ['Prompt', stats.prompts],
+            ['Categorie', stats.categories],
+            ['Preferiti', stats.favorites],
+            ['Nel cestino', this.storage.trash.size],
+            ['Spazio utilizzato', DOMUtils.formatFileSize(stats.totalSize)]
+        ].forEach(([label, value]) => {
+            statsList.appendChild(DOMUtils.createElement('dt', {}, label));
+            statsList.appendChild(DOMUtils.createElement('dd', {}, String(value)));
+        });
+        
+        const adapters = StorageAdapter.getAvailable();
+        const adapterSelect = DOMUtils.createElement('select', {
+            id: 'storage-adapter',
+            className: 'form-select'
+        });
+        
+        adapters.forEach(adapter => {
+            const option = DOMUtils.createElement('option', {
+                value: adapter.id
+            }, adapter.supported ? adapter.label : `${adapter.label} (non supportato)`);
+            option.disabled = !adapter.supported;
+            option.selected = adapter.id === this.storage.adapter.name;
+            adapterSelect.appendChild(option);
+        });
+        
+        const adapterHelp = DOMUtils.createElement('div', {
+            className: 'form-help'
+        });
+        
+        const updateAdapterHelp = () => {
+            const adapter = adapters.find(item => item.id === adapterSelect.value);
+            adapterHelp.textContent = adapter ? adapter.description : '';
+        };
+        adapterSelect.addEventListener('change', updateAdapterHelp);
+        updateAdapterHelp();
+        
+        const categoryOptions = [
+            ['', 'Nessuna'],
+            ...Array.from(this.storage.categories.entries())
+                .filter(([path]) => path !== 'favorites')
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([path, info]) => [path, `${info.name} (${path})`])
+        ];
+        
+        const includeTrash = DOMUtils.createElement('input', {
+            type: 'checkbox',
+            id: 'export-include-trash'
+        });
+        
+        const retentionInput = DOMUtils.createElement('input', {
+            type: 'number',
+            id: 'trash-retention',
+            className: 'form-input',
+            min: '0',
+            value: String(settings.trashRetentionDays),
+            onchange: () => this.setTrashRetention(retentionInput.value)
+        });
+        
+        // Settings files replace what the open dialog shows
+        const reopen = () => {
+            close();
+            this.showSettings();
+        };
+        
+        const { close } = DOMUtils.showModal({
+            title: 'Impostazioni',
+            className: 'settings-dialog',
+            body: [
+                this.createSettingsSection('Generale', [
+                    statsList,
+                    DOMUtils.createElement('div', { className: 'form-group' }, [
+                        DOMUtils.createElement('label', {
+                            className: 'form-label',
+                            for: 'storage-adapter'
+                        }, 'Archivio dei dati'),
+                        adapterSelect,
+                        adapterHelp
+                    ]),
+                    DOMUtils.createElement('button', {
+                        type: 'button',
+                        id: 'apply-storage-adapter-btn',
+                        className: 'btn btn--secondary',
+                        onclick: async () => {
+                            if (adapterSelect.value === this.storage.adapter.name) return;
+                            if (await this.changeStorageAdapter(adapterSelect.value)) {
+                                close();
+                            }
+                        }
+                    }, 'Cambia archivio')
+                ]),
+                this.createSettingsSection('Editor', [
+                    this.createSelectSetting('defaultCategory', 'default-category', 'Categoria dei nuovi prompt', categoryOptions),
+                    this.createToggleSetting('autoSave', 'auto-save', 'Salva automaticamente una bozza delle modifiche'),
+                    DOMUtils.createElement('div', {
+                        className: 'form-help'
+                    }, 'La bozza resta anche se chiudi la pagina e viene riproposta quando riapri lo stesso prompt.')
+                ]),
+                this.createSettingsSection('Ricerca', [
+                    this.createNumberSetting('searchDebounce', 'search-debounce', 'Attesa prima di cercare (millisecondi)'),
+                    this.createNumberSetting('itemsPerPage', 'items-per-page', 'Risultati mostrati per pagina')
+                ]),
+                this.createSettingsSection('Ordinamento', [
+                    this.createSelectSetting('sortBy', 'sort-by', 'Ordina i prompt per', Object.entries(this.treeView.getSortLabels())),
+                    this.createSelectSetting('sortOrder', 'sort-order', 'Direzione', [
+                        ['asc', 'Crescente'],
+                        ['desc', 'Decrescente']
+                    ]),
+                    this.createToggleSetting('foldersFirst', 'folders-first', 'Mostra le cartelle prima dei prompt senza categoria'),
+                    DOMUtils.createElement('div', {
+                        className: 'form-help'
+                    }, 'Ogni cartella può avere un ordinamento suo, dal menu contestuale. I prompt si trascinano in posizione solo nell\'ordinamento manuale crescente.')
+                ]),
+                this.createSettingsSection('Modelli', [
+                    this.createModelRegistryEditor(),
+                    DOMUtils.createElement('div', {
+                        className: 'form-help'
+                    }, 'I modelli registrati si scelgono con un clic nell\'editor. Il tipo decide quali parametri di generazione vengono proposti.')
+                ]),
+                this.createSettingsSection('Tipi di prompt', [
+                    DOMUtils.createElement('div', {
+                        className: 'form-help'
+                    }, `${this.storage.promptTypes.size} tipi, salvati ed esportati con la collezione.`),
+                    this.createSettingsButton('Gestisci tipi', () => {
+                        close();
+                        this.promptTypeManager.open();
+                    }, 'manage-types-btn')
+                ]),
+                this.createSettingsSection('Metadati personalizzati', [
+                    DOMUtils.createElement('div', {
+                        className: 'form-help'
+                    }, this.storage.metadataFields.length > 0
+                        ? `Campi: ${this.storage.metadataFields.map(field => field.label).join(', ')}.`
+                        : 'Nessun campo definito. Aggiungi campi come licenza, fonte o valutazione per tutti i prompt.'),
+                    this.createSettingsButton('Gestisci metadati', () => {
+                        close();
+                        this.metadataFieldsDialog.open();
+                    }, 'manage-metadata-btn')
+                ]),
+                this.createSettingsSection('Aspetto', [
+                    this.createSelectSetting('theme', 'theme-setting', 'Tema', [
+                        [ThemeUtils.THEMES.LIGHT, 'Chiaro'],
+                        [ThemeUtils.THEMES.DARK, 'Scuro']
+                    ])
+                ]),
+                this.createSettingsSection('Backup', [
+                    this.createToggleSetting('backupEnabled', 'backup-enabled', 'Crea backup automatici'),
+                    this.createNumberSetting('backupInterval', 'backup-interval', 'Minuti tra un backup e l\'altro'),
+                    this.createNumberSetting('backupRetention', 'backup-retention', 'Backup da conservare'),
+                    this.createSettingsButton('Crea Backup', () => this.createBackup()),
+                    this.createSettingsButton('Gestisci backup', () => {
+                        close();
+                        this.backupManager.open();
+                    }, 'manage-backups-btn')
+                ]),
+                this.createSettingsSection('Cestino', [
+                    DOMUtils.createElement('div', { className: 'form-group' }, [
+                        DOMUtils.createElement('label', {
+                            className: 'form-label',
+                            for: 'trash-retention'
+                        }, 'Giorni di conservazione'),
+                        retentionInput,
+                        DOMUtils.createElement('div', {
+                            className: 'form-help'
+                        }, 'I prompt e le cartelle eliminati restano nel cestino per questo numero di giorni, poi vengono eliminati definitivamente all\'avvio. Con 0 restano finché non svuoti il cestino.')
+                    ]),
+                    DOMUtils.createElement('button', {
+                        type: 'button',
+                        className: 'btn btn--secondary',
+                        onclick: () => {
+                            close();
+                            this.treeView.emptyTrash();
+                        }
+                    }, 'Svuota cestino')
+                ]),
+                this.createSettingsSection('Importa / Esporta', [
+                    this.createSettingsButton('Importa collezione', () => this.importData(), 'import-data-btn'),
+                    this.createSettingsButton('Esporta archivio zip', () => this.exportData('zip', includeTrash.checked), 'export-archive-btn'),
+                    this.createSettingsButton('Esporta JSON', () => this.exportData('json', includeTrash.checked)),
+                    DOMUtils.createElement('label', {
+                        className: 'settings-section__option'
+                    }, [includeTrash, 'Includi il cestino']),
+                    DOMUtils.createElement('div', {
+                        className: 'form-help'
+                    }, 'L\'archivio zip contiene i prompt, le categorie, i preferiti, le impostazioni, la cronologia e i backup. La collezione si importa da file JSON, YAML o zip.'),
+                    this.createSettingsButton('Importa cartella', () => this.importPromptFolder(), 'import-folder-btn'),
+                    this.createSettingsButton('Importa zip di prompt', () => this.importPromptZip(), 'import-zip-btn'),
+                    this.createSettingsButton('Esporta cartella', () => this.exportPromptFolder(), 'export-folder-btn'),
+                    this.createSettingsButton('Esporta zip di prompt', () => this.exportPromptZip(), 'export-zip-btn'),
+                    DOMUtils.createElement('div', {
+                        className: 'form-help'
+                    }, 'Le cartelle contengono un file .prompt.yaml per prompt, con le sottocartelle come categorie.')
+                ]),
+                this.createSettingsSection('Dati', [
+                    this.createSettingsButton('Esporta impostazioni', () => this.exportSettings(), 'export-settings-btn'),
+                    this.createSettingsButton('Importa impostazioni', () => this.importSettings(reopen), 'import-settings-btn'),
+                    this.createSettingsButton('Ripristina impostazioni predefinite', () => {
+                        if (this.resetSettings()) reopen();
+                    }, 'reset-settings-btn'),
+                    this.createSettingsButton('Trova duplicati', () => this.findDuplicates(), 'find-duplicates-btn'),
+                    DOMUtils.createElement('button', {
+                        type: 'button',
+                        className: 'btn btn--danger',
+                        onclick: () => {
+                            close();
+                            this.clearAllData();
+                        }
+                    }, 'Cancella Tutti i Dati')
+                ])
+            ],
+            actions: [
+                { label: 'Chiudi' }
+            ]
+        });
+    }
+    
+    /**
+     * Create settings dialog section
+     * @param {string} title - Section title
+     * @param {Array} children - Section content
+     * @returns {Element} Section element
+     */
+    createSettingsSection(title, children) {
+        return DOMUtils.createElement('section', {
+            className: 'settings-section'
+        }, [
+            DOMUtils.createElement('h4', {
+                className: 'settings-section__title'
+            }, title),
+            ...children
+        ]);
+    }
+    
+    /**
+     * Create settings dialog button
+     * @param {string} label - Button label
+     * @param {Function} action - Click handler
+     * @param {string} id - Optional element ID
+     * @returns {Element} Button element
+     */
+    createSettingsButton(label, action, id = null) {
+        const attributes = {
+            type: 'button',
+            className: 'btn btn--secondary',
+            onclick: action
+        };
+        if (id) attributes.id = id;
+        
+        return DOMUtils.createElement('button', attributes, label);
+    }
+    
+    /**
+     * Create a checkbox bound to a setting
+     * @param {string} key - Setting name
+     * @param {string} id - Element ID
+     * @param {string} label - Checkbox label
+     * @returns {Element} Label wrapping the checkbox
+     */
+    createToggleSetting(key, id, label) {
+        const input = DOMUtils.createElement('input', {
+            type: 'checkbox',
+            id,
+            onchange: () => this.storage.updateSettings({ [key]: input.checked })
+        });
+        input.checked = Boolean(this.storage.settings[key]);
+        
+        return DOMUtils.createElement('label', {
+            className: 'settings-section__option'
+        }, [input, label]);
+    }
+    
+    /**
+     * Create a select bound to a setting
+     * @param {string} key - Setting name
+     * @param {string} id - Element ID
+     * @param {string} label - Field label
+     * @param {Array} options - Options as [value, label] pairs
+     * @returns {Element} Form group
+     */
+    createSelectSetting(key, id, label, options) {
+        const select = DOMUtils.createElement('select', {
+            id,
+            className: 'form-select',
+            onchange: () => this.storage.updateSettings({ [key]: select.value })
+        }, options.map(([value, text]) => DOMUtils.createElement('option', { value }, text)));
+        select.value = this.storage.settings[key] || '';
+        
+        return DOMUtils.createElement('div', { className: 'form-group' }, [
+            DOMUtils.createElement('label', { className: 'form-label', for: id }, label),
+            select
+        ]);
+    }
+    
+    /**
+     * Create a whole number input bound to a setting
+     * Values out of range are refused and the input goes back to the saved value
+     * @param {string} key - Setting name, with its range in StorageManager.SETTING_LIMITS
+     * @param {string} id - Element ID
+     * @param {string} label - Field label
+     * @returns {Element} Form group
+     */
+    createNumberSetting(key, id, label) {
+        const { min, max } = StorageManager.SETTING_LIMITS[key];
+        const input = DOMUtils.createElement('input', {
+            type: 'number',
+            id,
+            className: 'form-input',
+            min: String(min),
+            max: String(max),
+            value: String(this.storage.settings[key]),
+            onchange: () => {
+                const value = Number(input.value);
+                if (!Number.isInteger(value) || value < min || value > max) {
+                    DOMUtils.showToast(`Inserisci un numero intero tra ${min} e ${max}`, 'error');
+                    input.value = String(this.storage.settings[key]);
+                    return;
+                }
+                
+                this.storage.updateSettings({ [key]: value });
+            }
+        });
+        
+        return DOMUtils.createElement('div', { className: 'form-group' }, [
+            DOMUtils.createElement('label', { className: 'form-label', for: id }, label),
+            input
+        ]);
+    }
+    
+    /**
+     * Create the editable list of registered models
+     * Every change is saved at once; rows left without a name are not saved
+     * @returns {Element} Model registry editor
+     */
+    createModelRegistryEditor() {
+        const list = DOMUtils.createElement('div', {
+            className: 'model-registry__list',
+            id: 'model-registry'
+        });
+        
+        const save = () => {
+            const models = Array.from(list.querySelectorAll('.model-registry__row')).map(row => ({
+                name: row.querySelector('[name="model-name"]').value,
+                provider: row.querySelector('[name="model-provider"]').value,
+                kind: row.querySelector('[name="model-kind"]').value
+            }));
+            this.storage.setModelRegistry(models);
+        };
+        
+        const createRow = (model) => {
+            const input = (name, value, placeholder) => {
+                const element = DOMUtils.createElement('input', {
+                    type: 'text',
+                    className: 'form-input',
+                    name,
+                    placeholder,
+                    'aria-label': placeholder
+                });
+                element.value = value;
+                return element;
+            };
+            
+            const kind = DOMUtils.createElement('select', {
+                className: 'form-select',
+                name: 'model-kind',
+                'aria-label': 'Tipo'
+            }, Object.entries(StorageManager.MODEL_KINDS).map(([value, text]) => DOMUtils.createElement('option', { value }, text)));
+            kind.value = model.kind;
+            
+            const row = DOMUtils.createElement('div', {
+                className: 'model-registry__row'
+            }, [
+                input('model-name', model.name, 'Nome'),
+                input('model-provider', model.provider, 'Fornitore'),
+                kind,
+                DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--icon model-registry__remove',
+                    title: 'Rimuovi',
+                    'aria-label': 'Rimuovi',
+                    onclick: () => {
+                        row.remove();
+                        save();
+                    }
+                }, [DOMUtils.createIcon('x')])
+            ]);
+            return row;
+        };
+        
+        list.addEventListener('change', save);
+        this.storage.getModelRegistry().forEach(model => list.appendChild(createRow(model)));
         
-        // Show in modal (simplified)
-        alert('Impostazioni:\n\n' + 
-              `Prompt: ${stats.prompts}\n` +
-              `Categorie: ${stats.categories}\n` +
-              `Preferiti: ${stats.favorites}\n` +
-              `Spazio: ${DOMUtils.formatFileSize(stats.totalSize)}`);
+        return DOMUtils.createElement('div', {
+            className: 'model-registry'
+        }, [
+            list,
+            DOMUtils.createElement('div', {
+                className: 'model-registry__actions'
+            }, [
+                this.createSettingsButton('Aggiungi modello', () => {
+                    const row = createRow({ name: '', provider: '', kind: 'text' });
+                    list.appendChild(row);
+                    row.querySelector('[name="model-name"]').focus();
+                }, 'add-model-btn'),
+                this.createSettingsButton('Registra i modelli usati nei prompt', () => {
+                    const models = this.storage.getUnregisteredModels();
+                    if (models.length === 0) {
+                        DOMUtils.showToast('Tutti i modelli usati sono già registrati', 'info');
+                        return;
+                    }
+                    
+                    models.forEach(model => list.appendChild(createRow(model)));
+                    save();
+                    DOMUtils.showToast(models.length === 1 ? '1 modello registrato' : `${models.length} modelli registrati`, 'success');
+                }, 'register-used-models-btn')
+            ])
+        ]);
+    }
+    
+    /**
+     * Download the preferences as a settings file
+     */
+    exportSettings() {
+        const blob = new Blob([this.storage.exportSettings()], { type: 'application/json' });
+        DOMUtils.downloadFile(blob, `prompt-manager-settings-${new Date().toISOString().split('T')[0]}.json`);
+        DOMUtils.showToast('Impostazioni esportate', 'success');
+    }
+    
+    /**
+     * Load preferences from a settings file
+     * @param {Function} onImported - Called once the settings have been applied
+     */
+    importSettings(onImported = null) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                const count = this.storage.importSettings(await file.text());
+                DOMUtils.showToast(count === 1 ? '1 impostazione importata' : `${count} impostazioni importate`, 'success');
+                if (onImported) onImported();
+            } catch (error) {
+                console.error('Settings import failed:', error);
+                DOMUtils.showToast('Il file non contiene impostazioni valide', 'error');
+            }
+        };
+        
+        input.click();
+    }
+    
+    /**
+     * Put the preferences back to their defaults
+     * @returns {boolean} True if reset
+     */
+    resetSettings() {
+        if (!confirm('Ripristinare tutte le impostazioni ai valori predefiniti? I dati della collezione non vengono toccati.')) {
+            return false;
+        }
+        
+        this.storage.resetSettings();
+        DOMUtils.showToast('Impostazioni predefinite ripristinate', 'success');
+        return true;
+    }
+    
+    /**
+     * Move the collection to another storage adapter
+     * @param {string} adapterId - Adapter ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async changeStorageAdapter(adapterId) {
+        try {
+            const options = {};
+            
+            // The directory picker needs the click that opened it
+            if (adapterId === FileSystemAdapter.ID) {
+                options.directoryHandle = await FileSystemAdapter.pickDirectory();
+            }
+            
+            const loaded = await this.storage.useAdapter(adapterId, options);
+            
+            if (this.promptViewer && this.promptViewer.currentPrompt &&
+                !this.storage.prompts.has(this.promptViewer.currentPrompt.id)) {
+                this.promptViewer.clear();
+            }
+            
+            DOMUtils.showToast(
+                loaded ? 'Collezione caricata dal nuovo archivio' : 'Collezione copiata nel nuovo archivio',
+                'success'
+            );
+            return true;
+        } catch (error) {
+            // Directory picker cancelled
+            if (error.name === 'AbortError') {
+                return false;
+            }
+            
+            console.error('Failed to change storage adapter:', error);
+            DOMUtils.showToast('Impossibile cambiare archivio', 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * Change how long deleted items stay in the trash
+     * @param {string} value - Number of days, 0 to keep them until the trash is emptied
+     */
+    setTrashRetention(value) {
+        const days = Number(value);
+        if (!Number.isInteger(days) || days < 0) {
+            DOMUtils.showToast('Inserisci un numero di giorni valido', 'error');
+            return;
+        }
+        
+        this.storage.updateSettings({ trashRetentionDays: days });
+        DOMUtils.showToast(days === 0 ? 'Il cestino non verrà svuotato automaticamente' : `Il cestino conserverà gli elementi per ${days} giorni`, 'success');
     }
     
     /**
@@ -585,18 +1320,20 @@ class AppController {
     }
     
     /**
-     * Restore backup
+     * Find and merge duplicate prompts
+     * @returns {Promise<void>}
      */
-    restoreBackup() {
-        if (confirm('Sei sicuro di voler ripristinare l\'ultimo backup? Tutti i dati correnti saranno sostituiti.')) {
-            const success = this.storage.restoreFromBackup(0);
-            if (success) {
-                this.refreshComponents();
-                DOMUtils.showToast('Backup ripristinato', 'success');
-            } else {
-                DOMUtils.showToast('Errore durante il ripristino', 'error');
-            }
+    async findDuplicates() {
+        const merged = await this.duplicateDialog.open();
+        if (merged.length === 0) return;
+        
+        const current = this.promptViewer && this.promptViewer.getCurrentPrompt();
+        if (current && !this.storage.prompts.has(current.id)) {
+            this.promptViewer.showWelcomeScreen();
         }
+        
+        this.refreshComponents();
+        DOMUtils.showToast(`${merged.length} gruppi di duplicati uniti`, 'success');
     }
     
     /**
@@ -648,6 +1385,8 @@ Prompt Collection Manager - Guida Rapida
 
 Scorciatoie da Tastiera:
 • Ctrl+N: Nuovo prompt
+• Ctrl+Z: Annulla l'ultima modifica
+• Ctrl+Maiusc+Z o Ctrl+Y: Ripeti
 • Ctrl+F: Cerca
 • Ctrl+S: Salva stato
 • Ctrl+O: Importa dati
@@ -660,9 +1399,16 @@ Navigazione:
 • Doppio click per modificare
 • Tasto destro per menu contestuale
 • Trascina prompt per spostarli
+• Ctrl+clic o Maiusc+clic per selezionare più prompt
+• Maiusc+frecce estende la selezione, Ctrl+A seleziona tutto
 
 Ricerca:
 • Cerca per titolo, contenuto, tag, autore
+• Filtra per campo: tag:java type:code model:"gpt-4" provider:openai author:marco
+• Date: created:2025 modified:>2025-01-01
+• is:favorite, has:variables, "frase esatta"
+• Combina con OR, NOT o -parola e con le parentesi
+• Tab completa campi e valori suggeriti
 • Usa Esc per cancellare la ricerca
 • Freccia giù per navigare nei risultati
         `;
@@ -711,6 +1457,17 @@ Ricerca:
         }
     }
     
+    /**
+     * Handle undo or redo
+     * @param {Object} detail - Event detail ({ type, label })
+     */
+    handleUndoChange(detail) {
+        if (detail.type !== 'undo' && detail.type !== 'redo') return;
+        
+        this.refreshComponents();
+        DOMUtils.showToast(`${detail.type === 'undo' ? 'Annullato' : 'Ripetuto'}: ${detail.label}`, 'info');
+    }
+    
     /**
      * Handle search performed
      * @param {Object} detail - Event detail
@@ -725,7 +1482,20 @@ Ricerca:
      * @param {Object} detail - Event detail
      */
     handleThemeChange(detail) {
-        console.log(`Theme changed to: ${detail.theme}`);
+        // Keep the theme in the settings, so it is exported and restored with them
+        if (this.storage.settings.theme !== detail.theme) {
+            this.storage.updateSettings({ theme: detail.theme });
+        }
+    }
+    
+    /**
+     * Handle settings changes
+     * @param {Object} detail - Event detail ({ settings })
+     */
+    handleSettingsChange({ settings }) {
+        if (settings.theme && settings.theme !== ThemeUtils.getCurrentTheme()) {
+            ThemeUtils.setTheme(settings.theme);
+        }
     }
     
     /**
@@ -768,9 +1538,12 @@ Ricerca:
      * @param {Object} detail - Event detail
      */
     handleStorageChange(detail) {
-        // Handle changes from other tabs
         this.refreshComponents();
-        DOMUtils.showToast('Dati aggiornati da altra scheda', 'info');
+        
+        // Adapter switches are reported by changeStorageAdapter
+        if (!detail || !detail.adapter) {
+            DOMUtils.showToast('Dati aggiornati da altra scheda', 'info');
+        }
     }
     
     /**
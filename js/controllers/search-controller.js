@@ -1,12 +1,15 @@
 /**
  * Search Controller
- * Handles search functionality with debouncing and filtering
+ * Handles search functionality with debouncing and filtering.
+ * Matching and ranking are done by StorageManager.searchPrompts(); results are
+ * listed by SearchResults.
  */
 
 class SearchController {
-    constructor(storageManager, treeView) {
+    constructor(storageManager, treeView, searchResults = null) {
         this.storage = storageManager;
         this.treeView = treeView;
+        this.searchResults = searchResults;
         this.searchInput = null;
         this.clearButton = null;
         this.searchTimeout = null;
@@ -27,6 +30,17 @@ class SearchController {
         
         this.setupEventListeners();
         this.loadSearchHistory();
+        this.applySettings(this.storage.settings);
+    }
+    
+    /**
+     * Apply search settings
+     * @param {Object} settings - Storage settings
+     */
+    applySettings(settings) {
+        if (Number.isFinite(settings.searchDebounce) && settings.searchDebounce >= 0) {
+            this.debounceMs = settings.searchDebounce;
+        }
     }
     
     /**
@@ -65,12 +79,24 @@ class SearchController {
             this.handleGlobalKeyboard(e);
         });
         
-        // Storage changes
-        window.addEventListener('storagechange', () => {
+        window.addEventListener('settingschange', (e) => {
+            this.applySettings(e.detail.settings);
             if (this.currentQuery) {
                 this.performSearch(this.currentQuery);
             }
         });
+        
+        // Storage changes, edits and undo
+        [
+            'storagechange', 'prompt-created', 'prompt-updated', 'prompt-deleted', 'prompt-moved',
+            'prompts-changed', 'categories-changed', 'undochange'
+        ].forEach(eventName => {
+            window.addEventListener(eventName, () => {
+                if (this.currentQuery) {
+                    this.performSearch(this.currentQuery);
+                }
+            });
+        });
     }
     
     /**
@@ -88,6 +114,9 @@ class SearchController {
         // Update clear button visibility
         this.updateClearButton();
         
+        // Offer field names and values for the term being typed
+        this.updateSearchSuggestions(query);
+        
         // Debounce search
         this.searchTimeout = setTimeout(() => {
             this.performSearch(this.currentQuery);
@@ -99,21 +128,25 @@ class SearchController {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyDown(e) {
+        if (this.isShowingSuggestions() && this.handleSuggestionKey(e)) {
+            return;
+        }
+        
         switch (e.key) {
             case 'Enter':
                 e.preventDefault();
                 this.executeSearch();
                 break;
-                
+            
             case 'Escape':
                 this.clearSearch();
                 break;
-                
+            
             case 'ArrowDown':
                 e.preventDefault();
                 this.navigateToResults();
                 break;
-                
+            
             case 'ArrowUp':
                 if (this.searchHistory.length > 0) {
                     e.preventDefault();
@@ -170,21 +203,11 @@ class SearchController {
             return;
         }
         
-        // Get all prompts
-        const prompts = Array.from(this.storage.prompts.values());
+        const textTerms = new SearchQuery(query).getTextTerms();
+        const results = this.storage.searchPrompts(query);
         
-        // Filter and score prompts
-        const results = prompts
-            .map(prompt => ({
-                prompt,
-                relevance: prompt.getSearchRelevance(query),
-                matches: prompt.matchesSearch(query)
-            }))
-            .filter(result => result.matches)
-            .sort((a, b) => b.relevance - a.relevance);
-        
-        // Apply search filter to tree view
-        this.applySearchFilter(query, results);
+        // Show ranked results
+        this.applySearchFilter(query, results, textTerms);
         
         // Update search status
         this.updateSearchStatus(query, results.length);
@@ -196,13 +219,24 @@ class SearchController {
     }
     
     /**
-     * Apply search filter to tree view
+     * Show search results in place of the tree
+     * Without a results panel the tree view is filtered instead
      * @param {string} query - Search query
-     * @param {Array} results - Search results
+     * @param {Array} results - Search results ({ prompt, relevance, terms }), best first
+     * @param {Array} textTerms - Free-text part of the query
      */
-    applySearchFilter(query, results) {
+    applySearchFilter(query, results, textTerms = []) {
+        if (!this.searchResults) {
+            if (this.treeView) {
+                this.treeView.applySearchFilter(query);
+            }
+            return;
+        }
+        
+        this.searchResults.render(results, textTerms, query);
+        this.searchResults.show();
         if (this.treeView) {
-            this.treeView.applySearchFilter(query);
+            this.treeView.container.hidden = true;
         }
     }
     
@@ -210,7 +244,12 @@ class SearchController {
      * Clear search results
      */
     clearSearchResults() {
+        if (this.searchResults) {
+            this.searchResults.hide();
+        }
+        
         if (this.treeView) {
+            this.treeView.container.hidden = false;
             this.treeView.clearSearchFilter();
         }
         
@@ -269,6 +308,11 @@ class SearchController {
      * Navigate to search results
      */
     navigateToResults() {
+        if (this.searchResults && this.searchResults.isVisible()) {
+            this.searchResults.focusFirst();
+            return;
+        }
+        
         // Focus first visible prompt in tree view
         if (this.treeView && this.treeView.container) {
             const firstPrompt = this.treeView.container.querySelector(
@@ -346,7 +390,7 @@ class SearchController {
     
     /**
      * Create search suggestions dropdown
-     * @param {Array} suggestions - Suggestion items
+     * @param {Array} suggestions - Past queries, or completions ({ value, hint }) from getSearchSuggestions()
      */
     createSearchSuggestions(suggestions) {
         // Remove existing suggestions
@@ -358,9 +402,16 @@ class SearchController {
         });
         
         suggestions.forEach((suggestion, index) => {
+            const isCompletion = typeof suggestion === 'object';
+            const value = isCompletion ? suggestion.value : suggestion;
+            
             const item = DOMUtils.createElement('button', {
+                type: 'button',
                 className: 'search-suggestions__item',
-                onclick: () => this.selectSuggestion(suggestion)
+                dataset: { value },
+                // Keep focus in the input so blur doesn't remove the dropdown first
+                onmousedown: (e) => e.preventDefault(),
+                onclick: () => isCompletion ? this.applyCompletion(value) : this.selectSuggestion(value)
             });
             
             const icon = DOMUtils.createIcon('search');
@@ -368,10 +419,17 @@ class SearchController {
             
             const text = DOMUtils.createElement('span', {
                 className: 'search-suggestions__text'
-            }, suggestion);
+            }, value);
             
             item.appendChild(icon);
             item.appendChild(text);
+            
+            if (isCompletion && suggestion.hint) {
+                item.appendChild(DOMUtils.createElement('span', {
+                    className: 'search-suggestions__hint'
+                }, suggestion.hint));
+            }
+            
             dropdown.appendChild(item);
         });
         
@@ -426,10 +484,90 @@ class SearchController {
         this.executeSearch();
     }
     
+    /**
+     * Apply an autocomplete suggestion and keep typing
+     * @param {string} value - Completed query
+     */
+    applyCompletion(value) {
+        // A completed value starts a new term, a field name waits for its value
+        const query = value.endsWith(':') ? value : `${value} `;
+        
+        this.searchInput.value = query;
+        this.searchInput.focus();
+        this.handleSearchInput(query);
+    }
+    
+    /**
+     * Show or hide autocomplete for the current input
+     * @param {string} query - Current input value
+     */
+    updateSearchSuggestions(query) {
+        const suggestions = query.trim() ? this.getSearchSuggestions(query) : [];
+        
+        if (suggestions.length > 0 && document.activeElement === this.searchInput) {
+            this.createSearchSuggestions(suggestions);
+        } else {
+            this.hideSearchSuggestions();
+        }
+    }
+    
+    /**
+     * Check if the suggestions dropdown is open
+     * @returns {boolean} True if visible
+     */
+    isShowingSuggestions() {
+        return Boolean(document.getElementById('search-suggestions'));
+    }
+    
+    /**
+     * Handle keys while the suggestions dropdown is open
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} True if the key was handled
+     */
+    handleSuggestionKey(e) {
+        const items = Array.from(document.querySelectorAll('#search-suggestions .search-suggestions__item'));
+        const activeIndex = items.findIndex(item => item.classList.contains('search-suggestions__item--active'));
+        
+        const setActive = (index) => {
+            items.forEach((item, i) => item.classList.toggle('search-suggestions__item--active', i === index));
+        };
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setActive((activeIndex + 1) % items.length);
+                return true;
+            
+            case 'ArrowUp':
+                e.preventDefault();
+                setActive(activeIndex <= 0 ? items.length - 1 : activeIndex - 1);
+                return true;
+            
+            case 'Enter':
+            case 'Tab': {
+                const item = items[activeIndex] || (e.key === 'Tab' ? items[0] : null);
+                if (!item) return false;
+                
+                e.preventDefault();
+                item.click();
+                return true;
+            }
+            
+            case 'Escape':
+                this.hideSearchSuggestions();
+                return true;
+            
+            default:
+                return false;
+        }
+    }
+    
     /**
      * Get search suggestions based on current input
+     * Completes the term being typed: field names (`ta` → `tag:`) and the values
+     * known for a field (`tag:ja` → `tag:java`), followed by matching past queries
      * @param {string} query - Current query
-     * @returns {Array} Suggestions array
+     * @returns {Array} Completions ({ value, hint }) holding the whole query, then past queries (strings)
      */
     getSearchSuggestions(query) {
         if (!query) {
@@ -438,37 +576,46 @@ class SearchController {
         
         const suggestions = [];
         
-        // Add matching history items
-        const matchingHistory = this.searchHistory.filter(item =>
-            item.toLowerCase().includes(query.toLowerCase())
-        );
-        suggestions.push(...matchingHistory);
-        
-        // Add tag suggestions
-        const allTags = new Set();
-        this.storage.prompts.forEach(prompt => {
-            prompt.tags.forEach(tag => allTags.add(tag));
-        });
-        
-        const matchingTags = Array.from(allTags).filter(tag =>
-            tag.toLowerCase().includes(query.toLowerCase()) &&
-            !suggestions.includes(tag)
-        );
-        suggestions.push(...matchingTags.slice(0, 3));
-        
-        // Add model suggestions
-        const allModels = new Set();
-        this.storage.prompts.forEach(prompt => {
-            if (prompt.model) {
-                allModels.add(prompt.model);
+        // The term being typed starts after the last space or parenthesis, or at an open quoted value
+        const quotes = (query.match(/"/g) || []).length;
+        const termMatch = quotes % 2 === 0
+            ? query.match(/(-?)([^\s()]*)$/)
+            : query.match(/(-?)([A-Za-z]+(?:\.[\w-]*)?:(?:>=|<=|>|<|=)?"[^"]*)$/);
+        
+        if (termMatch && termMatch[0]) {
+            const before = query.slice(0, termMatch.index);
+            const negation = termMatch[1];
+            const term = termMatch[2];
+            const fieldMatch = term.match(/^([A-Za-z]+(?:\.[\w-]*)?):(>=|<=|>|<|=)?"?(.*)$/);
+            const fields = SearchQuery.getFields(this.storage);
+            
+            if (fieldMatch && SearchQuery.isField(fieldMatch[1])) {
+                const field = fieldMatch[1].toLowerCase();
+                const operator = fieldMatch[2] || '';
+                const partial = fieldMatch[3].toLowerCase();
+                
+                SearchQuery.getFieldValues(field, this.storage)
+                    .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+                    .slice(0, 8)
+                    .forEach(value => suggestions.push({
+                        value: `${before}${negation}${field}:${operator}${SearchQuery.formatValue(value)}`,
+                        hint: fields[field] || 'Campo personalizzato'
+                    }));
+            } else if (!term.includes(':')) {
+                Object.entries(fields)
+                    .filter(([field]) => field.startsWith(term.toLowerCase()) && field !== term.toLowerCase())
+                    .forEach(([field, hint]) => suggestions.push({
+                        value: `${before}${negation}${field}:`,
+                        hint
+                    }));
             }
-        });
+        }
         
-        const matchingModels = Array.from(allModels).filter(model =>
-            model.toLowerCase().includes(query.toLowerCase()) &&
-            !suggestions.includes(model)
-        );
-        suggestions.push(...matchingModels.slice(0, 2));
+        // Add matching history items
+        this.searchHistory
+            .filter(item => item.toLowerCase().includes(query.trim().toLowerCase()) && item !== query.trim())
+            .slice(0, 3)
+            .forEach(value => suggestions.push(value));
         
         return suggestions.slice(0, 8);
     }
@@ -538,7 +685,9 @@ class SearchController {
         const totalPrompts = this.storage.prompts.size;
         let visiblePrompts = 0;
         
-        if (this.currentQuery && this.treeView) {
+        if (this.currentQuery && this.searchResults && this.searchResults.isVisible()) {
+            visiblePrompts = this.searchResults.results.length;
+        } else if (this.currentQuery && this.treeView) {
             const visibleNodes = this.treeView.container.querySelectorAll(
                 '.tree-node[data-type="prompt"]:not([style*="display: none"])'
             );
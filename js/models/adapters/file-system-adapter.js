@@ -0,0 +1,394 @@
+/**
+ * File System Storage Adapter
+ * Stores the collection in a local directory through the File System Access API.
+ * Every prompt is a `.prompt.yaml` file inside its category folder; prompt IDs,
+ * categories, history and settings are kept in an index file at the directory root.
+ */
+
+class FileSystemAdapter extends StorageAdapter {
+    static ID = 'filesystem';
+    static LABEL = 'Cartella locale';
+    static DESCRIPTION = 'Ogni prompt è un file .prompt.yaml in una cartella del computer, organizzata per categorie.';
+    static INDEX_FILE = '.prompt-manager.json';
+    static HANDLE_DB_NAME = 'prompt-manager-handles';
+    static HANDLE_KEY = 'directory';
+    
+    // Error code of open() when the browser must ask for permission again
+    static PERMISSION_NEEDED = 'permission-needed';
+    
+    /**
+     * Check if the File System Access API is available
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+    
+    /**
+     * Ask the user for a directory (must run inside a user gesture)
+     * @returns {Promise<FileSystemDirectoryHandle>} Selected directory
+     */
+    static pickDirectory() {
+        return window.showDirectoryPicker({ id: 'prompt-manager', mode: 'readwrite' });
+    }
+    
+    /**
+     * @param {Object} options - Adapter options
+     * @param {FileSystemDirectoryHandle} options.directoryHandle - Directory to use (defaults to the last one)
+     */
+    constructor({ directoryHandle = null } = {}) {
+        super();
+        this.root = directoryHandle;
+        this.index = null;
+        
+        // Prompt ID → file path relative to the root
+        this.paths = new Map();
+    }
+    
+    /**
+     * Open directory, checking read/write permission
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (!this.root) {
+            this.root = await FileSystemAdapter.loadHandle();
+        }
+        if (!this.root) {
+            throw new Error('No directory selected');
+        }
+        
+        if (!await this.hasPermission()) {
+            const error = new Error(`Permission needed for directory "${this.root.name}"`);
+            error.code = FileSystemAdapter.PERMISSION_NEEDED;
+            error.directoryName = this.root.name;
+            throw error;
+        }
+        
+        try {
+            await FileSystemAdapter.saveHandle(this.root);
+        } catch (error) {
+            console.warn('Failed to remember directory:', error);
+        }
+    }
+    
+    /**
+     * Check read/write permission on the directory, without asking for it
+     * @returns {Promise<boolean>} True if granted
+     */
+    async hasPermission() {
+        return await this.root.queryPermission({ mode: 'readwrite' }) === 'granted';
+    }
+    
+    /**
+     * Ask for read/write permission on the directory (must run inside a user gesture)
+     * @returns {Promise<boolean>} True if granted
+     */
+    async requestPermission() {
+        if (!this.root) {
+            return false;
+        }
+        
+        try {
+            return await this.root.requestPermission({ mode: 'readwrite' }) === 'granted';
+        } catch {
+            // Requesting permission outside a user gesture throws
+            return false;
+        }
+    }
+    
+    /**
+     * Read every record of every store
+     * Prompt files added outside the app are picked up and indexed
+     * @returns {Promise<Object>} Records keyed by store name, then by record key
+     */
+    async readAll() {
+        const index = await this.readIndex();
+        const result = StorageAdapter.createEmptyData();
+        const idsByPath = new Map(Object.entries(index.prompts).map(([id, entry]) => [entry.path, id]));
+        const { files, folders } = await this.listEntries(this.root);
+        let indexChanged = false;
+        
+        ['categories', 'history', 'meta'].forEach(storeName => {
+            Object.assign(result[storeName], index[storeName]);
+        });
+        
+        // Folders without a category become categories
+        folders.forEach(path => {
+            if (!result.categories[path]) {
+                result.categories[path] = CollectionFiles.createCategory(path);
+                index.categories[path] = result.categories[path];
+                indexChanged = true;
+            }
+        });
+        
+        this.paths.clear();
+        index.prompts = {};
+        
+        for (const { path, handle } of files) {
+            try {
+                const file = await handle.getFile();
+                const knownId = idsByPath.get(path);
+                const prompt = Prompt.fromYAML(await file.text(), {
+                    id: knownId,
+                    category: CollectionFiles.getCategoryFromPath(path)
+                });
+                
+                result.prompts[prompt.id] = prompt.toObject();
+                this.paths.set(prompt.id, path);
+                index.prompts[prompt.id] = { path };
+                indexChanged = indexChanged || !knownId;
+            } catch (error) {
+                console.warn(`Failed to read ${path}:`, error);
+            }
+        }
+        
+        this.index = index;
+        if (indexChanged) {
+            await this.writeIndex();
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Apply record changes
+     * Prompts are written as YAML files, everything else goes to the index file
+     * @param {Object} changes - Changes keyed by store name ({ put: { key: value }, delete: [keys] })
+     * @returns {Promise<void>}
+     */
+    async commit(changes) {
+        if (!this.index) {
+            this.index = await this.readIndex();
+        }
+        
+        if (changes.prompts) {
+            const { put = {}, delete: deleted = [] } = changes.prompts;
+            
+            for (const id of deleted) {
+                await this.removeFile(this.paths.get(id));
+                this.paths.delete(id);
+                delete this.index.prompts[id];
+            }
+            
+            for (const record of Object.values(put)) {
+                const prompt = new Prompt(record);
+                const previousPath = this.paths.get(prompt.id);
+                const path = this.getPromptPath(prompt, previousPath);
+                
+                await this.writeFile(path, prompt.toYAML());
+                if (previousPath && previousPath !== path) {
+                    await this.removeFile(previousPath);
+                }
+                
+                this.paths.set(prompt.id, path);
+                this.index.prompts[prompt.id] = { path };
+            }
+        }
+        
+        ['categories', 'history', 'meta'].forEach(storeName => {
+            if (!changes[storeName]) return;
+            
+            const { put = {}, delete: deleted = [] } = changes[storeName];
+            Object.assign(this.index[storeName], put);
+            deleted.forEach(key => delete this.index[storeName][key]);
+        });
+        
+        await this.writeIndex();
+    }
+    
+    /**
+     * Remove all prompt files written by the app and reset the index
+     * Other files in the directory are left untouched
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        for (const path of this.paths.values()) {
+            await this.removeFile(path);
+        }
+        
+        this.paths.clear();
+        this.index = this.createIndex();
+        await this.writeIndex();
+    }
+    
+    /**
+     * Get file path for a prompt, avoiding names used by other prompts
+     * @param {Prompt} prompt - Prompt instance
+     * @param {string} currentPath - Path currently used by the prompt
+     * @returns {string} Relative file path
+     */
+    getPromptPath(prompt, currentPath = null) {
+        const taken = new Set(this.paths.values());
+        taken.delete(currentPath);
+        return CollectionFiles.getPromptPath(prompt, taken);
+    }
+    
+    /**
+     * List prompt files and folders below a directory
+     * Hidden entries are skipped
+     * @param {FileSystemDirectoryHandle} directory - Directory to walk
+     * @param {string} prefix - Path of the directory relative to the root
+     * @param {Object} result - Accumulated { files, folders }
+     * @returns {Promise<Object>} Files ({ path, handle }) and folder paths
+     */
+    async listEntries(directory, prefix = '', result = { files: [], folders: [] }) {
+        for await (const [name, handle] of directory.entries()) {
+            if (name.startsWith('.')) continue;
+            
+            const path = `${prefix}${name}`;
+            if (handle.kind === 'directory') {
+                result.folders.push(path);
+                await this.listEntries(handle, `${path}/`, result);
+            } else if (name.endsWith(CollectionFiles.FILE_EXTENSION)) {
+                result.files.push({ path, handle });
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Create empty index
+     * @returns {Object} Index
+     */
+    createIndex() {
+        return {
+            version: 1,
+            prompts: {},
+            categories: {},
+            history: {},
+            meta: {}
+        };
+    }
+    
+    /**
+     * Read index file
+     * @returns {Promise<Object>} Index (empty when missing)
+     */
+    async readIndex() {
+        const index = this.createIndex();
+        
+        try {
+            const handle = await this.root.getFileHandle(FileSystemAdapter.INDEX_FILE);
+            const file = await handle.getFile();
+            const data = JSON.parse(await file.text());
+            
+            Object.keys(index).forEach(key => {
+                if (data[key] && typeof data[key] === 'object') {
+                    index[key] = data[key];
+                }
+            });
+        } catch (error) {
+            if (error.name !== 'NotFoundError') {
+                console.warn('Failed to read collection index:', error);
+            }
+        }
+        
+        return index;
+    }
+    
+    /**
+     * Write index file
+     * @returns {Promise<void>}
+     */
+    writeIndex() {
+        return this.writeFile(FileSystemAdapter.INDEX_FILE, JSON.stringify(this.index, null, 2));
+    }
+    
+    /**
+     * Get directory handle for a relative path
+     * @param {string} path - Directory path relative to the root
+     * @param {boolean} create - Whether missing directories are created
+     * @returns {Promise<FileSystemDirectoryHandle>} Directory handle
+     */
+    async getDirectory(path, create = false) {
+        let directory = this.root;
+        for (const name of path.split('/').filter(Boolean)) {
+            directory = await directory.getDirectoryHandle(name, { create });
+        }
+        return directory;
+    }
+    
+    /**
+     * Write text file, creating folders as needed
+     * @param {string} path - File path relative to the root
+     * @param {string} content - File content
+     * @returns {Promise<void>}
+     */
+    async writeFile(path, content) {
+        const directory = await this.getDirectory(CollectionFiles.getCategoryFromPath(path), true);
+        const handle = await directory.getFileHandle(path.split('/').pop(), { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(content);
+        await writable.close();
+    }
+    
+    /**
+     * Remove file if it exists
+     * @param {string} path - File path relative to the root
+     * @returns {Promise<void>}
+     */
+    async removeFile(path) {
+        if (!path) return;
+        
+        try {
+            const directory = await this.getDirectory(CollectionFiles.getCategoryFromPath(path));
+            await directory.removeEntry(path.split('/').pop());
+        } catch (error) {
+            if (error.name !== 'NotFoundError') {
+                throw error;
+            }
+        }
+    }
+    
+    /**
+     * Run a request against the store holding the directory handle
+     * Directory handles can't go to localStorage, so they are kept in IndexedDB
+     * @param {string} mode - Transaction mode
+     * @param {Function} callback - Receives the object store, returns a request
+     * @returns {Promise<*>} Request result
+     */
+    static async withHandleStore(mode, callback) {
+        const db = await new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(FileSystemAdapter.HANDLE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('handles');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = callback(db.transaction('handles', mode).objectStore('handles'));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+    
+    /**
+     * Remember directory for the next session
+     * @param {FileSystemDirectoryHandle} handle - Directory handle
+     * @returns {Promise<void>}
+     */
+    static async saveHandle(handle) {
+        if (!IndexedDBAdapter.isSupported()) return;
+        await this.withHandleStore('readwrite', store => store.put(handle, FileSystemAdapter.HANDLE_KEY));
+    }
+    
+    /**
+     * Get directory used in the last session
+     * @returns {Promise<FileSystemDirectoryHandle|null>} Directory handle
+     */
+    static async loadHandle() {
+        if (!IndexedDBAdapter.isSupported()) return null;
+        const handle = await this.withHandleStore('readonly', store => store.get(FileSystemAdapter.HANDLE_KEY));
+        return handle || null;
+    }
+}
+
+StorageAdapter.register(FileSystemAdapter);
+
+// Export for use in other modules
+window.FileSystemAdapter = FileSystemAdapter;
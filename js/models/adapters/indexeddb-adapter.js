@@ -0,0 +1,185 @@
+/**
+ * IndexedDB Storage Adapter
+ * Persists collection records in IndexedDB with per-record, transactional writes
+ */
+
+class IndexedDBAdapter extends StorageAdapter {
+    static ID = 'indexeddb';
+    static LABEL = 'IndexedDB (browser)';
+    static DESCRIPTION = 'Archivio predefinito del browser, adatto a collezioni di grandi dimensioni.';
+    static DB_NAME = 'prompt-manager';
+    static DB_VERSION = 1;
+    static CHANNEL_NAME = 'prompt-manager-storage';
+    
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+    }
+    
+    constructor() {
+        super();
+        this.db = null;
+        this.channel = null;
+    }
+    
+    /**
+     * Open database, creating object stores on first use
+     * @returns {Promise<void>}
+     */
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(IndexedDBAdapter.DB_NAME, IndexedDBAdapter.DB_VERSION);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                StorageAdapter.STORES.forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName);
+                    }
+                });
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+        });
+        
+        // Let other tabs upgrade the schema
+        this.db.onversionchange = () => {
+            this.db.close();
+        };
+        
+        // Notify other tabs of committed changes
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(IndexedDBAdapter.CHANNEL_NAME);
+            this.channel.onmessage = (e) => {
+                this.emit(e.data);
+            };
+        }
+    }
+    
+    /**
+     * Read every record of every store
+     * @returns {Promise<Object>} Records keyed by store name, then by record key
+     */
+    readAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(StorageAdapter.STORES, 'readonly');
+            const result = {};
+            
+            StorageAdapter.STORES.forEach(storeName => {
+                const records = {};
+                result[storeName] = records;
+                
+                const request = transaction.objectStore(storeName).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        records[cursor.key] = cursor.value;
+                        cursor.continue();
+                    }
+                };
+            });
+            
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Apply record changes in a single transaction
+     * @param {Object} changes - Changes keyed by store name ({ put: { key: value }, delete: [keys] })
+     * @returns {Promise<void>}
+     */
+    commit(changes) {
+        const storeNames = Object.keys(changes).filter(storeName => StorageAdapter.STORES.includes(storeName));
+        if (storeNames.length === 0) {
+            return Promise.resolve();
+        }
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                const { put = {}, delete: deleted = [] } = changes[storeName];
+                
+                Object.entries(put).forEach(([key, value]) => store.put(value, key));
+                deleted.forEach(key => store.delete(key));
+            });
+            
+            transaction.oncomplete = () => {
+                this.notify(storeNames);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    /**
+     * Remove all records
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(StorageAdapter.STORES, 'readwrite');
+            
+            StorageAdapter.STORES.forEach(storeName => {
+                transaction.objectStore(storeName).clear();
+            });
+            
+            transaction.oncomplete = () => {
+                this.notify(StorageAdapter.STORES);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Broadcast committed stores to other tabs
+     * @param {Array} storeNames - Changed stores
+     */
+    notify(storeNames) {
+        if (this.channel) {
+            this.channel.postMessage({ stores: storeNames });
+        }
+    }
+    
+    /**
+     * Close database and stop listening to other tabs
+     */
+    close() {
+        super.close();
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+    
+    /**
+     * Delete the whole database
+     * @returns {Promise<void>}
+     */
+    static deleteDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.deleteDatabase(IndexedDBAdapter.DB_NAME);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => resolve();
+        });
+    }
+}
+
+StorageAdapter.register(IndexedDBAdapter);
+
+// Export for use in other modules
+window.IndexedDBAdapter = IndexedDBAdapter;
@@ -0,0 +1,188 @@
+/**
+ * LocalStorage Storage Adapter
+ * Keeps the original one-key-per-collection layout in localStorage.
+ * Used as fallback when IndexedDB is unavailable and as migration source.
+ */
+
+class LocalStorageAdapter extends StorageAdapter {
+    static ID = 'localstorage';
+    static LABEL = 'localStorage (browser)';
+    static DESCRIPTION = 'Archivio delle versioni precedenti, limitato a circa 5 MB.';
+    
+    /**
+     * Check if localStorage is available
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        try {
+            return typeof window.localStorage !== 'undefined' && window.localStorage !== null;
+        } catch {
+            return false;
+        }
+    }
+    
+    constructor() {
+        super();
+        this.handleStorageEvent = null;
+    }
+    
+    /**
+     * Map stores and meta records onto the legacy storage keys
+     * @returns {Object} Storage keys
+     */
+    static get KEYS() {
+        const keys = StorageManager.STORAGE_KEYS;
+        return {
+            prompts: keys.PROMPTS,
+            categories: keys.CATEGORIES,
+            history: keys.HISTORY,
+            meta: {
+                favorites: keys.FAVORITES,
+                settings: keys.SETTINGS,
+                backups: keys.BACKUP,
+                smartFolders: keys.SMART_FOLDERS,
+                promptTypes: keys.PROMPT_TYPES,
+                metadataFields: keys.METADATA_FIELDS,
+                trash: keys.TRASH
+            }
+        };
+    }
+    
+    /**
+     * Open adapter and listen for changes from other tabs
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const watchedKeys = Object.values(StorageManager.STORAGE_KEYS);
+        
+        this.handleStorageEvent = (e) => {
+            if (watchedKeys.includes(e.key)) {
+                this.emit({ key: e.key });
+            }
+        };
+        window.addEventListener('storage', this.handleStorageEvent);
+    }
+    
+    /**
+     * Check if any legacy key holds data
+     * @returns {boolean} True if data is present
+     */
+    hasData() {
+        return Object.values(StorageManager.STORAGE_KEYS).some(key => localStorage.getItem(key) !== null);
+    }
+    
+    /**
+     * Read every record of every store
+     * @returns {Promise<Object>} Records keyed by store name, then by record key
+     */
+    async readAll() {
+        const keys = LocalStorageAdapter.KEYS;
+        const prompts = this.getFromStorage(keys.prompts);
+        
+        const result = {
+            prompts: {},
+            categories: this.getFromStorage(keys.categories) || {},
+            history: this.getFromStorage(keys.history) || {},
+            meta: {}
+        };
+        
+        if (Array.isArray(prompts)) {
+            prompts.forEach(prompt => {
+                if (prompt && prompt.id) {
+                    result.prompts[prompt.id] = prompt;
+                }
+            });
+        }
+        
+        Object.entries(keys.meta).forEach(([name, key]) => {
+            const value = this.getFromStorage(key);
+            if (value !== null) {
+                result.meta[name] = value;
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Apply record changes
+     * localStorage has no per-record writes, so every touched store is rewritten
+     * @param {Object} changes - Changes keyed by store name ({ put: { key: value }, delete: [keys] })
+     * @returns {Promise<void>}
+     */
+    async commit(changes) {
+        const keys = LocalStorageAdapter.KEYS;
+        
+        Object.entries(changes).forEach(([storeName, { put = {}, delete: deleted = [] }]) => {
+            if (storeName === 'meta') {
+                Object.entries(put).forEach(([name, value]) => {
+                    if (keys.meta[name]) {
+                        this.saveToStorage(keys.meta[name], value);
+                    }
+                });
+                deleted.forEach(name => {
+                    if (keys.meta[name]) {
+                        localStorage.removeItem(keys.meta[name]);
+                    }
+                });
+                return;
+            }
+            
+            if (!keys[storeName]) return;
+            
+            const current = storeName === 'prompts'
+                ? Object.fromEntries((this.getFromStorage(keys.prompts) || []).map(prompt => [prompt.id, prompt]))
+                : this.getFromStorage(keys[storeName]) || {};
+            
+            Object.assign(current, put);
+            deleted.forEach(key => delete current[key]);
+            
+            this.saveToStorage(keys[storeName], storeName === 'prompts' ? Object.values(current) : current);
+        });
+    }
+    
+    /**
+     * Remove all records
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        Object.values(StorageManager.STORAGE_KEYS).forEach(key => {
+            localStorage.removeItem(key);
+        });
+    }
+    
+    /**
+     * Stop listening to other tabs
+     */
+    close() {
+        super.close();
+        if (this.handleStorageEvent) {
+            window.removeEventListener('storage', this.handleStorageEvent);
+            this.handleStorageEvent = null;
+        }
+    }
+    
+    /**
+     * Get data from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} Parsed data or null
+     */
+    getFromStorage(key) {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : null;
+    }
+    
+    /**
+     * Save data to localStorage
+     * @param {string} key - Storage key
+     * @param {*} data - Data to save
+     */
+    saveToStorage(key, data) {
+        localStorage.setItem(key, JSON.stringify(data));
+    }
+}
+
+StorageAdapter.register(LocalStorageAdapter);
+
+// Export for use in other modules
+window.LocalStorageAdapter = LocalStorageAdapter;
@@ -0,0 +1,75 @@
+/**
+ * Memory Storage Adapter
+ * Keeps records in memory only; everything is lost on reload.
+ * Used by tests and for private sessions.
+ */
+
+class MemoryAdapter extends StorageAdapter {
+    static ID = 'memory';
+    static LABEL = 'Memoria (sessione privata)';
+    static DESCRIPTION = 'I dati restano solo in questa scheda e vengono persi alla chiusura.';
+    
+    /**
+     * @param {Object} options - Adapter options
+     * @param {Object} options.data - Initial records keyed by store name
+     */
+    constructor({ data = {} } = {}) {
+        super();
+        this.stores = new Map(StorageAdapter.STORES.map(storeName => [
+            storeName,
+            new Map(Object.entries(data[storeName] || {}).map(([key, value]) => [key, this.copy(value)]))
+        ]));
+    }
+    
+    /**
+     * Read every record of every store
+     * @returns {Promise<Object>} Records keyed by store name, then by record key
+     */
+    async readAll() {
+        const result = {};
+        this.stores.forEach((records, storeName) => {
+            result[storeName] = {};
+            records.forEach((value, key) => {
+                result[storeName][key] = this.copy(value);
+            });
+        });
+        return result;
+    }
+    
+    /**
+     * Apply record changes
+     * @param {Object} changes - Changes keyed by store name ({ put: { key: value }, delete: [keys] })
+     * @returns {Promise<void>}
+     */
+    async commit(changes) {
+        Object.entries(changes).forEach(([storeName, { put = {}, delete: deleted = [] }]) => {
+            const records = this.stores.get(storeName);
+            if (!records) return;
+            
+            Object.entries(put).forEach(([key, value]) => records.set(key, this.copy(value)));
+            deleted.forEach(key => records.delete(key));
+        });
+    }
+    
+    /**
+     * Remove all records
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.stores.forEach(records => records.clear());
+    }
+    
+    /**
+     * Copy a record so callers never share references with the store
+     * @param {*} value - Record
+     * @returns {*} Deep copy
+     */
+    copy(value) {
+        return value === undefined ? value : JSON.parse(JSON.stringify(value));
+    }
+}
+
+StorageAdapter.register(MemoryAdapter);
+
+// Export for use in other modules
+window.MemoryAdapter = MemoryAdapter;
@@ -0,0 +1,149 @@
+/**
+ * Storage Adapter
+ * Base class and registry for storage backends.
+ *
+ * Adapters hold records in four stores: prompts (keyed by prompt ID), categories
+ * (keyed by path), history (keyed by prompt ID) and meta (favorites, settings, backups).
+ * Every adapter implements:
+ *   open()            Prepare the backend
+ *   readAll()         Resolve { prompts, categories, history, meta } with records keyed by record key
+ *   commit(changes)   Apply { store: { put: { key: value }, delete: [keys] } } atomically where possible
+ *   clear()           Remove all records
+ *   subscribe(fn)     Be notified of changes made elsewhere (other tabs)
+ *   close()           Release resources
+ */
+
+class StorageAdapter {
+    static ID = 'base';
+    static LABEL = 'Archivio';
+    static DESCRIPTION = '';
+    static STORES = ['prompts', 'categories', 'history', 'meta'];
+    static registry = new Map();
+    
+    /**
+     * Register an adapter class
+     * @param {Function} AdapterClass - Adapter class with a static ID
+     */
+    static register(AdapterClass) {
+        this.registry.set(AdapterClass.ID, AdapterClass);
+    }
+    
+    /**
+     * Create adapter instance by ID
+     * @param {string} id - Adapter ID
+     * @param {Object} options - Adapter options
+     * @returns {StorageAdapter} Adapter instance
+     */
+    static create(id, options = {}) {
+        const AdapterClass = this.registry.get(id);
+        if (!AdapterClass) {
+            throw new Error(`Unknown storage adapter: ${id}`);
+        }
+        if (!AdapterClass.isSupported()) {
+            throw new Error(`Storage adapter not supported in this browser: ${id}`);
+        }
+        return new AdapterClass(options);
+    }
+    
+    /**
+     * Get registered adapters
+     * @returns {Array} Adapter descriptions ({ id, label, description, supported })
+     */
+    static getAvailable() {
+        return Array.from(this.registry.values()).map(AdapterClass => ({
+            id: AdapterClass.ID,
+            label: AdapterClass.LABEL,
+            description: AdapterClass.DESCRIPTION,
+            supported: AdapterClass.isSupported()
+        }));
+    }
+    
+    /**
+     * Create empty record set
+     * @returns {Object} Empty records keyed by store name
+     */
+    static createEmptyData() {
+        return Object.fromEntries(this.STORES.map(storeName => [storeName, {}]));
+    }
+    
+    /**
+     * Check if the backend is available
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return true;
+    }
+    
+    constructor() {
+        this.listeners = [];
+    }
+    
+    /**
+     * Adapter ID
+     * @returns {string} Adapter ID
+     */
+    get name() {
+        return this.constructor.ID;
+    }
+    
+    /**
+     * Prepare the backend
+     * @returns {Promise<void>}
+     */
+    async open() {}
+    
+    /**
+     * Read every record of every store
+     * @returns {Promise<Object>} Records keyed by store name, then by record key
+     */
+    async readAll() {
+        throw new Error(`${this.name} adapter does not implement readAll()`);
+    }
+    
+    /**
+     * Apply record changes
+     * @param {Object} changes - Changes keyed by store name ({ put: { key: value }, delete: [keys] })
+     * @returns {Promise<void>}
+     */
+    async commit(changes) {
+        throw new Error(`${this.name} adapter does not implement commit()`);
+    }
+    
+    /**
+     * Remove all records
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        throw new Error(`${this.name} adapter does not implement clear()`);
+    }
+    
+    /**
+     * Listen for changes made elsewhere
+     * @param {Function} listener - Called with change details
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(fn => fn !== listener);
+        };
+    }
+    
+    /**
+     * Notify listeners of an outside change
+     * @param {Object} detail - Change details
+     */
+    emit(detail) {
+        this.listeners.forEach(listener => listener(detail));
+    }
+    
+    /**
+     * Release resources
+     */
+    close() {
+        this.listeners = [];
+    }
+}
+
+// Export for use in other modules
+window.StorageAdapter = StorageAdapter;
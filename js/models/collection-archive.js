@@ -0,0 +1,118 @@
+/**
+ * Collection Archive
+ * Whole-collection zip archive: one `.prompt.yaml` file per prompt in category folders,
+ * plus a manifest (prompt IDs, categories, favorites, smart folders, settings), the version history,
+ * the backups and, when asked for, the trash. Built and read entirely in the browser.
+ */
+
+class CollectionArchive {
+    static FORMAT = 'prompt-manager-archive';
+    static VERSION = 1;
+    static MANIFEST_FILE = 'manifest.json';
+    static HISTORY_FILE = 'history.json';
+    static BACKUPS_FILE = 'backups.json';
+    static TRASH_FILE = 'trash.json';
+    
+    /**
+     * Build archive from storage
+     * @param {StorageManager} storage - Storage manager
+     * @param {Object} options - Options ({ includeTrash }); the trash is left out unless asked for
+     * @returns {Promise<Blob>} Zip archive
+     */
+    static create(storage, { includeTrash = false } = {}) {
+        const paths = CollectionFiles.mapPaths(Array.from(storage.prompts.values()));
+        const files = [];
+        
+        const manifest = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportDate: new Date().toISOString(),
+            prompts: {},
+            categories: Object.fromEntries(storage.categories),
+            favorites: Array.from(storage.favorites),
+            smartFolders: Array.from(storage.smartFolders.values()),
+            promptTypes: Array.from(storage.promptTypes.values()),
+            metadataFields: storage.metadataFields,
+            settings: storage.settings
+        };
+        
+        paths.forEach((prompt, path) => {
+            manifest.prompts[path] = prompt.id;
+            files.push({ path, content: prompt.toYAML() });
+        });
+        
+        const promptIds = storage.getKnownPromptIds(includeTrash);
+        const history = Object.fromEntries(
+            Array.from(storage.history).filter(([promptId]) => promptIds.has(promptId))
+        );
+        
+        files.push(
+            { path: this.MANIFEST_FILE, content: JSON.stringify(manifest, null, 2) },
+            { path: this.HISTORY_FILE, content: JSON.stringify(history, null, 2) },
+            { path: this.BACKUPS_FILE, content: JSON.stringify(storage.backups, null, 2) }
+        );
+        
+        if (includeTrash) {
+            files.push({ path: this.TRASH_FILE, content: JSON.stringify(storage.getTrashItems(), null, 2) });
+        }
+        
+        return ZipUtils.createZip(files);
+    }
+    
+    /**
+     * Read archive into the data shape used by StorageManager.importParsed()
+     * @param {Blob} source - Zip archive
+     * @returns {Promise<Object|null>} Parsed data, or null when the zip has no manifest
+     */
+    static async read(source) {
+        const decoder = new TextDecoder();
+        const files = (await ZipUtils.readZip(source))
+            .map(entry => ({ path: entry.path, content: decoder.decode(entry.data) }));
+        
+        const readJSON = (path) => {
+            const file = files.find(item => item.path === path);
+            return file ? JSON.parse(file.content) : null;
+        };
+        
+        const manifest = readJSON(this.MANIFEST_FILE);
+        if (!manifest) {
+            return null;
+        }
+        if (manifest.format !== this.FORMAT) {
+            throw new Error('Unrecognized archive manifest');
+        }
+        if (manifest.version > this.VERSION) {
+            throw new Error(`Archive version ${manifest.version} is newer than supported`);
+        }
+        
+        const promptIds = manifest.prompts || {};
+        const { prompts, errors } = CollectionFiles.parseFiles(
+            files.filter(file => !CollectionFiles.isHidden(file.path))
+        );
+        
+        return {
+            metadata: {
+                exportDate: manifest.exportDate,
+                version: String(manifest.version),
+                format: 'zip'
+            },
+            prompts: prompts.map(({ path, prompt }) => ({
+                ...prompt.toObject(),
+                id: promptIds[path] || prompt.id
+            })),
+            categories: manifest.categories || {},
+            favorites: Array.isArray(manifest.favorites) ? manifest.favorites : [],
+            smartFolders: Array.isArray(manifest.smartFolders) ? manifest.smartFolders : [],
+            promptTypes: Array.isArray(manifest.promptTypes) ? manifest.promptTypes : [],
+            metadataFields: Array.isArray(manifest.metadataFields) ? manifest.metadataFields : [],
+            settings: manifest.settings,
+            history: readJSON(this.HISTORY_FILE) || {},
+            backups: readJSON(this.BACKUPS_FILE) || [],
+            trash: readJSON(this.TRASH_FILE) || [],
+            errors: errors.map(({ path, message }) => `${path}: ${message}`)
+        };
+    }
+}
+
+// Export for use in other modules
+window.CollectionArchive = CollectionArchive;
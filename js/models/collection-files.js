@@ -0,0 +1,219 @@
+/**
+ * Collection Files
+ * Maps a collection onto a folder of `.prompt.yaml` files, where subfolders are
+ * category paths (e.g. `linguaggi/java/ai-code-review.prompt.yaml`), and back.
+ * The same layout is used by the file-system adapter, folder import/export and zips.
+ */
+
+class CollectionFiles {
+    static FILE_EXTENSION = '.prompt.yaml';
+    static YAML_PATTERN = /\.ya?ml$/i;
+    static DEFAULT_CATEGORY_COLOR = '#6b7280';
+    
+    /**
+     * Get file path for a prompt
+     * @param {Prompt} prompt - Prompt instance
+     * @param {Set} takenPaths - Paths already used by other prompts
+     * @returns {string} Relative file path, numbered when the name is taken
+     */
+    static getPromptPath(prompt, takenPaths = new Set()) {
+        const extension = this.FILE_EXTENSION;
+        const folder = prompt.category ? `${prompt.category}/` : '';
+        const baseName = prompt.getFilename().slice(0, -extension.length) || prompt.id;
+        
+        let path = `${folder}${baseName}${extension}`;
+        let counter = 2;
+        while (takenPaths.has(path)) {
+            path = `${folder}${baseName}-${counter}${extension}`;
+            counter++;
+        }
+        
+        return path;
+    }
+    
+    /**
+     * Get category path from a file path
+     * @param {string} path - Relative file path
+     * @returns {string} Category path
+     */
+    static getCategoryFromPath(path) {
+        return path.split('/').slice(0, -1).join('/');
+    }
+    
+    /**
+     * Get a category path and all its ancestors
+     * @param {string} categoryPath - Category path
+     * @returns {Array} Paths from the top-level folder down
+     */
+    static getCategoryLineage(categoryPath) {
+        const parts = categoryPath.split('/').filter(Boolean);
+        return parts.map((part, index) => parts.slice(0, index + 1).join('/'));
+    }
+    
+    /**
+     * Create category for a folder
+     * @param {string} path - Category path
+     * @returns {Object} Category data
+     */
+    static createCategory(path) {
+        return {
+            name: path.split('/').pop(),
+            icon: 'folder',
+            color: this.DEFAULT_CATEGORY_COLOR
+        };
+    }
+    
+    /**
+     * Map prompts to files
+     * @param {Array} prompts - Prompt instances
+     * @returns {Array} Files ({ path, content }), paths unique
+     */
+    static toFiles(prompts) {
+        const taken = new Set();
+        
+        return prompts.map(prompt => {
+            const path = this.getPromptPath(prompt, taken);
+            taken.add(path);
+            return { path, content: prompt.toYAML() };
+        });
+    }
+    
+    /**
+     * Map prompts to their file paths, as toFiles() would name them
+     * @param {Array} prompts - Prompt instances
+     * @returns {Map} File path → prompt
+     */
+    static mapPaths(prompts) {
+        const paths = new Map();
+        
+        prompts.forEach(prompt => {
+            paths.set(this.getPromptPath(prompt, paths), prompt);
+        });
+        
+        return paths;
+    }
+    
+    /**
+     * Parse files into prompts
+     * Non-YAML files are ignored
+     * @param {Array} files - Files ({ path, content })
+     * @returns {Object} { prompts: [{ path, prompt }], categories: [paths], errors: [{ path, message }] }
+     */
+    static parseFiles(files) {
+        const result = {
+            prompts: [],
+            categories: new Set(),
+            errors: []
+        };
+        
+        files
+            .filter(file => this.YAML_PATTERN.test(file.path))
+            .forEach(file => {
+                const category = this.getCategoryFromPath(file.path);
+                
+                try {
+                    const prompt = Prompt.fromYAML(file.content, { category });
+                    result.prompts.push({ path: file.path, prompt });
+                    this.getCategoryLineage(category).forEach(path => result.categories.add(path));
+                } catch (error) {
+                    result.errors.push({ path: file.path, message: error.message });
+                }
+            });
+        
+        result.categories = Array.from(result.categories);
+        return result;
+    }
+    
+    /**
+     * Read files chosen through a directory input
+     * The selected folder itself is not part of the paths
+     * @param {FileList|Array} fileList - Files with webkitRelativePath
+     * @returns {Promise<Array>} Files ({ path, content })
+     */
+    static async readFileList(fileList) {
+        const files = [];
+        
+        for (const file of Array.from(fileList)) {
+            const relativePath = file.webkitRelativePath || file.name;
+            const path = relativePath.split('/').slice(relativePath.includes('/') ? 1 : 0).join('/');
+            
+            if (this.isHidden(path) || !this.YAML_PATTERN.test(path)) continue;
+            files.push({ path, content: await file.text() });
+        }
+        
+        return files;
+    }
+    
+    /**
+     * Read files from a zip archive
+     * @param {Blob} zip - Zip archive
+     * @returns {Promise<Array>} Files ({ path, content })
+     */
+    static async readZip(zip) {
+        const decoder = new TextDecoder();
+        const entries = await ZipUtils.readZip(zip);
+        
+        return entries
+            .filter(entry => !this.isHidden(entry.path) && this.YAML_PATTERN.test(entry.path))
+            .map(entry => ({ path: entry.path, content: decoder.decode(entry.data) }));
+    }
+    
+    /**
+     * Read files from a directory handle (File System Access API)
+     * @param {FileSystemDirectoryHandle} directory - Directory to read
+     * @param {string} prefix - Path of the directory relative to the root
+     * @returns {Promise<Array>} Files ({ path, content })
+     */
+    static async readDirectory(directory, prefix = '') {
+        const files = [];
+        
+        for await (const [name, handle] of directory.entries()) {
+            if (name.startsWith('.')) continue;
+            
+            const path = `${prefix}${name}`;
+            if (handle.kind === 'directory') {
+                files.push(...await this.readDirectory(handle, `${path}/`));
+            } else if (this.YAML_PATTERN.test(name)) {
+                const file = await handle.getFile();
+                files.push({ path, content: await file.text() });
+            }
+        }
+        
+        return files;
+    }
+    
+    /**
+     * Write files into a directory handle, creating folders as needed
+     * @param {FileSystemDirectoryHandle} directory - Target directory
+     * @param {Array} files - Files ({ path, content })
+     * @returns {Promise<void>}
+     */
+    static async writeDirectory(directory, files) {
+        for (const file of files) {
+            const parts = file.path.split('/');
+            const name = parts.pop();
+            
+            let folder = directory;
+            for (const part of parts) {
+                folder = await folder.getDirectoryHandle(part, { create: true });
+            }
+            
+            const handle = await folder.getFileHandle(name, { create: true });
+            const writable = await handle.createWritable();
+            await writable.write(file.content);
+            await writable.close();
+        }
+    }
+    
+    /**
+     * Check if a path goes through hidden files or folders (e.g. `.git`)
+     * @param {string} path - Relative path
+     * @returns {boolean} True if hidden
+     */
+    static isHidden(path) {
+        return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+    }
+}
+
+// Export for use in other modules
+window.CollectionFiles = CollectionFiles;
@@ -0,0 +1,148 @@
+/**
+ * Duplicate Finder
+ * Groups prompts whose text is the same once normalized (case, accents, punctuation,
+ * whitespace) or similar enough to be near-duplicates, e.g. the same collection
+ * imported twice from different machines.
+ */
+
+class DuplicateFinder {
+    static SIMILARITY_THRESHOLD = 0.8;
+    static SHINGLE_SIZE = 3;
+    
+    /**
+     * Normalize text for comparison
+     * @param {string} text - Text to normalize
+     * @returns {string} Lowercase words without accents or punctuation, single-spaced
+     */
+    static normalize(text) {
+        return (text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+    
+    /**
+     * Get comparable content of a prompt
+     * @param {Prompt} prompt - Prompt instance
+     * @returns {string} Normalized prompt and negative prompt
+     */
+    static getContentKey(prompt) {
+        return [prompt.prompt, prompt.negative_prompt]
+            .map(text => this.normalize(text))
+            .filter(Boolean)
+            .join(' | ');
+    }
+    
+    /**
+     * Split normalized text into overlapping word sequences
+     * @param {string} text - Normalized text
+     * @returns {Set} Shingles (the whole text when it is shorter than one shingle)
+     */
+    static getShingles(text) {
+        const words = text.split(' ').filter(Boolean);
+        const size = this.SHINGLE_SIZE;
+        
+        if (words.length <= size) {
+            return new Set(words.length > 0 ? [words.join(' ')] : []);
+        }
+        
+        const shingles = new Set();
+        for (let i = 0; i <= words.length - size; i++) {
+            shingles.add(words.slice(i, i + size).join(' '));
+        }
+        return shingles;
+    }
+    
+    /**
+     * Compute Jaccard similarity of two shingle sets
+     * @param {Set} a - First set
+     * @param {Set} b - Second set
+     * @returns {number} Similarity between 0 and 1
+     */
+    static similarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+        
+        let shared = 0;
+        a.forEach(shingle => {
+            if (b.has(shingle)) shared++;
+        });
+        
+        return shared / (a.size + b.size - shared);
+    }
+    
+    /**
+     * Find groups of duplicate prompts
+     * @param {Array} prompts - Prompt instances
+     * @param {number} threshold - Minimum similarity for near-duplicates (1 = exact only)
+     * @returns {Array} Groups ({ prompts, exact, similarity }), exact groups first
+     */
+    static findGroups(prompts, threshold = this.SIMILARITY_THRESHOLD) {
+        // Exact duplicates share the same normalized content
+        const byContent = new Map();
+        prompts.forEach(prompt => {
+            const key = this.getContentKey(prompt);
+            if (!key) return;
+            
+            if (!byContent.has(key)) {
+                byContent.set(key, []);
+            }
+            byContent.get(key).push(prompt);
+        });
+        
+        const contents = Array.from(byContent.keys());
+        const shingles = contents.map(key => this.getShingles(key));
+        
+        // Link similar contents with union-find, so A~B and B~C end up together
+        const parent = contents.map((_, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+        const scores = new Map();
+        
+        if (threshold < 1) {
+            for (let i = 0; i < contents.length; i++) {
+                for (let j = i + 1; j < contents.length; j++) {
+                    const [small, large] = [shingles[i].size, shingles[j].size].sort((a, b) => a - b);
+                    
+                    // Similarity can't exceed the ratio of the set sizes
+                    if (small / large < threshold) continue;
+                    
+                    const score = this.similarity(shingles[i], shingles[j]);
+                    if (score < threshold) continue;
+                    
+                    const [rootI, rootJ] = [find(i), find(j)];
+                    const lowest = Math.min(score, scores.get(rootI) ?? 1, scores.get(rootJ) ?? 1);
+                    parent[rootJ] = rootI;
+                    scores.set(rootI, lowest);
+                }
+            }
+        }
+        
+        const clusters = new Map();
+        contents.forEach((key, index) => {
+            const root = find(index);
+            if (!clusters.has(root)) {
+                clusters.set(root, []);
+            }
+            clusters.get(root).push(...byContent.get(key));
+        });
+        
+        return Array.from(clusters.entries())
+            .filter(([, members]) => members.length > 1)
+            .map(([root, members]) => ({
+                prompts: members.sort((a, b) => a.created.localeCompare(b.created)),
+                exact: !scores.has(root),
+                similarity: scores.get(root) ?? 1
+            }))
+            .sort((a, b) => b.similarity - a.similarity || b.prompts.length - a.prompts.length);
+    }
+}
+
+// Export for use in other modules
+window.DuplicateFinder = DuplicateFinder;
@@ -0,0 +1,294 @@
+/**
+ * Prompt Types
+ * Schemas of the prompt types of a collection: the built-in ones and those defined by
+ * the user. A type has a name, an icon for the tree, the optional editor fields it shows,
+ * and extra fields of its own with their validation rules. Values of the extra fields
+ * are kept on each prompt (`prompt.fields`), keyed by field name.
+ * Field definitions are also used for the custom metadata of a collection (`prompt.metadata`).
+ */
+
+class PromptType {
+    static ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+    static FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+    static MAX_FIELDS = 20;
+    
+    // Kinds of extra field, with their labels
+    static FIELD_TYPES = {
+        text: 'Testo',
+        textarea: 'Testo lungo',
+        number: 'Numero',
+        select: 'Scelta',
+        date: 'Data',
+        url: 'Indirizzo web',
+        boolean: 'Sì / No'
+    };
+    
+    static DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    
+    // Editor fields a type may show or leave out
+    static LAYOUT_FIELDS = {
+        negative_prompt: 'Prompt negativo',
+        model: 'Modelli',
+        variables: 'Variabili'
+    };
+    
+    // Icons offered for types, with their labels
+    static ICONS = {
+        file: 'Documento',
+        message: 'Messaggio',
+        code: 'Codice',
+        image: 'Immagine',
+        terminal: 'Terminale',
+        list: 'Elenco',
+        music: 'Audio',
+        bookmark: 'Segnalibro',
+        tag: 'Etichetta'
+    };
+    
+    // Types every collection has; they can be changed but not deleted
+    static BUILTIN = [
+        { id: 'text_generation', name: 'Generazione Testo', icon: 'file', modelKind: 'text', layout: ['model', 'variables'], fields: [] },
+        { id: 'image_generation', name: 'Generazione Immagini', icon: 'image', modelKind: 'image', layout: ['negative_prompt', 'model', 'variables'], fields: [] },
+        { id: 'code', name: 'Codice', icon: 'code', modelKind: 'text', layout: ['model', 'variables'], fields: [] },
+        { id: 'other', name: 'Altro', icon: 'file', modelKind: 'text', layout: ['model', 'variables'], fields: [] }
+    ];
+    
+    /**
+     * Get the built-in types
+     * @returns {Array} Type schemas, marked as built-in
+     */
+    static getBuiltinTypes() {
+        return this.BUILTIN.map(type => this.normalize({ ...type, builtin: true }));
+    }
+    
+    /**
+     * Get a schema for a type nobody defined, e.g. from an imported file
+     * It shows every editor field and has no extra fields
+     * @param {string} id - Type ID
+     * @returns {Object} Type schema
+     */
+    static getFallback(id) {
+        return this.normalize({ id, name: id, icon: 'file', layout: Object.keys(this.LAYOUT_FIELDS) });
+    }
+    
+    /**
+     * Clean up a type schema
+     * @param {Object} data - Raw schema
+     * @returns {Object|null} Schema ({ id, name, icon, modelKind, layout, fields, builtin }), or null without a valid ID
+     */
+    static normalize(data) {
+        if (!data || typeof data !== 'object' || !this.ID_PATTERN.test(data.id)) return null;
+        
+        return {
+            id: data.id,
+            name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : data.id,
+            icon: this.ICONS[data.icon] ? data.icon : 'file',
+            modelKind: data.modelKind === 'image' ? 'image' : 'text',
+            layout: Object.keys(this.LAYOUT_FIELDS).filter(name => Array.isArray(data.layout) && data.layout.includes(name)),
+            fields: this.normalizeFields(data.fields),
+            builtin: Boolean(data.builtin)
+        };
+    }
+    
+    /**
+     * Clean up a list of field definitions
+     * Invalid fields and repeated names are dropped
+     * @param {Array} fields - Raw fields
+     * @returns {Array} Fields, at most MAX_FIELDS
+     */
+    static normalizeFields(fields) {
+        const names = new Set();
+        return (Array.isArray(fields) ? fields : [])
+            .map(field => this.normalizeField(field))
+            .filter(field => {
+                if (!field || names.has(field.name)) return false;
+                names.add(field.name);
+                return true;
+            })
+            .slice(0, this.MAX_FIELDS);
+    }
+    
+    /**
+     * Clean up an extra field definition
+     * Rules that don't apply to the kind of field are dropped
+     * @param {Object} data - Raw field
+     * @returns {Object|null} Field ({ name, label, type, required, options, min, max, pattern }), or null if invalid
+     */
+    static normalizeField(data) {
+        if (!data || typeof data !== 'object') return null;
+        
+        const name = typeof data.name === 'string' && data.name.trim()
+            ? data.name.trim()
+            : this.createName(data.label);
+        if (!this.FIELD_NAME_PATTERN.test(name)) return null;
+        
+        const field = {
+            name,
+            label: typeof data.label === 'string' && data.label.trim() ? data.label.trim() : name,
+            type: this.FIELD_TYPES[data.type] ? data.type : 'text',
+            required: Boolean(data.required)
+        };
+        
+        if (field.type === 'select') {
+            field.options = Array.from(new Set((Array.isArray(data.options) ? data.options : [])
+                .map(option => String(option).trim())
+                .filter(Boolean)));
+        }
+        
+        if (field.type === 'number') {
+            ['min', 'max'].forEach(rule => {
+                if (data[rule] != null && data[rule] !== '' && Number.isFinite(Number(data[rule]))) {
+                    field[rule] = Number(data[rule]);
+                }
+            });
+        }
+        
+        if ((field.type === 'text' || field.type === 'textarea') && typeof data.pattern === 'string' && data.pattern &&
+            this.isValidPattern(data.pattern)) {
+            field.pattern = data.pattern;
+        }
+        
+        return field;
+    }
+    
+    /**
+     * Check if a pattern is a valid regular expression
+     * @param {string} pattern - Pattern source
+     * @returns {boolean} True if it compiles
+     */
+    static isValidPattern(pattern) {
+        try {
+            new RegExp(pattern);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+    
+    /**
+     * Check if a value is a calendar date (YYYY-MM-DD)
+     * @param {string} value - Value
+     * @returns {boolean} True if valid
+     */
+    static isValidDate(value) {
+        if (!this.DATE_PATTERN.test(value)) return false;
+        
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().startsWith(value);
+    }
+    
+    /**
+     * Check if a value is a web address
+     * @param {string} value - Value
+     * @returns {boolean} True for http and https URLs
+     */
+    static isValidUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch {
+            return false;
+        }
+    }
+    
+    /**
+     * Make an identifier out of a label, for type IDs and field names
+     * @param {string} label - Label (e.g. "Few-shot dataset")
+     * @returns {string} Identifier (e.g. "few_shot_dataset"), empty if nothing is left
+     */
+    static createName(label) {
+        return (label || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^[_0-9]+|_+$/g, '');
+    }
+    
+    /**
+     * Convert values typed for a list of fields
+     * Numbers are read from text, booleans are kept only when true, and empty values are dropped
+     * @param {Array} fields - Field definitions, such as the fields of a type
+     * @param {Object} values - Raw values keyed by field name
+     * @returns {Object} Values keyed by field name
+     */
+    static normalizeValues(fields, values = {}) {
+        const normalized = {};
+        
+        fields.forEach(field => {
+            const value = values[field.name];
+            if (value == null || value === '' || value === false) return;
+            
+            if (field.type === 'boolean') {
+                normalized[field.name] = true;
+            } else if (field.type === 'number') {
+                const number = Number(value);
+                normalized[field.name] = Number.isFinite(number) ? number : String(value);
+            } else {
+                normalized[field.name] = String(value).trim();
+            }
+        });
+        
+        return normalized;
+    }
+    
+    /**
+     * Check values against the rules of their fields
+     * @param {Array} fields - Field definitions, such as the fields of a type
+     * @param {Object} values - Values keyed by field name
+     * @returns {Array} Errors ({ field, message }), empty when valid
+     */
+    static validateValues(fields, values = {}) {
+        const errors = [];
+        
+        fields.forEach(field => {
+            const value = values[field.name];
+            const empty = value == null || value === '' || value === false;
+            const fail = (message) => errors.push({ field: field.name, message });
+            
+            if (empty) {
+                if (field.required) fail('Questo campo è obbligatorio');
+                return;
+            }
+            
+            if (field.type === 'number') {
+                const number = Number(value);
+                if (!Number.isFinite(number)) {
+                    fail('Inserisci un numero');
+                } else if (field.min != null && number < field.min) {
+                    fail(`Il valore minimo è ${field.min}`);
+                } else if (field.max != null && number > field.max) {
+                    fail(`Il valore massimo è ${field.max}`);
+                }
+            } else if (field.type === 'select' && !field.options.includes(String(value))) {
+                fail(`Scegli uno tra: ${field.options.join(', ')}`);
+            } else if (field.type === 'date' && !this.isValidDate(String(value))) {
+                fail('Inserisci una data nel formato AAAA-MM-GG');
+            } else if (field.type === 'url' && !this.isValidUrl(String(value))) {
+                fail('Inserisci un indirizzo completo, es. https://example.com');
+            } else if (field.pattern && !new RegExp(field.pattern).test(String(value))) {
+                fail('Il valore non rispetta il formato richiesto');
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Format a field value for display
+     * @param {Object|null} field - Field definition, or null for values no type defines
+     * @param {*} value - Field value
+     * @returns {string} Text to show
+     */
+    static formatValue(field, value) {
+        if (typeof value === 'boolean' || (field && field.type === 'boolean')) {
+            return value ? 'Sì' : 'No';
+        }
+        if (field && field.type === 'date' && this.isValidDate(String(value))) {
+            return DOMUtils.formatDate(`${value}T00:00:00`, { hour: undefined, minute: undefined });
+        }
+        return String(value);
+    }
+}
+
+// Export for use in other modules
+window.PromptType = PromptType;
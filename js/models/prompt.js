@@ -4,6 +4,7 @@
  */
 
 class Prompt {
+    // Built-in types; collections can define more (see PromptType)
     static TYPES = {
         TEXT_GENERATION: 'text_generation',
         IMAGE_GENERATION: 'image_generation',
@@ -11,23 +12,68 @@ class Prompt {
         OTHER: 'other'
     };
     
+    static TYPE_PATTERN = /^[a-z][a-z0-9_]*$/;
+    static FIELD_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+    
     static REQUIRED_FIELDS = ['title', 'type', 'prompt'];
     
+    // Placeholders like {{language}} or {{language|Java}} (inline default)
+    static VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*(?:\|([^}]*))?\}\}/g;
+    static VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+    static MAX_VARIABLES = 50;
+    static MAX_MODELS = 20;
+    
+    // Generation parameters a model entry can carry, with the kinds of model they apply to
+    static MODEL_PARAMETERS = {
+        temperature: { label: 'Temperatura', type: 'number', kinds: ['text'] },
+        max_tokens: { label: 'Token massimi', type: 'integer', kinds: ['text'] },
+        seed: { label: 'Seed', type: 'integer', kinds: ['text', 'image'] },
+        sampler: { label: 'Sampler', type: 'text', kinds: ['image'] },
+        steps: { label: 'Passi', type: 'integer', kinds: ['image'] },
+        cfg_scale: { label: 'Scala CFG', type: 'number', kinds: ['image'] }
+    };
+    
+    // Fields captured by each revision in the version history
+    static HISTORY_FIELDS = [
+        'title', 'type', 'prompt', 'negative_prompt', 'model', 'author',
+        'tags', 'notes', 'version', 'category', 'variables', 'fields', 'metadata', 'extensions'
+    ];
+    
+    // Keys the app reads; any other key of a file is kept in the extension bag
+    static KNOWN_KEYS = [
+        'id', 'title', 'type', 'prompt', 'negative_prompt', 'model', 'author', 'tags', 'notes',
+        'version', 'created', 'modified', 'category', 'isFavorite', 'variables', 'fields',
+        'metadata', 'usageCount', 'extensions'
+    ];
+    
     constructor(data = {}) {
         this.id = data.id || this.generateId();
         this.title = data.title || '';
         this.type = data.type || Prompt.TYPES.TEXT_GENERATION;
         this.prompt = data.prompt || '';
         this.negative_prompt = data.negative_prompt || '';
-        this.model = data.model || '';
+        this.model = Prompt.normalizeModels(data.model);
         this.author = data.author || '';
         this.tags = Array.isArray(data.tags) ? data.tags : [];
         this.notes = data.notes || '';
         this.version = data.version || '1.0';
-        this.created = data.created || new Date().toISOString().split('T')[0];
-        this.modified = data.modified || new Date().toISOString().split('T')[0];
+        this.created = Prompt.normalizeDate(data.created);
+        this.modified = Prompt.normalizeDate(data.modified);
         this.category = data.category || '';
         this.isFavorite = Boolean(data.isFavorite);
+        this.variables = Prompt.normalizeVariables(data.variables);
+        
+        // Values of the extra fields of the prompt type
+        this.fields = Prompt.normalizeFields(data.fields);
+        
+        // Values of the custom metadata fields of the collection
+        this.metadata = Prompt.normalizeFields(data.metadata);
+        
+        // Keys written by other tools, kept as they are so files round-trip without loss
+        this.extensions = Prompt.normalizeExtensions(data);
+        
+        // How many times the prompt has been copied
+        this.usageCount = Number.isInteger(data.usageCount) && data.usageCount > 0 ? data.usageCount : 0;
         
         // Validate data
         this.validate();
@@ -43,58 +89,102 @@ class Prompt {
     
     /**
      * Validate prompt data
-     * @throws {Error} If validation fails
+     * @throws {Error} If validation fails; its `errors` list each problem ({ field, message })
      */
     validate() {
         const errors = [];
+        const fail = (field, message) => errors.push({ field, message });
         
         // Check required fields
         Prompt.REQUIRED_FIELDS.forEach(field => {
             if (!this[field] || (typeof this[field] === 'string' && this[field].trim() === '')) {
-                errors.push(`Field '${field}' is required`);
+                fail(field, `Field '${field}' is required`);
             }
         });
         
-        // Validate type
-        if (!Object.values(Prompt.TYPES).includes(this.type)) {
-            errors.push(`Invalid type '${this.type}'. Must be one of: ${Object.values(Prompt.TYPES).join(', ')}`);
+        // Validate type: built-in or defined by the collection, as a lowercase identifier
+        if (this.type && !Prompt.TYPE_PATTERN.test(this.type)) {
+            fail('type', `Invalid type '${this.type}'. Must be a lowercase identifier like ${Object.values(Prompt.TYPES).join(', ')}`);
         }
         
         // Validate title length
         if (this.title && this.title.length > 200) {
-            errors.push('Title must be 200 characters or less');
+            fail('title', 'Title must be 200 characters or less');
         }
         
         // Validate prompt length
         if (this.prompt && this.prompt.length > 10000) {
-            errors.push('Prompt must be 10000 characters or less');
+            fail('prompt', 'Prompt must be 10000 characters or less');
         }
         
         // Validate tags
         if (this.tags && !Array.isArray(this.tags)) {
-            errors.push('Tags must be an array');
+            fail('tags', 'Tags must be an array');
         }
         
         if (this.tags && this.tags.length > 20) {
-            errors.push('Maximum 20 tags allowed');
+            fail('tags', 'Maximum 20 tags allowed');
         }
         
         // Validate version format
         if (this.version && !/^\d+\.\d+(\.\d+)?$/.test(this.version)) {
-            errors.push('Version must be in format X.Y or X.Y.Z');
+            fail('version', 'Version must be in format X.Y or X.Y.Z');
         }
         
         // Validate dates
         if (this.created && !this.isValidDate(this.created)) {
-            errors.push('Invalid created date format');
+            fail('created', 'Invalid created date format');
         }
         
         if (this.modified && !this.isValidDate(this.modified)) {
-            errors.push('Invalid modified date format');
+            fail('modified', 'Invalid modified date format');
+        }
+        
+        // Validate models
+        if (!Array.isArray(this.model)) {
+            fail('model', 'Model must be an array');
+        } else {
+            if (this.model.length > Prompt.MAX_MODELS) {
+                fail('model', `Maximum ${Prompt.MAX_MODELS} models allowed`);
+            }
+            
+            this.model.forEach(entry => {
+                if (!entry.name) {
+                    fail('model', 'Model name is required');
+                }
+                
+                Object.entries(entry.parameters).forEach(([key, value]) => {
+                    const definition = Prompt.MODEL_PARAMETERS[key];
+                    const valid = definition && (definition.type === 'text'
+                        ? typeof value === 'string'
+                        : Number.isFinite(value) && (definition.type !== 'integer' || Number.isInteger(value)));
+                    
+                    if (!valid) {
+                        fail('model', `Invalid model parameter '${key}' for '${entry.name}'`);
+                    }
+                });
+            });
+        }
+        
+        // Validate variables
+        if (!Array.isArray(this.variables)) {
+            fail('variables', 'Variables must be an array');
+        } else {
+            if (this.variables.length > Prompt.MAX_VARIABLES) {
+                fail('variables', `Maximum ${Prompt.MAX_VARIABLES} variables allowed`);
+            }
+            
+            this.variables.forEach(variable => {
+                if (!Prompt.VARIABLE_NAME_PATTERN.test(variable.name)) {
+                    fail('variables', `Invalid variable name '${variable.name}'`);
+                }
+            });
         }
         
         if (errors.length > 0) {
-            throw new Error(`Validation failed: ${errors.join(', ')}`);
+            const error = new Error(`Validation failed: ${errors.map(item => item.message).join(', ')}`);
+            error.errors = errors;
+            throw error;
         }
     }
     
@@ -114,7 +204,7 @@ class Prompt {
      */
     update(data) {
         const allowedFields = [
-            'title', 'type', 'prompt', 'negative_prompt', 'model', 
+            'title', 'type', 'prompt', 'negative_prompt',
             'author', 'tags', 'notes', 'version', 'category', 'isFavorite'
         ];
         
@@ -124,6 +214,26 @@ class Prompt {
             }
         });
         
+        if (data.hasOwnProperty('model')) {
+            this.model = Prompt.normalizeModels(data.model);
+        }
+        
+        if (data.hasOwnProperty('variables')) {
+            this.variables = Prompt.normalizeVariables(data.variables);
+        }
+        
+        if (data.hasOwnProperty('fields')) {
+            this.fields = Prompt.normalizeFields(data.fields);
+        }
+        
+        if (data.hasOwnProperty('metadata')) {
+            this.metadata = Prompt.normalizeFields(data.metadata);
+        }
+        
+        if (data.hasOwnProperty('extensions')) {
+            this.extensions = Prompt.normalizeExtensions({ extensions: data.extensions });
+        }
+        
         // Update modified date
         this.modified = new Date().toISOString().split('T')[0];
         
@@ -131,6 +241,58 @@ class Prompt {
         this.validate();
     }
     
+    /**
+     * Get snapshot of content and metadata tracked by the version history
+     * @returns {Object} Snapshot data
+     */
+    getSnapshot() {
+        const data = this.toObject();
+        const snapshot = {};
+        
+        Prompt.HISTORY_FIELDS.forEach(field => {
+            snapshot[field] = data[field];
+        });
+        
+        return snapshot;
+    }
+    
+    /**
+     * Check if prompt differs from a snapshot
+     * @param {Object} snapshot - Snapshot data
+     * @returns {boolean} True if any tracked field changed
+     */
+    differsFrom(snapshot) {
+        const current = this.getSnapshot();
+        
+        // Older snapshots hold models as text and have no extra fields, metadata or extensions
+        const other = {
+            ...snapshot,
+            model: Prompt.normalizeModels(snapshot.model),
+            fields: Prompt.normalizeFields(snapshot.fields),
+            metadata: Prompt.normalizeFields(snapshot.metadata),
+            extensions: Prompt.normalizeExtensions({ extensions: snapshot.extensions })
+        };
+        
+        return Prompt.HISTORY_FIELDS.some(field => 
+            JSON.stringify(current[field]) !== JSON.stringify(other[field])
+        );
+    }
+    
+    /**
+     * Increment the last component of a version string
+     * @param {string} version - Version in format X.Y or X.Y.Z
+     * @returns {string} Incremented version
+     */
+    static bumpVersion(version) {
+        if (!/^\d+\.\d+(\.\d+)?$/.test(version || '')) {
+            return '1.0';
+        }
+        
+        const parts = version.split('.').map(Number);
+        parts[parts.length - 1]++;
+        return parts.join('.');
+    }
+    
     /**
      * Clone prompt with new ID
      * @returns {Prompt} Cloned prompt
@@ -138,6 +300,7 @@ class Prompt {
     clone() {
         const data = this.toObject();
         delete data.id;
+        delete data.usageCount;
         data.title = `${data.title} (Copy)`;
         return new Prompt(data);
     }
@@ -153,7 +316,7 @@ class Prompt {
             type: this.type,
             prompt: this.prompt,
             negative_prompt: this.negative_prompt,
-            model: this.model,
+            model: this.model.map(entry => ({ ...entry, parameters: { ...entry.parameters } })),
             author: this.author,
             tags: [...this.tags],
             notes: this.notes,
@@ -161,7 +324,12 @@ class Prompt {
             created: this.created,
             modified: this.modified,
             category: this.category,
-            isFavorite: this.isFavorite
+            isFavorite: this.isFavorite,
+            variables: this.variables.map(variable => ({ ...variable })),
+            fields: { ...this.fields },
+            metadata: { ...this.metadata },
+            extensions: Prompt.normalizeExtensions({ extensions: this.extensions }),
+            usageCount: this.usageCount
         };
     }
     
@@ -170,27 +338,51 @@ class Prompt {
      * @returns {string} YAML representation
      */
     toYAML() {
+        return Prompt.dumpYAML(this);
+    }
+    
+    /**
+     * Write prompt data as YAML, as toYAML() does
+     * Also used for data that isn't a valid prompt yet, such as the content of the editor
+     * @param {Object} data - Prompt data, with models, variables, fields and metadata normalized
+     * @returns {string} YAML representation
+     */
+    static dumpYAML(data) {
         const yamlData = {
-            title: this.title,
-            type: this.type,
-            prompt: this.prompt,
-            negative_prompt: this.negative_prompt,
-            model: this.model,
-            author: this.author,
-            tags: this.tags,
-            notes: this.notes,
-            version: this.version,
-            created: this.created,
-            modified: this.modified
+            title: data.title,
+            type: data.type,
+            prompt: data.prompt,
+            negative_prompt: data.negative_prompt,
+            model: (data.model || []).map(entry => Prompt.serializeModel(entry)),
+            author: data.author,
+            tags: data.tags,
+            notes: data.notes,
+            version: data.version,
+            created: data.created,
+            modified: data.modified,
+            usageCount: data.usageCount > 0 ? data.usageCount : null,
+            variables: (data.variables || []).map(variable => {
+                const entry = { name: variable.name };
+                if (variable.default) entry.default = variable.default;
+                if (variable.description) entry.description = variable.description;
+                return entry;
+            }),
+            fields: { ...data.fields },
+            metadata: { ...data.metadata }
         };
         
         // Remove empty fields for cleaner YAML
         Object.keys(yamlData).forEach(key => {
-            if (yamlData[key] === '' || (Array.isArray(yamlData[key]) && yamlData[key].length === 0)) {
+            const value = yamlData[key];
+            if (value == null || value === '' || (Array.isArray(value) && value.length === 0) ||
+                ((key === 'fields' || key === 'metadata') && Object.keys(value).length === 0)) {
                 delete yamlData[key];
             }
         });
         
+        // Unknown keys go back where they were found, after the known ones
+        Object.assign(yamlData, Prompt.normalizeExtensions({ extensions: data.extensions }));
+        
         return jsyaml.dump(yamlData, {
             indent: 2,
             lineWidth: -1,
@@ -228,11 +420,319 @@ class Prompt {
             .substring(0, 50) + '.prompt.yaml';
     }
     
+    /**
+     * Normalize variable definitions
+     * Accepts an array of definitions or a map keyed by variable name
+     * @param {Array|Object} variables - Raw variable definitions
+     * @returns {Array} Normalized definitions ({ name, default, description })
+     */
+    static normalizeVariables(variables) {
+        if (!variables) return [];
+        
+        let entries = variables;
+        if (!Array.isArray(variables) && typeof variables === 'object') {
+            entries = Object.entries(variables).map(([name, value]) => (
+                value && typeof value === 'object' ? { ...value, name } : { name, default: value }
+            ));
+        }
+        
+        if (!Array.isArray(entries)) return [];
+        
+        const seen = new Set();
+        return entries
+            .filter(entry => entry && entry.name)
+            .map(entry => ({
+                name: String(entry.name).trim(),
+                default: entry.default != null ? String(entry.default) : '',
+                description: entry.description != null ? String(entry.description) : ''
+            }))
+            .filter(entry => {
+                if (seen.has(entry.name)) return false;
+                seen.add(entry.name);
+                return true;
+            });
+    }
+    
+    /**
+     * Normalize model entries
+     * Accepts the comma-separated string older prompts store (`GPT-4, Claude`), a list
+     * of names or entries, or a single entry. Generation parameters may be nested under
+     * `parameters` or written next to the name, as in hand-written YAML files.
+     * @param {string|Array|Object} models - Raw model data
+     * @returns {Array} Entries ({ provider, name, parameters }), without duplicates
+     */
+    static normalizeModels(models) {
+        if (!models) return [];
+        
+        let entries = models;
+        if (typeof models === 'string') {
+            entries = models.split(',');
+        } else if (!Array.isArray(models)) {
+            entries = [models];
+        }
+        
+        const seen = new Set();
+        return entries
+            .map(entry => {
+                if (entry && typeof entry === 'object') {
+                    const { provider, name, parameters, ...rest } = entry;
+                    return {
+                        provider: provider != null ? String(provider).trim() : '',
+                        name: name != null ? String(name).trim() : '',
+                        parameters: Prompt.normalizeModelParameters({ ...rest, ...parameters })
+                    };
+                }
+                return { provider: '', name: entry != null ? String(entry).trim() : '', parameters: {} };
+            })
+            .filter(entry => {
+                const key = `${entry.provider}\n${entry.name}`.toLowerCase();
+                if (!entry.name || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+    
+    /**
+     * Keep the known generation parameters of a model entry
+     * Numbers written as text are converted and whole-number parameters rounded;
+     * empty values and numbers that can't be read are dropped
+     * @param {Object} parameters - Raw parameters
+     * @returns {Object} Parameters keyed by name, in the order of MODEL_PARAMETERS
+     */
+    static normalizeModelParameters(parameters = {}) {
+        const normalized = {};
+        
+        Object.entries(Prompt.MODEL_PARAMETERS).forEach(([key, definition]) => {
+            const value = parameters[key];
+            if (value == null || value === '') return;
+            
+            if (definition.type === 'text') {
+                normalized[key] = String(value);
+                return;
+            }
+            
+            const number = Number(value);
+            if (Number.isFinite(number)) {
+                normalized[key] = definition.type === 'integer' ? Math.round(number) : number;
+            }
+        });
+        
+        return normalized;
+    }
+    
+    /**
+     * Normalize a creation or modification date
+     * YAML files with unquoted dates (created: 2025-01-15) load them as Date objects,
+     * which become text (YYYY-MM-DD) like the dates the app writes
+     * @param {*} value - Raw date
+     * @returns {*} Date text, today when missing
+     */
+    static normalizeDate(value) {
+        if (value instanceof Date && !isNaN(value)) {
+            return value.toISOString().slice(0, 10);
+        }
+        return value || new Date().toISOString().split('T')[0];
+    }
+    
+    /**
+     * Keep the extra field or metadata values of a prompt
+     * Only text, finite numbers and booleans are kept, under valid names; dates read
+     * from YAML files become text (YYYY-MM-DD)
+     * @param {Object} fields - Raw values keyed by field name
+     * @returns {Object} Values keyed by field name
+     */
+    static normalizeFields(fields) {
+        const normalized = {};
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return normalized;
+        
+        Object.entries(fields).forEach(([name, raw]) => {
+            const value = raw instanceof Date && !isNaN(raw) ? raw.toISOString().slice(0, 10) : raw;
+            const valid = typeof value === 'string' || typeof value === 'boolean' ||
+                (typeof value === 'number' && Number.isFinite(value));
+            
+            if (valid && value !== '' && Prompt.FIELD_NAME_PATTERN.test(name)) {
+                normalized[name] = value;
+            }
+        });
+        
+        return normalized;
+    }
+    
+    /**
+     * Collect the keys of prompt data the app doesn't know
+     * Keys already kept in `extensions` are merged with unknown top-level keys, which win.
+     * Values are copied; dates read from YAML files become text
+     * @param {Object} data - Raw prompt data
+     * @returns {Object} Unknown values keyed by name
+     */
+    static normalizeExtensions(data) {
+        const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+            !(value instanceof Date);
+        const copy = (value) => {
+            if (value instanceof Date) {
+                if (isNaN(value)) return undefined;
+                const iso = value.toISOString();
+                return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+            }
+            if (Array.isArray(value)) {
+                return value.map(copy).filter(item => item !== undefined);
+            }
+            if (isObject(value)) {
+                const result = {};
+                Object.entries(value).forEach(([key, item]) => {
+                    const copied = copy(item);
+                    if (copied !== undefined) result[key] = copied;
+                });
+                return result;
+            }
+            if (typeof value === 'number' && !Number.isFinite(value)) return undefined;
+            return ['string', 'number', 'boolean'].includes(typeof value) || value === null ? value : undefined;
+        };
+        
+        const extensions = {};
+        if (!isObject(data)) return extensions;
+        
+        const unknown = Object.entries(data).filter(([key]) => !Prompt.KNOWN_KEYS.includes(key));
+        const kept = isObject(data.extensions) ? Object.entries(data.extensions) : [];
+        
+        [...kept, ...unknown].forEach(([key, value]) => {
+            if (Prompt.KNOWN_KEYS.includes(key)) return;
+            
+            const copied = copy(value);
+            if (copied !== undefined) {
+                extensions[key] = copied;
+            }
+        });
+        
+        return extensions;
+    }
+    
+    /**
+     * Write a model entry for YAML files
+     * Entries with just a name stay plain strings, as in files made by other tools
+     * @param {Object} entry - Model entry
+     * @returns {string|Object} Name, or entry ({ name, provider, parameters })
+     */
+    static serializeModel(entry) {
+        const hasParameters = Object.keys(entry.parameters).length > 0;
+        if (!entry.provider && !hasParameters) return entry.name;
+        
+        const data = { name: entry.name };
+        if (entry.provider) data.provider = entry.provider;
+        if (hasParameters) data.parameters = { ...entry.parameters };
+        return data;
+    }
+    
+    /**
+     * Format a model entry for display
+     * @param {Object} entry - Model entry
+     * @param {boolean} withParameters - Also list the generation parameters
+     * @returns {string} Text like "GPT-4 (OpenAI)" or "GPT-4 (OpenAI): Temperatura 0.2"
+     */
+    static formatModel(entry, withParameters = false) {
+        const label = entry.provider ? `${entry.name} (${entry.provider})` : entry.name;
+        const parameters = Object.entries(entry.parameters)
+            .map(([key, value]) => `${Prompt.MODEL_PARAMETERS[key].label} ${value}`);
+        
+        return withParameters && parameters.length > 0 ? `${label}: ${parameters.join(', ')}` : label;
+    }
+    
+    /**
+     * Get the names of the models the prompt is meant for
+     * @returns {Array} Model names
+     */
+    getModelNames() {
+        return this.model.map(entry => entry.name);
+    }
+    
+    /**
+     * Get models as text, for display and free-text search
+     * @returns {string} Models and providers, comma-separated
+     */
+    getModelString() {
+        return this.model.map(entry => Prompt.formatModel(entry)).join(', ');
+    }
+    
+    /**
+     * Extract placeholder variables from text
+     * @param {...string} texts - Texts to scan
+     * @returns {Array} Detected variables ({ name, default }) in order of appearance
+     */
+    static extractVariables(...texts) {
+        const detected = new Map();
+        const text = texts.filter(Boolean).join('\n');
+        
+        for (const match of text.matchAll(Prompt.VARIABLE_PATTERN)) {
+            const [, name, inlineDefault] = match;
+            if (!detected.has(name)) {
+                detected.set(name, { name, default: inlineDefault ? inlineDefault.trim() : '' });
+            } else if (!detected.get(name).default && inlineDefault) {
+                detected.get(name).default = inlineDefault.trim();
+            }
+        }
+        
+        return Array.from(detected.values());
+    }
+    
+    /**
+     * Detect placeholder variables used in prompt text
+     * @returns {Array} Detected variables ({ name, default }) in order of appearance
+     */
+    detectVariables() {
+        return Prompt.extractVariables(this.prompt, this.negative_prompt);
+    }
+    
+    /**
+     * Get variables used by the prompt merged with their definitions
+     * @returns {Array} Variables ({ name, default, description })
+     */
+    getVariables() {
+        const definitions = new Map(this.variables.map(variable => [variable.name, variable]));
+        
+        return this.detectVariables().map(({ name, default: inlineDefault }) => {
+            const definition = definitions.get(name) || {};
+            return {
+                name,
+                default: definition.default || inlineDefault,
+                description: definition.description || ''
+            };
+        });
+    }
+    
+    /**
+     * Check if prompt contains placeholder variables
+     * @returns {boolean} True if at least one variable is used
+     */
+    hasVariables() {
+        return this.detectVariables().length > 0;
+    }
+    
+    /**
+     * Render prompt text replacing variables with values
+     * Missing values fall back to the default; variables without either are left untouched
+     * @param {Object} values - Values keyed by variable name
+     * @param {string} field - Field to render ('prompt' or 'negative_prompt')
+     * @returns {string} Rendered text
+     */
+    render(values = {}, field = 'prompt') {
+        const defaults = new Map(this.getVariables().map(variable => [variable.name, variable.default]));
+        
+        return (this[field] || '').replace(Prompt.VARIABLE_PATTERN, (placeholder, name) => {
+            const value = values[name];
+            if (value !== undefined && value !== '') return value;
+            return defaults.get(name) || placeholder;
+        });
+    }
+    
     /**
      * Get display name for type
+     * @param {Map} types - Type schemas of the collection, keyed by ID
      * @returns {string} Human-readable type name
      */
-    getTypeDisplayName() {
+    getTypeDisplayName(types = null) {
+        const type = types && types.get(this.type);
+        if (type) return type.name;
+        
         const typeNames = {
             [Prompt.TYPES.TEXT_GENERATION]: 'Generazione Testo',
             [Prompt.TYPES.IMAGE_GENERATION]: 'Generazione Immagini',
@@ -265,7 +765,7 @@ class Prompt {
             this.prompt,
             this.notes,
             this.author,
-            this.model,
+            this.getModelString(),
             this.getTagsString(),
             this.getTypeDisplayName()
         ];
@@ -305,7 +805,7 @@ class Prompt {
         }
         
         // Other fields match
-        const otherFields = [this.notes, this.author, this.model];
+        const otherFields = [this.notes, this.author, this.getModelString()];
         otherFields.forEach(field => {
             if (field && field.toLowerCase().includes(searchText)) {
                 score += 5;
@@ -0,0 +1,381 @@
+/**
+ * Search Index
+ * Inverted index over prompts with Italian/English stemming, typo tolerance and
+ * BM25 ranking. Kept up to date by StorageManager as prompts are saved.
+ */
+
+class SearchIndex {
+    // Weight of a word found in each field, relative to the prompt text
+    static FIELD_WEIGHTS = {
+        title: 3,
+        tags: 2,
+        prompt: 1,
+        negative_prompt: 0.5,
+        notes: 1,
+        author: 1,
+        model: 1,
+        fields: 1
+    };
+    
+    static BM25 = {
+        K1: 1.2,
+        B: 0.75
+    };
+    
+    static PREFIX_WEIGHT = 0.8;
+    static FUZZY_WEIGHT = 0.6;
+    static MIN_PREFIX_LENGTH = 2;
+    static MIN_STEM_LENGTH = 3;
+    static WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+    
+    static STOP_WORDS = new Set([
+        // Italian
+        'il', 'lo', 'la', 'le', 'gli', 'un', 'uno', 'una', 'di', 'da', 'in', 'con', 'su', 'per',
+        'tra', 'fra', 'ma', 'che', 'non', 'del', 'dello', 'della', 'dei', 'degli', 'delle', 'al',
+        'allo', 'alla', 'ai', 'agli', 'alle', 'nel', 'nello', 'nella', 'nei', 'negli', 'nelle',
+        'sul', 'sulla', 'sui', 'sono', 'come', 'questo', 'questa', 'questi', 'queste', 'ed',
+        // English
+        'the', 'an', 'and', 'or', 'of', 'to', 'on', 'for', 'with', 'is', 'are', 'be', 'this',
+        'that', 'it', 'as', 'at', 'by', 'from', 'your', 'you', 'into'
+    ]);
+    
+    // Italian and English suffixes, longest first; the same stemmer runs on prompts and queries
+    static SUFFIXES = [
+        'azioni', 'azione', 'amenti', 'amento', 'imenti', 'imento', 'ations', 'ation', 'zioni',
+        'zione', 'mente', 'ments', 'ment', 'ness', 'ingly', 'ings', 'edly', 'ando', 'endo', 'ante',
+        'anti', 'ente', 'enti', 'ista', 'isti', 'iche', 'ing', 'ies', 'ied', 'ers', 'ato', 'ata',
+        'ati', 'ate', 'ito', 'ita', 'iti', 'ite', 'uto', 'uta', 'uti', 'ute', 'are', 'ere', 'ire',
+        'ici', 'ico', 'ica', 'oso', 'osa', 'osi', 'ose', 'er', 'ed', 'ly', 'es', 's', 'i', 'e',
+        'o', 'a'
+    ];
+    
+    constructor() {
+        // term → Map(prompt ID → weighted term frequency)
+        this.postings = new Map();
+        // prompt ID → { length, terms: Set }
+        this.documents = new Map();
+        this.totalLength = 0;
+        this.expansions = new Map();
+    }
+    
+    /**
+     * Get number of indexed prompts
+     * @returns {number} Document count
+     */
+    get size() {
+        return this.documents.size;
+    }
+    
+    /**
+     * Reduce a word to its index term
+     * @param {string} word - Word as written
+     * @returns {string|null} Term, or null for stop words
+     */
+    static analyze(word) {
+        const normalized = word
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+        
+        if (!normalized || this.STOP_WORDS.has(normalized)) {
+            return null;
+        }
+        return this.stem(normalized);
+    }
+    
+    /**
+     * Strip the longest known suffix
+     * @param {string} word - Normalized word
+     * @returns {string} Stem
+     */
+    static stem(word) {
+        if (word.length <= this.MIN_STEM_LENGTH || /^\d+$/.test(word)) {
+            return word;
+        }
+        
+        const suffix = this.SUFFIXES.find(ending =>
+            word.endsWith(ending) && word.length - ending.length >= this.MIN_STEM_LENGTH
+        );
+        return suffix ? word.slice(0, -suffix.length) : word;
+    }
+    
+    /**
+     * Split text into index terms
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Terms in order, stop words removed
+     */
+    static tokenize(text) {
+        return (text || '').match(this.WORD_PATTERN)?.map(word => this.analyze(word)).filter(Boolean) || [];
+    }
+    
+    /**
+     * Compute edit distance, giving up above a maximum
+     * Swapping two adjacent letters counts as a single edit
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Maximum distance of interest
+     * @returns {number} Distance, or max + 1 when larger
+     */
+    static editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            
+            if (rowMin > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+    
+    /**
+     * Get number of typos tolerated for a term
+     * @param {string} term - Query term
+     * @returns {number} Maximum edit distance
+     */
+    static getMaxEdits(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+    
+    /**
+     * Get searchable fields of a prompt
+     * @param {Prompt} prompt - Prompt instance
+     * @returns {Object} Field texts keyed by field name
+     */
+    static getFields(prompt) {
+        return {
+            title: prompt.title,
+            tags: prompt.tags.join(' '),
+            prompt: prompt.prompt,
+            negative_prompt: prompt.negative_prompt,
+            notes: prompt.notes,
+            author: prompt.author,
+            model: prompt.model.map(entry => `${entry.name} ${entry.provider}`).join(' '),
+            fields: [...Object.values(prompt.fields), ...Object.values(prompt.metadata)]
+                .filter(value => typeof value === 'string')
+                .join(' ')
+        };
+    }
+    
+    /**
+     * Index all prompts, replacing the current content
+     * @param {Iterable} prompts - Prompt instances
+     */
+    build(prompts) {
+        this.clear();
+        for (const prompt of prompts) {
+            this.add(prompt);
+        }
+    }
+    
+    /**
+     * Add or replace a prompt
+     * @param {Prompt} prompt - Prompt instance
+     */
+    add(prompt) {
+        this.remove(prompt.id);
+        
+        const frequencies = new Map();
+        let length = 0;
+        
+        Object.entries(SearchIndex.getFields(prompt)).forEach(([field, text]) => {
+            const weight = SearchIndex.FIELD_WEIGHTS[field];
+            SearchIndex.tokenize(text).forEach(term => {
+                frequencies.set(term, (frequencies.get(term) || 0) + weight);
+                length += weight;
+            });
+        });
+        
+        frequencies.forEach((frequency, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(prompt.id, frequency);
+        });
+        
+        this.documents.set(prompt.id, { length, terms: new Set(frequencies.keys()) });
+        this.totalLength += length;
+        this.expansions.clear();
+    }
+    
+    /**
+     * Remove a prompt
+     * @param {string} promptId - Prompt ID
+     */
+    remove(promptId) {
+        const entry = this.documents.get(promptId);
+        if (!entry) return;
+        
+        entry.terms.forEach(term => {
+            const postings = this.postings.get(term);
+            postings.delete(promptId);
+            if (postings.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        
+        this.documents.delete(promptId);
+        this.totalLength -= entry.length;
+        this.expansions.clear();
+    }
+    
+    /**
+     * Remove everything
+     */
+    clear() {
+        this.postings.clear();
+        this.documents.clear();
+        this.totalLength = 0;
+        this.expansions.clear();
+    }
+    
+    /**
+     * Find index terms matching a query term: the term itself, longer words it
+     * starts (search as you type) and words within a few typos
+     * @param {string} queryTerm - Analyzed query term
+     * @returns {Map} Index term → weight
+     */
+    expand(queryTerm) {
+        if (this.expansions.has(queryTerm)) {
+            return this.expansions.get(queryTerm);
+        }
+        
+        const matches = new Map();
+        const maxEdits = SearchIndex.getMaxEdits(queryTerm);
+        const allowPrefix = queryTerm.length >= SearchIndex.MIN_PREFIX_LENGTH;
+        
+        this.postings.forEach((_, term) => {
+            if (term === queryTerm) {
+                matches.set(term, 1);
+            } else if (allowPrefix && term.startsWith(queryTerm)) {
+                matches.set(term, SearchIndex.PREFIX_WEIGHT);
+            } else if (maxEdits > 0) {
+                const distance = SearchIndex.editDistance(queryTerm, term, maxEdits);
+                if (distance <= maxEdits) {
+                    matches.set(term, SearchIndex.FUZZY_WEIGHT / distance);
+                }
+            }
+        });
+        
+        this.expansions.set(queryTerm, matches);
+        return matches;
+    }
+    
+    /**
+     * Rank prompts for a free-text query with BM25
+     * Each query term adds the score of its best matching index term
+     * @param {string} text - Query text
+     * @returns {Array} Results ({ id, score, terms: Set of matched index terms }), best first
+     */
+    search(text) {
+        const queryTerms = Array.from(new Set(SearchIndex.tokenize(text)));
+        const count = this.documents.size;
+        if (queryTerms.length === 0 || count === 0) return [];
+        
+        const { K1, B } = SearchIndex.BM25;
+        const averageLength = this.totalLength / count || 1;
+        const results = new Map();
+        
+        queryTerms.forEach(queryTerm => {
+            const best = new Map();
+            
+            this.expand(queryTerm).forEach((weight, term) => {
+                const postings = this.postings.get(term);
+                const idf = Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+                
+                postings.forEach((frequency, id) => {
+                    const length = this.documents.get(id).length;
+                    const score = weight * idf * (frequency * (K1 + 1)) /
+                        (frequency + K1 * (1 - B + B * length / averageLength));
+                    
+                    if (!best.has(id) || best.get(id).score < score) {
+                        best.set(id, { score, term });
+                    }
+                });
+            });
+            
+            best.forEach(({ score, term }, id) => {
+                if (!results.has(id)) {
+                    results.set(id, { id, score: 0, terms: new Set() });
+                }
+                const result = results.get(id);
+                result.score += score;
+                result.terms.add(term);
+            });
+        });
+        
+        return Array.from(results.values()).sort((a, b) => b.score - a.score);
+    }
+    
+    /**
+     * Check if a prompt contains every word of a text, allowing typos and prefixes
+     * @param {string} promptId - Prompt ID
+     * @param {string} text - Words to look for
+     * @returns {boolean} True if all words match (stop words are ignored)
+     */
+    matches(promptId, text) {
+        const entry = this.documents.get(promptId);
+        if (!entry) return false;
+        
+        return SearchIndex.tokenize(text).every(queryTerm =>
+            Array.from(this.expand(queryTerm).keys()).some(term => entry.terms.has(term))
+        );
+    }
+    
+    /**
+     * Find words of a text that belong to some index terms
+     * @param {string} text - Original text
+     * @param {Set} terms - Index terms
+     * @returns {Array} Matching words as written, each once
+     */
+    static findWords(text, terms) {
+        const words = (text || '').match(this.WORD_PATTERN) || [];
+        return Array.from(new Set(words.filter(word => terms.has(this.analyze(word)))));
+    }
+    
+    /**
+     * Cut a snippet of text around the first matching word
+     * @param {string} text - Original text
+     * @param {Set} terms - Matched index terms
+     * @param {number} length - Maximum snippet length
+     * @returns {string} Snippet with ellipses where text was cut
+     */
+    static getSnippet(text, terms, length = 160) {
+        const source = (text || '').replace(/\s+/g, ' ').trim();
+        let start = 0;
+        
+        for (const match of source.matchAll(this.WORD_PATTERN)) {
+            if (terms.has(this.analyze(match[0]))) {
+                // Show some context before the match, starting at a word boundary
+                start = Math.max(0, match.index - Math.floor(length / 3));
+                if (start > 0) {
+                    const space = source.indexOf(' ', start);
+                    start = space >= 0 && space < match.index ? space + 1 : start;
+                }
+                break;
+            }
+        }
+        
+        const end = Math.min(source.length, start + length);
+        return `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+    }
+}
+
+// Export for use in other modules
+window.SearchIndex = SearchIndex;
@@ -0,0 +1,489 @@
+/**
+ * Search Query
+ * Parses queries like `tag:java -deprecated ("code review" OR model:"gpt-4") modified:>2025-01-01`
+ * into a filter tree and matches prompts against it. Custom metadata and the extra fields
+ * of prompt types are filtered as `meta.<field>:value`, e.g. `meta.rating:>=4`.
+ * Terms next to each other are ANDed; OR, NOT (or a leading `-`) and parentheses
+ * combine them. Parsing is lenient: a half-typed query never throws.
+ */
+
+class SearchQuery {
+    static NODE_TYPES = {
+        AND: 'and',
+        OR: 'or',
+        NOT: 'not',
+        TERM: 'term'
+    };
+    
+    // Fields usable as `field:value`, with the hint shown by autocomplete
+    static FIELDS = {
+        tag: 'Tag esatto',
+        type: 'Tipo di prompt',
+        model: 'Modello',
+        provider: 'Fornitore del modello',
+        author: 'Autore',
+        category: 'Categoria e sottocategorie',
+        title: 'Titolo',
+        text: 'Testo del prompt',
+        notes: 'Note',
+        version: 'Versione',
+        created: 'Data di creazione (es. >2025-01-01)',
+        modified: 'Data di modifica (es. >=2025-06)',
+        is: 'Stato (favorite, trashed)',
+        has: 'Campo presente (variables, tags, notes, negative, model, author)'
+    };
+    
+    static DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+    
+    static IS_VALUES = ['favorite', 'trashed'];
+    static HAS_VALUES = ['variables', 'tags', 'notes', 'negative', 'model', 'author'];
+    
+    /**
+     * @param {string} input - Query text
+     */
+    constructor(input = '') {
+        this.input = input;
+        this.root = SearchQuery.parse(input);
+    }
+    
+    /**
+     * Check if the query has no filters
+     * @returns {boolean} True if empty
+     */
+    isEmpty() {
+        return this.root === null;
+    }
+    
+    /**
+     * Check if a prompt matches the query
+     * @param {Prompt} prompt - Prompt instance
+     * @param {Object} context - Lookup data ({ favorites: Set, categories: Map, promptTypes: Map, trashed: Set }), e.g. the StorageManager;
+     *   an optional matchText(text, prompt) replaces substring matching for free-text words
+     * @returns {boolean} True if matches (an empty query matches everything)
+     */
+    matches(prompt, context = {}) {
+        return this.root === null || SearchQuery.evaluate(this.root, prompt, context);
+    }
+    
+    /**
+     * Get free-text values that must be present, for highlighting and ranking
+     * Terms under NOT are left out
+     * @returns {Array} Search terms
+     */
+    getTextTerms() {
+        const terms = [];
+        
+        const visit = (node) => {
+            if (!node || node.type === SearchQuery.NODE_TYPES.NOT) return;
+            
+            if (node.type === SearchQuery.NODE_TYPES.TERM) {
+                if (node.field === null || node.field === 'title') {
+                    terms.push(node.value);
+                }
+                return;
+            }
+            node.children.forEach(visit);
+        };
+        
+        visit(this.root);
+        return terms;
+    }
+    
+    /**
+     * Check if the query asks for prompts in the trash with is:trashed
+     * Terms under NOT are left out
+     * @returns {boolean} True if trashed prompts should be searched
+     */
+    includesTrash() {
+        const visit = (node) => {
+            if (!node || node.type === SearchQuery.NODE_TYPES.NOT) return false;
+            
+            if (node.type === SearchQuery.NODE_TYPES.TERM) {
+                return node.field === 'is' && node.value.toLowerCase() === 'trashed';
+            }
+            return node.children.some(visit);
+        };
+        
+        return visit(this.root);
+    }
+    
+    /**
+     * Split query text into tokens
+     * @param {string} input - Query text
+     * @returns {Array} Tokens ({ type: 'lparen'|'rparen'|'or'|'not'|'term', ... }), quoted terms flagged as phrases
+     */
+    static tokenize(input) {
+        const tokens = [];
+        const length = input.length;
+        let index = 0;
+        
+        while (index < length) {
+            const char = input[index];
+            
+            if (/\s/.test(char)) {
+                index++;
+                continue;
+            }
+            
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen' });
+                index++;
+                continue;
+            }
+            
+            // `-` right before a group negates the whole group
+            if (char === '-' && input[index + 1] === '(') {
+                tokens.push({ type: 'not' });
+                index++;
+                continue;
+            }
+            
+            let negated = false;
+            if (char === '-' && index + 1 < length && !/[\s()]/.test(input[index + 1])) {
+                negated = true;
+                index++;
+            }
+            
+            let field = null;
+            let operator = '';
+            const fieldMatch = input.slice(index).match(/^([A-Za-z]+(?:\.[A-Za-z_][\w-]*)?):(>=|<=|>|<|=)?/);
+            if (fieldMatch && this.isField(fieldMatch[1])) {
+                field = fieldMatch[1].toLowerCase();
+                operator = fieldMatch[2] || '';
+                index += fieldMatch[0].length;
+            }
+            
+            let value;
+            let quoted = false;
+            if (input[index] === '"') {
+                const end = input.indexOf('"', index + 1);
+                value = input.slice(index + 1, end < 0 ? length : end);
+                index = end < 0 ? length : end + 1;
+                quoted = true;
+            } else {
+                value = input.slice(index).match(/^[^\s()]*/)[0];
+                index += value.length;
+            }
+            
+            if (!quoted && !negated && field === null && (value === 'OR' || value === 'AND' || value === 'NOT')) {
+                if (value !== 'AND') {
+                    tokens.push({ type: value.toLowerCase() });
+                }
+                continue;
+            }
+            
+            // A field without a value, or a lone `-`, is still being typed
+            if (!value.trim() || (!quoted && field === null && value === '-')) continue;
+            
+            if (negated) {
+                tokens.push({ type: 'not' });
+            }
+            tokens.push({ type: 'term', field, operator, value: value.trim(), phrase: quoted });
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * Check if a name can be used as `field:value`
+     * @param {string} name - Field name as typed
+     * @returns {boolean} True for the fixed fields and `meta.<field>`
+     */
+    static isField(name) {
+        const field = name.toLowerCase();
+        return Object.prototype.hasOwnProperty.call(this.FIELDS, field) ||
+            (field.startsWith(StorageManager.METADATA_PREFIX) && field.length > StorageManager.METADATA_PREFIX.length);
+    }
+    
+    /**
+     * Get the fields usable in a query, with their hints
+     * @param {Object} storage - Storage manager, for the custom metadata fields
+     * @returns {Object} Hints keyed by field name
+     */
+    static getFields(storage) {
+        const fields = { ...this.FIELDS };
+        storage.metadataFields.forEach(field => {
+            fields[`${StorageManager.METADATA_PREFIX}${field.name.toLowerCase()}`] = `${field.label} (${PromptType.FIELD_TYPES[field.type]})`;
+        });
+        return fields;
+    }
+    
+    /**
+     * Parse query text into a filter tree
+     * Precedence from lowest: OR, AND (implicit), NOT
+     * @param {string} input - Query text
+     * @returns {Object|null} Root node, or null if the query has no filters
+     */
+    static parse(input) {
+        const tokens = this.tokenize(input || '');
+        const { AND, OR, NOT, TERM } = this.NODE_TYPES;
+        let position = 0;
+        
+        const peek = () => tokens[position];
+        const combine = (type, children) => {
+            const nodes = children.filter(Boolean);
+            if (nodes.length === 0) return null;
+            return nodes.length === 1 ? nodes[0] : { type, children: nodes };
+        };
+        
+        const parseUnary = () => {
+            const token = tokens[position++];
+            
+            if (token.type === 'not') {
+                if (!peek() || peek().type === 'rparen' || peek().type === 'or') return null;
+                const child = parseUnary();
+                return child ? { type: NOT, child } : null;
+            }
+            if (token.type === 'lparen') {
+                const node = parseOr();
+                if (peek() && peek().type === 'rparen') position++;
+                return node;
+            }
+            
+            const { field, operator, value, phrase } = token;
+            return { type: TERM, field, operator, value, phrase };
+        };
+        
+        const parseAnd = () => {
+            const children = [];
+            while (peek() && peek().type !== 'rparen' && peek().type !== 'or') {
+                children.push(parseUnary());
+            }
+            return combine(AND, children);
+        };
+        
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (peek() && peek().type === 'or') {
+                position++;
+                children.push(parseAnd());
+            }
+            return combine(OR, children);
+        };
+        
+        // Stray closing parentheses are skipped
+        const parts = [];
+        while (position < tokens.length) {
+            parts.push(parseOr());
+            if (peek() && peek().type === 'rparen') position++;
+        }
+        
+        return combine(AND, parts);
+    }
+    
+    /**
+     * Evaluate a filter node against a prompt
+     * @param {Object} node - Filter node
+     * @param {Prompt} prompt - Prompt instance
+     * @param {Object} context - Lookup data ({ favorites, categories })
+     * @returns {boolean} True if matches
+     */
+    static evaluate(node, prompt, context) {
+        switch (node.type) {
+            case this.NODE_TYPES.AND:
+                return node.children.every(child => this.evaluate(child, prompt, context));
+            case this.NODE_TYPES.OR:
+                return node.children.some(child => this.evaluate(child, prompt, context));
+            case this.NODE_TYPES.NOT:
+                return !this.evaluate(node.child, prompt, context);
+            default:
+                return this.matchTerm(node, prompt, context);
+        }
+    }
+    
+    /**
+     * Match a single term
+     * @param {Object} term - Term node ({ field, operator, value, phrase })
+     * @param {Prompt} prompt - Prompt instance
+     * @param {Object} context - Lookup data ({ favorites, categories, promptTypes })
+     * @returns {boolean} True if matches
+     */
+    static matchTerm(term, prompt, context) {
+        const value = term.value.toLowerCase();
+        const contains = (text) => (text || '').toLowerCase().includes(value);
+        const typeName = prompt.getTypeDisplayName(context.promptTypes);
+        
+        if (term.field && term.field.startsWith(StorageManager.METADATA_PREFIX)) {
+            const name = term.field.slice(StorageManager.METADATA_PREFIX.length);
+            return this.compareCustomValue(this.getCustomValue(prompt, name), term.operator, value);
+        }
+        
+        switch (term.field) {
+            case null:
+                if (!term.phrase && context.matchText) {
+                    return context.matchText(term.value, prompt);
+                }
+                return contains(prompt.title) || contains(prompt.prompt) || contains(prompt.notes) ||
+                    contains(prompt.author) || contains(prompt.getModelString()) || contains(prompt.getTagsString()) ||
+                    contains(typeName) || [...Object.values(prompt.fields), ...Object.values(prompt.metadata)]
+                    .some(field => contains(String(field)));
+            case 'tag':
+                return prompt.tags.some(tag => tag.toLowerCase() === value);
+            case 'type':
+                return [prompt.type, typeName].some(name => name.toLowerCase().startsWith(value));
+            case 'category': {
+                const path = prompt.category.toLowerCase();
+                const category = context.categories && context.categories.get(prompt.category);
+                return path === value || path.startsWith(`${value}/`) ||
+                    Boolean(category && category.name.toLowerCase() === value);
+            }
+            case 'text':
+                return contains(prompt.prompt) || contains(prompt.negative_prompt);
+            case 'model':
+                return prompt.model.some(entry => contains(entry.name));
+            case 'provider':
+                return prompt.model.some(entry => contains(entry.provider));
+            case 'title':
+            case 'author':
+            case 'notes':
+                return contains(prompt[term.field]);
+            case 'version':
+                return prompt.version === value;
+            case 'created':
+            case 'modified':
+                return this.compareDate(prompt[term.field], term.operator, value);
+            case 'is':
+                if (value === 'trashed') {
+                    return Boolean(context.trashed && context.trashed.has(prompt.id));
+                }
+                return value === 'favorite' &&
+                    (prompt.isFavorite || Boolean(context.favorites && context.favorites.has(prompt.id)));
+            case 'has':
+                return this.hasField(prompt, value);
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Compare a date with a possibly partial date (YYYY, YYYY-MM or YYYY-MM-DD)
+     * @param {string} date - Prompt date (YYYY-MM-DD)
+     * @param {string} operator - Comparison operator ('' means equal)
+     * @param {string} value - Date to compare with
+     * @returns {boolean} True if the comparison holds
+     */
+    static compareDate(date, operator, value) {
+        if (!date || !this.DATE_PATTERN.test(value)) return false;
+        
+        // Compare at the precision of the value, so >2025 means after 2025
+        const current = date.slice(0, value.length);
+        switch (operator) {
+            case '>': return current > value;
+            case '>=': return current >= value;
+            case '<': return current < value;
+            case '<=': return current <= value;
+            default: return current === value;
+        }
+    }
+    
+    /**
+     * Get the value of a custom metadata field or of an extra field of the type
+     * Metadata comes first; names are matched ignoring case
+     * @param {Prompt} prompt - Prompt instance
+     * @param {string} name - Field name, lowercase
+     * @returns {*} Value, or undefined if the prompt has none
+     */
+    static getCustomValue(prompt, name) {
+        const values = { ...prompt.fields, ...prompt.metadata };
+        const key = Object.keys(values).find(fieldName => fieldName.toLowerCase() === name);
+        return key === undefined ? undefined : values[key];
+    }
+    
+    /**
+     * Compare a custom field value with a filter value
+     * Numbers and dates compare by size with operators, booleans match yes/no words,
+     * text matches if it contains the value (or equals it with `=`)
+     * @param {*} fieldValue - Value on the prompt
+     * @param {string} operator - Comparison operator
+     * @param {string} value - Filter value, lowercase
+     * @returns {boolean} True if the comparison holds
+     */
+    static compareCustomValue(fieldValue, operator, value) {
+        if (fieldValue === undefined) return false;
+        
+        if (typeof fieldValue === 'boolean') {
+            return fieldValue === ['true', 'yes', 'si', 'sì', '1'].includes(value);
+        }
+        
+        if (typeof fieldValue === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) {
+            const number = Number(value);
+            switch (operator) {
+                case '>': return fieldValue > number;
+                case '>=': return fieldValue >= number;
+                case '<': return fieldValue < number;
+                case '<=': return fieldValue <= number;
+                default: return fieldValue === number;
+            }
+        }
+        
+        const text = String(fieldValue).toLowerCase();
+        if (operator && operator !== '=' && this.DATE_PATTERN.test(value)) {
+            return this.compareDate(text, operator, value);
+        }
+        return operator === '=' ? text === value : text.includes(value);
+    }
+    
+    /**
+     * Check if a prompt has a field filled in
+     * @param {Prompt} prompt - Prompt instance
+     * @param {string} name - Name used after `has:`
+     * @returns {boolean} True if present
+     */
+    static hasField(prompt, name) {
+        switch (name) {
+            case 'variables': return prompt.hasVariables();
+            case 'tags': return prompt.tags.length > 0;
+            case 'negative': return Boolean(prompt.negative_prompt.trim());
+            case 'model': return prompt.model.length > 0;
+            case 'notes':
+            case 'author':
+                return Boolean(prompt[name].trim());
+            default: return this.getCustomValue(prompt, name) !== undefined;
+        }
+    }
+    
+    /**
+     * Get values known for a field, for autocomplete
+     * @param {string} field - Field name
+     * @param {Object} storage - Storage manager
+     * @returns {Array} Values sorted alphabetically
+     */
+    static getFieldValues(field, storage) {
+        const prompts = Array.from(storage.prompts.values());
+        const collect = (getValues) => Array.from(new Set(prompts.flatMap(getValues).filter(Boolean)))
+            .sort((a, b) => a.localeCompare(b));
+        
+        switch (field) {
+            case 'tag': return collect(prompt => prompt.tags);
+            case 'type': return Array.from(storage.promptTypes.keys());
+            case 'model': return collect(prompt => prompt.getModelNames());
+            case 'provider': return collect(prompt => prompt.model.map(entry => entry.provider));
+            case 'author': return collect(prompt => [prompt.author]);
+            case 'category': return Array.from(storage.categories.keys()).sort((a, b) => a.localeCompare(b));
+            case 'version': return collect(prompt => [prompt.version]);
+            case 'is': return this.IS_VALUES;
+            case 'has': return [...this.HAS_VALUES, ...storage.metadataFields.map(definition => definition.name.toLowerCase())];
+            default:
+                if (field.startsWith(StorageManager.METADATA_PREFIX)) {
+                    const name = field.slice(StorageManager.METADATA_PREFIX.length);
+                    return collect(prompt => {
+                        const value = this.getCustomValue(prompt, name);
+                        return value === undefined ? [] : [String(value)];
+                    });
+                }
+                return [];
+        }
+    }
+    
+    /**
+     * Quote a value if it can't be written bare
+     * @param {string} value - Value
+     * @returns {string} Value ready to be inserted in a query
+     */
+    static formatValue(value) {
+        return /[\s()"]/.test(value) || value === '' ? `"${value.replace(/"/g, '')}"` : value;
+    }
+}
+
+// Export for use in other modules
+window.SearchQuery = SearchQuery;
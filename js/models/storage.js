@@ -1,6 +1,8 @@
 /**
  * Storage Manager
- * Handles data persistence using localStorage with backup and recovery
+ * Handles data persistence through a pluggable storage adapter (IndexedDB by default,
+ * localStorage, memory or a local directory) with backup and recovery. Collections are
+ * kept in memory and only changed records are written back.
  */
 
 class StorageManager {
@@ -9,51 +11,362 @@ class StorageManager {
         CATEGORIES: 'prompt-manager-categories',
         FAVORITES: 'prompt-manager-favorites',
         SETTINGS: 'prompt-manager-settings',
-        BACKUP: 'prompt-manager-backup'
+        BACKUP: 'prompt-manager-backup',
+        HISTORY: 'prompt-manager-history',
+        SMART_FOLDERS: 'prompt-manager-smart-folders',
+        TRASH: 'prompt-manager-trash',
+        PROMPT_TYPES: 'prompt-manager-prompt-types',
+        METADATA_FIELDS: 'prompt-manager-metadata-fields'
     };
     
-    static BACKUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
-    static MAX_BACKUPS = 5;
+    // Search filters and sort fields on custom metadata are written `meta.<field name>`
+    static METADATA_PREFIX = 'meta.';
+    
+    static MAX_REVISIONS = 100;
+    static MINUTE = 60 * 1000;
+    static DAY = 24 * 60 * 60 * 1000;
+    
+    // Ways to sort the tree; 'manual' is the order set by dragging
+    static SORT_FIELDS = ['manual', 'title', 'created', 'modified', 'type', 'usage'];
+    static MANUAL_SORT = { by: 'manual', order: 'asc' };
+    
+    // Whole number settings and the values the settings form accepts
+    static SETTING_LIMITS = {
+        searchDebounce: { min: 0, max: 2000 },
+        itemsPerPage: { min: 1, max: 1000 },
+        trashRetentionDays: { min: 0, max: Infinity },
+        backupInterval: { min: 1, max: 1440 },
+        backupRetention: { min: 1, max: 50 }
+    };
+    
+    // Prompt comparisons for each sort field but 'manual', in ascending order
+    static PROMPT_COMPARATORS = {
+        title: (a, b) => a.title.localeCompare(b.title),
+        created: (a, b) => a.created.localeCompare(b.created),
+        modified: (a, b) => a.modified.localeCompare(b.modified),
+        type: (a, b) => a.type.localeCompare(b.type),
+        usage: (a, b) => a.usageCount - b.usageCount
+    };
+    
+    // Kinds of model, which decide the generation parameters offered for them
+    static MODEL_KINDS = {
+        text: 'Testo',
+        image: 'Immagini'
+    };
+    
+    // Models registered until the user changes the list
+    static DEFAULT_MODELS = [
+        { provider: 'Anthropic', name: 'Claude Sonnet 3.7', kind: 'text' },
+        { provider: 'OpenAI', name: 'GPT-4', kind: 'text' },
+        { provider: 'OpenAI', name: 'GPT-4o', kind: 'text' },
+        { provider: 'Google', name: 'Gemini 1.5 Pro', kind: 'text' },
+        { provider: 'Stability AI', name: 'Stable Diffusion', kind: 'image' },
+        { provider: 'OpenAI', name: 'DALL-E 3', kind: 'image' }
+    ];
+    
+    static IMPORT_STATUS = {
+        NEW: 'new',
+        IDENTICAL: 'identical',
+        CONFLICT: 'conflict'
+    };
+    
+    static IMPORT_RESOLUTIONS = {
+        MINE: 'mine',
+        THEIRS: 'theirs',
+        BOTH: 'both'
+    };
+    
+    // Selected adapter is kept apart from the collection, which depends on it
+    static ADAPTER_KEY = 'prompt-manager-adapter';
+    static DEFAULT_ADAPTERS = ['indexeddb', 'localstorage'];
     
     constructor() {
         this.prompts = new Map();
         this.categories = new Map();
         this.favorites = new Set();
+        this.smartFolders = new Map();
+        this.promptTypes = new Map();
+        this.metadataFields = [];
+        this.trash = new Map();
         this.settings = {};
+        this.history = new Map();
+        this.backups = [];
+        this.searchIndex = new SearchIndex();
+        this.undoManager = new UndoManager();
+        this.undoJournal = null;
         this.backupTimer = null;
+        this.adapter = null;
+        this.unsubscribeAdapter = null;
+        
+        // Serialized records as last written, used to write only what changed
+        this.persisted = {
+            prompts: new Map(),
+            categories: new Map(),
+            history: new Map(),
+            meta: new Map()
+        };
+        this.pendingWrite = Promise.resolve();
         
-        this.init();
+        // Resolves once data has been loaded
+        this.ready = this.init();
     }
     
     /**
      * Initialize storage manager
+     * @returns {Promise<void>}
      */
-    init() {
-        this.loadData();
+    async init() {
+        this.adapter = await this.openAdapter();
+        this.subscribeToAdapter();
+        await this.loadData();
+        this.purgeExpiredTrash();
         this.startAutoBackup();
         
-        // Listen for storage events from other tabs
-        window.addEventListener('storage', (e) => {
-            if (Object.values(StorageManager.STORAGE_KEYS).includes(e.key)) {
-                this.handleStorageChange(e);
-            }
-        });
-        
         // Backup before page unload
         window.addEventListener('beforeunload', () => {
             this.createBackup();
         });
     }
     
+    /**
+     * Open the configured adapter, falling back to the default ones
+     * Tests can inject an adapter ID or instance through window.PROMPT_MANAGER_STORAGE_ADAPTER
+     * @returns {Promise<StorageAdapter>} Storage adapter
+     */
+    async openAdapter() {
+        const injected = window.PROMPT_MANAGER_STORAGE_ADAPTER;
+        if (injected && typeof injected === 'object') {
+            await injected.open();
+            return injected;
+        }
+        
+        const preferred = injected || this.getPreferredAdapter();
+        const candidates = [...new Set([preferred, ...StorageManager.DEFAULT_ADAPTERS])];
+        
+        for (const id of candidates) {
+            try {
+                return await this.createAdapter(id);
+            } catch (error) {
+                console.warn(`Storage adapter "${id}" unavailable:`, error);
+                
+                if (id === preferred && error.code === FileSystemAdapter.PERMISSION_NEEDED && window.DOMUtils) {
+                    const adapter = await this.askToReconnectFolder(error.directoryName);
+                    if (adapter) {
+                        return adapter;
+                    }
+                } else if (id === preferred && window.DOMUtils) {
+                    DOMUtils.showToast(
+                        'Impossibile aprire l\'archivio selezionato. Verrà usato quello predefinito.',
+                        'warning',
+                        5000
+                    );
+                }
+            }
+        }
+        
+        throw new Error('No storage adapter available');
+    }
+    
+    /**
+     * Ask the user to reconnect the folder of the file-system adapter
+     * Browsers only grant the permission again from a click, so the choice is
+     * left to the user instead of switching to another store without notice
+     * @param {string} directoryName - Name of the remembered folder
+     * @returns {Promise<StorageAdapter|null>} Opened adapter, or null to use the browser store for this session
+     */
+    async askToReconnectFolder(directoryName) {
+        const adapter = StorageAdapter.create(FileSystemAdapter.ID, {
+            directoryHandle: await FileSystemAdapter.loadHandle()
+        });
+        
+        return new Promise(resolve => {
+            let reconnected = false;
+            
+            DOMUtils.showModal({
+                title: 'Ricollega la cartella',
+                body: [
+                    DOMUtils.createElement('p', {},
+                        `La collezione è salvata nella cartella "${directoryName}". ` +
+                        'Il browser chiede di nuovo il permesso di accedervi.'),
+                    DOMUtils.createElement('p', {},
+                        'Se non la ricolleghi, in questa sessione le modifiche verranno salvate nel browser e non nella cartella.')
+                ],
+                actions: [
+                    {
+                        label: 'Usa il browser per questa sessione',
+                        action: (close) => close()
+                    },
+                    {
+                        label: 'Ricollega cartella',
+                        className: 'btn--primary',
+                        action: async (close) => {
+                            // Must be the first await, while the click still counts as a user gesture
+                            if (!await adapter.requestPermission()) {
+                                DOMUtils.showToast('Permesso negato per la cartella', 'error');
+                                return;
+                            }
+                            
+                            try {
+                                await adapter.open();
+                            } catch (error) {
+                                console.error('Failed to reconnect folder:', error);
+                                DOMUtils.showToast('Impossibile aprire la cartella', 'error');
+                                return;
+                            }
+                            
+                            reconnected = true;
+                            close();
+                            resolve(adapter);
+                        }
+                    }
+                ],
+                onClose: () => {
+                    if (reconnected) return;
+                    
+                    DOMUtils.showToast(
+                        'Cartella non collegata: in questa sessione le modifiche vengono salvate nel browser.',
+                        'warning',
+                        8000
+                    );
+                    resolve(null);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Create and open adapter
+     * @param {string} id - Adapter ID
+     * @param {Object} options - Adapter options
+     * @returns {Promise<StorageAdapter>} Opened adapter
+     */
+    async createAdapter(id, options = {}) {
+        const adapter = StorageAdapter.create(id, options);
+        await adapter.open();
+        
+        if (adapter instanceof IndexedDBAdapter) {
+            await this.migrateFromLocalStorage(adapter);
+        }
+        
+        return adapter;
+    }
+    
+    /**
+     * Get the adapter chosen in settings
+     * @returns {string} Adapter ID
+     */
+    getPreferredAdapter() {
+        try {
+            return localStorage.getItem(StorageManager.ADAPTER_KEY) || StorageManager.DEFAULT_ADAPTERS[0];
+        } catch {
+            return StorageManager.DEFAULT_ADAPTERS[0];
+        }
+    }
+    
+    /**
+     * Listen for changes made through the current adapter elsewhere
+     */
+    subscribeToAdapter() {
+        if (this.unsubscribeAdapter) {
+            this.unsubscribeAdapter();
+        }
+        
+        this.unsubscribeAdapter = this.adapter.subscribe((detail) => {
+            this.handleStorageChange(detail);
+        });
+    }
+    
+    /**
+     * Switch to another adapter
+     * When the target is empty the current collection is copied into it,
+     * otherwise the collection stored there is loaded
+     * @param {string} id - Adapter ID
+     * @param {Object} options - Adapter options
+     * @returns {Promise<boolean>} True if an existing collection was loaded
+     */
+    async useAdapter(id, options = {}) {
+        const adapter = await this.createAdapter(id, options);
+        const data = await adapter.readAll();
+        const hasData = Object.keys(data.prompts).length > 0;
+        
+        await this.pendingWrite;
+        this.adapter.close();
+        this.adapter = adapter;
+        this.subscribeToAdapter();
+        
+        if (hasData) {
+            await this.loadData();
+        } else {
+            this.resetPersistedState();
+            await this.saveAll();
+        }
+        
+        try {
+            localStorage.setItem(StorageManager.ADAPTER_KEY, id);
+        } catch (error) {
+            console.warn('Failed to remember storage adapter:', error);
+        }
+        
+        window.dispatchEvent(new CustomEvent('storagechange', {
+            detail: { adapter: id }
+        }));
+        
+        return hasData;
+    }
+    
+    /**
+     * Move data saved by earlier versions from localStorage into the adapter (one time)
+     * Only an empty database receives the data; otherwise it belongs to the localStorage adapter
+     * @param {StorageAdapter} adapter - Target storage adapter
+     * @returns {Promise<void>}
+     */
+    async migrateFromLocalStorage(adapter) {
+        const { prompts, meta } = await adapter.readAll();
+        if (meta.migratedAt) return;
+        
+        const legacy = new LocalStorageAdapter();
+        const changes = { meta: { put: { migratedAt: new Date().toISOString() } } };
+        const isEmpty = Object.keys(prompts).length === 0;
+        
+        if (isEmpty && legacy.hasData()) {
+            const data = await legacy.readAll();
+            
+            ['prompts', 'categories', 'history'].forEach(storeName => {
+                changes[storeName] = { put: data[storeName] };
+            });
+            Object.assign(changes.meta.put, data.meta);
+        }
+        
+        await adapter.commit(changes);
+        
+        // Free the localStorage quota only once the data is safely committed
+        if (isEmpty && legacy.hasData()) {
+            await legacy.clear();
+            console.log('Migrated data from localStorage to IndexedDB');
+        }
+    }
+    
     /**
      * Load all data from storage
+     * @returns {Promise<void>}
      */
-    loadData() {
+    async loadData() {
         try {
-            this.loadPrompts();
-            this.loadCategories();
-            this.loadFavorites();
-            this.loadSettings();
+            const data = await this.adapter.readAll();
+            const meta = data.meta || {};
+            this.resetPersistedState(data);
+            
+            // Settings first: loading prompts looks up the model registry
+            this.loadSettings(meta.settings);
+            this.loadPrompts(data.prompts);
+            this.loadCategories(data.categories);
+            this.loadFavorites(meta.favorites);
+            this.loadSmartFolders(meta.smartFolders);
+            this.loadPromptTypes(meta.promptTypes);
+            this.loadMetadataFields(meta.metadataFields);
+            this.loadTrash(meta.trash);
+            this.loadHistory(data.history);
+            this.backups = Array.isArray(meta.backups) ? meta.backups : [];
         } catch (error) {
             console.error('Failed to load data from storage:', error);
             this.attemptRecovery();
@@ -61,29 +374,47 @@ class StorageManager {
     }
     
     /**
-     * Load prompts from storage
+     * Remember loaded records as persisted
+     * @param {Object} data - Records keyed by store name
      */
-    loadPrompts() {
-        const data = this.getFromStorage(StorageManager.STORAGE_KEYS.PROMPTS);
-        if (data && Array.isArray(data)) {
-            this.prompts.clear();
-            data.forEach(promptData => {
+    resetPersistedState(data = {}) {
+        Object.entries(this.persisted).forEach(([storeName, cache]) => {
+            cache.clear();
+            Object.entries(data[storeName] || {}).forEach(([key, value]) => {
+                cache.set(key, JSON.stringify(value));
+            });
+        });
+    }
+    
+    /**
+     * Load prompts
+     * @param {Object} data - Prompt records keyed by ID
+     */
+    loadPrompts(data) {
+        this.prompts.clear();
+        if (data && typeof data === 'object') {
+            Object.values(data).forEach(promptData => {
                 try {
                     const prompt = new Prompt(promptData);
+                    
+                    // Models saved as plain names get the provider and spelling of the registry
+                    prompt.model = this.resolveModels(prompt.model);
                     this.prompts.set(prompt.id, prompt);
                 } catch (error) {
                     console.warn('Failed to load prompt:', error);
                 }
             });
         }
+        
+        this.searchIndex.build(this.prompts.values());
     }
     
     /**
-     * Load categories from storage
+     * Load categories
+     * @param {Object} data - Category records keyed by path
      */
-    loadCategories() {
-        const data = this.getFromStorage(StorageManager.STORAGE_KEYS.CATEGORIES);
-        if (data && typeof data === 'object') {
+    loadCategories(data) {
+        if (data && typeof data === 'object' && Object.keys(data).length > 0) {
             this.categories = new Map(Object.entries(data));
         } else {
             // Initialize with default categories
@@ -92,27 +423,122 @@ class StorageManager {
     }
     
     /**
-     * Load favorites from storage
+     * Load favorites
+     * @param {Array} data - Favorite prompt IDs
      */
-    loadFavorites() {
-        const data = this.getFromStorage(StorageManager.STORAGE_KEYS.FAVORITES);
-        if (data && Array.isArray(data)) {
-            this.favorites = new Set(data);
-        }
+    loadFavorites(data) {
+        this.favorites = new Set(Array.isArray(data) ? data : []);
+    }
+    
+    /**
+     * Load smart folders
+     * @param {Array} data - Smart folder records
+     */
+    loadSmartFolders(data) {
+        this.smartFolders.clear();
+        (Array.isArray(data) ? data : []).forEach(folder => {
+            if (StorageManager.isSmartFolder(folder)) {
+                this.smartFolders.set(folder.id, folder);
+            }
+        });
+    }
+    
+    /**
+     * Check if data is a valid smart folder record
+     * @param {Object} folder - Smart folder data
+     * @returns {boolean} True if it has an ID, a name and a query
+     */
+    static isSmartFolder(folder) {
+        return Boolean(folder) && typeof folder.id === 'string' &&
+            typeof folder.name === 'string' && typeof folder.query === 'string';
+    }
+    
+    /**
+     * Load prompt types
+     * Built-in types are always there, changed as the collection saved them
+     * @param {Array} data - Type schemas
+     */
+    loadPromptTypes(data) {
+        this.promptTypes.clear();
+        const builtinIds = new Set(PromptType.BUILTIN.map(type => type.id));
+        const saved = (Array.isArray(data) ? data : [])
+            .map(type => PromptType.normalize(type && { ...type, builtin: builtinIds.has(type.id) }))
+            .filter(Boolean);
+        
+        PromptType.getBuiltinTypes()
+            .filter(type => !saved.some(savedType => savedType.id === type.id))
+            .concat(saved)
+            .forEach(type => this.promptTypes.set(type.id, type));
+    }
+    
+    /**
+     * Load custom metadata fields
+     * @param {Array} data - Field definitions
+     */
+    loadMetadataFields(data) {
+        this.metadataFields = PromptType.normalizeFields(data);
+    }
+    
+    /**
+     * Load trash
+     * @param {Array} data - Trash entries
+     */
+    loadTrash(data) {
+        this.trash.clear();
+        (Array.isArray(data) ? data : []).forEach(entry => {
+            if (StorageManager.isTrashEntry(entry)) {
+                this.trash.set(entry.id, entry);
+            }
+        });
+    }
+    
+    /**
+     * Check if data is a valid trash entry
+     * @param {Object} entry - Trash entry data
+     * @returns {boolean} True if it has an ID, a deletion date and the deleted records
+     */
+    static isTrashEntry(entry) {
+        return Boolean(entry) && typeof entry.id === 'string' && typeof entry.deletedAt === 'string' &&
+            typeof entry.path === 'string' && Array.isArray(entry.prompts) &&
+            Boolean(entry.categories) && typeof entry.categories === 'object';
     }
     
     /**
-     * Load settings from storage
+     * Load settings
+     * @param {Object} data - Saved settings
      */
-    loadSettings() {
-        const data = this.getFromStorage(StorageManager.STORAGE_KEYS.SETTINGS);
+    loadSettings(data) {
         if (data && typeof data === 'object') {
             this.settings = { ...this.getDefaultSettings(), ...data };
+            
+            // Settings saved before the tree could be sorted hold a sort nobody chose
+            if (!('foldersFirst' in data)) {
+                this.settings.sortBy = 'manual';
+                this.settings.sortOrder = 'asc';
+            }
         } else {
             this.settings = this.getDefaultSettings();
         }
     }
     
+    /**
+     * Load version history
+     * Revisions of prompts that no longer exist, not even in the trash, are dropped
+     * @param {Object} data - Revisions keyed by prompt ID
+     */
+    loadHistory(data) {
+        this.history.clear();
+        
+        if (data && typeof data === 'object') {
+            const trashedIds = this.getTrashedPromptIds();
+            Object.entries(data).forEach(([promptId, revisions]) => {
+                if ((this.prompts.has(promptId) || trashedIds.has(promptId)) && Array.isArray(revisions)) {
+                    this.history.set(promptId, revisions.map(revision => Object.freeze(revision)));
+                }
+            });
+        }
+    }
+    
     /**
      * Get default settings
      * @returns {Object} Default settings
@@ -125,11 +551,245 @@ class StorageManager {
             searchDebounce: 300,
             itemsPerPage: 50,
             defaultCategory: 'general',
-            sortBy: 'modified',
-            sortOrder: 'desc'
+            sortBy: 'manual',
+            sortOrder: 'asc',
+            foldersFirst: true,
+            trashRetentionDays: 30,
+            backupInterval: 5,
+            backupRetention: 5,
+            models: StorageManager.DEFAULT_MODELS.map(model => ({ ...model }))
         };
     }
     
+    /**
+     * Get the models offered when choosing the models of a prompt
+     * @returns {Array} Registered models ({ provider, name, kind })
+     */
+    getModelRegistry() {
+        return StorageManager.normalizeModelRegistry(this.settings.models);
+    }
+    
+    /**
+     * Replace the registered models
+     * @param {Array} models - Models ({ provider, name, kind })
+     * @returns {Promise<void>} Resolves when written
+     */
+    setModelRegistry(models) {
+        return this.updateSettings({ models: StorageManager.normalizeModelRegistry(models) });
+    }
+    
+    /**
+     * Clean up a list of registered models
+     * Models without a name are dropped, and so are names already in the list
+     * @param {Array} models - Raw models
+     * @returns {Array} Models ({ provider, name, kind })
+     */
+    static normalizeModelRegistry(models) {
+        if (!Array.isArray(models)) return [];
+        
+        const seen = new Set();
+        return models
+            .filter(model => model && typeof model === 'object')
+            .map(model => ({
+                provider: model.provider != null ? String(model.provider).trim() : '',
+                name: model.name != null ? String(model.name).trim() : '',
+                kind: StorageManager.MODEL_KINDS[model.kind] ? model.kind : 'text'
+            }))
+            .filter(model => {
+                const key = model.name.toLowerCase();
+                if (!model.name || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+    
+    /**
+     * Find a registered model by name, ignoring case
+     * @param {string} name - Model name
+     * @returns {Object|null} Registered model, or null
+     */
+    findRegisteredModel(name) {
+        const key = (name || '').trim().toLowerCase();
+        return this.getModelRegistry().find(model => model.name.toLowerCase() === key) || null;
+    }
+    
+    /**
+     * Give model entries the provider and spelling of the registered models they name
+     * Entries naming a model that isn't registered, or from another provider, are left alone
+     * @param {Array} entries - Model entries ({ provider, name, parameters })
+     * @returns {Array} Resolved entries, without duplicates
+     */
+    resolveModels(entries) {
+        return Prompt.normalizeModels(entries.map(entry => {
+            const registered = this.findRegisteredModel(entry.name);
+            const sameProvider = registered && (!entry.provider || entry.provider.toLowerCase() === registered.provider.toLowerCase());
+            
+            return sameProvider ? { ...entry, provider: registered.provider, name: registered.name } : entry;
+        }));
+    }
+    
+    /**
+     * Get the kind of a model entry, which decides its generation parameters
+     * Models that aren't registered follow the type of the prompt
+     * @param {Object} entry - Model entry
+     * @param {string} promptType - Prompt type
+     * @returns {string} Model kind ('text' or 'image')
+     */
+    getModelKind(entry, promptType) {
+        const registered = this.findRegisteredModel(entry.name);
+        if (registered) return registered.kind;
+        
+        return this.getPromptType(promptType).modelKind;
+    }
+    
+    /**
+     * Get models used by prompts but missing from the registry
+     * @returns {Array} Models ({ provider, name, kind }) ready to be registered
+     */
+    getUnregisteredModels() {
+        const models = [];
+        
+        this.prompts.forEach(prompt => {
+            prompt.model.forEach(entry => {
+                if (!this.findRegisteredModel(entry.name)) {
+                    models.push({ provider: entry.provider, name: entry.name, kind: this.getModelKind(entry, prompt.type) });
+                }
+            });
+        });
+        
+        return StorageManager.normalizeModelRegistry(models);
+    }
+    
+    /**
+     * Change settings, save them and apply them right away
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<void>} Resolves when written
+     */
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        const saved = this.saveSettings();
+        this.applySettings();
+        return saved;
+    }
+    
+    /**
+     * Put every preference back to its default
+     * UI state kept in the settings, like expanded folders, is left alone
+     * @returns {Promise<void>} Resolves when written
+     */
+    resetSettings() {
+        return this.updateSettings(this.getDefaultSettings());
+    }
+    
+    /**
+     * Apply settings that need more than being read when used
+     * Restarts automatic backups, drops backups beyond the retention and tells the
+     * interface through a `settingschange` event
+     */
+    applySettings() {
+        this.startAutoBackup();
+        
+        if (this.backups.length > this.getBackupLimit()) {
+            this.backups = this.backups.slice(0, this.getBackupLimit());
+            this.saveBackups();
+        }
+        
+        window.dispatchEvent(new CustomEvent('settingschange', {
+            detail: { settings: this.settings }
+        }));
+    }
+    
+    /**
+     * Export preferences as a settings file
+     * @returns {string} JSON settings file
+     */
+    exportSettings() {
+        const settings = {};
+        Object.keys(this.getDefaultSettings()).forEach(key => {
+            settings[key] = this.settings[key];
+        });
+        
+        return JSON.stringify({
+            version: '1.0',
+            exportDate: new Date().toISOString(),
+            settings
+        }, null, 2);
+    }
+    
+    /**
+     * Import preferences from a settings file
+     * Unknown keys and values the settings form wouldn't accept are ignored
+     * @param {string} content - JSON settings file
+     * @returns {number} Number of settings imported
+     */
+    importSettings(content) {
+        const data = JSON.parse(content);
+        const changes = this.getValidSettings(data && typeof data.settings === 'object' ? data.settings : data);
+        
+        const count = Object.keys(changes).length;
+        if (count === 0) {
+            throw new Error('No settings found');
+        }
+        
+        this.updateSettings(changes);
+        return count;
+    }
+    
+    /**
+     * Keep the settings from a file that the settings form would accept
+     * @param {Object} incoming - Settings read from a file
+     * @param {Iterable} categoryPaths - Categories a default category can point to
+     * @returns {Object} Valid settings, keyed by name
+     */
+    getValidSettings(incoming, categoryPaths = this.categories.keys()) {
+        const paths = new Set(categoryPaths);
+        const settings = {};
+        
+        if (incoming && typeof incoming === 'object') {
+            Object.keys(this.getDefaultSettings()).forEach(key => {
+                if (key in incoming && this.isValidSetting(key, incoming[key], paths)) {
+                    settings[key] = key === 'models'
+                        ? StorageManager.normalizeModelRegistry(incoming[key])
+                        : incoming[key];
+                }
+            });
+        }
+        
+        return settings;
+    }
+    
+    /**
+     * Check a setting value against what the settings form accepts
+     * @param {string} key - Setting name
+     * @param {*} value - Value to check
+     * @param {Set} categoryPaths - Categories a default category can point to, the collection's if omitted
+     * @returns {boolean} True if the value can be used
+     */
+    isValidSetting(key, value, categoryPaths = null) {
+        const defaultValue = this.getDefaultSettings()[key];
+        if (typeof value !== typeof defaultValue || Array.isArray(value) !== Array.isArray(defaultValue)) {
+            return false;
+        }
+        
+        const limits = StorageManager.SETTING_LIMITS[key];
+        if (limits) {
+            return Number.isInteger(value) && value >= limits.min && value <= limits.max;
+        }
+        
+        switch (key) {
+            case 'theme':
+                return Object.values(ThemeUtils.THEMES).includes(value);
+            case 'sortBy':
+                return this.isSortField(value);
+            case 'sortOrder':
+                return value === 'asc' || value === 'desc';
+            case 'defaultCategory':
+                return value === '' || (value !== 'favorites' && (categoryPaths || this.categories).has(value));
+            default:
+                return true;
+        }
+    }
+    
     /**
      * Initialize default categories
      */
@@ -150,67 +810,1518 @@ class StorageManager {
     
     /**
      * Save prompts to storage
+     * @returns {Promise<void>} Resolves when written
      */
     savePrompts() {
-        const data = Array.from(this.prompts.values()).map(prompt => prompt.toObject());
-        this.saveToStorage(StorageManager.STORAGE_KEYS.PROMPTS, data);
+        return this.persist({ prompts: this.collectPromptChanges() });
     }
     
     /**
      * Save categories to storage
+     * @returns {Promise<void>} Resolves when written
      */
     saveCategories() {
-        const data = Object.fromEntries(this.categories);
-        this.saveToStorage(StorageManager.STORAGE_KEYS.CATEGORIES, data);
+        return this.persist({ categories: this.collectCategoryChanges() });
     }
     
     /**
      * Save favorites to storage
+     * @returns {Promise<void>} Resolves when written
      */
     saveFavorites() {
-        const data = Array.from(this.favorites);
-        this.saveToStorage(StorageManager.STORAGE_KEYS.FAVORITES, data);
+        return this.persist({ meta: this.collectMetaChanges(['favorites']) });
+    }
+    
+    /**
+     * Save smart folders to storage
+     * @returns {Promise<void>} Resolves when written
+     */
+    saveSmartFolders() {
+        return this.persist({ meta: this.collectMetaChanges(['smartFolders']) });
+    }
+    
+    /**
+     * Save prompt types to storage
+     * @returns {Promise<void>} Resolves when written
+     */
+    savePromptTypes() {
+        return this.persist({ meta: this.collectMetaChanges(['promptTypes']) });
+    }
+    
+    /**
+     * Save custom metadata fields to storage
+     * @returns {Promise<void>} Resolves when written
+     */
+    saveMetadataFields() {
+        return this.persist({ meta: this.collectMetaChanges(['metadataFields']) });
+    }
+    
+    /**
+     * Save trash to storage
+     * @returns {Promise<void>} Resolves when written
+     */
+    saveTrash() {
+        return this.persist({ meta: this.collectMetaChanges(['trash']) });
     }
     
     /**
      * Save settings to storage
+     * @returns {Promise<void>} Resolves when written
      */
     saveSettings() {
-        this.saveToStorage(StorageManager.STORAGE_KEYS.SETTINGS, this.settings);
+        return this.persist({ meta: this.collectMetaChanges(['settings']) });
     }
     
     /**
-     * Get data from localStorage
-     * @param {string} key - Storage key
-     * @returns {*} Parsed data or null
+     * Save version history to storage
+     * @returns {Promise<void>} Resolves when written
      */
-    getFromStorage(key) {
-        try {
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.error(`Failed to get data from storage (${key}):`, error);
-            return null;
-        }
+    saveHistory() {
+        return this.persist({ history: this.collectHistoryChanges() });
     }
     
     /**
-     * Save data to localStorage
-     * @param {string} key - Storage key
-     * @param {*} data - Data to save
+     * Save backups to storage
+     * @returns {Promise<void>} Resolves when written
      */
-    saveToStorage(key, data) {
-        try {
-            localStorage.setItem(key, JSON.stringify(data));
-        } catch (error) {
-            console.error(`Failed to save data to storage (${key}):`, error);
-            this.handleStorageError(error);
-        }
+    saveBackups() {
+        return this.persist({ meta: this.collectMetaChanges(['backups']) });
     }
     
     /**
-     * Handle storage errors (quota exceeded, etc.)
-     * @param {Error} error - Storage error
+     * Collect changed and removed prompt records
+     * @returns {Object} Store changes
+     */
+    collectPromptChanges() {
+        const records = new Map();
+        this.prompts.forEach((prompt, id) => records.set(id, prompt.toObject()));
+        return this.diffRecords('prompts', records);
+    }
+    
+    /**
+     * Collect changed and removed category records
+     * @returns {Object} Store changes
+     */
+    collectCategoryChanges() {
+        return this.diffRecords('categories', this.categories);
+    }
+    
+    /**
+     * Collect changed and removed history records
+     * @returns {Object} Store changes
+     */
+    collectHistoryChanges() {
+        return this.diffRecords('history', this.history);
+    }
+    
+    /**
+     * Collect changed meta records
+     * @param {Array} names - Meta record names
+     * @returns {Object} Store changes
+     */
+    collectMetaChanges(names = ['favorites', 'smartFolders', 'promptTypes', 'metadataFields', 'trash', 'settings', 'backups']) {
+        const values = {
+            favorites: () => Array.from(this.favorites),
+            smartFolders: () => Array.from(this.smartFolders.values()),
+            promptTypes: () => Array.from(this.promptTypes.values()),
+            metadataFields: () => this.metadataFields,
+            trash: () => Array.from(this.trash.values()),
+            settings: () => this.settings,
+            backups: () => this.backups
+        };
+        
+        const records = new Map(names.map(name => [name, values[name]()]));
+        return this.diffRecords('meta', records, false);
+    }
+    
+    /**
+     * Compare records with what was last persisted
+     * @param {string} storeName - Store name
+     * @param {Map} records - Current records
+     * @param {boolean} prune - Whether records missing from the map are deleted
+     * @returns {Object} Store changes ({ put, delete })
+     */
+    diffRecords(storeName, records, prune = true) {
+        const cache = this.persisted[storeName];
+        const changes = { put: {}, delete: [] };
+        
+        records.forEach((value, key) => {
+            const serialized = JSON.stringify(value);
+            if (cache.get(key) !== serialized) {
+                this.journalRecord(storeName, key, cache.get(key));
+                changes.put[key] = JSON.parse(serialized);
+                cache.set(key, serialized);
+            }
+        });
+        
+        if (prune) {
+            cache.forEach((serialized, key) => {
+                if (!records.has(key)) {
+                    this.journalRecord(storeName, key, serialized);
+                    changes.delete.push(key);
+                    cache.delete(key);
+                }
+            });
+        }
+        
+        return changes;
+    }
+    
+    /**
+     * Write changes through the adapter
+     * Writes are queued so they reach storage in order
+     * @param {Object} changes - Changes keyed by store name
+     * @returns {Promise<void>} Resolves when written
+     */
+    persist(changes) {
+        if (changes.prompts) {
+            this.updateSearchIndex(changes.prompts);
+        }
+        
+        const pending = {};
+        Object.entries(changes).forEach(([storeName, change]) => {
+            if (Object.keys(change.put).length > 0 || change.delete.length > 0) {
+                pending[storeName] = change;
+            }
+        });
+        
+        if (Object.keys(pending).length === 0) {
+            return this.pendingWrite;
+        }
+        
+        this.pendingWrite = this.pendingWrite
+            .then(() => this.adapter.commit(pending))
+            .catch(error => {
+                console.error('Failed to save data to storage:', error);
+                
+                // Forget failed records so the next save retries them
+                Object.entries(pending).forEach(([storeName, change]) => {
+                    Object.keys(change.put).forEach(key => this.persisted[storeName].delete(key));
+                });
+                
+                this.handleStorageError(error);
+            });
+        
+        return this.pendingWrite;
+    }
+    
+    /**
+     * Apply saved prompt changes to the search index
+     * @param {Object} change - Prompt store changes ({ put, delete })
+     */
+    updateSearchIndex(change) {
+        Object.keys(change.put).forEach(id => {
+            const prompt = this.prompts.get(id);
+            if (prompt) {
+                this.searchIndex.add(prompt);
+            }
+        });
+        change.delete.forEach(id => this.searchIndex.remove(id));
+    }
+    
+    /**
+     * Wait for queued writes
+     * @returns {Promise<void>} Resolves when all writes are done
+     */
+    flush() {
+        return this.pendingWrite;
+    }
+    
+    /**
+     * Record an immutable revision of a prompt
+     * Nothing is recorded when the prompt matches its latest revision
+     * @param {Prompt} prompt - Prompt to record
+     * @param {string} note - Optional change note
+     * @returns {Object|null} Recorded revision
+     */
+    recordRevision(prompt, note = '') {
+        const revisions = this.history.get(prompt.id) || [];
+        const latest = revisions[revisions.length - 1];
+        
+        if (latest && !prompt.differsFrom(latest.data) && !note) {
+            return null;
+        }
+        
+        const revision = Object.freeze({
+            id: DOMUtils.generateId('rev'),
+            timestamp: new Date().toISOString(),
+            note: note.trim(),
+            data: Object.freeze(prompt.getSnapshot())
+        });
+        
+        revisions.push(revision);
+        this.history.set(prompt.id, revisions.slice(-StorageManager.MAX_REVISIONS));
+        this.saveHistory();
+        
+        return revision;
+    }
+    
+    /**
+     * Get revisions of a prompt
+     * @param {string} promptId - Prompt ID
+     * @returns {Array} Revisions, oldest first
+     */
+    getRevisions(promptId) {
+        return this.history.get(promptId) || [];
+    }
+    
+    /**
+     * Get single revision
+     * @param {string} promptId - Prompt ID
+     * @param {string} revisionId - Revision ID
+     * @returns {Object|null} Revision
+     */
+    getRevision(promptId, revisionId) {
+        return this.getRevisions(promptId).find(revision => revision.id === revisionId) || null;
+    }
+    
+    /**
+     * Restore prompt content from a revision
+     * The restore itself is recorded as a new revision
+     * @param {string} promptId - Prompt ID
+     * @param {string} revisionId - Revision ID
+     * @returns {boolean} Success status
+     */
+    restoreRevision(promptId, revisionId) {
+        const prompt = this.prompts.get(promptId);
+        const revision = this.getRevision(promptId, revisionId);
+        
+        if (!prompt || !revision) {
+            return false;
+        }
+        
+        // Copy so the frozen revision never shares arrays with the live prompt
+        const data = JSON.parse(JSON.stringify(revision.data));
+        data.version = Prompt.bumpVersion(prompt.version);
+        
+        prompt.update(data);
+        this.savePrompts();
+        this.recordRevision(prompt, `Ripristinata la versione ${revision.data.version} del ${DOMUtils.formatDate(revision.timestamp)}`);
+        
+        return true;
+    }
+    
+    /**
+     * Merge duplicate prompts into one
+     * The kept prompt gets the union of tags, the earliest created date, the chosen
+     * title and category, and stays a favorite if any of the merged prompts was one.
+     * Revisions of the removed prompts move to its history.
+     * @param {Array} promptIds - IDs of the prompts to merge
+     * @param {Object} options - Merge options
+     * @param {string} options.keepId - ID of the prompt whose text is kept
+     * @param {string} options.title - Title of the merged prompt
+     * @param {string} options.category - Category of the merged prompt
+     * @returns {Prompt|null} Merged prompt, or null if fewer than two prompts exist
+     */
+    mergePrompts(promptIds, { keepId, title, category } = {}) {
+        const prompts = promptIds.map(id => this.prompts.get(id)).filter(Boolean);
+        const target = prompts.find(prompt => prompt.id === keepId) || prompts[0];
+        
+        if (prompts.length < 2) {
+            return null;
+        }
+        
+        const others = prompts.filter(prompt => prompt !== target);
+        const tags = Array.from(new Set(prompts.flatMap(prompt => prompt.tags)));
+        const created = prompts.map(prompt => prompt.created).sort()[0];
+        const isFavorite = prompts.some(prompt => prompt.isFavorite || this.favorites.has(prompt.id));
+        
+        this.recordRevision(target);
+        
+        target.update({
+            title: title || target.title,
+            category: category !== undefined ? category : target.category,
+            tags: tags.slice(0, 20),
+            isFavorite
+        });
+        target.created = created;
+        
+        const revisions = [...this.getRevisions(target.id)];
+        others.forEach(prompt => {
+            revisions.push(...this.getRevisions(prompt.id));
+            this.history.delete(prompt.id);
+            this.prompts.delete(prompt.id);
+            this.favorites.delete(prompt.id);
+        });
+        revisions.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        this.history.set(target.id, revisions.slice(-StorageManager.MAX_REVISIONS));
+        
+        if (isFavorite) {
+            this.favorites.add(target.id);
+        }
+        
+        this.recordRevision(target, `Uniti i duplicati: ${others.map(prompt => prompt.title).join(', ')}`);
+        this.saveAll();
+        
+        return target;
+    }
+    
+    /**
+     * Get category path for a folder name
+     * @param {string} name - Folder name as typed
+     * @returns {string} Path segment (lowercase letters, digits and dashes), empty if invalid
+     */
+    static getCategorySlug(name) {
+        return name.trim().toLowerCase().replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, '-');
+    }
+    
+    /**
+     * Get parent path of a category
+     * @param {string} path - Category path
+     * @returns {string} Parent path, empty for top-level categories
+     */
+    static getParentPath(path) {
+        return path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+    }
+    
+    /**
+     * Check if a path is a category or one of its subcategories
+     * @param {string} path - Path to check
+     * @param {string} categoryPath - Category path
+     * @returns {boolean} True if inside the category
+     */
+    static isInCategory(path, categoryPath) {
+        return path === categoryPath || path.startsWith(`${categoryPath}/`);
+    }
+    
+    /**
+     * Run a change to the collection so that it can be undone
+     * The records the change saves are journaled, and undoing it puts back only what it
+     * changed: prompt fields, folders, revisions, list items and settings
+     * @param {string} label - Description of the change
+     * @param {Function} change - Change to run; returning null or false means nothing changed
+     * @returns {*} Result of the change
+     */
+    recordUndo(label, change) {
+        const journal = new Map();
+        const categoryOrder = { before: Array.from(this.categories.keys()) };
+        this.undoJournal = journal;
+        
+        let result;
+        try {
+            result = change();
+        } finally {
+            this.undoJournal = null;
+        }
+        
+        if (result === null || result === false) {
+            return result;
+        }
+        
+        const changes = this.getJournalChanges(journal);
+        
+        // Folders without an explicit order are listed in the order they were added
+        if (changes.some(({ store }) => store === 'categories')) {
+            categoryOrder.after = Array.from(this.categories.keys());
+            changes.push({ store: 'categoryOrder', ...categoryOrder });
+        }
+        
+        this.undoManager.push({
+            label,
+            undo: () => this.applyJournalChanges(changes, 'before'),
+            redo: () => this.applyJournalChanges(changes, 'after')
+        });
+        return result;
+    }
+    
+    /**
+     * Remember how a record was persisted before the change being recorded first saved it
+     * @param {string} storeName - Store name
+     * @param {string} key - Record key
+     * @param {string|undefined} serialized - Persisted record, undefined if it didn't exist
+     */
+    journalRecord(storeName, key, serialized) {
+        if (!this.undoJournal) return;
+        
+        const id = JSON.stringify([storeName, key]);
+        if (!this.undoJournal.has(id)) {
+            this.undoJournal.set(id, { storeName, key, before: serialized });
+        }
+    }
+    
+    /**
+     * Turn journaled records into the changes to undo and redo
+     * Prompts keep only the fields that changed, lists only the items that changed, so
+     * undoing doesn't touch what happened since, like the usage count
+     * @param {Map} journal - Journaled records
+     * @returns {Array} Changes ({ store, key, before, after }), undefined meaning no record
+     */
+    getJournalChanges(journal) {
+        const parse = (serialized) => serialized === undefined ? undefined : JSON.parse(serialized);
+        const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+        const changes = [];
+        
+        journal.forEach(({ storeName, key, before: serialized }) => {
+            const before = parse(serialized);
+            const after = parse(this.persisted[storeName].get(key));
+            if (!changed(before, after)) return;
+            
+            if (storeName !== 'meta') {
+                if (storeName === 'prompts' && before && after) {
+                    const fields = Object.keys({ ...before, ...after }).filter(field => changed(before[field], after[field]));
+                    const pick = (data) => Object.fromEntries(fields.map(field => [field, data[field]]));
+                    changes.push({ store: storeName, key, before: pick(before), after: pick(after), fields: true });
+                } else {
+                    changes.push({ store: storeName, key, before, after });
+                }
+                return;
+            }
+            
+            switch (key) {
+                case 'favorites': {
+                    const ids = new Set([...(before || []), ...(after || [])]);
+                    ids.forEach(id => {
+                        const wasFavorite = (before || []).includes(id);
+                        if (wasFavorite !== (after || []).includes(id)) {
+                            changes.push({ store: key, key: id, before: wasFavorite, after: !wasFavorite });
+                        }
+                    });
+                    break;
+                }
+                case 'smartFolders':
+                case 'promptTypes':
+                case 'trash': {
+                    const find = (items, id) => (items || []).find(item => item.id === id);
+                    const ids = new Set([...(before || []), ...(after || [])].map(item => item.id));
+                    ids.forEach(id => {
+                        if (changed(find(before, id), find(after, id))) {
+                            changes.push({
+                                store: key,
+                                key: id,
+                                before: find(before, id),
+                                after: find(after, id),
+                                index: {
+                                    before: (before || []).findIndex(item => item.id === id),
+                                    after: (after || []).findIndex(item => item.id === id)
+                                }
+                            });
+                        }
+                    });
+                    break;
+                }
+                case 'settings':
+                    Object.keys({ ...before, ...after }).forEach(name => {
+                        if (changed((before || {})[name], (after || {})[name])) {
+                            changes.push({ store: key, key: name, before: (before || {})[name], after: (after || {})[name] });
+                        }
+                    });
+                    break;
+                case 'metadataFields':
+                    changes.push({ store: key, key, before: before || [], after: after || [] });
+                    break;
+                default:
+                    // Backups aren't part of the collection
+                    break;
+            }
+        });
+        
+        return changes;
+    }
+    
+    /**
+     * Apply journaled changes in one direction
+     * @param {Array} changes - Changes from getJournalChanges()
+     * @param {string} side - 'before' to undo, 'after' to redo
+     */
+    applyJournalChanges(changes, side) {
+        const lists = {};
+        let settingsChanged = false;
+        
+        changes.forEach(change => {
+            const value = change[side];
+            
+            switch (change.store) {
+                case 'prompts': {
+                    const current = this.prompts.get(change.key);
+                    if (change.fields) {
+                        if (current) {
+                            this.prompts.set(change.key, new Prompt({ ...current.toObject(), ...value }));
+                        }
+                    } else if (value) {
+                        this.prompts.set(change.key, new Prompt(value));
+                    } else {
+                        this.prompts.delete(change.key);
+                    }
+                    break;
+                }
+                case 'categories':
+                    if (value) {
+                        this.categories.set(change.key, value);
+                    } else {
+                        this.categories.delete(change.key);
+                    }
+                    break;
+                case 'history':
+                    if (value) {
+                        this.history.set(change.key, value.map(revision => Object.freeze(revision)));
+                    } else {
+                        this.history.delete(change.key);
+                    }
+                    break;
+                case 'favorites':
+                    if (value) {
+                        this.favorites.add(change.key);
+                    } else {
+                        this.favorites.delete(change.key);
+                    }
+                    break;
+                case 'smartFolders':
+                case 'promptTypes':
+                case 'trash': {
+                    const items = lists[change.store] || Array.from(this[change.store].values());
+                    const index = items.findIndex(item => item.id === change.key);
+                    if (!value) {
+                        if (index >= 0) {
+                            items.splice(index, 1);
+                        }
+                    } else if (index >= 0) {
+                        items[index] = value;
+                    } else {
+                        // Put back where it was
+                        items.splice(change.index[side], 0, value);
+                    }
+                    lists[change.store] = items;
+                    break;
+                }
+                case 'categoryOrder':
+                    this.categories = new Map([
+                        ...value.filter(path => this.categories.has(path)).map(path => [path, this.categories.get(path)]),
+                        ...this.categories
+                    ]);
+                    break;
+                case 'metadataFields':
+                    this.loadMetadataFields(value);
+                    break;
+                case 'settings':
+                    this.settings = { ...this.settings };
+                    if (value === undefined) {
+                        delete this.settings[change.key];
+                    } else {
+                        this.settings[change.key] = value;
+                    }
+                    settingsChanged = true;
+                    break;
+            }
+        });
+        
+        if (lists.smartFolders) {
+            this.loadSmartFolders(lists.smartFolders);
+        }
+        if (lists.promptTypes) {
+            this.loadPromptTypes(lists.promptTypes);
+        }
+        if (lists.trash) {
+            this.loadTrash(lists.trash);
+        }
+        
+        this.saveAll();
+        if (settingsChanged) {
+            this.applySettings();
+        }
+    }
+    
+    /**
+     * Create a category
+     * @param {string} name - Folder name
+     * @param {string} parentPath - Parent category path, empty for a top-level folder
+     * @returns {string|null} New category path, or null if the name is invalid or taken
+     */
+    createCategory(name, parentPath = '') {
+        const slug = StorageManager.getCategorySlug(name);
+        const path = parentPath ? `${parentPath}/${slug}` : slug;
+        if (!slug || this.categories.has(path)) return null;
+        
+        this.categories.set(path, {
+            name: name.trim(),
+            icon: 'folder',
+            color: CollectionFiles.DEFAULT_CATEGORY_COLOR
+        });
+        this.saveCategories();
+        return path;
+    }
+    
+    /**
+     * Rename a category, moving its subcategories and prompts to the new path
+     * @param {string} path - Category path
+     * @param {string} name - New folder name
+     * @returns {string|null} New category path, or null if the name is invalid or taken
+     */
+    renameCategory(path, name) {
+        const category = this.categories.get(path);
+        const slug = StorageManager.getCategorySlug(name);
+        if (!category || !slug) return null;
+        
+        const parentPath = StorageManager.getParentPath(path);
+        const newPath = parentPath ? `${parentPath}/${slug}` : slug;
+        if (newPath !== path && this.categories.has(newPath)) return null;
+        
+        this.categories.set(path, { ...category, name: name.trim() });
+        this.relocateCategory(path, newPath);
+        this.saveAll();
+        return newPath;
+    }
+    
+    /**
+     * Move a category under another one
+     * @param {string} path - Category path
+     * @param {string} parentPath - New parent path, empty to move to the top level
+     * @returns {string|null} New category path, or null if the move is not possible
+     */
+    moveCategory(path, parentPath = '') {
+        if (!this.categories.has(path)) return null;
+        if (parentPath && (StorageManager.isInCategory(parentPath, path) || !this.categories.has(parentPath))) return null;
+        
+        const leaf = path.split('/').pop();
+        const newPath = parentPath ? `${parentPath}/${leaf}` : leaf;
+        if (newPath === path || this.categories.has(newPath)) return null;
+        
+        this.relocateCategory(path, newPath);
+        this.saveAll();
+        return newPath;
+    }
+    
+    /**
+     * Move a category and its subcategories to the trash
+     * Their prompts go to the trash too, or move with the subcategories to the parent category
+     * @param {string} path - Category path
+     * @param {Object} options - Options ({ deleteContents })
+     * @returns {number|null} Number of prompts deleted or moved, or null if the category doesn't exist
+     */
+    deleteCategory(path, { deleteContents = false } = {}) {
+        const category = this.categories.get(path);
+        if (!category) return null;
+        
+        const parentPath = StorageManager.getParentPath(path);
+        let count = 0;
+        
+        if (deleteContents) {
+            const prompts = Array.from(this.prompts.values())
+                .filter(prompt => StorageManager.isInCategory(prompt.category, path));
+            const categoryPaths = Array.from(this.categories.keys())
+                .filter(categoryPath => StorageManager.isInCategory(categoryPath, path));
+            
+            this.addTrashEntry('category', category.name, path, prompts,
+                Object.fromEntries(categoryPaths.map(categoryPath => [categoryPath, this.categories.get(categoryPath)])));
+            
+            prompts.forEach(prompt => {
+                this.prompts.delete(prompt.id);
+                this.favorites.delete(prompt.id);
+            });
+            categoryPaths.forEach(categoryPath => this.categories.delete(categoryPath));
+            count = prompts.length;
+        } else {
+            // Only the folder itself goes to the trash
+            this.addTrashEntry('category', category.name, path, [], { [path]: category });
+            
+            this.prompts.forEach(prompt => {
+                if (StorageManager.isInCategory(prompt.category, path)) count++;
+                if (prompt.category === path) {
+                    prompt.update({ category: parentPath });
+                }
+            });
+            
+            // Subcategories move up one level, merging with folders of the same name
+            this.categories.delete(path);
+            Array.from(this.categories.keys())
+                .filter(categoryPath => StorageManager.getParentPath(categoryPath) === path)
+                .forEach(categoryPath => {
+                    const leaf = categoryPath.split('/').pop();
+                    this.relocateCategory(categoryPath, parentPath ? `${parentPath}/${leaf}` : leaf);
+                });
+        }
+        
+        this.saveAll();
+        return count;
+    }
+    
+    /**
+     * Get the names of a category and its ancestors
+     * @param {string} path - Category path
+     * @returns {string} Names joined by " / ", path segments where a folder has no category
+     */
+    getCategoryTrail(path) {
+        return path.split('/').map((part, index, parts) => {
+            const ancestor = this.categories.get(parts.slice(0, index + 1).join('/'));
+            return ancestor ? ancestor.name : part;
+        }).join(' / ');
+    }
+    
+    /**
+     * Get subcategories of a category in display order
+     * In manual order, categories with an `order` come first and the others keep their
+     * creation order. Sorted by title they go by name; the other sort fields describe
+     * prompts, so folders then go by name from A to Z.
+     * @param {string} parentPath - Category path, empty for top-level categories
+     * @param {Object} sort - Sort options ({ by, order }), those of the parent by default
+     * @returns {Array} Category paths
+     */
+    getChildCategories(parentPath = '', sort = this.getSortOptions(parentPath)) {
+        const rank = (path) => {
+            const order = this.categories.get(path).order;
+            return typeof order === 'number' ? order : Number.MAX_SAFE_INTEGER;
+        };
+        const name = (path) => this.categories.get(path).name || path;
+        
+        const compare = sort.by === 'manual'
+            ? (a, b) => rank(a.path) - rank(b.path) || a.index - b.index
+            : (a, b) => name(a.path).localeCompare(name(b.path));
+        const direction = sort.order === 'desc' && (sort.by === 'manual' || sort.by === 'title') ? -1 : 1;
+        
+        // Categories whose parent folder doesn't exist are shown at the top level
+        return Array.from(this.categories.keys())
+            .filter(path => path !== 'favorites')
+            .filter(path => {
+                const parent = StorageManager.getParentPath(path);
+                return parentPath ? parent === parentPath : !this.categories.has(parent);
+            })
+            .map((path, index) => ({ path, index }))
+            .sort((a, b) => direction * compare(a, b))
+            .map(({ path }) => path);
+    }
+    
+    /**
+     * Get all categories, each followed by its subcategories, in display order
+     * @returns {Array} Category paths
+     */
+    getOrderedCategories() {
+        const ordered = [];
+        const visit = (parentPath) => {
+            this.getChildCategories(parentPath).forEach(path => {
+                ordered.push(path);
+                visit(path);
+            });
+        };
+        
+        visit('');
+        return ordered;
+    }
+    
+    /**
+     * Sort prompts of a category in display order
+     * In manual order, prompts placed by hand come first and the others follow by title;
+     * ties in the other orders are broken by title too
+     * @param {string} categoryPath - Category path
+     * @param {Array} prompts - Prompts in the category
+     * @param {Object} sort - Sort options ({ by, order }), those of the category by default
+     * @returns {Array} Sorted prompts
+     */
+    sortPrompts(categoryPath, prompts, sort = this.getSortOptions(categoryPath)) {
+        let compare = StorageManager.PROMPT_COMPARATORS[sort.by];
+        let missing = () => 0;
+        
+        // Custom metadata: prompts without a value come last in either order
+        if (sort.by.startsWith(StorageManager.METADATA_PREFIX)) {
+            const name = sort.by.slice(StorageManager.METADATA_PREFIX.length);
+            missing = (prompt) => prompt.metadata[name] == null ? 1 : 0;
+            compare = (a, b) => StorageManager.compareValues(a.metadata[name], b.metadata[name]);
+        }
+        
+        if (sort.by === 'manual') {
+            const category = this.categories.get(categoryPath);
+            const positions = new Map(
+                (category && Array.isArray(category.promptOrder) ? category.promptOrder : []).map((id, index) => [id, index])
+            );
+            const rank = (prompt) => positions.has(prompt.id) ? positions.get(prompt.id) : Number.MAX_SAFE_INTEGER;
+            compare = (a, b) => rank(a) - rank(b);
+        }
+        
+        const direction = sort.order === 'desc' ? -1 : 1;
+        return [...prompts].sort((a, b) =>
+            missing(a) - missing(b) || direction * compare(a, b) || a.title.localeCompare(b.title)
+        );
+    }
+    
+    /**
+     * Compare two metadata values: numbers by size, booleans with false first, text alphabetically
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {number} Negative, zero or positive
+     */
+    static compareValues(a, b) {
+        if (a == null || b == null) return (a == null) - (b == null);
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        if (typeof a === 'boolean' && typeof b === 'boolean') return a - b;
+        return String(a).localeCompare(String(b), undefined, { numeric: true });
+    }
+    
+    /**
+     * Get how a category is sorted
+     * Categories can have their own sort; the others, the top level and pseudo folders
+     * like favorites use the one in the settings
+     * @param {string} categoryPath - Category path, empty for the top level
+     * @returns {Object} Sort options ({ by, order })
+     */
+    getSortOptions(categoryPath = '') {
+        const category = categoryPath ? this.categories.get(categoryPath) : null;
+        const sort = category && category.sort
+            ? category.sort
+            : { by: this.settings.sortBy, order: this.settings.sortOrder };
+        
+        return {
+            by: this.isSortField(sort.by) ? sort.by : 'manual',
+            order: sort.order === 'desc' ? 'desc' : 'asc'
+        };
+    }
+    
+    /**
+     * Check if prompts can be sorted by a field
+     * @param {string} by - Sort field, `meta.<name>` for a custom metadata field
+     * @returns {boolean} True for the fixed sort fields and the defined metadata fields
+     */
+    isSortField(by) {
+        if (typeof by !== 'string') return false;
+        if (StorageManager.SORT_FIELDS.includes(by)) return true;
+        
+        return by.startsWith(StorageManager.METADATA_PREFIX) &&
+            Boolean(this.getMetadataField(by.slice(StorageManager.METADATA_PREFIX.length)));
+    }
+    
+    /**
+     * Check if a category is shown in the order set by dragging
+     * @param {string} categoryPath - Category path, empty for the top level
+     * @returns {boolean} True for ascending manual order
+     */
+    isManualSort(categoryPath = '') {
+        const { by, order } = this.getSortOptions(categoryPath);
+        return by === 'manual' && order === 'asc';
+    }
+    
+    /**
+     * Give a category its own sort, or make it use the one in the settings again
+     * @param {string} categoryPath - Category path
+     * @param {Object|null} sort - Sort options ({ by, order }), null for the settings
+     * @returns {boolean} True if changed
+     */
+    setCategorySort(categoryPath, sort) {
+        const category = this.categories.get(categoryPath);
+        if (!category) return false;
+        
+        const { sort: previous, ...info } = category;
+        if (JSON.stringify(previous || null) === JSON.stringify(sort)) return false;
+        
+        this.categories.set(categoryPath, sort ? { ...info, sort: { by: sort.by, order: sort.order } } : info);
+        this.saveCategories();
+        return true;
+    }
+    
+    /**
+     * Count a use of a prompt, such as copying it
+     * Not an edit: the modified date and the history are left alone
+     * @param {string} promptId - Prompt ID
+     */
+    recordUsage(promptId) {
+        const prompt = this.prompts.get(promptId);
+        if (!prompt) return;
+        
+        prompt.usageCount++;
+        this.savePrompts();
+    }
+    
+    /**
+     * Move prompts to a category
+     * @param {Array} promptIds - Prompt IDs
+     * @param {string} categoryPath - Category path, empty for uncategorized
+     * @returns {number} Number of prompts moved
+     */
+    movePrompts(promptIds, categoryPath) {
+        let count = 0;
+        promptIds.forEach(id => {
+            const prompt = this.prompts.get(id);
+            if (prompt && prompt.category !== categoryPath) {
+                prompt.update({ category: categoryPath });
+                count++;
+            }
+        });
+        
+        if (count > 0) {
+            this.savePrompts();
+        }
+        return count;
+    }
+    
+    /**
+     * Apply the same change to several prompts, recording a revision for each
+     * @param {Array} promptIds - Prompt IDs
+     * @param {Object|Function} changes - Fields to set, or a function returning them for a prompt (null to skip it)
+     * @param {string} note - Change note for the revisions
+     * @returns {number} Number of prompts changed
+     */
+    updatePrompts(promptIds, changes, note = '') {
+        let count = 0;
+        promptIds.forEach(id => {
+            const prompt = this.prompts.get(id);
+            if (!prompt) return;
+            
+            const fields = typeof changes === 'function' ? changes(prompt) : changes;
+            if (!fields || !prompt.differsFrom({ ...prompt.getSnapshot(), ...fields })) return;
+            
+            // Keep the previous state if the prompt has no history yet
+            if (this.getRevisions(id).length === 0) {
+                this.recordRevision(prompt);
+            }
+            prompt.update(fields);
+            this.recordRevision(prompt, note);
+            count++;
+        });
+        
+        if (count > 0) {
+            this.savePrompts();
+        }
+        return count;
+    }
+    
+    /**
+     * Add and remove tags on several prompts
+     * @param {Array} promptIds - Prompt IDs
+     * @param {Object} tags - Tags to change ({ add: [], remove: [] }); removal ignores case
+     * @returns {number} Number of prompts changed
+     */
+    updatePromptTags(promptIds, { add = [], remove = [] } = {}) {
+        const removed = new Set(remove.map(tag => tag.toLowerCase()));
+        
+        return this.updatePrompts(promptIds, prompt => {
+            const tags = prompt.tags.filter(tag => !removed.has(tag.toLowerCase()));
+            add.forEach(tag => {
+                if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                    tags.push(tag);
+                }
+            });
+            return { tags: tags.slice(0, 20) };
+        }, 'Modifica multipla dei tag');
+    }
+    
+    /**
+     * Add several prompts to favorites, or remove them
+     * @param {Array} promptIds - Prompt IDs
+     * @param {boolean} favorite - Whether the prompts become favorites
+     * @returns {number} Number of prompts changed
+     */
+    setFavorites(promptIds, favorite) {
+        let count = 0;
+        promptIds.forEach(id => {
+            const prompt = this.prompts.get(id);
+            if (!prompt || prompt.isFavorite === favorite) return;
+            
+            prompt.update({ isFavorite: favorite });
+            if (favorite) {
+                this.favorites.add(id);
+            } else {
+                this.favorites.delete(id);
+            }
+            count++;
+        });
+        
+        if (count > 0) {
+            this.savePrompts();
+            this.saveFavorites();
+        }
+        return count;
+    }
+    
+    /**
+     * Duplicate several prompts into their own categories
+     * @param {Array} promptIds - Prompt IDs
+     * @returns {Array} Copies
+     */
+    duplicatePrompts(promptIds) {
+        const copies = promptIds
+            .map(id => this.prompts.get(id))
+            .filter(Boolean)
+            .map(prompt => prompt.clone());
+        
+        copies.forEach(copy => {
+            this.prompts.set(copy.id, copy);
+            this.recordRevision(copy, 'Creazione');
+        });
+        
+        if (copies.length > 0) {
+            this.savePrompts();
+        }
+        return copies;
+    }
+    
+    /**
+     * Move several prompts to the trash, each as its own entry
+     * @param {Array} promptIds - Prompt IDs
+     * @returns {number} Number of prompts deleted
+     */
+    deletePrompts(promptIds) {
+        const existing = promptIds.filter(id => this.prompts.has(id));
+        existing.forEach(id => {
+            const prompt = this.prompts.get(id);
+            this.addTrashEntry('prompt', prompt.title, prompt.category, [prompt]);
+            this.prompts.delete(id);
+            this.favorites.delete(id);
+        });
+        
+        if (existing.length > 0) {
+            this.savePrompts();
+            this.saveFavorites();
+            this.saveTrash();
+        }
+        return existing.length;
+    }
+    
+    /**
+     * Put deleted prompts and categories in the trash
+     * @param {string} type - 'prompt' or 'category'
+     * @param {string} name - Prompt title or folder name
+     * @param {string} path - Category the prompt was in, or path of the folder
+     * @param {Array} prompts - Deleted prompts
+     * @param {Object} categories - Deleted categories keyed by path
+     * @returns {Object} Trash entry
+     */
+    addTrashEntry(type, name, path, prompts, categories = {}) {
+        const entry = {
+            id: DOMUtils.generateId('trash'),
+            type,
+            name,
+            path,
+            deletedAt: new Date().toISOString(),
+            prompts: prompts.map(prompt => prompt.toObject()),
+            categories,
+            favorites: prompts.filter(prompt => this.favorites.has(prompt.id)).map(prompt => prompt.id)
+        };
+        
+        this.trash.set(entry.id, entry);
+        return entry;
+    }
+    
+    /**
+     * Get trash entries
+     * @returns {Array} Entries, most recently deleted first
+     */
+    getTrashItems() {
+        return Array.from(this.trash.values()).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+    
+    /**
+     * Get IDs of the prompts in the trash
+     * @returns {Set} Prompt IDs
+     */
+    getTrashedPromptIds() {
+        return new Set(Array.from(this.trash.values()).flatMap(entry => entry.prompts.map(prompt => prompt.id)));
+    }
+    
+    /**
+     * Get prompts in the trash
+     * @returns {Array} Prompt instances, detached from the collection
+     */
+    getTrashedPrompts() {
+        return Array.from(this.trash.values()).flatMap(entry => entry.prompts.map(data => new Prompt(data)));
+    }
+    
+    /**
+     * Get a prompt in the trash
+     * @param {string} promptId - Prompt ID
+     * @returns {Prompt|null} Prompt instance, or null if it isn't in the trash
+     */
+    getTrashedPrompt(promptId) {
+        for (const entry of this.trash.values()) {
+            const data = entry.prompts.find(prompt => prompt.id === promptId);
+            if (data) return new Prompt(data);
+        }
+        return null;
+    }
+    
+    /**
+     * Find the trash entry holding a prompt
+     * @param {string} promptId - Prompt ID
+     * @returns {Object|null} Trash entry
+     */
+    getTrashEntryForPrompt(promptId) {
+        return Array.from(this.trash.values())
+            .find(entry => entry.prompts.some(prompt => prompt.id === promptId)) || null;
+    }
+    
+    /**
+     * Put a trash entry back in the collection
+     * Prompts return to their category and folders under their parent; when that is gone
+     * too, the closest folder still there (or the top level) takes them
+     * @param {string} entryId - Trash entry ID
+     * @returns {string|null} Category path restored to, or null if the entry doesn't exist
+     *   or a folder with the same path exists
+     */
+    restoreFromTrash(entryId) {
+        const entry = this.trash.get(entryId);
+        if (!entry) return null;
+        
+        let targetPath = this.findExistingCategory(entry.path);
+        if (entry.type === 'category') {
+            const parentPath = this.findExistingCategory(StorageManager.getParentPath(entry.path));
+            const leaf = entry.path.split('/').pop();
+            targetPath = parentPath ? `${parentPath}/${leaf}` : leaf;
+            if (this.categories.has(targetPath)) return null;
+        }
+        
+        const relocate = (path) => StorageManager.isInCategory(path, entry.path)
+            ? targetPath + path.slice(entry.path.length)
+            : path;
+        
+        Object.entries(entry.categories).forEach(([path, info]) => {
+            this.categories.set(relocate(path), info);
+        });
+        
+        // Prompts brought back some other way keep their current version
+        entry.prompts.filter(data => !this.prompts.has(data.id)).forEach(data => {
+            const prompt = new Prompt({ ...data, category: relocate(data.category) });
+            this.prompts.set(prompt.id, prompt);
+            if (entry.favorites.includes(prompt.id)) {
+                this.favorites.add(prompt.id);
+            }
+        });
+        
+        this.trash.delete(entryId);
+        this.saveAll();
+        return targetPath;
+    }
+    
+    /**
+     * Find a category, or its closest ancestor that exists
+     * @param {string} path - Category path
+     * @returns {string} Existing category path, empty if none
+     */
+    findExistingCategory(path) {
+        let current = path;
+        while (current && !this.categories.has(current)) {
+            current = StorageManager.getParentPath(current);
+        }
+        return current;
+    }
+    
+    /**
+     * Permanently delete trash entries, with the history of their prompts
+     * @param {Array|null} entryIds - Trash entry IDs, all if null
+     * @returns {number} Number of entries deleted
+     */
+    purgeTrash(entryIds = null) {
+        const ids = (entryIds || Array.from(this.trash.keys())).filter(id => this.trash.has(id));
+        
+        ids.forEach(id => {
+            this.trash.get(id).prompts.forEach(prompt => {
+                if (!this.prompts.has(prompt.id)) {
+                    this.history.delete(prompt.id);
+                }
+            });
+            this.trash.delete(id);
+        });
+        
+        if (ids.length > 0) {
+            this.saveTrash();
+            this.saveHistory();
+        }
+        return ids.length;
+    }
+    
+    /**
+     * Permanently delete trash entries older than the retention setting
+     * A retention of 0 days keeps the trash until it is emptied by hand
+     * @returns {number} Number of entries deleted
+     */
+    purgeExpiredTrash() {
+        const days = Number(this.settings.trashRetentionDays);
+        if (!(days > 0)) return 0;
+        
+        const cutoff = new Date(Date.now() - days * StorageManager.DAY).toISOString();
+        const expired = Array.from(this.trash.values())
+            .filter(entry => entry.deletedAt < cutoff)
+            .map(entry => entry.id);
+        
+        return expired.length > 0 ? this.purgeTrash(expired) : 0;
+    }
+    
+    /**
+     * Place prompts before or after another prompt, moving them to its category
+     * @param {Array} promptIds - Prompt IDs, in the order they are placed
+     * @param {string} targetId - Prompt next to which they are placed
+     * @param {string} position - 'before' or 'after'
+     * @returns {string|null} Category path, or null if the target is one of the prompts
+     */
+    reorderPrompts(promptIds, targetId, position = 'before') {
+        const target = this.prompts.get(targetId);
+        if (!target || promptIds.includes(targetId)) return null;
+        
+        const categoryPath = target.category;
+        this.movePrompts(promptIds, categoryPath);
+        
+        const category = this.categories.get(categoryPath);
+        if (category) {
+            const siblings = Array.from(this.prompts.values()).filter(prompt => prompt.category === categoryPath);
+            const order = this.sortPrompts(categoryPath, siblings, StorageManager.MANUAL_SORT)
+                .map(prompt => prompt.id)
+                .filter(id => !promptIds.includes(id));
+            
+            order.splice(order.indexOf(targetId) + (position === 'after' ? 1 : 0), 0,
+                ...promptIds.filter(id => this.prompts.has(id)));
+            this.categories.set(categoryPath, { ...category, promptOrder: order });
+            this.saveCategories();
+        }
+        
+        return categoryPath;
+    }
+    
+    /**
+     * Place a category before or after another one, moving it next to it if needed
+     * @param {string} path - Category path
+     * @param {string} targetPath - Category next to which it is placed
+     * @param {string} position - 'before' or 'after'
+     * @returns {string|null} New category path, or null if the move is not possible
+     */
+    reorderCategory(path, targetPath, position = 'before') {
+        if (!this.categories.has(path) || !this.categories.has(targetPath) ||
+            StorageManager.isInCategory(targetPath, path)) {
+            return null;
+        }
+        
+        const parentPath = this.categories.has(StorageManager.getParentPath(targetPath))
+            ? StorageManager.getParentPath(targetPath)
+            : '';
+        
+        let newPath = path;
+        if (this.getChildCategories(parentPath, StorageManager.MANUAL_SORT).indexOf(path) < 0) {
+            newPath = this.moveCategory(path, parentPath);
+            if (!newPath) return null;
+        }
+        
+        const siblings = this.getChildCategories(parentPath, StorageManager.MANUAL_SORT).filter(sibling => sibling !== newPath);
+        siblings.splice(siblings.indexOf(targetPath) + (position === 'after' ? 1 : 0), 0, newPath);
+        siblings.forEach((sibling, order) => {
+            this.categories.set(sibling, { ...this.categories.get(sibling), order });
+        });
+        
+        this.saveCategories();
+        return newPath;
+    }
+    
+    /**
+     * Change the path of a category, its subcategories and their prompts
+     * Categories keep their order; a path that already exists keeps its own data
+     * @param {string} fromPath - Current category path
+     * @param {string} toPath - New category path
+     */
+    relocateCategory(fromPath, toPath) {
+        if (fromPath === toPath) return;
+        
+        const relocate = (path) => StorageManager.isInCategory(path, fromPath)
+            ? toPath + path.slice(fromPath.length)
+            : path;
+        
+        const categories = new Map();
+        this.categories.forEach((info, path) => {
+            const newPath = relocate(path);
+            if (newPath === path || !this.categories.has(newPath)) {
+                categories.set(newPath, info);
+            }
+        });
+        this.categories = categories;
+        
+        this.prompts.forEach(prompt => {
+            if (StorageManager.isInCategory(prompt.category, fromPath)) {
+                prompt.update({ category: relocate(prompt.category) });
+            }
+        });
+    }
+    
+    /**
+     * Search prompts
+     * Free text is ranked by the search index, field filters are applied by SearchQuery.
+     * Prompts in the trash are only searched when the query asks for them with is:trashed.
+     * @param {string} query - Search query
+     * @returns {Array} Results ({ prompt, relevance, terms }), best first
+     */
+    searchPrompts(query) {
+        const searchQuery = new SearchQuery(query);
+        const index = this.searchIndex;
+        const text = searchQuery.getTextTerms().join(' ');
+        
+        // Trashed prompts get an index of their own, built only when needed
+        const trashed = searchQuery.includesTrash() ? this.getTrashedPrompts() : [];
+        const trashIndex = new SearchIndex();
+        trashIndex.build(trashed);
+        const trashedIds = new Set(trashed.map(prompt => prompt.id));
+        
+        // Rank the free-text part, filter with the whole query
+        const ranked = new Map([...index.search(text), ...trashIndex.search(text)].map(result => [result.id, result]));
+        const context = {
+            favorites: this.favorites,
+            categories: this.categories,
+            promptTypes: this.promptTypes,
+            trashed: trashedIds,
+            matchText: (words, prompt) => (trashedIds.has(prompt.id) ? trashIndex : index).matches(prompt.id, words)
+        };
+        
+        return [...this.prompts.values(), ...trashed]
+            .filter(prompt => searchQuery.matches(prompt, context))
+            .map(prompt => ({
+                prompt,
+                relevance: ranked.has(prompt.id) ? ranked.get(prompt.id).score : 0,
+                terms: ranked.has(prompt.id) ? ranked.get(prompt.id).terms : new Set()
+            }))
+            .sort((a, b) => b.relevance - a.relevance || a.prompt.title.localeCompare(b.prompt.title));
+    }
+    
+    /**
+     * Save a search as a smart folder
+     * @param {Object} data - Smart folder data ({ name, icon, query })
+     * @returns {Object} Created smart folder
+     */
+    createSmartFolder({ name, icon = 'search', query }) {
+        const folder = {
+            id: `smart-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            name: name.trim(),
+            icon,
+            query: query.trim(),
+            created: new Date().toISOString().split('T')[0]
+        };
+        
+        this.smartFolders.set(folder.id, folder);
+        this.saveSmartFolders();
+        return folder;
+    }
+    
+    /**
+     * Update a smart folder
+     * @param {string} folderId - Smart folder ID
+     * @param {Object} changes - Changed fields ({ name, icon, query })
+     * @returns {Object|null} Updated smart folder, or null if it doesn't exist
+     */
+    updateSmartFolder(folderId, { name, icon, query } = {}) {
+        const folder = this.smartFolders.get(folderId);
+        if (!folder) return null;
+        
+        const updated = {
+            ...folder,
+            name: name !== undefined ? name.trim() : folder.name,
+            icon: icon !== undefined ? icon : folder.icon,
+            query: query !== undefined ? query.trim() : folder.query
+        };
+        
+        this.smartFolders.set(folderId, updated);
+        this.saveSmartFolders();
+        return updated;
+    }
+    
+    /**
+     * Delete a smart folder (its prompts are left untouched)
+     * @param {string} folderId - Smart folder ID
+     * @returns {boolean} True if deleted
+     */
+    deleteSmartFolder(folderId) {
+        const deleted = this.smartFolders.delete(folderId);
+        if (deleted) {
+            this.saveSmartFolders();
+        }
+        return deleted;
+    }
+    
+    /**
+     * Get the schema of a prompt type
+     * @param {string} typeId - Type ID
+     * @returns {Object} Type schema, or a plain one for types the collection doesn't define
+     */
+    getPromptType(typeId) {
+        return this.promptTypes.get(typeId) || PromptType.getFallback(typeId || Prompt.TYPES.OTHER);
+    }
+    
+    /**
+     * Count the prompts of a type, trash included
+     * @param {string} typeId - Type ID
+     * @returns {number} Number of prompts
+     */
+    countPromptsOfType(typeId) {
+        return [...this.prompts.values(), ...this.getTrashedPrompts()].filter(prompt => prompt.type === typeId).length;
+    }
+    
+    /**
+     * Define a new prompt type
+     * @param {Object} data - Type schema; the ID is made from the name when missing
+     * @returns {Object|null} Created type, or null if no ID can be made
+     */
+    createPromptType(data) {
+        const baseId = data.id || PromptType.createName(data.name);
+        let id = baseId;
+        let counter = 2;
+        while (this.promptTypes.has(id)) {
+            id = `${baseId}_${counter}`;
+            counter++;
+        }
+        
+        const type = PromptType.normalize({ ...data, id, builtin: false });
+        if (!type) return null;
+        
+        this.promptTypes.set(type.id, type);
+        this.savePromptTypes();
+        return type;
+    }
+    
+    /**
+     * Change a prompt type; its ID stays the same
+     * Values prompts hold for fields no longer in the type are kept
+     * @param {string} typeId - Type ID
+     * @param {Object} changes - Changed schema parts ({ name, icon, modelKind, layout, fields })
+     * @returns {Object|null} Updated type, or null if it doesn't exist
+     */
+    updatePromptType(typeId, changes) {
+        const type = this.promptTypes.get(typeId);
+        if (!type) return null;
+        
+        const updated = PromptType.normalize({ ...type, ...changes, id: type.id, builtin: type.builtin });
+        this.promptTypes.set(typeId, updated);
+        this.savePromptTypes();
+        return updated;
+    }
+    
+    /**
+     * Delete a prompt type
+     * Built-in types and types still used by prompts can't be deleted
+     * @param {string} typeId - Type ID
+     * @returns {boolean} True if deleted
+     */
+    deletePromptType(typeId) {
+        const type = this.promptTypes.get(typeId);
+        if (!type || type.builtin || this.countPromptsOfType(typeId) > 0) return false;
+        
+        this.promptTypes.delete(typeId);
+        this.savePromptTypes();
+        return true;
+    }
+    
+    /**
+     * Get a custom metadata field
+     * @param {string} name - Field name
+     * @returns {Object|null} Field definition
+     */
+    getMetadataField(name) {
+        return this.metadataFields.find(field => field.name === name) || null;
+    }
+    
+    /**
+     * Replace the custom metadata fields of the collection
+     * Values prompts hold for fields no longer defined are kept
+     * @param {Array} fields - Field definitions
+     * @returns {Array} Saved fields
+     */
+    setMetadataFields(fields) {
+        this.metadataFields = PromptType.normalizeFields(fields);
+        this.saveMetadataFields();
+        return this.metadataFields;
+    }
+    
+    /**
+     * Get prompts currently matching a smart folder
+     * @param {string} folderId - Smart folder ID
+     * @returns {Array} Matching prompts, best first
+     */
+    getSmartFolderPrompts(folderId) {
+        const folder = this.smartFolders.get(folderId);
+        if (!folder || !folder.query) return [];
+        
+        return this.searchPrompts(folder.query).map(result => result.prompt);
+    }
+    
+    /**
+     * Handle storage errors (quota exceeded, etc.)
+     * @param {Error} error - Storage error
      */
     handleStorageError(error) {
         if (error.name === 'QuotaExceededError') {
@@ -228,6 +2339,62 @@ class StorageManager {
         }
     }
     
+    /**
+     * Capture prompts, categories, favorites, smart folders, prompt types and the trash
+     * @returns {Object} Collection data, as stored in backups
+     */
+    captureState() {
+        return {
+            prompts: Array.from(this.prompts.values()).map(p => p.toObject()),
+            categories: Object.fromEntries(this.categories),
+            favorites: Array.from(this.favorites),
+            smartFolders: Array.from(this.smartFolders.values()),
+            promptTypes: Array.from(this.promptTypes.values()),
+            metadataFields: this.metadataFields,
+            trash: Array.from(this.trash.values())
+        };
+    }
+    
+    /**
+     * Put back collection data captured by captureState()
+     * @param {Object} data - Collection data
+     */
+    restoreState(data) {
+        this.prompts.clear();
+        if (data.prompts) {
+            data.prompts.forEach(promptData => {
+                const prompt = new Prompt(promptData);
+                this.prompts.set(prompt.id, prompt);
+            });
+        }
+        
+        if (data.categories) {
+            this.categories = new Map(Object.entries(data.categories));
+        }
+        
+        if (data.favorites) {
+            this.favorites = new Set(data.favorites);
+        }
+        
+        if (data.smartFolders) {
+            this.loadSmartFolders(data.smartFolders);
+        }
+        
+        if (data.promptTypes) {
+            this.loadPromptTypes(data.promptTypes);
+        }
+        
+        if (data.metadataFields) {
+            this.loadMetadataFields(data.metadataFields);
+        }
+        
+        if (data.trash) {
+            this.loadTrash(data.trash);
+        }
+        
+        this.saveAll();
+    }
+    
     /**
      * Create backup of all data
      */
@@ -237,23 +2404,15 @@ class StorageManager {
                 timestamp: new Date().toISOString(),
                 version: '1.0',
                 data: {
-                    prompts: Array.from(this.prompts.values()).map(p => p.toObject()),
-                    categories: Object.fromEntries(this.categories),
-                    favorites: Array.from(this.favorites),
+                    ...this.captureState(),
                     settings: this.settings
                 }
             };
             
-            // Get existing backups
-            const backups = this.getFromStorage(StorageManager.STORAGE_KEYS.BACKUP) || [];
-            
-            // Add new backup
-            backups.unshift(backup);
+            // Add new backup, keeping only recent ones
+            this.backups = [backup, ...this.backups].slice(0, this.getBackupLimit());
             
-            // Keep only recent backups
-            const trimmedBackups = backups.slice(0, StorageManager.MAX_BACKUPS);
-            
-            this.saveToStorage(StorageManager.STORAGE_KEYS.BACKUP, trimmedBackups);
+            this.saveBackups();
         } catch (error) {
             console.error('Failed to create backup:', error);
         }
@@ -266,38 +2425,20 @@ class StorageManager {
      */
     restoreFromBackup(backupIndex = 0) {
         try {
-            const backups = this.getFromStorage(StorageManager.STORAGE_KEYS.BACKUP) || [];
-            
-            if (backupIndex >= backups.length) {
+            if (backupIndex >= this.backups.length) {
                 throw new Error('Backup not found');
             }
             
-            const backup = backups[backupIndex];
+            const backup = this.backups[backupIndex];
             const { data } = backup;
             
-            // Restore data
-            this.prompts.clear();
-            if (data.prompts) {
-                data.prompts.forEach(promptData => {
-                    const prompt = new Prompt(promptData);
-                    this.prompts.set(prompt.id, prompt);
-                });
-            }
-            
-            if (data.categories) {
-                this.categories = new Map(Object.entries(data.categories));
-            }
-            
-            if (data.favorites) {
-                this.favorites = new Set(data.favorites);
-            }
-            
             if (data.settings) {
                 this.settings = { ...this.getDefaultSettings(), ...data.settings };
             }
             
-            // Save restored data
-            this.saveAll();
+            // Restore and save data
+            this.restoreState(data);
+            this.applySettings();
             
             return true;
         } catch (error) {
@@ -311,32 +2452,237 @@ class StorageManager {
      * @returns {Array} List of backup metadata
      */
     getBackups() {
-        const backups = this.getFromStorage(StorageManager.STORAGE_KEYS.BACKUP) || [];
-        return backups.map((backup, index) => ({
+        return this.backups.map((backup, index) => ({
             index,
             timestamp: backup.timestamp,
             version: backup.version,
-            size: JSON.stringify(backup).length
+            size: JSON.stringify(backup).length,
+            prompts: (backup.data.prompts || []).length,
+            categories: Object.keys(backup.data.categories || {}).length,
+            trash: (backup.data.trash || []).length
+        }));
+    }
+    
+    /**
+     * Get how many backups are kept
+     * @returns {number} Backup retention from the settings
+     */
+    getBackupLimit() {
+        const limit = Number(this.settings.backupRetention);
+        return Number.isInteger(limit) && limit > 0 ? limit : this.getDefaultSettings().backupRetention;
+    }
+    
+    /**
+     * Get the time between automatic backups
+     * @returns {number} Interval in milliseconds
+     */
+    getBackupInterval() {
+        const minutes = Number(this.settings.backupInterval);
+        return (minutes > 0 ? minutes : this.getDefaultSettings().backupInterval) * StorageManager.MINUTE;
+    }
+    
+    /**
+     * Find a backup by its timestamp
+     * Backups are told apart by timestamp, since their index shifts with every new backup
+     * @param {string} timestamp - Backup timestamp
+     * @returns {number} Backup index, -1 if not found
+     */
+    findBackup(timestamp) {
+        return this.backups.findIndex(backup => backup.timestamp === timestamp);
+    }
+    
+    /**
+     * Compare a backup with the current collection
+     * Statuses describe the collection since the backup: 'removed' prompts and folders are
+     * only in the backup, 'added' ones only in the collection, 'changed' prompts differ
+     * @param {number} backupIndex - Backup index
+     * @returns {Object|null} Changes ({ prompts, categories }), or null if the backup doesn't exist
+     */
+    compareBackup(backupIndex) {
+        const backup = this.backups[backupIndex];
+        if (!backup) return null;
+        
+        const backupPrompts = new Map((backup.data.prompts || []).map(data => {
+            const prompt = new Prompt(data);
+            return [prompt.id, prompt];
         }));
+        const backupCategories = backup.data.categories || {};
+        const prompts = [];
+        const categories = [];
+        
+        backupPrompts.forEach((prompt, id) => {
+            const current = this.prompts.get(id);
+            if (!current) {
+                prompts.push({ id, status: 'removed', backup: prompt, current: null });
+            } else if (current.differsFrom(prompt.getSnapshot())) {
+                prompts.push({ id, status: 'changed', backup: prompt, current });
+            }
+        });
+        
+        this.prompts.forEach((current, id) => {
+            if (!backupPrompts.has(id)) {
+                prompts.push({ id, status: 'added', backup: null, current });
+            }
+        });
+        
+        Object.entries(backupCategories).forEach(([path, info]) => {
+            if (path !== 'favorites' && !this.categories.has(path)) {
+                categories.push({ path, status: 'removed', name: info.name || path });
+            }
+        });
+        
+        this.categories.forEach((info, path) => {
+            if (path !== 'favorites' && !backupCategories[path]) {
+                categories.push({ path, status: 'added', name: info.name || path });
+            }
+        });
+        
+        const byPath = (a, b) => a.path.localeCompare(b.path);
+        const byTitle = (a, b) => (a.backup || a.current).title.localeCompare((b.backup || b.current).title);
+        
+        return {
+            prompts: prompts.sort(byTitle),
+            categories: categories.sort(byPath)
+        };
+    }
+    
+    /**
+     * Put prompts back as they were in a backup
+     * Their folders are recreated if needed and they leave the trash if they were in it
+     * @param {number} backupIndex - Backup index
+     * @param {Array} promptIds - Prompt IDs
+     * @returns {number} Number of prompts restored
+     */
+    restorePromptsFromBackup(backupIndex, promptIds) {
+        const backup = this.backups[backupIndex];
+        if (!backup) return 0;
+        
+        const ids = new Set(promptIds);
+        const restored = (backup.data.prompts || []).filter(data => ids.has(data.id));
+        const backupFavorites = new Set(backup.data.favorites || []);
+        
+        restored.forEach(data => {
+            const prompt = new Prompt(data);
+            this.restoreBackupCategory(backup, prompt.category);
+            this.prompts.set(prompt.id, prompt);
+            
+            if (backupFavorites.has(prompt.id)) {
+                this.favorites.add(prompt.id);
+            } else {
+                this.favorites.delete(prompt.id);
+            }
+        });
+        
+        if (restored.length > 0) {
+            this.removeFromTrash(restored.map(data => data.id));
+            this.saveAll();
+        }
+        return restored.length;
+    }
+    
+    /**
+     * Put a folder back as it was in a backup, with its subfolders and their prompts
+     * @param {number} backupIndex - Backup index
+     * @param {string} categoryPath - Category path
+     * @returns {number} Number of prompts restored, -1 if the folder isn't in the backup
+     */
+    restoreCategoryFromBackup(backupIndex, categoryPath) {
+        const backup = this.backups[backupIndex];
+        const categories = backup ? backup.data.categories || {} : {};
+        if (!categories[categoryPath]) return -1;
+        
+        Object.keys(categories)
+            .filter(path => StorageManager.isInCategory(path, categoryPath))
+            .forEach(path => this.restoreBackupCategory(backup, path));
+        
+        const promptIds = (backup.data.prompts || [])
+            .filter(data => data.category && StorageManager.isInCategory(data.category, categoryPath))
+            .map(data => data.id);
+        
+        const count = this.restorePromptsFromBackup(backupIndex, promptIds);
+        this.saveCategories();
+        return count;
+    }
+    
+    /**
+     * Recreate a category from a backup, with its missing ancestors
+     * Categories that still exist are left as they are
+     * @param {Object} backup - Backup
+     * @param {string} path - Category path
+     */
+    restoreBackupCategory(backup, path) {
+        const categories = backup.data.categories || {};
+        
+        for (let current = path; current && !this.categories.has(current); current = StorageManager.getParentPath(current)) {
+            const name = current.split('/').pop();
+            this.categories.set(current, categories[current] ? { ...categories[current] } : { name, icon: 'folder', color: CollectionFiles.DEFAULT_CATEGORY_COLOR });
+        }
+    }
+    
+    /**
+     * Take prompts out of the trash entries holding them
+     * Prompt entries left empty are dropped; folder entries keep their folders
+     * @param {Array} promptIds - Prompt IDs
+     */
+    removeFromTrash(promptIds) {
+        const ids = new Set(promptIds);
+        let changed = false;
+        
+        this.trash.forEach((entry, entryId) => {
+            if (!entry.prompts.some(prompt => ids.has(prompt.id))) return;
+            
+            changed = true;
+            const prompts = entry.prompts.filter(prompt => !ids.has(prompt.id));
+            if (prompts.length === 0 && entry.type === 'prompt') {
+                this.trash.delete(entryId);
+            } else {
+                this.trash.set(entryId, { ...entry, prompts, favorites: entry.favorites.filter(id => !ids.has(id)) });
+            }
+        });
+        
+        if (changed) {
+            this.saveTrash();
+        }
+    }
+    
+    /**
+     * Export a backup as a collection file that can be imported
+     * @param {number} backupIndex - Backup index
+     * @returns {string|null} JSON data, or null if the backup doesn't exist
+     */
+    exportBackup(backupIndex) {
+        const backup = this.backups[backupIndex];
+        if (!backup) return null;
+        
+        return JSON.stringify({
+            metadata: {
+                exportDate: backup.timestamp,
+                version: backup.version,
+                format: 'json',
+                backup: true
+            },
+            ...backup.data
+        }, null, 2);
     }
     
     /**
      * Clean up old backups
      */
     cleanupOldBackups() {
-        const backups = this.getFromStorage(StorageManager.STORAGE_KEYS.BACKUP) || [];
-        const trimmedBackups = backups.slice(0, Math.floor(StorageManager.MAX_BACKUPS / 2));
-        this.saveToStorage(StorageManager.STORAGE_KEYS.BACKUP, trimmedBackups);
+        this.backups = this.backups.slice(0, Math.max(1, Math.floor(this.getBackupLimit() / 2)));
+        this.saveBackups();
     }
     
     /**
      * Start automatic backup
      */
     startAutoBackup() {
+        this.stopAutoBackup();
+        
         if (this.settings.backupEnabled) {
             this.backupTimer = setInterval(() => {
                 this.createBackup();
-            }, StorageManager.BACKUP_INTERVAL);
+            }, this.getBackupInterval());
         }
     }
     
@@ -352,15 +2698,19 @@ class StorageManager {
     
     /**
      * Handle storage changes from other tabs
-     * @param {StorageEvent} event - Storage event
+     * @param {Object} detail - Change notification from the adapter
+     * @returns {Promise<void>}
      */
-    handleStorageChange(event) {
-        // Reload data when changed in another tab
-        this.loadData();
+    async handleStorageChange(detail) {
+        // Reload data when changed in another tab; undo would overwrite those changes
+        await this.pendingWrite;
+        await this.loadData();
+        this.undoManager.clear();
+        this.applySettings();
         
         // Dispatch custom event
         window.dispatchEvent(new CustomEvent('storagechange', {
-            detail: { key: event.key, newValue: event.newValue }
+            detail
         }));
     }
     
@@ -383,6 +2733,10 @@ class StorageManager {
             this.prompts.clear();
             this.initializeDefaultCategories();
             this.favorites.clear();
+            this.smartFolders.clear();
+            this.loadPromptTypes([]);
+            this.metadataFields = [];
+            this.trash.clear();
             this.settings = this.getDefaultSettings();
             
             if (window.DOMUtils) {
@@ -395,13 +2749,16 @@ class StorageManager {
     }
     
     /**
-     * Save all data
+     * Save all data in a single transaction
+     * @returns {Promise<void>} Resolves when written
      */
     saveAll() {
-        this.savePrompts();
-        this.saveCategories();
-        this.saveFavorites();
-        this.saveSettings();
+        return this.persist({
+            prompts: this.collectPromptChanges(),
+            categories: this.collectCategoryChanges(),
+            history: this.collectHistoryChanges(),
+            meta: this.collectMetaChanges()
+        });
     }
     
     /**
@@ -411,20 +2768,32 @@ class StorageManager {
         this.prompts.clear();
         this.categories.clear();
         this.favorites.clear();
+        this.smartFolders.clear();
+        this.loadPromptTypes([]);
+        this.metadataFields = [];
+        this.trash.clear();
+        this.history.clear();
+        this.backups = [];
         this.settings = this.getDefaultSettings();
+        this.searchIndex.clear();
+        this.undoManager.clear();
+        this.applySettings();
         
         // Clear storage
-        Object.values(StorageManager.STORAGE_KEYS).forEach(key => {
-            localStorage.removeItem(key);
-        });
+        this.resetPersistedState();
+        this.pendingWrite = this.pendingWrite
+            .then(() => this.adapter.clear())
+            .catch(error => console.error('Failed to clear storage:', error));
     }
     
     /**
      * Export all data
      * @param {string} format - Export format ('json', 'yaml')
+     * @param {Object} options - Options ({ includeTrash }); the trash is left out unless asked for
      * @returns {string} Exported data
      */
-    exportData(format = 'json') {
+    exportData(format = 'json', { includeTrash = false } = {}) {
+        const promptIds = this.getKnownPromptIds(includeTrash);
         const data = {
             metadata: {
                 exportDate: new Date().toISOString(),
@@ -434,9 +2803,19 @@ class StorageManager {
             prompts: Array.from(this.prompts.values()).map(p => p.toObject()),
             categories: Object.fromEntries(this.categories),
             favorites: Array.from(this.favorites),
-            settings: this.settings
+            smartFolders: Array.from(this.smartFolders.values()),
+            promptTypes: Array.from(this.promptTypes.values()),
+            metadataFields: this.metadataFields,
+            settings: this.settings,
+            history: Object.fromEntries(
+                Array.from(this.history).filter(([promptId]) => promptIds.has(promptId))
+            )
         };
         
+        if (includeTrash) {
+            data.trash = Array.from(this.trash.values());
+        }
+        
         if (format === 'yaml') {
             return jsyaml.dump(data, { indent: 2 });
         } else {
@@ -444,6 +2823,17 @@ class StorageManager {
         }
     }
     
+    /**
+     * Get IDs of the prompts in the collection
+     * @param {boolean} includeTrash - Whether prompts in the trash are included
+     * @returns {Set} Prompt IDs
+     */
+    getKnownPromptIds(includeTrash = false) {
+        const ids = includeTrash ? this.getTrashedPromptIds() : new Set();
+        this.prompts.forEach((prompt, id) => ids.add(id));
+        return ids;
+    }
+    
     /**
      * Import data
      * @param {string} data - Data to import
@@ -453,72 +2843,477 @@ class StorageManager {
      */
     importData(data, format = 'auto', merge = false) {
         try {
-            let parsedData;
-            
-            if (format === 'auto') {
-                try {
-                    parsedData = JSON.parse(data);
-                } catch {
-                    parsedData = jsyaml.load(data);
-                }
-            } else if (format === 'json') {
-                parsedData = JSON.parse(data);
-            } else if (format === 'yaml') {
-                parsedData = jsyaml.load(data);
+            return this.importParsed(this.parseImportData(data, format), merge);
+        } catch (error) {
+            throw new Error(`Failed to import data: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Parse exported data
+     * @param {string} data - Data to parse
+     * @param {string} format - Data format ('json', 'yaml', 'auto')
+     * @returns {Object} Parsed data
+     */
+    parseImportData(data, format = 'auto') {
+        if (format === 'auto') {
+            try {
+                return JSON.parse(data);
+            } catch {
+                return jsyaml.load(data);
+            }
+        } else if (format === 'json') {
+            return JSON.parse(data);
+        } else if (format === 'yaml') {
+            return jsyaml.load(data);
+        }
+        
+        throw new Error(`Unsupported import format: ${format}`);
+    }
+    
+    /**
+     * Compare parsed data with the collection before importing
+     * Every prompt, category and the settings are classified as new, identical or conflicting
+     * @param {Object} parsedData - Parsed data
+     * @returns {Object} Analysis ({ prompts, categories, settings, favorites, smartFolders, promptTypes, metadataFields, trash, history, backups, errors })
+     */
+    analyzeImport(parsedData) {
+        const analysis = {
+            prompts: [],
+            categories: [],
+            settings: null,
+            favorites: (Array.isArray(parsedData.favorites) ? parsedData.favorites : []).filter(id => typeof id === 'string'),
+            smartFolders: (Array.isArray(parsedData.smartFolders) ? parsedData.smartFolders : []).filter(StorageManager.isSmartFolder),
+            promptTypes: (Array.isArray(parsedData.promptTypes) ? parsedData.promptTypes : []).map(type => PromptType.normalize(type)).filter(Boolean),
+            metadataFields: PromptType.normalizeFields(parsedData.metadataFields),
+            trash: (Array.isArray(parsedData.trash) ? parsedData.trash : []).filter(StorageManager.isTrashEntry),
+            history: parsedData.history && typeof parsedData.history === 'object' ? parsedData.history : {},
+            backups: Array.isArray(parsedData.backups) ? parsedData.backups : [],
+            errors: [...(parsedData.errors || [])]
+        };
+        
+        const getStatus = (existing, isIdentical) => {
+            if (!existing) return StorageManager.IMPORT_STATUS.NEW;
+            return isIdentical ? StorageManager.IMPORT_STATUS.IDENTICAL : StorageManager.IMPORT_STATUS.CONFLICT;
+        };
+        
+        (Array.isArray(parsedData.prompts) ? parsedData.prompts : []).forEach(promptData => {
+            try {
+                const incoming = new Prompt(promptData);
+                incoming.model = this.resolveModels(incoming.model);
+                const existing = this.prompts.get(incoming.id) || null;
+                
+                analysis.prompts.push({
+                    key: `prompt:${incoming.id}`,
+                    status: getStatus(existing, existing && !existing.differsFrom(incoming.getSnapshot())),
+                    incoming,
+                    existing
+                });
+            } catch (error) {
+                analysis.errors.push(`Failed to import prompt: ${error.message}`);
             }
+        });
+        
+        Object.entries(parsedData.categories || {}).forEach(([path, incoming]) => {
+            const existing = this.categories.get(path) || null;
+            
+            analysis.categories.push({
+                key: `category:${path}`,
+                path,
+                status: getStatus(existing, JSON.stringify(existing) === JSON.stringify(incoming)),
+                incoming,
+                existing
+            });
+        });
+        
+        if (parsedData.settings && typeof parsedData.settings === 'object') {
+            // Categories of the file count, since the import can add them
+            const incoming = {
+                ...this.settings,
+                ...this.getValidSettings(parsedData.settings, [
+                    ...this.categories.keys(),
+                    ...Object.keys(parsedData.categories || {})
+                ])
+            };
             
-            const result = {
-                imported: 0,
-                skipped: 0,
-                errors: []
+            analysis.settings = {
+                key: 'settings',
+                status: getStatus(this.settings, JSON.stringify(incoming) === JSON.stringify(this.settings)),
+                incoming,
+                existing: this.settings
             };
+        }
+        
+        return analysis;
+    }
+    
+    /**
+     * Commit an analyzed import
+     * Resolutions map item keys to 'mine' (keep the collection as is), 'theirs' (take the
+     * imported item) or 'both' (prompts only: add the imported one as a copy). New items
+     * default to 'theirs', conflicts to 'mine'. Favorites, smart folders, prompt types, metadata fields, trash, history and backups are merged.
+     * @param {Object} analysis - Result of analyzeImport()
+     * @param {Object} resolutions - Resolutions keyed by item key
+     * @returns {Object} Import summary
+     */
+    commitImport(analysis, resolutions = {}) {
+        const { NEW, CONFLICT } = StorageManager.IMPORT_STATUS;
+        const { MINE, THEIRS, BOTH } = StorageManager.IMPORT_RESOLUTIONS;
+        
+        const summary = {
+            added: 0,
+            replaced: 0,
+            duplicated: 0,
+            kept: 0,
+            identical: 0,
+            categoriesAdded: 0,
+            categoriesReplaced: 0,
+            settingsReplaced: false,
+            favorites: 0,
+            smartFolders: 0,
+            promptTypes: 0,
+            metadataFields: 0,
+            trash: 0,
+            revisions: 0,
+            backups: 0,
+            errors: [...analysis.errors]
+        };
+        
+        const resolve = (item) => resolutions[item.key] || (item.status === NEW ? THEIRS : MINE);
+        
+        // Prompts whose imported revisions apply
+        const historyTargets = new Set();
+        
+        analysis.prompts.forEach(item => {
+            const resolution = resolve(item);
             
-            if (!merge) {
-                this.clearAll();
+            if (item.status !== NEW && item.status !== CONFLICT) {
+                summary.identical++;
+                historyTargets.add(item.incoming.id);
+            } else if (resolution === MINE) {
+                summary.kept++;
+            } else if (item.status === NEW) {
+                this.prompts.set(item.incoming.id, item.incoming);
+                historyTargets.add(item.incoming.id);
+                summary.added++;
+            } else if (resolution === THEIRS) {
+                if (this.getRevisions(item.existing.id).length === 0) {
+                    this.recordRevision(item.existing);
+                }
+                item.existing.update(item.incoming.getSnapshot());
+                historyTargets.add(item.incoming.id);
+                this.recordRevision(item.existing, 'Sostituito da importazione');
+                summary.replaced++;
+            } else if (resolution === BOTH) {
+                const copy = new Prompt({
+                    ...item.incoming.toObject(),
+                    id: undefined,
+                    title: `${item.incoming.title} (importato)`
+                });
+                this.prompts.set(copy.id, copy);
+                this.recordRevision(copy, 'Importato come copia');
+                summary.duplicated++;
+            }
+        });
+        
+        analysis.categories.forEach(item => {
+            if (item.status === NEW && resolve(item) !== MINE) {
+                this.categories.set(item.path, item.incoming);
+                summary.categoriesAdded++;
+            } else if (item.status === CONFLICT && resolve(item) === THEIRS) {
+                this.categories.set(item.path, item.incoming);
+                summary.categoriesReplaced++;
+            }
+        });
+        
+        if (analysis.settings && analysis.settings.status === CONFLICT && resolve(analysis.settings) === THEIRS) {
+            this.settings = analysis.settings.incoming;
+            summary.settingsReplaced = true;
+        }
+        
+        // Favorites only for prompts that exist after the import
+        analysis.favorites.forEach(id => {
+            if (this.prompts.has(id) && !this.favorites.has(id)) {
+                this.favorites.add(id);
+                summary.favorites++;
             }
+        });
+        
+        // Smart folders not in the collection yet
+        analysis.smartFolders.forEach(folder => {
+            if (!this.smartFolders.has(folder.id)) {
+                this.smartFolders.set(folder.id, folder);
+                summary.smartFolders++;
+            }
+        });
+        
+        // Prompt types not in the collection yet
+        analysis.promptTypes.forEach(type => {
+            if (!this.promptTypes.has(type.id)) {
+                this.promptTypes.set(type.id, { ...type, builtin: false });
+                summary.promptTypes++;
+            }
+        });
+        
+        // Metadata fields not in the collection yet, up to the limit
+        analysis.metadataFields.forEach(field => {
+            if (!this.getMetadataField(field.name) && this.metadataFields.length < PromptType.MAX_FIELDS) {
+                this.metadataFields.push(field);
+                summary.metadataFields++;
+            }
+        });
+        
+        // Trash entries not in the collection yet, unless their prompts are back in it
+        analysis.trash.forEach(entry => {
+            if (!this.trash.has(entry.id) && !entry.prompts.some(prompt => this.prompts.has(prompt.id))) {
+                this.trash.set(entry.id, entry);
+                entry.prompts.forEach(prompt => historyTargets.add(prompt.id));
+                summary.trash++;
+            }
+        });
+        
+        // Version history, merging revisions by ID
+        Object.entries(analysis.history).forEach(([promptId, revisions]) => {
+            if (!historyTargets.has(promptId) || !Array.isArray(revisions)) return;
             
-            // Import prompts
-            if (parsedData.prompts && Array.isArray(parsedData.prompts)) {
-                parsedData.prompts.forEach(promptData => {
-                    try {
-                        const prompt = new Prompt(promptData);
-                        if (!merge || !this.prompts.has(prompt.id)) {
-                            this.prompts.set(prompt.id, prompt);
-                            result.imported++;
-                        } else {
-                            result.skipped++;
-                        }
-                    } catch (error) {
-                        result.errors.push(`Failed to import prompt: ${error.message}`);
+            const existing = this.history.get(promptId) || [];
+            const knownIds = new Set(existing.map(revision => revision.id));
+            const added = revisions
+                .filter(revision => revision && revision.id && revision.data && !knownIds.has(revision.id))
+                .map(revision => Object.freeze(revision));
+            
+            const merged = existing.concat(added);
+            merged.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            this.history.set(promptId, merged.slice(-StorageManager.MAX_REVISIONS));
+            summary.revisions += added.length;
+        });
+        
+        // Backups, merging by timestamp and keeping the most recent
+        const knownBackups = new Set(this.backups.map(backup => backup.timestamp));
+        const addedBackups = analysis.backups
+            .filter(backup => backup && backup.timestamp && backup.data && !knownBackups.has(backup.timestamp));
+        
+        if (addedBackups.length > 0) {
+            this.backups = this.backups.concat(addedBackups)
+                .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+                .slice(0, this.getBackupLimit());
+            summary.backups = addedBackups.length;
+        }
+        
+        this.saveAll();
+        if (summary.settingsReplaced) {
+            this.applySettings();
+        }
+        return summary;
+    }
+    
+    /**
+     * Import parsed data
+     * @param {Object} parsedData - Parsed data (as produced by exportData or CollectionArchive)
+     * @param {boolean} merge - Whether to merge with existing data
+     * @returns {Object} Import result
+     */
+    importParsed(parsedData, merge = false) {
+        const result = {
+            imported: 0,
+            skipped: 0,
+            errors: [...(parsedData.errors || [])]
+        };
+        
+        if (!merge) {
+            this.clearAll();
+        }
+        
+        // Import prompts
+        if (parsedData.prompts && Array.isArray(parsedData.prompts)) {
+            parsedData.prompts.forEach(promptData => {
+                try {
+                    const prompt = new Prompt(promptData);
+                    prompt.model = this.resolveModels(prompt.model);
+                    if (!merge || !this.prompts.has(prompt.id)) {
+                        this.prompts.set(prompt.id, prompt);
+                        result.imported++;
+                    } else {
+                        result.skipped++;
                     }
-                });
+                } catch (error) {
+                    result.errors.push(`Failed to import prompt: ${error.message}`);
+                }
+            });
+        }
+        
+        // Import categories
+        if (parsedData.categories) {
+            Object.entries(parsedData.categories).forEach(([key, value]) => {
+                this.categories.set(key, value);
+            });
+        }
+        
+        // Import favorites
+        if (parsedData.favorites && Array.isArray(parsedData.favorites)) {
+            parsedData.favorites.forEach(id => {
+                this.favorites.add(id);
+            });
+        }
+        
+        // Import smart folders
+        if (Array.isArray(parsedData.smartFolders)) {
+            parsedData.smartFolders.filter(StorageManager.isSmartFolder).forEach(folder => {
+                this.smartFolders.set(folder.id, folder);
+            });
+        }
+        
+        // Import prompt types; when merging, types already in the collection win
+        if (Array.isArray(parsedData.promptTypes)) {
+            this.loadPromptTypes(merge
+                ? [...parsedData.promptTypes, ...this.promptTypes.values()]
+                : parsedData.promptTypes);
+        }
+        
+        // Import metadata fields; when merging, fields already in the collection win
+        if (Array.isArray(parsedData.metadataFields)) {
+            this.loadMetadataFields(merge
+                ? [...this.metadataFields, ...parsedData.metadataFields]
+                : parsedData.metadataFields);
+        }
+        
+        // Import trash entries whose prompts aren't in the collection
+        if (Array.isArray(parsedData.trash)) {
+            parsedData.trash.filter(StorageManager.isTrashEntry).forEach(entry => {
+                if (!entry.prompts.some(prompt => this.prompts.has(prompt.id))) {
+                    this.trash.set(entry.id, entry);
+                }
+            });
+        }
+        
+        // Import settings the settings form would accept
+        if (parsedData.settings) {
+            this.settings = { ...this.settings, ...this.getValidSettings(parsedData.settings) };
+        }
+        
+        // Import version history, merging revisions by ID
+        if (parsedData.history && typeof parsedData.history === 'object') {
+            const promptIds = this.getKnownPromptIds(true);
+            Object.entries(parsedData.history).forEach(([promptId, revisions]) => {
+                if (!promptIds.has(promptId) || !Array.isArray(revisions)) return;
+                
+                const existing = this.history.get(promptId) || [];
+                const knownIds = new Set(existing.map(revision => revision.id));
+                const merged = existing.concat(
+                    revisions
+                        .filter(revision => revision && revision.id && revision.data && !knownIds.has(revision.id))
+                        .map(revision => Object.freeze(revision))
+                );
+                
+                merged.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+                this.history.set(promptId, merged.slice(-StorageManager.MAX_REVISIONS));
+            });
+        }
+        
+        // Import backups, merging by timestamp and keeping the most recent
+        if (Array.isArray(parsedData.backups)) {
+            const knownBackups = new Set(this.backups.map(backup => backup.timestamp));
+            const merged = this.backups.concat(
+                parsedData.backups.filter(backup => backup && backup.timestamp && backup.data && !knownBackups.has(backup.timestamp))
+            );
+            
+            merged.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+            this.backups = merged.slice(0, this.getBackupLimit());
+        }
+        
+        this.saveAll();
+        if (parsedData.settings) {
+            this.applySettings();
+        }
+        return result;
+    }
+    
+    /**
+     * Export prompts as `.prompt.yaml` files laid out by category
+     * @param {Array|null} promptIds - Prompts to export, all if null
+     * @returns {Array} Files ({ path, content })
+     */
+    exportPromptFiles(promptIds = null) {
+        const prompts = promptIds
+            ? promptIds.map(id => this.prompts.get(id)).filter(Boolean)
+            : Array.from(this.prompts.values());
+        return CollectionFiles.toFiles(prompts);
+    }
+    
+    /**
+     * Import `.prompt.yaml` files laid out by category
+     * Files at the path an existing prompt would be exported to, or naming its ID, update
+     * that prompt and its usage count, so a collection can round-trip through a folder or
+     * a git repository
+     * @param {Array} files - Files ({ path, content })
+     * @returns {Object} Import result ({ created, updated, unchanged, errors })
+     */
+    importPromptFiles(files) {
+        const { prompts, categories, errors } = CollectionFiles.parseFiles(files);
+        const existingByPath = CollectionFiles.mapPaths(Array.from(this.prompts.values()));
+        
+        const result = {
+            created: 0,
+            updated: 0,
+            unchanged: 0,
+            errors: errors.map(({ path, message }) => `${path}: ${message}`)
+        };
+        
+        categories.forEach(path => {
+            if (!this.categories.has(path)) {
+                this.categories.set(path, CollectionFiles.createCategory(path));
             }
+        });
+        
+        // IDs of the prompts already written by an earlier file
+        const matched = new Set();
+        
+        prompts.forEach(({ path, prompt }) => {
+            let existing = existingByPath.get(path) || this.prompts.get(prompt.id);
+            prompt.model = this.resolveModels(prompt.model);
             
-            // Import categories
-            if (parsedData.categories) {
-                Object.entries(parsedData.categories).forEach(([key, value]) => {
-                    this.categories.set(key, value);
-                });
+            // Only one file can update a prompt; the others become new prompts
+            if (existing && matched.has(existing.id)) {
+                existing = null;
             }
             
-            // Import favorites
-            if (parsedData.favorites && Array.isArray(parsedData.favorites)) {
-                parsedData.favorites.forEach(id => {
-                    this.favorites.add(id);
-                });
+            if (!existing) {
+                if (this.prompts.has(prompt.id)) {
+                    prompt.id = prompt.generateId();
+                }
+                matched.add(prompt.id);
+                this.prompts.set(prompt.id, prompt);
+                this.recordRevision(prompt, 'Importato da file');
+                result.created++;
+                return;
             }
             
-            // Import settings
-            if (parsedData.settings) {
-                this.settings = { ...this.settings, ...parsedData.settings };
+            matched.add(existing.id);
+            const contentChanged = existing.differsFrom(prompt.getSnapshot());
+            const usageChanged = existing.usageCount !== prompt.usageCount;
+            
+            if (contentChanged) {
+                if (this.getRevisions(existing.id).length === 0) {
+                    this.recordRevision(existing);
+                }
+                existing.update(prompt.getSnapshot());
+                this.recordRevision(existing, 'Importato da file');
             }
             
-            this.saveAll();
-            return result;
+            // The usage count isn't part of the revisions, but the file still sets it
+            if (usageChanged) {
+                existing.usageCount = prompt.usageCount;
+            }
             
-        } catch (error) {
-            throw new Error(`Failed to import data: ${error.message}`);
-        }
+            if (contentChanged || usageChanged) {
+                result.updated++;
+            } else {
+                result.unchanged++;
+            }
+        });
+        
+        this.saveAll();
+        return result;
     }
     
     /**
@@ -534,10 +3329,12 @@ class StorageManager {
             breakdown: {}
         };
         
-        Object.entries(StorageManager.STORAGE_KEYS).forEach(([name, key]) => {
-            const data = localStorage.getItem(key);
-            const size = data ? data.length : 0;
-            stats.breakdown[name] = size;
+        Object.entries(this.persisted).forEach(([storeName, cache]) => {
+            let size = 0;
+            cache.forEach(serialized => {
+                size += serialized.length;
+            });
+            stats.breakdown[storeName] = size;
             stats.totalSize += size;
         });
         
@@ -0,0 +1,191 @@
+/**
+ * Diff Utility Functions
+ * Word-level diff between texts with inline and side-by-side rendering
+ */
+
+class DiffUtils {
+    static OPERATIONS = {
+        EQUAL: 'equal',
+        INSERT: 'insert',
+        DELETE: 'delete'
+    };
+    
+    /**
+     * Split text into word and whitespace tokens
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Tokens (joining them gives back the original text)
+     */
+    static tokenize(text) {
+        if (!text) return [];
+        return text.match(/\s+|[^\s]+/g) || [];
+    }
+    
+    /**
+     * Compute word diff between two texts
+     * @param {string} oldText - Original text
+     * @param {string} newText - Changed text
+     * @returns {Array} Operations ({ type, value }) with adjacent operations merged
+     */
+    static diffWords(oldText, newText) {
+        const oldTokens = this.tokenize(oldText || '');
+        const newTokens = this.tokenize(newText || '');
+        
+        // Trim common prefix and suffix to keep the LCS table small
+        let start = 0;
+        while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+            start++;
+        }
+        
+        let oldEnd = oldTokens.length;
+        let newEnd = newTokens.length;
+        while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+        
+        const operations = [];
+        oldTokens.slice(0, start).forEach(value => operations.push({ type: this.OPERATIONS.EQUAL, value }));
+        operations.push(...this.diffTokens(oldTokens.slice(start, oldEnd), newTokens.slice(start, newEnd)));
+        oldTokens.slice(oldEnd).forEach(value => operations.push({ type: this.OPERATIONS.EQUAL, value }));
+        
+        return this.mergeOperations(operations);
+    }
+    
+    /**
+     * Diff token arrays using a longest common subsequence table
+     * @param {Array} a - Original tokens
+     * @param {Array} b - Changed tokens
+     * @returns {Array} Operations
+     */
+    static diffTokens(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const table = new Uint32Array(rows * cols);
+        
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i * cols + j] = a[i] === b[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+        
+        const operations = [];
+        let i = 0;
+        let j = 0;
+        
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                operations.push({ type: this.OPERATIONS.EQUAL, value: a[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+                operations.push({ type: this.OPERATIONS.DELETE, value: a[i] });
+                i++;
+            } else {
+                operations.push({ type: this.OPERATIONS.INSERT, value: b[j] });
+                j++;
+            }
+        }
+        
+        while (i < a.length) {
+            operations.push({ type: this.OPERATIONS.DELETE, value: a[i++] });
+        }
+        
+        while (j < b.length) {
+            operations.push({ type: this.OPERATIONS.INSERT, value: b[j++] });
+        }
+        
+        return operations;
+    }
+    
+    /**
+     * Merge adjacent operations of the same type
+     * @param {Array} operations - Operations
+     * @returns {Array} Merged operations
+     */
+    static mergeOperations(operations) {
+        return operations.reduce((merged, operation) => {
+            const last = merged[merged.length - 1];
+            if (last && last.type === operation.type) {
+                last.value += operation.value;
+            } else {
+                merged.push({ ...operation });
+            }
+            return merged;
+        }, []);
+    }
+    
+    /**
+     * Check whether a diff contains changes
+     * @param {Array} operations - Operations
+     * @returns {boolean} True if something was inserted or deleted
+     */
+    static hasChanges(operations) {
+        return operations.some(operation => operation.type !== this.OPERATIONS.EQUAL);
+    }
+    
+    /**
+     * Render diff inline, deletions and insertions interleaved
+     * @param {Array} operations - Operations
+     * @returns {Element} Diff element
+     */
+    static renderInline(operations) {
+        const container = DOMUtils.createElement('div', {
+            className: 'diff diff--inline'
+        });
+        
+        operations.forEach(operation => {
+            container.appendChild(this.renderOperation(operation));
+        });
+        
+        return container;
+    }
+    
+    /**
+     * Render diff side by side, original on the left and changed text on the right
+     * @param {Array} operations - Operations
+     * @returns {Element} Diff element
+     */
+    static renderSideBySide(operations) {
+        const left = DOMUtils.createElement('div', {
+            className: 'diff__side diff__side--old'
+        });
+        
+        const right = DOMUtils.createElement('div', {
+            className: 'diff__side diff__side--new'
+        });
+        
+        operations.forEach(operation => {
+            if (operation.type !== this.OPERATIONS.INSERT) {
+                left.appendChild(this.renderOperation(operation));
+            }
+            if (operation.type !== this.OPERATIONS.DELETE) {
+                right.appendChild(this.renderOperation(operation));
+            }
+        });
+        
+        return DOMUtils.createElement('div', {
+            className: 'diff diff--side-by-side'
+        }, [left, right]);
+    }
+    
+    /**
+     * Render single operation
+     * @param {Object} operation - Operation
+     * @returns {Element|Text} Rendered node
+     */
+    static renderOperation(operation) {
+        if (operation.type === this.OPERATIONS.EQUAL) {
+            return document.createTextNode(operation.value);
+        }
+        
+        const tag = operation.type === this.OPERATIONS.INSERT ? 'ins' : 'del';
+        return DOMUtils.createElement(tag, {
+            className: `diff__${operation.type}`
+        }, operation.value);
+    }
+}
+
+// Export for use in other modules
+window.DiffUtils = DiffUtils;
@@ -56,6 +56,8 @@ class DOMUtils {
     static createIcon(iconName, attributes = {}) {
         const icons = {
             chevronRight: 'M9 18l6-6-6-6',
+            check: 'M20 6L9 17l-5-5',
+            sort: 'M3 6h18M6 12h12M10 18h4',
             folder: 'M22 19a2 2 0 01-2 2H4a2 2 0 01-2-2V5a2 2 0 012-2h5l2 3h9a2 2 0 012 2z',
             file: 'M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z M14,2 L14,8 L20,8',
             star: 'M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z',
@@ -65,7 +67,17 @@ class DOMUtils {
             trash: 'M3 6h18m-2 0v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2',
             copy: 'M16 4h2a2 2 0 012 2v14a2 2 0 01-2 2H6a2 2 0 01-2-2V6a2 2 0 012-2h2m8 0V2a2 2 0 00-2-2H8a2 2 0 00-2 2v2m8 0H8',
             search: 'M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z',
-            x: 'M18 6L6 18M6 6l12 12'
+            bookmark: 'M19 21l-7-5-7 5V5a2 2 0 012-2h10a2 2 0 012 2z',
+            tag: 'M20.59 13.41l-7.17 7.17a2 2 0 01-2.83 0L2 12V2h10l8.59 8.59a2 2 0 010 2.82z M7 7h.01',
+            clock: 'M12 22a10 10 0 100-20 10 10 0 000 20z M12 6v6l4 2',
+            download: 'M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4 M7 10l5 5 5-5 M12 15V3',
+            x: 'M18 6L6 18M6 6l12 12',
+            message: 'M21 15a2 2 0 01-2 2H7l-4 4V5a2 2 0 012-2h14a2 2 0 012 2z',
+            code: 'M16 18l6-6-6-6M8 6l-6 6 6 6',
+            image: 'M5 3h14a2 2 0 012 2v14a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2z M8.5 10a1.5 1.5 0 100-3 1.5 1.5 0 000 3z M21 15l-5-5L5 21',
+            terminal: 'M4 17l6-6-6-6M12 19h8',
+            list: 'M8 6h13M8 12h13M8 18h13M3 6h.01M3 12h.01M3 18h.01',
+            music: 'M9 18V5l12-2v13 M6 21a3 3 0 100-6 3 3 0 000 6z M18 19a3 3 0 100-6 3 3 0 000 6z'
         };
         
         const path = icons[iconName] || '';
@@ -245,14 +257,17 @@ class DOMUtils {
     /**
      * Highlight search terms in text
      * @param {string} text - Original text
-     * @param {string} searchTerm - Term to highlight
+     * @param {string|Array} searchTerm - Term or terms to highlight
      * @returns {string} HTML with highlighted terms
      */
     static highlightText(text, searchTerm) {
-        if (!searchTerm || !text) return this.escapeHtml(text);
+        const terms = (Array.isArray(searchTerm) ? searchTerm : [searchTerm]).filter(Boolean);
+        if (terms.length === 0 || !text) return this.escapeHtml(text);
         
         const escapedText = this.escapeHtml(text);
-        const escapedTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const escapedTerm = terms
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
         const regex = new RegExp(`(${escapedTerm})`, 'gi');
         
         return escapedText.replace(regex, '<span class="search-highlight">$1</span>');
@@ -299,13 +314,109 @@ class DOMUtils {
         return new Intl.DateTimeFormat('it-IT', { ...defaultOptions, ...options }).format(dateObj);
     }
     
+    /**
+     * Show a modal dialog built on the shared modal markup
+     * @param {Object} options - Modal options
+     * @param {string} options.title - Dialog title
+     * @param {Element|Array|string} options.body - Dialog body content
+     * @param {Array} options.actions - Footer buttons ({ label, className, action(close) })
+     * @param {string} options.className - Extra class for the modal content
+     * @param {Function} options.onClose - Called after the dialog is closed
+     * @returns {Object} Object with the modal element and a close() function
+     */
+    static showModal({ title, body = [], actions = [], className = '', onClose = null }) {
+        const modal = this.createElement('div', {
+            className: 'modal'
+        });
+        
+        const close = () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            modal.remove();
+            if (onClose) onClose();
+        };
+        
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' && modal.parentNode) {
+                e.stopPropagation();
+                close();
+            }
+        };
+        
+        const backdrop = this.createElement('div', {
+            className: 'modal__backdrop',
+            onclick: close
+        });
+        
+        const content = this.createElement('div', {
+            className: `modal__content ${className}`.trim(),
+            role: 'dialog',
+            'aria-modal': 'true'
+        });
+        
+        const header = this.createElement('div', {
+            className: 'modal__header'
+        }, [
+            this.createElement('h3', {}, title),
+            this.createElement('button', {
+                className: 'btn btn--icon',
+                title: 'Chiudi',
+                onclick: close
+            }, [this.createIcon('x')])
+        ]);
+        
+        const bodyElement = this.createElement('div', {
+            className: 'modal__body'
+        }, body);
+        
+        content.appendChild(header);
+        content.appendChild(bodyElement);
+        
+        if (actions.length > 0) {
+            const footer = this.createElement('div', {
+                className: 'modal__footer'
+            });
+            
+            actions.forEach(({ label, className: buttonClass = 'btn--secondary', action }) => {
+                footer.appendChild(this.createElement('button', {
+                    type: 'button',
+                    className: `btn ${buttonClass}`,
+                    onclick: () => action ? action(close) : close()
+                }, label));
+            });
+            
+            content.appendChild(footer);
+        }
+        
+        modal.appendChild(backdrop);
+        modal.appendChild(content);
+        document.body.appendChild(modal);
+        document.addEventListener('keydown', handleKeyDown);
+        
+        return { modal, body: bodyElement, close };
+    }
+    
+    /**
+     * Save blob as a downloaded file
+     * @param {Blob} blob - File content
+     * @param {string} filename - File name
+     */
+    static downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
     /**
      * Show toast notification
      * @param {string} message - Notification message
      * @param {string} type - Notification type (success, error, warning, info)
      * @param {number} duration - Display duration in milliseconds
+     * @param {Object} action - Optional button ({ label, onClick }), e.g. to undo
      */
-    static showToast(message, type = 'info', duration = 3000) {
+    static showToast(message, type = 'info', duration = 3000, action = null) {
         const container = document.getElementById('toast-container');
         if (!container) return;
         
@@ -327,6 +438,18 @@ class DOMUtils {
         
         toast.appendChild(icon);
         toast.appendChild(content);
+        
+        if (action) {
+            toast.appendChild(this.createElement('button', {
+                type: 'button',
+                className: 'toast__action',
+                onclick: () => {
+                    toast.remove();
+                    action.onClick();
+                }
+            }, action.label));
+        }
+        
         toast.appendChild(closeBtn);
         
         container.appendChild(toast);
@@ -340,6 +463,15 @@ class DOMUtils {
             }, duration);
         }
     }
+    
+    /**
+     * Show a success toast with a button to undo the change just made
+     * @param {string} message - Toast message
+     * @param {UndoManager} undoManager - Undo manager holding the change
+     */
+    static showUndoToast(message, undoManager) {
+        this.showToast(message, 'success', UndoManager.TOAST_DURATION, undoManager.getToastAction());
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,116 @@
+/**
+ * Undo Manager
+ * Keeps a bounded stack of reversible actions. Each entry knows how to undo and
+ * redo itself; listeners are told about every change through an `undochange` event.
+ */
+
+class UndoManager {
+    static MAX_ENTRIES = 50;
+    
+    // How long toasts offering to undo stay visible, in milliseconds
+    static TOAST_DURATION = 6000;
+    
+    constructor(limit = UndoManager.MAX_ENTRIES) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    /**
+     * Record an action that has just been done
+     * @param {Object} entry - Action ({ label, undo(), redo() })
+     */
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify('push', entry);
+    }
+    
+    /**
+     * Undo the last action
+     * @returns {Object|null} Undone entry, or null if there was nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        
+        entry.undo();
+        this.redoStack.push(entry);
+        this.notify('undo', entry);
+        return entry;
+    }
+    
+    /**
+     * Redo the last undone action
+     * @returns {Object|null} Redone entry, or null if there was nothing to redo
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        
+        entry.redo();
+        this.undoStack.push(entry);
+        this.notify('redo', entry);
+        return entry;
+    }
+    
+    /**
+     * Check if there is an action to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+    
+    /**
+     * Check if there is an action to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+    
+    /**
+     * Get a toast button that undoes the action just recorded
+     * The button does nothing once another action has been done or undone after it
+     * @returns {Object} Toast action ({ label, onClick })
+     */
+    getToastAction() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        
+        return {
+            label: 'Annulla',
+            onClick: () => {
+                if (entry && this.undoStack[this.undoStack.length - 1] === entry) {
+                    this.undo();
+                }
+            }
+        };
+    }
+    
+    /**
+     * Forget all actions
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify('clear', null);
+    }
+    
+    /**
+     * Dispatch change event
+     * @param {string} type - Change type ('push', 'undo', 'redo', 'clear')
+     * @param {Object|null} entry - Affected entry
+     */
+    notify(type, entry) {
+        window.dispatchEvent(new CustomEvent('undochange', {
+            detail: { type, label: entry ? entry.label : null }
+        }));
+    }
+}
+
+// Export for use in other modules
+window.UndoManager = UndoManager;
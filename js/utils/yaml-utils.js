@@ -0,0 +1,141 @@
+/**
+ * YAML Utility Functions
+ * Syntax highlighting and line lookups for YAML text shown or edited in the app
+ */
+
+class YamlUtils {
+    // Scalars that aren't text
+    static KEYWORDS = ['true', 'false', 'null', '~'];
+    
+    static NUMBER_PATTERN = /^[-+]?(\d[\d_]*(\.\d*)?([eE][-+]?\d+)?|\.\d+|\.inf|\.nan)$/i;
+    
+    // Key at the start of a line, possibly after a list dash: indent, dash, key, colon
+    static KEY_PATTERN = /^(\s*)(-\s+)?("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\-][^#]*?|-[^\s#][^#]*?)(:)(?=\s|$)/;
+    
+    /**
+     * Highlight YAML text
+     * Text inside block scalars (`|` and `>`) is marked as a string
+     * @param {string} text - YAML text
+     * @returns {string} HTML with one span per token, escaped
+     */
+    static highlight(text) {
+        let blockIndent = null;
+        
+        return (text || '').split('\n').map(line => {
+            const indent = line.match(/^\s*/)[0].length;
+            
+            // Lines of a block scalar are more indented than its key; blank lines don't end it
+            if (blockIndent !== null) {
+                if (!line.trim() || indent > blockIndent) {
+                    return this.token('string', line);
+                }
+                blockIndent = null;
+            }
+            
+            if (/^\s*#/.test(line)) {
+                return this.token('comment', line);
+            }
+            
+            const match = line.match(this.KEY_PATTERN);
+            if (!match) {
+                const dash = line.match(/^(\s*)(-)(\s+|$)(.*)$/);
+                if (dash) {
+                    return DOMUtils.escapeHtml(dash[1]) + this.token('punctuation', dash[2]) +
+                        dash[3] + this.highlightValue(dash[4]);
+                }
+                return this.highlightValue(line);
+            }
+            
+            const [prefix, space, dash, key, colon] = match;
+            const value = line.slice(prefix.length);
+            if (/^\s*[|>][-+\d]*\s*(#.*)?$/.test(value)) {
+                blockIndent = indent + (dash ? dash.length : 0);
+            }
+            
+            return DOMUtils.escapeHtml(space) +
+                (dash ? this.token('punctuation', dash.trimEnd()) + dash.slice(dash.trimEnd().length) : '') +
+                this.token('key', key) + this.token('punctuation', colon) + this.highlightValue(value);
+        }).join('\n');
+    }
+    
+    /**
+     * Highlight the value part of a line
+     * @param {string} value - Text after the key, with its leading spaces
+     * @returns {string} HTML
+     */
+    static highlightValue(value) {
+        const [, space, rest] = value.match(/^(\s*)(.*)$/);
+        if (!rest) return space;
+        
+        // A comment starts at a # after a space, unless the value is quoted
+        let content = rest;
+        let comment = '';
+        if (!/^["']/.test(rest)) {
+            const index = rest.search(/(^|\s)#/);
+            if (index >= 0) {
+                content = rest.slice(0, index);
+                comment = rest.slice(index);
+            }
+        }
+        
+        const trimmed = content.trim();
+        let kind = 'value';
+        if (/^["']/.test(trimmed)) {
+            kind = 'string';
+        } else if (/^[|>][-+\d]*$/.test(trimmed) || /^[[\]{},]+$/.test(trimmed)) {
+            kind = 'punctuation';
+        } else if (this.KEYWORDS.includes(trimmed.toLowerCase())) {
+            kind = 'keyword';
+        } else if (this.NUMBER_PATTERN.test(trimmed)) {
+            kind = 'number';
+        }
+        
+        return space + (content ? this.token(kind, content) : '') + (comment ? this.token('comment', comment) : '');
+    }
+    
+    /**
+     * Wrap text in a token span
+     * @param {string} kind - Token kind (key, string, number, keyword, comment, punctuation, value)
+     * @param {string} text - Token text
+     * @returns {string} HTML
+     */
+    static token(kind, text) {
+        return text ? `<span class="yaml-token yaml-token--${kind}">${DOMUtils.escapeHtml(text)}</span>` : '';
+    }
+    
+    /**
+     * Get the line a YAML parse error points to
+     * @param {Error} error - Error thrown by jsyaml.load()
+     * @returns {number|null} Line number, from 1, or null if unknown
+     */
+    static getErrorLine(error) {
+        return error && error.mark && Number.isInteger(error.mark.line) ? error.mark.line + 1 : null;
+    }
+    
+    /**
+     * Find the line of a top-level key, or of a key nested right under it
+     * @param {string} text - YAML text
+     * @param {string} key - Top-level key
+     * @param {string} childKey - Key inside the top-level one, optional
+     * @returns {number|null} Line number, from 1, or null if the key isn't there
+     */
+    static findKeyLine(text, key, childKey = null) {
+        const lines = (text || '').split('\n');
+        const keyAt = (line, name) => {
+            const match = line.match(this.KEY_PATTERN);
+            return Boolean(match) && match[3].replace(/^(["'])(.*)\1$/, '$2') === name;
+        };
+        
+        const start = lines.findIndex(line => !/^\s/.test(line) && keyAt(line, key));
+        if (start < 0) return null;
+        if (!childKey) return start + 1;
+        
+        for (let index = start + 1; index < lines.length && (/^\s/.test(lines[index]) || !lines[index]); index++) {
+            if (keyAt(lines[index], childKey)) return index + 1;
+        }
+        return start + 1;
+    }
+}
+
+// Export for use in other modules
+window.YamlUtils = YamlUtils;
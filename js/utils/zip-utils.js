@@ -0,0 +1,211 @@
+/**
+ * Zip Utility Functions
+ * Minimal zip reader/writer for exchanging collections as archives.
+ * Entries are deflated through CompressionStream when the browser supports it.
+ */
+
+class ZipUtils {
+    static SIGNATURES = {
+        LOCAL_FILE: 0x04034b50,
+        CENTRAL_DIRECTORY: 0x02014b50,
+        END_OF_CENTRAL_DIRECTORY: 0x06054b50
+    };
+    
+    static METHODS = {
+        STORE: 0,
+        DEFLATE: 8
+    };
+    
+    static crcTable = null;
+    
+    /**
+     * Compute CRC-32 checksum
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned checksum
+     */
+    static crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+    
+    /**
+     * Check if a file looks like a zip archive
+     * @param {File} file - File to check
+     * @returns {boolean} True if zip
+     */
+    static isZipFile(file) {
+        return /\.zip$/i.test(file.name) || file.type === 'application/zip';
+    }
+    
+    /**
+     * Run bytes through a compression or decompression stream
+     * @param {Uint8Array} bytes - Input data
+     * @param {TransformStream} stream - Transform stream
+     * @returns {Promise<Uint8Array>} Output data
+     */
+    static async transform(bytes, stream) {
+        const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+    
+    /**
+     * Convert date to MS-DOS time and date fields
+     * @param {Date} date - Date to convert
+     * @returns {Object} { time, date }
+     */
+    static toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+    
+    /**
+     * Create zip archive
+     * @param {Array} files - Files ({ path, content }) with string or Uint8Array content
+     * @returns {Promise<Blob>} Zip archive
+     */
+    static async createZip(files) {
+        const encoder = new TextEncoder();
+        const canDeflate = typeof CompressionStream !== 'undefined';
+        const { time, date } = this.toDosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        for (const file of files) {
+            const name = encoder.encode(file.path);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = this.crc32(data);
+            
+            let method = this.METHODS.STORE;
+            let stored = data;
+            if (canDeflate && data.length > 0) {
+                const deflated = await this.transform(data, new CompressionStream('deflate-raw'));
+                if (deflated.length < data.length) {
+                    method = this.METHODS.DEFLATE;
+                    stored = deflated;
+                }
+            }
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, this.SIGNATURES.LOCAL_FILE, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, method, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, stored.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(local, name, stored);
+            
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, this.SIGNATURES.CENTRAL_DIRECTORY, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, method, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, stored.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(central, name);
+            
+            offset += 30 + name.length + stored.length;
+        }
+        
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, this.SIGNATURES.END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    }
+    
+    /**
+     * Read zip archive
+     * @param {Blob|ArrayBuffer} source - Zip archive
+     * @returns {Promise<Array>} Files ({ path, data }) with Uint8Array data, directories excluded
+     */
+    static async readZip(source) {
+        const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+        
+        // The end of central directory record is followed by a comment of up to 64 KB
+        let endOffset = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === this.SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('Invalid zip archive');
+        }
+        
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const files = [];
+        
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== this.SIGNATURES.CENTRAL_DIRECTORY) {
+                throw new Error('Invalid zip archive');
+            }
+            
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const path = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+            pointer += 46 + nameLength + extraLength + commentLength;
+            
+            if (path.endsWith('/')) continue;
+            
+            const dataOffset = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const stored = new Uint8Array(buffer, dataOffset, compressedSize);
+            
+            let data;
+            if (method === this.METHODS.STORE) {
+                data = stored.slice();
+            } else if (method === this.METHODS.DEFLATE && typeof DecompressionStream !== 'undefined') {
+                data = await this.transform(stored, new DecompressionStream('deflate-raw'));
+            } else {
+                throw new Error(`Unsupported compression in ${path}`);
+            }
+            
+            files.push({ path, data });
+        }
+        
+        return files;
+    }
+}
+
+// Export for use in other modules
+window.ZipUtils = ZipUtils;
@@ -0,0 +1,376 @@
+/**
+ * Backup Manager Component
+ * Lists the saved backups, shows what changed in the collection since each one and
+ * restores the whole backup, single prompts or folders, or downloads it as a file
+ */
+
+class BackupManager {
+    static STATUS_LABELS = {
+        removed: 'Eliminato',
+        changed: 'Modificato',
+        added: 'Aggiunto'
+    };
+    
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.selected = null;
+        this.dialog = null;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize backup manager
+     */
+    init() {
+        // Undoing a restore from its toast changes what the open dialog shows
+        window.addEventListener('undochange', () => this.update());
+    }
+    
+    /**
+     * Open backup manager
+     */
+    open() {
+        this.selected = null;
+        this.dialog = DOMUtils.showModal({
+            title: 'Backup',
+            className: 'backup-manager',
+            body: this.render(),
+            actions: [
+                { label: 'Chiudi' }
+            ]
+        });
+    }
+    
+    /**
+     * Render dialog body again, after backups or the collection changed
+     */
+    update() {
+        if (!this.dialog || !this.dialog.modal.isConnected) return;
+        
+        this.dialog.body.innerHTML = '';
+        this.render().forEach(element => this.dialog.body.appendChild(element));
+    }
+    
+    /**
+     * Render dialog body
+     * @returns {Array} Body elements
+     */
+    render() {
+        const { settings } = this.storage;
+        const limit = this.storage.getBackupLimit();
+        const minutes = this.storage.getBackupInterval() / StorageManager.MINUTE;
+        const backups = this.storage.getBackups();
+        
+        // Forget a selection whose backup has been dropped meanwhile
+        if (this.selected && this.storage.findBackup(this.selected) < 0) {
+            this.selected = null;
+        }
+        
+        const body = [
+            DOMUtils.createElement('div', {
+                className: 'backup-manager__intro'
+            }, [
+                DOMUtils.createElement('p', {}, settings.backupEnabled
+                    ? `Un backup viene creato ogni ${minutes === 1 ? 'minuto' : `${minutes} minuti`} e alla chiusura della pagina. Se ne conservano ${limit}.`
+                    : `I backup automatici sono disattivati. Se ne conservano ${limit}.`),
+                DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--secondary backup-manager__create',
+                    onclick: () => this.create()
+                }, 'Crea backup ora')
+            ])
+        ];
+        
+        if (backups.length === 0) {
+            body.push(DOMUtils.createElement('p', {
+                className: 'backup-manager__empty'
+            }, 'Nessun backup disponibile.'));
+            return body;
+        }
+        
+        body.push(DOMUtils.createElement('ul', {
+            className: 'backup-manager__list'
+        }, backups.map(backup => this.createBackupItem(backup))));
+        
+        if (this.selected) {
+            body.push(this.createChanges(this.storage.findBackup(this.selected)));
+        }
+        
+        return body;
+    }
+    
+    /**
+     * Create backup list item
+     * @param {Object} backup - Backup metadata from getBackups()
+     * @returns {Element} List item
+     */
+    createBackupItem(backup) {
+        const details = [
+            `${backup.prompts} prompt`,
+            backup.categories === 1 ? '1 cartella' : `${backup.categories} cartelle`,
+            DOMUtils.formatFileSize(backup.size)
+        ];
+        if (backup.trash > 0) {
+            details.splice(2, 0, `${backup.trash} nel cestino`);
+        }
+        
+        const button = (label, className, action) => DOMUtils.createElement('button', {
+            type: 'button',
+            className: `btn btn--secondary btn--small ${className}`,
+            onclick: action
+        }, label);
+        
+        return DOMUtils.createElement('li', {
+            className: `backup-manager__item${backup.timestamp === this.selected ? ' backup-manager__item--selected' : ''}`,
+            dataset: { timestamp: backup.timestamp }
+        }, [
+            DOMUtils.createElement('div', {
+                className: 'backup-manager__label'
+            }, [
+                DOMUtils.createElement('span', {
+                    className: 'backup-manager__date'
+                }, this.formatTimestamp(backup.timestamp)),
+                DOMUtils.createElement('span', {
+                    className: 'backup-manager__detail'
+                }, details.join(' · '))
+            ]),
+            DOMUtils.createElement('div', {
+                className: 'backup-manager__actions'
+            }, [
+                button('Differenze', 'backup-manager__compare', () => this.select(backup.timestamp)),
+                button('Scarica', 'backup-manager__download', () => this.download(backup.timestamp)),
+                button('Ripristina tutto', 'backup-manager__restore-all', () => this.restoreAll(backup.timestamp))
+            ])
+        ]);
+    }
+    
+    /**
+     * Create the list of changes since a backup
+     * @param {number} backupIndex - Backup index
+     * @returns {Element} Changes section
+     */
+    createChanges(backupIndex) {
+        const changes = this.storage.compareBackup(backupIndex);
+        const section = DOMUtils.createElement('section', {
+            className: 'backup-manager__changes'
+        }, [
+            DOMUtils.createElement('h4', {
+                className: 'backup-manager__section-title'
+            }, `Modifiche dal backup del ${this.formatTimestamp(this.selected)}`)
+        ]);
+        
+        if (changes.prompts.length === 0 && changes.categories.length === 0) {
+            section.appendChild(DOMUtils.createElement('p', {
+                className: 'backup-manager__empty'
+            }, 'I dati attuali sono uguali al backup.'));
+            return section;
+        }
+        
+        if (changes.categories.length > 0) {
+            section.appendChild(this.createChangeList(changes.categories, change => ({
+                title: change.name,
+                detail: change.path,
+                restore: change.status === 'removed'
+                    ? () => this.restoreCategory(change.path, change.name)
+                    : null
+            })));
+        }
+        
+        if (changes.prompts.length > 0) {
+            section.appendChild(this.createChangeList(changes.prompts, change => {
+                const prompt = change.backup || change.current;
+                return {
+                    title: prompt.title,
+                    detail: prompt.category || 'Senza categoria',
+                    restore: change.status === 'added' ? null : () => this.restorePrompt(change.id, prompt.title),
+                    diff: change.status === 'changed' ? this.createPromptDiff(change.current, change.backup) : null
+                };
+            }));
+        }
+        
+        return section;
+    }
+    
+    /**
+     * Create list of changed items
+     * @param {Array} changes - Changes from compareBackup()
+     * @param {Function} describe - Returns { title, detail, restore, diff } for a change
+     * @returns {Element} List element
+     */
+    createChangeList(changes, describe) {
+        return DOMUtils.createElement('ul', {
+            className: 'backup-manager__change-list'
+        }, changes.map(change => {
+            const { title, detail, restore, diff } = describe(change);
+            
+            const row = DOMUtils.createElement('li', {
+                className: `backup-manager__change backup-manager__change--${change.status}`
+            }, [
+                DOMUtils.createElement('span', {
+                    className: `backup-manager__badge backup-manager__badge--${change.status}`
+                }, BackupManager.STATUS_LABELS[change.status]),
+                DOMUtils.createElement('div', {
+                    className: 'backup-manager__label'
+                }, [
+                    DOMUtils.createElement('span', { className: 'backup-manager__title' }, title),
+                    DOMUtils.createElement('span', { className: 'backup-manager__detail' }, detail)
+                ]),
+                restore
+                    ? DOMUtils.createElement('button', {
+                        type: 'button',
+                        className: 'btn btn--secondary btn--small backup-manager__restore',
+                        onclick: restore
+                    }, 'Ripristina')
+                    : DOMUtils.createElement('span', {
+                        className: 'backup-manager__detail'
+                    }, 'Non nel backup')
+            ]);
+            
+            if (diff) {
+                row.appendChild(diff);
+            }
+            return row;
+        }));
+    }
+    
+    /**
+     * Create collapsible diff between the current and the backed up version of a prompt
+     * @param {Prompt} current - Prompt in the collection
+     * @param {Prompt} backup - Prompt in the backup
+     * @returns {Element} Details element
+     */
+    createPromptDiff(current, backup) {
+        const now = current.getSnapshot();
+        const then = backup.getSnapshot();
+        const format = (value) => value && typeof value === 'object' ? JSON.stringify(value) : String(value || '');
+        
+        return DOMUtils.createElement('details', {
+            className: 'backup-manager__diff'
+        }, [
+            DOMUtils.createElement('summary', {}, 'Differenze'),
+            ...Prompt.HISTORY_FIELDS
+                .filter(field => format(now[field]) !== format(then[field]))
+                .map(field => DOMUtils.createElement('div', {
+                    className: 'backup-manager__diff-field'
+                }, [
+                    DOMUtils.createElement('span', { className: 'backup-manager__diff-name' }, field),
+                    DiffUtils.renderInline(DiffUtils.diffWords(format(then[field]), format(now[field])))
+                ]))
+        ]);
+    }
+    
+    /**
+     * Show the changes since a backup
+     * @param {string} timestamp - Backup timestamp
+     */
+    select(timestamp) {
+        this.selected = this.selected === timestamp ? null : timestamp;
+        this.update();
+    }
+    
+    /**
+     * Create a backup now
+     */
+    create() {
+        this.storage.createBackup();
+        DOMUtils.showToast('Backup creato', 'success');
+        this.update();
+    }
+    
+    /**
+     * Download a backup as a collection file
+     * @param {string} timestamp - Backup timestamp
+     */
+    download(timestamp) {
+        const data = this.storage.exportBackup(this.storage.findBackup(timestamp));
+        if (!data) {
+            DOMUtils.showToast('Il backup non esiste più', 'error');
+            return;
+        }
+        
+        const blob = new Blob([data], { type: 'application/json' });
+        DOMUtils.downloadFile(blob, `prompt-manager-backup-${timestamp.replace(/[:.]/g, '-')}.json`);
+    }
+    
+    /**
+     * Replace the whole collection with a backup
+     * @param {string} timestamp - Backup timestamp
+     */
+    restoreAll(timestamp) {
+        if (!confirm(`Ripristinare il backup del ${this.formatTimestamp(timestamp)}? Tutti i dati correnti saranno sostituiti.`)) {
+            return;
+        }
+        
+        const index = this.storage.findBackup(timestamp);
+        const success = index >= 0 && this.storage.recordUndo('Ripristina backup', () => this.storage.restoreFromBackup(index));
+        
+        if (!success) {
+            DOMUtils.showToast('Errore durante il ripristino', 'error');
+            return;
+        }
+        
+        this.finishRestore('Backup ripristinato');
+    }
+    
+    /**
+     * Put a prompt back as it was in the selected backup
+     * @param {string} promptId - Prompt ID
+     * @param {string} title - Prompt title
+     */
+    restorePrompt(promptId, title) {
+        const index = this.storage.findBackup(this.selected);
+        const count = this.storage.recordUndo(`Ripristina "${title}" dal backup`, () =>
+            this.storage.restorePromptsFromBackup(index, [promptId]) || null
+        );
+        
+        if (!count) {
+            DOMUtils.showToast('Il backup non esiste più', 'error');
+            return;
+        }
+        
+        this.finishRestore('Prompt ripristinato dal backup');
+    }
+    
+    /**
+     * Put a folder back as it was in the selected backup, with its prompts
+     * @param {string} categoryPath - Category path
+     * @param {string} name - Folder name
+     */
+    restoreCategory(categoryPath, name) {
+        const index = this.storage.findBackup(this.selected);
+        const count = this.storage.recordUndo(`Ripristina cartella "${name}" dal backup`, () => {
+            const restored = this.storage.restoreCategoryFromBackup(index, categoryPath);
+            return restored < 0 ? null : restored;
+        });
+        
+        if (count === null) {
+            DOMUtils.showToast('Il backup non esiste più', 'error');
+            return;
+        }
+        
+        this.finishRestore(count === 1 ? 'Cartella ripristinata con 1 prompt' : `Cartella ripristinata con ${count} prompt`);
+    }
+    
+    /**
+     * Refresh the interface after a restore
+     * @param {string} message - Confirmation message
+     */
+    finishRestore(message) {
+        window.dispatchEvent(new CustomEvent('categories-changed'));
+        DOMUtils.showUndoToast(message, this.storage.undoManager);
+        this.update();
+    }
+    
+    /**
+     * Format a backup timestamp, down to the second
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Formatted date
+     */
+    formatTimestamp(timestamp) {
+        return DOMUtils.formatDate(timestamp, { second: '2-digit' });
+    }
+}
+
+// Export for use in other modules
+window.BackupManager = BackupManager;
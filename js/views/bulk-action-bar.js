@@ -0,0 +1,365 @@
+/**
+ * Bulk Action Bar Component
+ * Shown above the tree while several prompts are selected. Every action applies to
+ * the whole selection and is recorded as a single undo entry.
+ */
+
+class BulkActionBar {
+    // Actions offered, with icon and label
+    static ACTIONS = [
+        { name: 'move', icon: 'folder', label: 'Sposta in…' },
+        { name: 'tags', icon: 'tag', label: 'Modifica tag' },
+        { name: 'details', icon: 'edit', label: 'Imposta modello o autore' },
+        { name: 'favorite', icon: 'star', label: 'Preferiti' },
+        { name: 'export', icon: 'download', label: 'Esporta selezione' },
+        { name: 'duplicate', icon: 'copy', label: 'Duplica' },
+        { name: 'delete', icon: 'trash', label: 'Elimina' }
+    ];
+    
+    constructor(container, storageManager, treeView) {
+        this.container = container;
+        this.storage = storageManager;
+        this.treeView = treeView;
+        this.promptIds = [];
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize bulk action bar
+     */
+    init() {
+        this.container.setAttribute('role', 'toolbar');
+        this.container.setAttribute('aria-label', 'Azioni sui prompt selezionati');
+        
+        window.addEventListener('selection-changed', (e) => {
+            this.update(e.detail.promptIds);
+        });
+        
+        // Keep counts and the favorite toggle in step with the prompts
+        ['prompts-changed', 'undochange'].forEach(eventName => {
+            window.addEventListener(eventName, () => {
+                this.update(this.treeView.getSelectedPromptIds());
+            });
+        });
+    }
+    
+    /**
+     * Show the bar for a selection, or hide it below two prompts
+     * @param {Array} promptIds - Selected prompt IDs
+     */
+    update(promptIds) {
+        this.promptIds = promptIds.filter(id => this.storage.prompts.has(id));
+        
+        if (this.promptIds.length < 2) {
+            this.container.hidden = true;
+            this.container.innerHTML = '';
+            return;
+        }
+        
+        this.render();
+        this.container.hidden = false;
+    }
+    
+    /**
+     * Render bar
+     */
+    render() {
+        this.container.innerHTML = '';
+        
+        const allFavorites = this.getPrompts().every(prompt => prompt.isFavorite);
+        
+        const actions = BulkActionBar.ACTIONS.map(({ name, icon, label }) => {
+            if (name === 'favorite') {
+                icon = allFavorites ? 'starFilled' : 'star';
+                label = allFavorites ? 'Rimuovi dai preferiti' : 'Aggiungi ai preferiti';
+            }
+            
+            return DOMUtils.createElement('button', {
+                type: 'button',
+                className: `btn btn--text btn--small bulk-bar__action bulk-bar__action--${name}`,
+                title: label,
+                'aria-label': label,
+                onclick: () => this.runAction(name)
+            }, [DOMUtils.createIcon(icon)]);
+        });
+        
+        this.container.appendChild(DOMUtils.createElement('span', {
+            className: 'bulk-bar__count'
+        }, `${this.promptIds.length} selezionati`));
+        
+        this.container.appendChild(DOMUtils.createElement('div', {
+            className: 'bulk-bar__actions'
+        }, [
+            ...actions,
+            DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--text btn--small bulk-bar__action bulk-bar__action--clear',
+                title: 'Deseleziona',
+                'aria-label': 'Deseleziona',
+                onclick: () => this.treeView.clearPromptSelection()
+            }, [DOMUtils.createIcon('x')])
+        ]));
+    }
+    
+    /**
+     * Get selected prompts
+     * @returns {Array} Prompts
+     */
+    getPrompts() {
+        return this.promptIds.map(id => this.storage.prompts.get(id)).filter(Boolean);
+    }
+    
+    /**
+     * Run an action on the selection
+     * @param {string} name - Action name
+     */
+    runAction(name) {
+        switch (name) {
+            case 'move': this.showMoveDialog(); break;
+            case 'tags': this.showTagsDialog(); break;
+            case 'details': this.showDetailsDialog(); break;
+            case 'favorite': this.toggleFavorites(); break;
+            case 'export': this.exportSelection(); break;
+            case 'duplicate': this.duplicateSelection(); break;
+            case 'delete': this.deleteSelection(); break;
+        }
+    }
+    
+    /**
+     * Run a change on the selection as one undoable step and report it
+     * @param {string} label - Undo label
+     * @param {Function} change - Change returning the number of prompts affected
+     * @param {Function} getMessage - Toast message for a count
+     * @returns {number} Number of prompts affected
+     */
+    apply(label, change, getMessage) {
+        const count = this.storage.recordUndo(label, () => change() || null) || 0;
+        
+        if (count === 0) {
+            DOMUtils.showToast('Nessuna modifica da applicare', 'info');
+            return 0;
+        }
+        
+        window.dispatchEvent(new CustomEvent('prompts-changed', {
+            detail: { promptIds: this.promptIds }
+        }));
+        
+        DOMUtils.showUndoToast(getMessage(count), this.storage.undoManager);
+        return count;
+    }
+    
+    /**
+     * Ask for a category and move the selection there
+     */
+    showMoveDialog() {
+        const select = DOMUtils.createElement('select', {
+            id: 'bulk-move-target',
+            className: 'form-select'
+        }, [
+            DOMUtils.createElement('option', { value: '' }, 'Senza categoria'),
+            ...this.storage.getOrderedCategories().map(path =>
+                DOMUtils.createElement('option', { value: path }, this.storage.getCategoryTrail(path))
+            )
+        ]);
+        
+        DOMUtils.showModal({
+            title: `Sposta ${this.promptIds.length} prompt`,
+            className: 'bulk-dialog',
+            body: [
+                DOMUtils.createElement('div', { className: 'form-group' }, [
+                    DOMUtils.createElement('label', { className: 'form-label', for: 'bulk-move-target' }, 'Sposta in'),
+                    select
+                ])
+            ],
+            actions: [
+                { label: 'Annulla' },
+                {
+                    label: 'Sposta',
+                    className: 'btn--primary bulk-dialog__confirm',
+                    action: (close) => {
+                        close();
+                        this.apply(`Sposta ${this.promptIds.length} prompt`,
+                            () => this.storage.movePrompts(this.promptIds, select.value),
+                            count => count === 1 ? '1 prompt spostato' : `${count} prompt spostati`);
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Ask for tags to add and remove on the selection
+     */
+    showTagsDialog() {
+        const currentTags = Array.from(new Set(this.getPrompts().flatMap(prompt => prompt.tags)))
+            .sort((a, b) => a.localeCompare(b));
+        
+        const addInput = DOMUtils.createElement('input', {
+            type: 'text',
+            id: 'bulk-tags-add',
+            className: 'form-input',
+            placeholder: 'Es. revisione, java'
+        });
+        
+        const removeInput = DOMUtils.createElement('input', {
+            type: 'text',
+            id: 'bulk-tags-remove',
+            className: 'form-input',
+            list: 'bulk-tags-current',
+            placeholder: currentTags.length > 0 ? `Presenti: ${currentTags.join(', ')}` : 'Nessun tag presente'
+        });
+        
+        const parseTags = (input) => input.value.split(',').map(tag => tag.trim()).filter(Boolean);
+        
+        DOMUtils.showModal({
+            title: `Tag di ${this.promptIds.length} prompt`,
+            className: 'bulk-dialog',
+            body: [
+                DOMUtils.createElement('div', { className: 'form-group' }, [
+                    DOMUtils.createElement('label', { className: 'form-label', for: 'bulk-tags-add' }, 'Aggiungi tag'),
+                    addInput
+                ]),
+                DOMUtils.createElement('div', { className: 'form-group' }, [
+                    DOMUtils.createElement('label', { className: 'form-label', for: 'bulk-tags-remove' }, 'Rimuovi tag'),
+                    removeInput,
+                    DOMUtils.createElement('datalist', { id: 'bulk-tags-current' },
+                        currentTags.map(tag => DOMUtils.createElement('option', { value: tag })))
+                ]),
+                DOMUtils.createElement('p', { className: 'form-help' }, 'Separa più tag con una virgola.')
+            ],
+            actions: [
+                { label: 'Annulla' },
+                {
+                    label: 'Applica',
+                    className: 'btn--primary bulk-dialog__confirm',
+                    action: (close) => {
+                        close();
+                        this.apply(`Modifica tag di ${this.promptIds.length} prompt`,
+                            () => this.storage.updatePromptTags(this.promptIds, {
+                                add: parseTags(addInput),
+                                remove: parseTags(removeInput)
+                            }),
+                            count => count === 1 ? 'Tag aggiornati su 1 prompt' : `Tag aggiornati su ${count} prompt`);
+                    }
+                }
+            ]
+        });
+        addInput.focus();
+    }
+    
+    /**
+     * Ask for models and an author to set on the selection
+     * Fields left empty are not changed; the models given replace those of each prompt
+     */
+    showDetailsDialog() {
+        const createInput = (id, placeholder) => DOMUtils.createElement('input', {
+            type: 'text',
+            id,
+            className: 'form-input',
+            placeholder
+        });
+        
+        const modelInput = createInput('bulk-model', 'Invariato');
+        modelInput.setAttribute('list', 'bulk-model-options');
+        const authorInput = createInput('bulk-author', 'Invariato');
+        
+        DOMUtils.showModal({
+            title: `Modelli e autore di ${this.promptIds.length} prompt`,
+            className: 'bulk-dialog',
+            body: [
+                DOMUtils.createElement('div', { className: 'form-group' }, [
+                    DOMUtils.createElement('label', { className: 'form-label', for: 'bulk-model' }, 'Modelli'),
+                    modelInput,
+                    DOMUtils.createElement('datalist', {
+                        id: 'bulk-model-options'
+                    }, this.storage.getModelRegistry().map(model => DOMUtils.createElement('option', { value: model.name }))),
+                    DOMUtils.createElement('p', { className: 'form-help' }, 'Separa più modelli con una virgola.')
+                ]),
+                DOMUtils.createElement('div', { className: 'form-group' }, [
+                    DOMUtils.createElement('label', { className: 'form-label', for: 'bulk-author' }, 'Autore'),
+                    authorInput
+                ]),
+                DOMUtils.createElement('p', { className: 'form-help' }, 'I campi lasciati vuoti non vengono modificati.')
+            ],
+            actions: [
+                { label: 'Annulla' },
+                {
+                    label: 'Applica',
+                    className: 'btn--primary bulk-dialog__confirm',
+                    action: (close) => {
+                        const changes = {};
+                        const models = this.storage.resolveModels(Prompt.normalizeModels(modelInput.value));
+                        if (models.length > 0) changes.model = models;
+                        if (authorInput.value.trim()) changes.author = authorInput.value.trim();
+                        
+                        if (Object.keys(changes).length === 0) {
+                            DOMUtils.showToast('Inserisci un modello o un autore', 'error');
+                            return;
+                        }
+                        
+                        close();
+                        this.apply(`Modifica ${this.promptIds.length} prompt`,
+                            () => this.storage.updatePrompts(this.promptIds, changes, 'Modifica multipla'),
+                            count => count === 1 ? '1 prompt aggiornato' : `${count} prompt aggiornati`);
+                    }
+                }
+            ]
+        });
+        modelInput.focus();
+    }
+    
+    /**
+     * Add the selection to favorites, or remove it if all are favorites already
+     */
+    toggleFavorites() {
+        const favorite = !this.getPrompts().every(prompt => prompt.isFavorite);
+        
+        this.apply(favorite ? 'Aggiungi ai preferiti' : 'Rimuovi dai preferiti',
+            () => this.storage.setFavorites(this.promptIds, favorite),
+            count => favorite
+                ? (count === 1 ? '1 prompt aggiunto ai preferiti' : `${count} prompt aggiunti ai preferiti`)
+                : (count === 1 ? '1 prompt rimosso dai preferiti' : `${count} prompt rimossi dai preferiti`));
+    }
+    
+    /**
+     * Download the selection as a zip archive of `.prompt.yaml` files
+     */
+    async exportSelection() {
+        try {
+            const blob = await ZipUtils.createZip(this.storage.exportPromptFiles(this.promptIds));
+            DOMUtils.downloadFile(blob, `prompt-selezione-${new Date().toISOString().split('T')[0]}.zip`);
+            DOMUtils.showToast(`${this.promptIds.length} prompt esportati in un archivio zip`, 'success');
+        } catch (error) {
+            console.error('Export failed:', error);
+            DOMUtils.showToast(`Errore durante l'esportazione: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Duplicate the selection
+     */
+    duplicateSelection() {
+        this.apply(`Duplica ${this.promptIds.length} prompt`,
+            () => this.storage.duplicatePrompts(this.promptIds).length,
+            count => count === 1 ? '1 prompt duplicato' : `${count} prompt duplicati`);
+    }
+    
+    /**
+     * Delete the selection after confirmation
+     */
+    deleteSelection() {
+        if (!confirm(`Sei sicuro di voler eliminare ${this.promptIds.length} prompt?`)) return;
+        
+        const count = this.apply(`Elimina ${this.promptIds.length} prompt`,
+            () => this.storage.deletePrompts(this.promptIds),
+            count => count === 1 ? '1 prompt eliminato' : `${count} prompt eliminati`);
+        
+        if (count > 0) {
+            this.treeView.clearPromptSelection();
+        }
+    }
+}
+
+// Export for use in other modules
+window.BulkActionBar = BulkActionBar;
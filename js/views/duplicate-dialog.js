@@ -0,0 +1,242 @@
+/**
+ * Duplicate Dialog Component
+ * Lists groups of duplicate prompts side by side and merges each group into one
+ * prompt with the chosen text, title and category
+ */
+
+class DuplicateDialog {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.groups = [];
+        this.choices = [];
+        this.merged = [];
+        this.dialog = null;
+        this.resolve = null;
+    }
+    
+    /**
+     * Find duplicates and open dialog
+     * @returns {Promise<Array>} Merged prompts, resolved when the dialog closes
+     */
+    open() {
+        this.groups = DuplicateFinder.findGroups(Array.from(this.storage.prompts.values()));
+        this.choices = this.groups.map(group => ({
+            keepId: group.prompts[0].id,
+            title: group.prompts[0].title,
+            category: group.prompts[0].category
+        }));
+        this.merged = [];
+        
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.dialog = DOMUtils.showModal({
+                title: 'Prompt duplicati',
+                className: 'duplicate-dialog',
+                body: this.render(),
+                actions: [
+                    { label: 'Chiudi' }
+                ],
+                onClose: () => this.finish()
+            });
+        });
+    }
+    
+    /**
+     * Render dialog body
+     * @returns {Array} Body elements
+     */
+    render() {
+        if (this.groups.length === 0) {
+            return [DOMUtils.createElement('p', {
+                className: 'duplicate-dialog__empty'
+            }, 'Nessun duplicato trovato.')];
+        }
+        
+        return [
+            DOMUtils.createElement('p', {
+                className: 'duplicate-dialog__intro'
+            }, `${this.groups.length} gruppi di prompt con lo stesso testo o un testo molto simile. Unendoli si mantengono tutti i tag, la data di creazione più vecchia e i preferiti.`),
+            ...this.groups.map((group, index) => this.createGroup(group, index))
+        ];
+    }
+    
+    /**
+     * Create group section
+     * @param {Object} group - Duplicate group
+     * @param {number} index - Group index
+     * @returns {Element} Group element
+     */
+    createGroup(group, index) {
+        const label = group.exact
+            ? 'Testo identico'
+            : `Simili al ${Math.round(group.similarity * 100)}%`;
+        
+        return DOMUtils.createElement('section', {
+            className: 'duplicate-dialog__group',
+            dataset: { index: String(index) }
+        }, [
+            DOMUtils.createElement('div', {
+                className: 'duplicate-dialog__group-header'
+            }, [
+                DOMUtils.createElement('span', {
+                    className: `duplicate-dialog__badge duplicate-dialog__badge--${group.exact ? 'exact' : 'similar'}`
+                }, label),
+                DOMUtils.createElement('span', {}, `${group.prompts.length} prompt`)
+            ]),
+            DOMUtils.createElement('div', {
+                className: 'duplicate-dialog__candidates'
+            }, group.prompts.map(prompt => this.createCandidate(group, index, prompt))),
+            this.createMergeControls(group, index)
+        ]);
+    }
+    
+    /**
+     * Create column for one prompt of a group
+     * Near-duplicates show their text as a diff against the first prompt
+     * @param {Object} group - Duplicate group
+     * @param {number} index - Group index
+     * @param {Prompt} prompt - Prompt instance
+     * @returns {Element} Candidate element
+     */
+    createCandidate(group, index, prompt) {
+        const reference = group.prompts[0];
+        const text = group.exact || prompt === reference
+            ? DOMUtils.createElement('pre', { className: 'duplicate-dialog__text' }, prompt.prompt)
+            : DOMUtils.createElement('div', { className: 'duplicate-dialog__text' }, [
+                DiffUtils.renderInline(DiffUtils.diffWords(reference.prompt, prompt.prompt))
+            ]);
+        
+        const radio = DOMUtils.createElement('input', {
+            type: 'radio',
+            name: `duplicate-keep-${index}`,
+            value: prompt.id,
+            onchange: () => {
+                this.choices[index].keepId = prompt.id;
+            }
+        });
+        radio.checked = this.choices[index].keepId === prompt.id;
+        
+        const meta = [
+            this.getCategoryName(prompt.category),
+            `Creato il ${DOMUtils.formatDate(prompt.created)}`
+        ];
+        if (this.storage.favorites.has(prompt.id)) {
+            meta.push('★ Preferito');
+        }
+        
+        const children = [
+            DOMUtils.createElement('label', {
+                className: 'duplicate-dialog__keep'
+            }, [radio, 'Mantieni questo testo']),
+            DOMUtils.createElement('h4', { className: 'duplicate-dialog__title' }, prompt.title),
+            DOMUtils.createElement('div', { className: 'duplicate-dialog__meta' }, meta.join(' · '))
+        ];
+        if (prompt.tags.length > 0) {
+            children.push(DOMUtils.createElement('div', { className: 'duplicate-dialog__meta' }, prompt.getTagsString()));
+        }
+        children.push(text);
+        
+        return DOMUtils.createElement('article', {
+            className: 'duplicate-dialog__candidate',
+            dataset: { id: prompt.id }
+        }, children);
+    }
+    
+    /**
+     * Create title and category pickers and the merge button
+     * @param {Object} group - Duplicate group
+     * @param {number} index - Group index
+     * @returns {Element} Controls element
+     */
+    createMergeControls(group, index) {
+        const choice = this.choices[index];
+        const titles = Array.from(new Set(group.prompts.map(prompt => prompt.title)));
+        const categories = Array.from(new Set(group.prompts.map(prompt => prompt.category)));
+        const tags = Array.from(new Set(group.prompts.flatMap(prompt => prompt.tags)));
+        
+        const titleSelect = DOMUtils.createElement('select', {
+            className: 'form-select duplicate-dialog__title-select',
+            'aria-label': 'Titolo',
+            onchange: (e) => {
+                choice.title = e.target.value;
+            }
+        }, titles.map(title => DOMUtils.createElement('option', { value: title }, title)));
+        
+        const categorySelect = DOMUtils.createElement('select', {
+            className: 'form-select duplicate-dialog__category-select',
+            'aria-label': 'Categoria',
+            onchange: (e) => {
+                choice.category = e.target.value;
+            }
+        }, categories.map(path => DOMUtils.createElement('option', { value: path }, this.getCategoryName(path))));
+        
+        titleSelect.value = choice.title;
+        categorySelect.value = choice.category;
+        
+        return DOMUtils.createElement('div', {
+            className: 'duplicate-dialog__merge'
+        }, [
+            DOMUtils.createElement('label', { className: 'form-label' }, ['Titolo', titleSelect]),
+            DOMUtils.createElement('label', { className: 'form-label' }, ['Categoria', categorySelect]),
+            DOMUtils.createElement('div', {
+                className: 'duplicate-dialog__meta'
+            }, tags.length > 0 ? `Tag: ${tags.join(', ')}` : 'Nessun tag'),
+            DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--primary duplicate-dialog__merge-btn',
+                onclick: () => this.merge(index)
+            }, 'Unisci')
+        ]);
+    }
+    
+    /**
+     * Get display name for a category path
+     * @param {string} path - Category path
+     * @returns {string} Category name
+     */
+    getCategoryName(path) {
+        if (!path) return 'Senza categoria';
+        
+        const category = this.storage.categories.get(path);
+        return category ? category.name : path;
+    }
+    
+    /**
+     * Merge a group and replace it with a confirmation
+     * @param {number} index - Group index
+     */
+    merge(index) {
+        const group = this.groups[index];
+        const prompt = this.storage.recordUndo(`Unisci ${group.prompts.length} duplicati`, () =>
+            this.storage.mergePrompts(group.prompts.map(item => item.id), this.choices[index])
+        );
+        
+        if (!prompt) {
+            DOMUtils.showToast('Impossibile unire i prompt: alcuni non esistono più', 'error');
+            return;
+        }
+        
+        this.merged.push(prompt);
+        
+        const section = this.dialog.body.querySelector(`.duplicate-dialog__group[data-index="${index}"]`);
+        section.innerHTML = '';
+        section.classList.add('duplicate-dialog__group--merged');
+        section.appendChild(DOMUtils.createElement('p', {}, `${group.prompts.length} prompt uniti in "${prompt.title}"`));
+        
+        DOMUtils.showUndoToast('Prompt uniti', this.storage.undoManager);
+    }
+    
+    /**
+     * Settle the promise returned by open()
+     */
+    finish() {
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(this.merged);
+        }
+    }
+}
+
+// Export for use in other modules
+window.DuplicateDialog = DuplicateDialog;
@@ -0,0 +1,405 @@
+/**
+ * Import Wizard Component
+ * Shows what an import contains (new, identical and conflicting items), lets the user
+ * resolve each conflict or all of them at once, commits and reports a summary
+ */
+
+class ImportWizard {
+    static STATUS_LABELS = {
+        new: 'Nuovo',
+        identical: 'Identico',
+        conflict: 'In conflitto'
+    };
+    
+    static RESOLUTION_LABELS = {
+        mine: 'Mantieni il mio',
+        theirs: 'Usa importato',
+        both: 'Mantieni entrambi'
+    };
+    
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.sourceName = '';
+        this.analysis = null;
+        this.resolutions = {};
+        this.dialog = null;
+        this.resolve = null;
+    }
+    
+    /**
+     * Open wizard for parsed data
+     * @param {Object} parsedData - Parsed import data
+     * @param {string} sourceName - Name of the imported file
+     * @returns {Promise<Object|null>} Import summary, or null if cancelled
+     */
+    open(parsedData, sourceName = '') {
+        this.sourceName = sourceName;
+        this.analysis = this.storage.analyzeImport(parsedData);
+        this.resolutions = {};
+        
+        this.getResolvableItems().forEach(item => {
+            this.resolutions[item.key] = item.status === StorageManager.IMPORT_STATUS.NEW
+                ? StorageManager.IMPORT_RESOLUTIONS.THEIRS
+                : StorageManager.IMPORT_RESOLUTIONS.MINE;
+        });
+        
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.dialog = DOMUtils.showModal({
+                title: 'Importazione',
+                className: 'import-wizard',
+                body: this.renderReview(sourceName),
+                actions: [
+                    { label: 'Annulla' },
+                    {
+                        label: 'Importa',
+                        className: 'btn--primary',
+                        action: () => this.commit()
+                    }
+                ],
+                onClose: () => this.finish(null)
+            });
+        });
+    }
+    
+    /**
+     * Get all analyzed items
+     * @returns {Array} Prompt, category and settings items
+     */
+    getItems() {
+        const { prompts, categories, settings } = this.analysis;
+        return [...prompts, ...categories, ...(settings ? [settings] : [])];
+    }
+    
+    /**
+     * Get items that need a decision
+     * @returns {Array} New and conflicting items
+     */
+    getResolvableItems() {
+        return this.getItems().filter(item => item.status !== StorageManager.IMPORT_STATUS.IDENTICAL);
+    }
+    
+    /**
+     * Render review step
+     * @param {string} sourceName - Name of the imported file
+     * @returns {Array} Body elements
+     */
+    renderReview(sourceName) {
+        const { NEW, IDENTICAL, CONFLICT } = StorageManager.IMPORT_STATUS;
+        const items = this.getItems();
+        const count = (status) => items.filter(item => item.status === status).length;
+        
+        const body = [];
+        
+        if (sourceName) {
+            body.push(DOMUtils.createElement('p', {
+                className: 'import-wizard__source'
+            }, sourceName));
+        }
+        
+        body.push(DOMUtils.createElement('div', {
+            className: 'import-wizard__counts'
+        }, [
+            this.createStatusBadge(NEW, `${count(NEW)} nuovi`),
+            this.createStatusBadge(IDENTICAL, `${count(IDENTICAL)} identici`),
+            this.createStatusBadge(CONFLICT, `${count(CONFLICT)} in conflitto`)
+        ]));
+        
+        if (count(CONFLICT) > 0) {
+            body.push(this.createBulkActions('Tutti i conflitti:', CONFLICT, ['mine', 'theirs', 'both']));
+        }
+        if (count(NEW) > 0) {
+            body.push(this.createBulkActions('Tutti i nuovi:', NEW, ['theirs', 'mine']));
+        }
+        
+        body.push(this.createSection('Prompt', this.analysis.prompts, item => ({
+            title: item.incoming.title,
+            detail: item.incoming.category || 'Senza categoria',
+            diff: item.status === CONFLICT ? this.createPromptDiff(item.existing, item.incoming) : null
+        })));
+        
+        body.push(this.createSection('Categorie', this.analysis.categories, item => ({
+            title: item.incoming.name || item.path,
+            detail: item.path
+        })));
+        
+        if (this.analysis.settings) {
+            body.push(this.createSection('Impostazioni', [this.analysis.settings], () => ({
+                title: 'Impostazioni dell\'applicazione',
+                detail: ''
+            })));
+        }
+        
+        if (this.analysis.errors.length > 0) {
+            body.push(this.createErrorList(this.analysis.errors));
+        }
+        
+        return body;
+    }
+    
+    /**
+     * Create status badge
+     * @param {string} status - Item status
+     * @param {string} label - Badge text
+     * @returns {Element} Badge element
+     */
+    createStatusBadge(status, label = ImportWizard.STATUS_LABELS[status]) {
+        return DOMUtils.createElement('span', {
+            className: `import-wizard__badge import-wizard__badge--${status}`
+        }, label);
+    }
+    
+    /**
+     * Create bulk resolution buttons for one status
+     * @param {string} label - Row label
+     * @param {string} status - Status the buttons apply to
+     * @param {Array} resolutions - Offered resolutions
+     * @returns {Element} Bulk actions row
+     */
+    createBulkActions(label, status, resolutions) {
+        const labels = {
+            ...ImportWizard.RESOLUTION_LABELS,
+            ...(status === StorageManager.IMPORT_STATUS.NEW ? { theirs: 'Importa', mine: 'Salta' } : {})
+        };
+        
+        return DOMUtils.createElement('div', {
+            className: 'import-wizard__bulk',
+            dataset: { status }
+        }, [
+            DOMUtils.createElement('span', {}, label),
+            ...resolutions.map(resolution => DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--text',
+                dataset: { resolution },
+                onclick: () => this.applyToAll(status, resolution)
+            }, labels[resolution]))
+        ]);
+    }
+    
+    /**
+     * Create section listing items
+     * @param {string} title - Section title
+     * @param {Array} items - Analyzed items
+     * @param {Function} describe - Returns { title, detail, diff } for an item
+     * @returns {Element} Section element
+     */
+    createSection(title, items, describe) {
+        const list = DOMUtils.createElement('ul', {
+            className: 'import-wizard__list'
+        });
+        
+        items.forEach(item => {
+            const { title: itemTitle, detail, diff } = describe(item);
+            
+            const row = DOMUtils.createElement('li', {
+                className: `import-wizard__item import-wizard__item--${item.status}`,
+                dataset: { key: item.key }
+            }, [
+                this.createStatusBadge(item.status),
+                DOMUtils.createElement('div', {
+                    className: 'import-wizard__label'
+                }, [
+                    DOMUtils.createElement('span', { className: 'import-wizard__title' }, itemTitle),
+                    DOMUtils.createElement('span', { className: 'import-wizard__detail' }, detail)
+                ])
+            ]);
+            
+            if (item.status !== StorageManager.IMPORT_STATUS.IDENTICAL) {
+                row.appendChild(this.createResolutionSelect(item));
+            }
+            if (diff) {
+                row.appendChild(diff);
+            }
+            
+            list.appendChild(row);
+        });
+        
+        return DOMUtils.createElement('section', {
+            className: 'import-wizard__section'
+        }, [
+            DOMUtils.createElement('h4', {
+                className: 'import-wizard__section-title'
+            }, `${title} (${items.length})`),
+            items.length > 0 ? list : DOMUtils.createElement('p', {
+                className: 'import-wizard__empty'
+            }, 'Nessun elemento')
+        ]);
+    }
+    
+    /**
+     * Create resolution select for an item
+     * Only prompts can be kept in both versions
+     * @param {Object} item - Analyzed item
+     * @returns {Element} Select element
+     */
+    createResolutionSelect(item) {
+        const { MINE, THEIRS, BOTH } = StorageManager.IMPORT_RESOLUTIONS;
+        const isNew = item.status === StorageManager.IMPORT_STATUS.NEW;
+        const isPrompt = this.analysis.prompts.includes(item);
+        
+        const options = isNew
+            ? [[THEIRS, 'Importa'], [MINE, 'Salta']]
+            : [[MINE, ImportWizard.RESOLUTION_LABELS.mine], [THEIRS, ImportWizard.RESOLUTION_LABELS.theirs]];
+        
+        if (!isNew && isPrompt) {
+            options.push([BOTH, ImportWizard.RESOLUTION_LABELS.both]);
+        }
+        
+        const select = DOMUtils.createElement('select', {
+            className: 'form-select import-wizard__resolution',
+            'aria-label': 'Risoluzione',
+            onchange: (e) => {
+                this.resolutions[item.key] = e.target.value;
+            }
+        }, options.map(([value, label]) => DOMUtils.createElement('option', { value }, label)));
+        
+        select.value = this.resolutions[item.key];
+        return select;
+    }
+    
+    /**
+     * Create collapsible diff between two versions of a prompt
+     * @param {Prompt} existing - Prompt in the collection
+     * @param {Prompt} incoming - Imported prompt
+     * @returns {Element} Details element
+     */
+    createPromptDiff(existing, incoming) {
+        const mine = existing.getSnapshot();
+        const theirs = incoming.getSnapshot();
+        const format = (value) => value && typeof value === 'object' ? JSON.stringify(value) : String(value || '');
+        
+        const fields = Prompt.HISTORY_FIELDS
+            .filter(field => format(mine[field]) !== format(theirs[field]))
+            .map(field => DOMUtils.createElement('div', {
+                className: 'import-wizard__diff-field'
+            }, [
+                DOMUtils.createElement('span', { className: 'import-wizard__diff-name' }, field),
+                DiffUtils.renderInline(DiffUtils.diffWords(format(mine[field]), format(theirs[field])))
+            ]));
+        
+        return DOMUtils.createElement('details', {
+            className: 'import-wizard__diff'
+        }, [
+            DOMUtils.createElement('summary', {}, 'Differenze'),
+            ...fields
+        ]);
+    }
+    
+    /**
+     * Create list of parse errors
+     * @param {Array} errors - Error messages
+     * @returns {Element} Error section
+     */
+    createErrorList(errors) {
+        return DOMUtils.createElement('section', {
+            className: 'import-wizard__section import-wizard__errors'
+        }, [
+            DOMUtils.createElement('h4', {
+                className: 'import-wizard__section-title'
+            }, `Errori (${errors.length})`),
+            DOMUtils.createElement('ul', {}, errors.map(error => DOMUtils.createElement('li', {}, error)))
+        ]);
+    }
+    
+    /**
+     * Apply one resolution to every item with a status
+     * @param {string} status - Item status
+     * @param {string} resolution - Resolution
+     */
+    applyToAll(status, resolution) {
+        const rows = new Map(Array.from(this.dialog.body.querySelectorAll('.import-wizard__item'))
+            .map(row => [row.dataset.key, row]));
+        
+        this.getResolvableItems()
+            .filter(item => item.status === status)
+            .forEach(item => {
+                const select = rows.get(item.key).querySelector('.import-wizard__resolution');
+                const allowed = Array.from(select.options).some(option => option.value === resolution);
+                
+                // Categories and settings can't be kept twice, keep the collection's version
+                const value = allowed ? resolution : StorageManager.IMPORT_RESOLUTIONS.MINE;
+                this.resolutions[item.key] = value;
+                select.value = value;
+            });
+    }
+    
+    /**
+     * Commit import and show summary
+     */
+    commit() {
+        const summary = this.storage.recordUndo(this.sourceName ? `Importa "${this.sourceName}"` : 'Importazione', () =>
+            this.storage.commitImport(this.analysis, this.resolutions)
+        );
+        const { body, modal } = this.dialog;
+        
+        body.innerHTML = '';
+        body.appendChild(this.renderSummary(summary));
+        
+        const footer = modal.querySelector('.modal__footer');
+        footer.innerHTML = '';
+        footer.appendChild(DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'btn btn--primary',
+            onclick: () => this.dialog.close()
+        }, 'Chiudi'));
+        
+        modal.querySelector('.modal__header h3').textContent = 'Importazione completata';
+        DOMUtils.showUndoToast('Importazione completata', this.storage.undoManager);
+        
+        // Resolve now so the caller refreshes while the summary is visible
+        this.finish(summary);
+    }
+    
+    /**
+     * Render import summary
+     * @param {Object} summary - Result of StorageManager.commitImport()
+     * @returns {Element} Summary element
+     */
+    renderSummary(summary) {
+        const list = DOMUtils.createElement('dl', {
+            className: 'settings-stats import-wizard__summary'
+        });
+        
+        [
+            ['Prompt aggiunti', summary.added],
+            ['Prompt sostituiti', summary.replaced],
+            ['Prompt importati come copia', summary.duplicated],
+            ['Prompt mantenuti', summary.kept],
+            ['Prompt identici', summary.identical],
+            ['Categorie aggiunte', summary.categoriesAdded],
+            ['Categorie aggiornate', summary.categoriesReplaced],
+            ['Impostazioni', summary.settingsReplaced ? 'Sostituite' : 'Invariate'],
+            ['Preferiti aggiunti', summary.favorites],
+            ['Cartelle smart aggiunte', summary.smartFolders],
+            ['Tipi di prompt aggiunti', summary.promptTypes],
+            ['Campi di metadati aggiunti', summary.metadataFields],
+            ['Elementi del cestino aggiunti', summary.trash],
+            ['Revisioni importate', summary.revisions],
+            ['Backup importati', summary.backups]
+        ].forEach(([label, value]) => {
+            list.appendChild(DOMUtils.createElement('dt', {}, label));
+            list.appendChild(DOMUtils.createElement('dd', {}, String(value)));
+        });
+        
+        const container = DOMUtils.createElement('div', {}, [list]);
+        if (summary.errors.length > 0) {
+            container.appendChild(this.createErrorList(summary.errors));
+        }
+        return container;
+    }
+    
+    /**
+     * Settle the promise returned by open()
+     * @param {Object|null} summary - Import summary
+     */
+    finish(summary) {
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(summary);
+        }
+    }
+}
+
+// Export for use in other modules
+window.ImportWizard = ImportWizard;
@@ -0,0 +1,62 @@
+/**
+ * Metadata Fields Dialog Component
+ * Edits the custom metadata fields of the collection: fields every prompt can fill in,
+ * besides the fixed ones, shown in the editor and the viewer and usable to search and sort
+ */
+
+class MetadataFieldsDialog {
+    constructor(storageManager) {
+        this.storage = storageManager;
+    }
+    
+    /**
+     * Open dialog
+     */
+    open() {
+        const fieldList = DOMUtils.createElement('div', {
+            className: 'type-manager__fields',
+            id: 'metadata-fields-editor'
+        }, this.storage.metadataFields.map(field => PromptTypeManager.createFieldRow(field)));
+        
+        DOMUtils.showModal({
+            title: 'Metadati personalizzati',
+            className: 'type-manager',
+            body: [
+                DOMUtils.createElement('p', {
+                    className: 'type-manager__intro'
+                }, 'Ogni prompt della collezione può compilare questi campi. Si cercano con meta.nome:valore e si usano per ordinare la struttura.'),
+                fieldList,
+                PromptTypeManager.createAddFieldButton(fieldList, 'add-metadata-field-btn')
+            ],
+            actions: [
+                { label: 'Annulla' },
+                {
+                    label: 'Salva',
+                    className: 'btn--primary',
+                    action: (close) => {
+                        if (this.save(fieldList)) close();
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Save the fields in the dialog
+     * @param {Element} fieldList - Container of the field rows
+     * @returns {boolean} True if saved
+     */
+    save(fieldList) {
+        const fields = PromptTypeManager.readFieldRows(fieldList);
+        if (!fields) return false;
+        
+        this.storage.recordUndo('Modifica metadati personalizzati', () => this.storage.setMetadataFields(fields));
+        
+        window.dispatchEvent(new CustomEvent('prompts-changed'));
+        DOMUtils.showUndoToast('Metadati personalizzati salvati', this.storage.undoManager);
+        return true;
+    }
+}
+
+// Export for use in other modules
+window.MetadataFieldsDialog = MetadataFieldsDialog;
@@ -4,6 +4,13 @@
  */
 
 class PromptEditor {
+    // Unsaved form content is kept here while auto-save is on
+    static DRAFT_KEY = 'prompt-manager-editor-draft';
+    static DRAFT_DELAY = 500;
+    
+    // The YAML pane is checked and copied into the form once typing pauses
+    static YAML_DELAY = 300;
+    
     constructor(storageManager) {
         this.storage = storageManager;
         this.modal = null;
@@ -11,6 +18,15 @@ class PromptEditor {
         this.currentPrompt = null;
         this.isEditing = false;
         this.isDirty = false;
+        this.variableDefinitions = new Map();
+        this.modelEntries = [];
+        this.fieldValues = {};
+        this.metadataValues = {};
+        this.extensions = {};
+        this.mode = 'form';
+        this.yamlProblems = [];
+        this.syncFromYamlLater = DOMUtils.debounce(() => this.syncFromYaml(), PromptEditor.YAML_DELAY);
+        this.saveDraftLater = DOMUtils.debounce(() => this.saveDraft(), PromptEditor.DRAFT_DELAY);
         
         this.init();
     }
@@ -24,6 +40,7 @@ class PromptEditor {
         
         this.setupEventListeners();
         this.buildForm();
+        this.buildYamlEditor();
     }
     
     /**
@@ -75,9 +92,14 @@ class PromptEditor {
             }
         });
         
-        // Prevent accidental navigation
+        // Prevent accidental navigation, unless the changes are kept as a draft
         window.addEventListener('beforeunload', (e) => {
             if (this.isDirty && this.isOpen()) {
+                if (this.storage.settings.autoSave) {
+                    this.saveDraft();
+                    return;
+                }
+                
                 e.preventDefault();
                 e.returnValue = '';
             }
@@ -134,24 +156,11 @@ class PromptEditor {
             {
                 required: true
             },
-            [
-                { value: 'text_generation', text: 'Generazione Testo' },
-                { value: 'image_generation', text: 'Generazione Immagini' },
-                { value: 'code', text: 'Codice' },
-                { value: 'other', text: 'Altro' }
-            ]
+            this.getTypeOptions()
         ));
         
-        // Model field
-        this.form.appendChild(this.createFormGroup(
-            'model',
-            'Modello',
-            'input',
-            {
-                type: 'text',
-                placeholder: 'es. GPT-4, Claude Sonnet, etc.'
-            }
-        ));
+        // Models field
+        this.form.appendChild(this.createModelsField());
         
         // Author field
         this.form.appendChild(this.createFormGroup(
@@ -170,6 +179,12 @@ class PromptEditor {
         // Tags field
         this.form.appendChild(this.createTagsField());
         
+        // Custom metadata fields of the collection
+        this.form.appendChild(DOMUtils.createElement('div', {
+            className: 'metadata-fields',
+            id: 'metadata-fields'
+        }));
+        
         // Prompt content field
         this.form.appendChild(this.createFormGroup(
             'prompt',
@@ -193,6 +208,15 @@ class PromptEditor {
             }
         ));
         
+        // Extra fields of the prompt type
+        this.form.appendChild(DOMUtils.createElement('div', {
+            className: 'type-fields',
+            id: 'type-fields'
+        }));
+        
+        // Variables field
+        this.form.appendChild(this.createVariablesField());
+        
         // Notes field
         this.form.appendChild(this.createFormGroup(
             'notes',
@@ -222,10 +246,52 @@ class PromptEditor {
             'Aggiungi ai preferiti'
         ));
         
+        // Change note (stored with the revision, only when editing)
+        this.form.appendChild(this.createFormGroup(
+            'changeNote',
+            'Nota di modifica',
+            'input',
+            {
+                type: 'text',
+                maxlength: 200,
+                placeholder: 'Descrivi brevemente cosa è cambiato (facoltativo)'
+            }
+        ));
+        
         // Setup conditional field visibility
         this.setupConditionalFields();
     }
     
+    /**
+     * Get the options of the type field
+     * @param {string} currentType - Type of the prompt being edited, listed even if the collection doesn't define it
+     * @returns {Array} Options ({ value, text })
+     */
+    getTypeOptions(currentType = null) {
+        const options = Array.from(this.storage.promptTypes.values()).map(type => ({ value: type.id, text: type.name }));
+        
+        if (currentType && !this.storage.promptTypes.has(currentType)) {
+            options.push({ value: currentType, text: currentType });
+        }
+        return options;
+    }
+    
+    /**
+     * Rebuild the options of the type field, as types may have changed since the form was built
+     * @param {string} currentType - Type of the prompt being edited
+     */
+    refreshTypeOptions(currentType = null) {
+        const typeSelect = this.form.querySelector('#type');
+        if (!typeSelect) return;
+        
+        typeSelect.innerHTML = '';
+        this.getTypeOptions(currentType).forEach(option => {
+            typeSelect.appendChild(DOMUtils.createElement('option', {
+                value: option.value
+            }, option.text));
+        });
+    }
+    
     /**
      * Create form group
      * @param {string} name - Field name
@@ -400,22 +466,792 @@ class PromptEditor {
         return group;
     }
     
+    /**
+     * Create models field: registered models to tick, another model to add by name,
+     * and the generation parameters of each chosen model
+     * @returns {Element} Models field element
+     */
+    createModelsField() {
+        const group = DOMUtils.createElement('div', {
+            className: 'form-group'
+        });
+        
+        const label = DOMUtils.createElement('span', {
+            className: 'form-label'
+        }, 'Modelli');
+        
+        const options = DOMUtils.createElement('div', {
+            className: 'models-editor__options',
+            role: 'group',
+            'aria-label': 'Modelli registrati'
+        });
+        
+        options.addEventListener('change', (e) => {
+            if (e.target.name === 'model-option') {
+                this.toggleModel(e.target.value, e.target.checked);
+            }
+        });
+        
+        const customInput = DOMUtils.createElement('input', {
+            className: 'form-input',
+            id: 'model-custom',
+            type: 'text',
+            placeholder: 'Altro modello, es. Llama 3'
+        });
+        
+        const addCustom = () => {
+            if (this.addModel(customInput.value)) {
+                customInput.value = '';
+            }
+        };
+        
+        customInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addCustom();
+            }
+        });
+        
+        const container = DOMUtils.createElement('div', {
+            className: 'models-editor',
+            id: 'models-editor'
+        }, [
+            options,
+            DOMUtils.createElement('div', {
+                className: 'models-editor__custom'
+            }, [
+                customInput,
+                DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--secondary btn--small models-editor__add',
+                    onclick: addCustom
+                }, 'Aggiungi')
+            ]),
+            DOMUtils.createElement('div', {
+                className: 'models-editor__list'
+            })
+        ]);
+        
+        const help = DOMUtils.createElement('div', {
+            className: 'form-help'
+        }, 'Scegli i modelli per cui è pensato il prompt. I modelli registrati si gestiscono nelle impostazioni.');
+        
+        group.appendChild(label);
+        group.appendChild(container);
+        group.appendChild(help);
+        
+        return group;
+    }
+    
+    /**
+     * Rebuild the models field from the registry and the chosen models
+     * Parameters typed for a model are kept
+     */
+    refreshModelsField() {
+        const container = this.form.querySelector('#models-editor');
+        if (!container) return;
+        
+        this.readModelParameters();
+        
+        const chosen = new Set(this.modelEntries.map(entry => entry.name.toLowerCase()));
+        const options = container.querySelector('.models-editor__options');
+        options.innerHTML = '';
+        
+        this.storage.getModelRegistry().forEach(model => {
+            const checkbox = DOMUtils.createElement('input', {
+                type: 'checkbox',
+                name: 'model-option',
+                value: model.name
+            });
+            checkbox.checked = chosen.has(model.name.toLowerCase());
+            
+            options.appendChild(DOMUtils.createElement('label', {
+                className: 'models-editor__option',
+                title: model.provider || 'Fornitore non indicato'
+            }, [checkbox, model.name]));
+        });
+        
+        const list = container.querySelector('.models-editor__list');
+        list.innerHTML = '';
+        
+        if (this.modelEntries.length === 0) {
+            list.appendChild(DOMUtils.createElement('div', {
+                className: 'models-editor__empty'
+            }, 'Nessun modello scelto'));
+            return;
+        }
+        
+        const type = this.form.querySelector('#type')?.value;
+        this.modelEntries.forEach((entry, index) => {
+            list.appendChild(this.createModelRow(entry, index, this.storage.getModelKind(entry, type)));
+        });
+    }
+    
+    /**
+     * Create the row of a chosen model, with the parameters that apply to its kind
+     * Parameters already set are shown even if they belong to another kind
+     * @param {Object} entry - Model entry
+     * @param {number} index - Position in the chosen models
+     * @param {string} kind - Model kind
+     * @returns {Element} Row element
+     */
+    createModelRow(entry, index, kind) {
+        const parameters = Object.entries(Prompt.MODEL_PARAMETERS)
+            .filter(([key, definition]) => definition.kinds.includes(kind) || entry.parameters[key] != null)
+            .map(([key, definition]) => {
+                const input = DOMUtils.createElement('input', {
+                    className: 'form-input',
+                    type: definition.type === 'text' ? 'text' : 'number',
+                    name: 'model-parameter',
+                    placeholder: definition.label,
+                    'aria-label': `${definition.label} di ${entry.name}`,
+                    dataset: { parameter: key }
+                });
+                if (definition.type !== 'text') {
+                    input.setAttribute('step', definition.type === 'integer' ? '1' : 'any');
+                }
+                input.value = entry.parameters[key] != null ? entry.parameters[key] : '';
+                
+                return DOMUtils.createElement('label', {
+                    className: 'models-editor__parameter'
+                }, [
+                    DOMUtils.createElement('span', {}, definition.label),
+                    input
+                ]);
+            });
+        
+        return DOMUtils.createElement('div', {
+            className: 'models-editor__row',
+            dataset: { index }
+        }, [
+            DOMUtils.createElement('span', {
+                className: 'models-editor__name'
+            }, Prompt.formatModel(entry)),
+            DOMUtils.createElement('div', {
+                className: 'models-editor__parameters'
+            }, parameters),
+            DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--icon models-editor__remove',
+                title: `Rimuovi ${entry.name}`,
+                'aria-label': `Rimuovi ${entry.name}`,
+                onclick: () => this.removeModel(index)
+            }, [DOMUtils.createIcon('x')])
+        ]);
+    }
+    
+    /**
+     * Store parameters typed in the model rows, as text until the form is saved
+     */
+    readModelParameters() {
+        this.form.querySelectorAll('.models-editor__row').forEach(row => {
+            const entry = this.modelEntries[Number(row.dataset.index)];
+            if (!entry) return;
+            
+            row.querySelectorAll('[name="model-parameter"]').forEach(input => {
+                entry.parameters[input.dataset.parameter] = input.value.trim();
+            });
+        });
+    }
+    
+    /**
+     * Add a model by name, with the provider of the registered model of that name
+     * @param {string} name - Model name
+     * @returns {boolean} True if added
+     */
+    addModel(name) {
+        const [entry] = this.storage.resolveModels(Prompt.normalizeModels(name.trim() ? [name] : []));
+        if (!entry) return false;
+        
+        const exists = this.modelEntries.some(model => model.name.toLowerCase() === entry.name.toLowerCase());
+        if (!exists) {
+            this.readModelParameters();
+            this.modelEntries.push(entry);
+            this.refreshModelsField();
+            this.markDirty();
+        }
+        return true;
+    }
+    
+    /**
+     * Add or remove a registered model
+     * @param {string} name - Model name
+     * @param {boolean} checked - Whether the model is chosen
+     */
+    toggleModel(name, checked) {
+        if (checked) {
+            this.addModel(name);
+            return;
+        }
+        
+        const index = this.modelEntries.findIndex(entry => entry.name.toLowerCase() === name.toLowerCase());
+        if (index >= 0) {
+            this.removeModel(index);
+        }
+    }
+    
+    /**
+     * Remove a chosen model
+     * @param {number} index - Position in the chosen models
+     */
+    removeModel(index) {
+        this.readModelParameters();
+        this.modelEntries.splice(index, 1);
+        
+        // Rows are indexed by position, so they are rebuilt without reading them again
+        this.form.querySelectorAll('.models-editor__row').forEach(row => row.remove());
+        this.refreshModelsField();
+        this.markDirty();
+    }
+    
+    /**
+     * Create variables field listing placeholders found in the prompt
+     * @returns {Element} Variables field element
+     */
+    createVariablesField() {
+        const group = DOMUtils.createElement('div', {
+            className: 'form-group'
+        });
+        
+        const label = DOMUtils.createElement('label', {
+            className: 'form-label'
+        }, 'Variabili');
+        
+        const container = DOMUtils.createElement('div', {
+            className: 'variables-editor',
+            id: 'variables-editor'
+        });
+        
+        const help = DOMUtils.createElement('div', {
+            className: 'form-help'
+        }, 'Usa {{nome}} o {{nome|valore predefinito}} nel prompt per definire una variabile');
+        
+        group.appendChild(label);
+        group.appendChild(container);
+        group.appendChild(help);
+        
+        return group;
+    }
+    
+    /**
+     * Rebuild variable rows from the placeholders currently in the form
+     * Values typed for a variable are kept while it stays in the text
+     */
+    refreshVariablesField() {
+        const container = this.form.querySelector('#variables-editor');
+        if (!container) return;
+        
+        this.readVariableDefinitions();
+        
+        const promptInput = this.form.querySelector('#prompt');
+        const negativeInput = this.form.querySelector('#negative_prompt');
+        const detected = Prompt.extractVariables(promptInput?.value, negativeInput?.value);
+        
+        container.innerHTML = '';
+        
+        if (detected.length === 0) {
+            container.appendChild(DOMUtils.createElement('div', {
+                className: 'variables-editor__empty'
+            }, 'Nessuna variabile nel prompt'));
+            return;
+        }
+        
+        detected.forEach(variable => {
+            const definition = this.variableDefinitions.get(variable.name) || {};
+            
+            const row = DOMUtils.createElement('div', {
+                className: 'variables-editor__row',
+                dataset: { variable: variable.name }
+            });
+            
+            row.appendChild(DOMUtils.createElement('code', {
+                className: 'variables-editor__name'
+            }, variable.name));
+            
+            const defaultInput = DOMUtils.createElement('input', {
+                className: 'form-input',
+                type: 'text',
+                name: 'variable-default',
+                placeholder: variable.default || 'Valore predefinito'
+            });
+            defaultInput.value = definition.default || '';
+            
+            const descriptionInput = DOMUtils.createElement('input', {
+                className: 'form-input',
+                type: 'text',
+                name: 'variable-description',
+                placeholder: 'Descrizione'
+            });
+            descriptionInput.value = definition.description || '';
+            
+            row.appendChild(defaultInput);
+            row.appendChild(descriptionInput);
+            container.appendChild(row);
+        });
+    }
+    
+    /**
+     * Store values typed in the variable rows
+     */
+    readVariableDefinitions() {
+        this.form.querySelectorAll('.variables-editor__row').forEach(row => {
+            this.variableDefinitions.set(row.dataset.variable, {
+                name: row.dataset.variable,
+                default: row.querySelector('[name="variable-default"]').value.trim(),
+                description: row.querySelector('[name="variable-description"]').value.trim()
+            });
+        });
+    }
+    
+    /**
+     * Rebuild the inputs of the extra fields of the selected type
+     * Values typed are kept, also for fields of other types, while the editor is open
+     */
+    refreshTypeFields() {
+        const container = this.form.querySelector('#type-fields');
+        if (!container) return;
+        
+        this.readCustomFieldValues(container, this.fieldValues);
+        container.innerHTML = '';
+        
+        this.getSelectedType().fields.forEach(field => {
+            container.appendChild(this.createCustomFieldGroup(field, this.fieldValues[field.name], 'type-field'));
+        });
+    }
+    
+    /**
+     * Rebuild the inputs of the custom metadata fields of the collection
+     */
+    refreshMetadataFields() {
+        const container = this.form.querySelector('#metadata-fields');
+        if (!container) return;
+        
+        this.readCustomFieldValues(container, this.metadataValues);
+        container.innerHTML = '';
+        
+        this.storage.metadataFields.forEach(field => {
+            container.appendChild(this.createCustomFieldGroup(field, this.metadataValues[field.name], 'metadata-field'));
+        });
+    }
+    
+    /**
+     * Create the input of a field defined by the user, for a type or for the collection
+     * @param {Object} field - Field definition
+     * @param {*} value - Current value
+     * @param {string} idPrefix - Prefix of the input ID, followed by the field name
+     * @returns {Element} Form group element
+     */
+    createCustomFieldGroup(field, value, idPrefix) {
+        const id = `${idPrefix}-${field.name}`;
+        const label = field.required ? `${field.label} *` : field.label;
+        let group;
+        
+        if (field.type === 'boolean') {
+            group = this.createCheckboxGroup(id, label);
+            group.querySelector('input').checked = Boolean(value);
+        } else if (field.type === 'select') {
+            group = this.createFormGroup(id, label, 'select', {}, [
+                { value: '', text: 'Nessuna scelta' },
+                ...field.options.map(option => ({ value: option, text: option }))
+            ]);
+        } else if (field.type === 'textarea') {
+            group = this.createFormGroup(id, label, 'textarea', { rows: 3 });
+        } else {
+            const inputTypes = { number: 'number', date: 'date', url: 'url' };
+            const attributes = { type: inputTypes[field.type] || 'text' };
+            if (field.type === 'number') {
+                attributes.step = 'any';
+                if (field.min != null) attributes.min = field.min;
+                if (field.max != null) attributes.max = field.max;
+            }
+            group = this.createFormGroup(id, label, 'input', attributes);
+        }
+        
+        const input = group.querySelector(`#${id}`);
+        input.dataset.field = field.name;
+        if (field.type !== 'boolean') {
+            input.value = value == null ? '' : String(value);
+        }
+        
+        return group;
+    }
+    
+    /**
+     * Store values typed in the inputs of user-defined fields
+     * @param {Element} container - Container of the inputs
+     * @param {Object} values - Values keyed by field name, updated in place
+     */
+    readCustomFieldValues(container, values) {
+        container.querySelectorAll('[data-field]').forEach(input => {
+            values[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+    }
+    
+    /**
+     * Check values typed in the inputs of user-defined fields
+     * @param {Element} container - Container of the inputs
+     * @param {Array} fields - Field definitions
+     * @param {Object} values - Values keyed by field name
+     * @returns {boolean} True if valid
+     */
+    validateCustomFields(container, fields, values) {
+        let isValid = true;
+        
+        container.querySelectorAll('[data-field]').forEach(input => {
+            if (input.validity.badInput) {
+                this.showFieldError(input, input.type === 'date' ? 'Inserisci una data valida' : 'Inserisci un numero');
+                isValid = false;
+            }
+        });
+        
+        PromptType.validateValues(fields, values).forEach(error => {
+            const input = container.querySelector(`[data-field="${error.field}"]`);
+            if (input && !input.parentNode.querySelector('.form-error')) {
+                this.showFieldError(input, error.message);
+                isValid = false;
+            }
+        });
+        
+        return isValid;
+    }
+    
+    /**
+     * Get the schema of the type chosen in the form
+     * @returns {Object} Type schema
+     */
+    getSelectedType() {
+        return this.storage.getPromptType(this.form.querySelector('#type')?.value);
+    }
+    
+    /**
+     * Show the optional fields the selected type uses and hide the others
+     */
+    applyTypeLayout() {
+        const { layout } = this.getSelectedType();
+        const groups = {
+            negative_prompt: '#negative_prompt',
+            model: '#models-editor',
+            variables: '#variables-editor'
+        };
+        
+        Object.entries(groups).forEach(([name, selector]) => {
+            const group = this.form.querySelector(selector)?.closest('.form-group');
+            if (group) {
+                group.style.display = layout.includes(name) ? 'flex' : 'none';
+            }
+        });
+    }
+    
     /**
      * Setup conditional field visibility
      */
     setupConditionalFields() {
         const typeSelect = this.form.querySelector('#type');
-        const negativePromptGroup = this.form.querySelector('#negative_prompt').closest('.form-group');
         
-        if (typeSelect && negativePromptGroup) {
-            const updateVisibility = () => {
-                const isImageGeneration = typeSelect.value === 'image_generation';
-                negativePromptGroup.style.display = isImageGeneration ? 'flex' : 'none';
-            };
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => {
+                this.applyTypeLayout();
+                this.refreshTypeFields();
+                
+                // Models that aren't registered offer the parameters of the prompt type
+                this.refreshModelsField();
+            });
             
-            typeSelect.addEventListener('change', updateVisibility);
-            updateVisibility(); // Initial state
+            // Initial state
+            this.applyTypeLayout();
+            this.refreshTypeFields();
         }
+        
+        // Keep variable rows in sync with placeholders in the prompt text
+        const refreshVariables = DOMUtils.debounce(() => this.refreshVariablesField(), 300);
+        ['#prompt', '#negative_prompt'].forEach(selector => {
+            const input = this.form.querySelector(selector);
+            if (input) {
+                input.addEventListener('input', refreshVariables);
+            }
+        });
+        
+        this.refreshVariablesField();
+    }
+    
+    /**
+     * Build the switch between form and YAML, and the YAML pane
+     * The pane has line numbers, highlighting under a transparent textarea, and the list of problems found
+     */
+    buildYamlEditor() {
+        if (!this.form) return;
+        
+        this.modeButtons = ['form', 'yaml'].map(mode => DOMUtils.createElement('button', {
+            type: 'button',
+            id: `editor-mode-${mode}`,
+            className: `tab ${this.mode === mode ? 'tab--active' : ''}`,
+            'aria-pressed': String(this.mode === mode),
+            dataset: { mode },
+            onclick: () => this.setMode(mode)
+        }, mode === 'form' ? 'Modulo' : 'YAML'));
+        
+        this.yamlInput = DOMUtils.createElement('textarea', {
+            id: 'yaml-source',
+            className: 'yaml-editor__input',
+            spellcheck: 'false',
+            wrap: 'off',
+            'aria-label': 'Sorgente YAML del prompt',
+            'aria-describedby': 'yaml-errors'
+        });
+        this.yamlHighlight = DOMUtils.createElement('pre', {
+            className: 'yaml-editor__highlight',
+            'aria-hidden': 'true'
+        });
+        this.yamlGutter = DOMUtils.createElement('div', {
+            className: 'yaml-editor__gutter',
+            'aria-hidden': 'true'
+        });
+        this.yamlErrorList = DOMUtils.createElement('ul', {
+            id: 'yaml-errors',
+            className: 'yaml-editor__errors',
+            'aria-live': 'polite'
+        });
+        
+        this.yamlEditor = DOMUtils.createElement('div', {
+            id: 'yaml-editor',
+            className: 'yaml-editor',
+            style: 'display: none;'
+        }, [
+            DOMUtils.createElement('div', {
+                className: 'yaml-editor__main'
+            }, [
+                this.yamlGutter,
+                DOMUtils.createElement('div', {
+                    className: 'yaml-editor__area'
+                }, [this.yamlHighlight, this.yamlInput])
+            ]),
+            this.yamlErrorList
+        ]);
+        
+        this.yamlInput.addEventListener('input', () => {
+            this.renderYamlSource();
+            this.markDirty();
+            this.syncFromYamlLater();
+        });
+        
+        // Highlighting and line numbers follow the textarea
+        this.yamlInput.addEventListener('scroll', () => {
+            this.yamlHighlight.scrollTop = this.yamlInput.scrollTop;
+            this.yamlHighlight.scrollLeft = this.yamlInput.scrollLeft;
+            this.yamlGutter.scrollTop = this.yamlInput.scrollTop;
+        });
+        
+        this.form.before(DOMUtils.createElement('div', {
+            className: 'prompt-editor__modes',
+            role: 'group',
+            'aria-label': 'Modalità di modifica'
+        }, this.modeButtons));
+        this.form.after(this.yamlEditor);
+    }
+    
+    /**
+     * Switch between the form and the YAML pane
+     * Edits carry over both ways; the form can't be shown while the YAML doesn't parse
+     * @param {string} mode - 'form' or 'yaml'
+     * @returns {boolean} True if switched
+     */
+    setMode(mode) {
+        if (!this.yamlEditor || mode === this.mode) return true;
+        
+        if (mode === 'yaml') {
+            this.refreshYamlSource();
+        } else if (this.syncFromYaml().syntaxError) {
+            DOMUtils.showToast('Correggi la sintassi del YAML per tornare al modulo', 'error');
+            return false;
+        }
+        
+        this.mode = mode;
+        
+        // Hidden required fields must not block saving from the YAML pane
+        this.form.noValidate = mode === 'yaml';
+        this.form.style.display = mode === 'yaml' ? 'none' : '';
+        this.yamlEditor.style.display = mode === 'yaml' ? '' : 'none';
+        
+        this.modeButtons.forEach(button => {
+            const active = button.dataset.mode === mode;
+            button.classList.toggle('tab--active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        
+        if (mode === 'yaml') {
+            this.yamlInput.focus();
+        } else {
+            this.clearValidationErrors();
+        }
+        return true;
+    }
+    
+    /**
+     * Write the form content into the YAML pane
+     */
+    refreshYamlSource() {
+        // Values the form doesn't show (e.g. creation date) come from the prompt being edited
+        const base = this.currentPrompt ? this.currentPrompt.toObject() : {};
+        this.yamlInput.value = Prompt.dumpYAML({ ...base, ...this.collectFormData() });
+        this.yamlInput.scrollTop = 0;
+        this.showYamlProblems(this.checkYaml(this.yamlInput.value).errors);
+    }
+    
+    /**
+     * Check the YAML pane and copy what it holds into the form
+     * The form is left alone while the YAML doesn't parse
+     * @returns {Object} Result of checkYaml()
+     */
+    syncFromYaml() {
+        const result = this.checkYaml(this.yamlInput.value);
+        this.showYamlProblems(result.errors);
+        
+        if (result.data) {
+            this.populateForm(this.getYamlFormData(result.data));
+        }
+        return result;
+    }
+    
+    /**
+     * Check YAML text as prompt data
+     * Parse errors come from js-yaml, the others from Prompt.validate() and the rules of the
+     * extra fields and metadata, placed on the line of their key when there is one
+     * @param {string} text - YAML text
+     * @returns {Object} Result ({ data, errors, syntaxError }); errors are { line, message }, line null when unknown
+     */
+    checkYaml(text) {
+        let data;
+        try {
+            data = jsyaml.load(text);
+        } catch (error) {
+            return {
+                data: null,
+                syntaxError: true,
+                errors: [{ line: YamlUtils.getErrorLine(error), message: `Errore di sintassi: ${error.reason || error.message}` }]
+            };
+        }
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return {
+                data: null,
+                syntaxError: true,
+                errors: [{ line: 1, message: 'Il YAML deve descrivere un prompt come elenco di chiavi (es. title: ...)' }]
+            };
+        }
+        
+        const errors = [];
+        try {
+            new Prompt(data);
+        } catch (error) {
+            (error.errors || [{ field: null, message: error.message }]).forEach(({ field, message }) => {
+                errors.push({ line: field ? YamlUtils.findKeyLine(text, field) : null, message });
+            });
+        }
+        
+        const checkValues = (key, definitions, values) => {
+            PromptType.validateValues(definitions, Prompt.normalizeFields(values)).forEach(({ field, message }) => {
+                const definition = definitions.find(item => item.name === field);
+                errors.push({ line: YamlUtils.findKeyLine(text, key, field), message: `${definition.label}: ${message}` });
+            });
+        };
+        checkValues('fields', this.storage.getPromptType(typeof data.type === 'string' && data.type ? data.type : Prompt.TYPES.TEXT_GENERATION).fields, data.fields);
+        checkValues('metadata', this.storage.metadataFields, data.metadata);
+        
+        errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+        return { data, errors, syntaxError: false };
+    }
+    
+    /**
+     * Turn parsed YAML into data for populateForm()
+     * Category and favorite aren't part of prompt files, so the form keeps its own
+     * @param {Object} data - Parsed YAML
+     * @returns {Object} Prompt data
+     */
+    getYamlFormData(data) {
+        const text = (value) => value == null ? '' : String(value);
+        
+        return {
+            title: text(data.title),
+            type: typeof data.type === 'string' && data.type ? data.type : Prompt.TYPES.TEXT_GENERATION,
+            prompt: text(data.prompt),
+            negative_prompt: text(data.negative_prompt),
+            author: text(data.author),
+            notes: text(data.notes),
+            version: data.version == null ? '1.0' : text(data.version),
+            category: this.form.querySelector('#category')?.value || '',
+            isFavorite: Boolean(this.form.querySelector('#isFavorite')?.checked),
+            tags: Array.isArray(data.tags) ? data.tags.map(text) : [],
+            model: Prompt.normalizeModels(data.model),
+            variables: Prompt.normalizeVariables(data.variables),
+            fields: Prompt.normalizeFields(data.fields),
+            metadata: Prompt.normalizeFields(data.metadata),
+            extensions: Prompt.normalizeExtensions(data)
+        };
+    }
+    
+    /**
+     * Show the problems found in the YAML pane, under it and next to their lines
+     * @param {Array} problems - Problems ({ line, message })
+     */
+    showYamlProblems(problems) {
+        this.yamlProblems = problems;
+        this.yamlErrorList.innerHTML = '';
+        
+        if (problems.length === 0) {
+            this.yamlErrorList.appendChild(DOMUtils.createElement('li', {
+                className: 'yaml-editor__ok'
+            }, 'YAML valido'));
+        }
+        
+        // Problems with a line select it when clicked
+        problems.forEach(({ line, message }) => {
+            this.yamlErrorList.appendChild(DOMUtils.createElement('li', {
+                className: 'yaml-editor__error'
+            }, [line
+                ? DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'yaml-editor__error-line',
+                    onclick: () => this.goToYamlLine(line)
+                }, `Riga ${line}: ${message}`)
+                : message
+            ]));
+        });
+        
+        this.renderYamlSource();
+    }
+    
+    /**
+     * Draw the highlighted YAML and the line numbers, marking lines with problems
+     */
+    renderYamlSource() {
+        const text = this.yamlInput.value;
+        const errorLines = new Set(this.yamlProblems.map(problem => problem.line));
+        
+        // A trailing newline keeps the last empty line as tall as in the textarea
+        this.yamlHighlight.innerHTML = `${YamlUtils.highlight(text)}\n`;
+        
+        this.yamlGutter.innerHTML = '';
+        text.split('\n').forEach((_, index) => {
+            this.yamlGutter.appendChild(DOMUtils.createElement('div', {
+                className: `yaml-editor__line-number ${errorLines.has(index + 1) ? 'yaml-editor__line-number--error' : ''}`.trim()
+            }, String(index + 1)));
+        });
+        this.yamlGutter.scrollTop = this.yamlInput.scrollTop;
+    }
+    
+    /**
+     * Select a line of the YAML pane
+     * @param {number} line - Line number, from 1
+     */
+    goToYamlLine(line) {
+        const lines = this.yamlInput.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((total, item) => total + item.length + 1, 0);
+        
+        this.yamlInput.focus();
+        this.yamlInput.setSelectionRange(start, start + (lines[line - 1] || '').length);
+        
+        const lineHeight = parseFloat(getComputedStyle(this.yamlInput).lineHeight) || 20;
+        this.yamlInput.scrollTop = Math.max(0, (line - 3) * lineHeight);
     }
     
     /**
@@ -435,12 +1271,14 @@ class PromptEditor {
         
         // Reset form
         this.resetForm();
+        this.toggleChangeNoteField(false);
         
-        // Set default category if provided
-        if (category) {
+        // Set the given category, or the default one from the settings
+        const defaultCategory = category || this.storage.settings.defaultCategory;
+        if (defaultCategory && this.storage.categories.has(defaultCategory)) {
             const categorySelect = this.form.querySelector('#category');
             if (categorySelect) {
-                categorySelect.value = category;
+                categorySelect.value = defaultCategory;
             }
         }
         
@@ -450,6 +1288,7 @@ class PromptEditor {
             versionInput.value = '1.0';
         }
         
+        this.restoreDraft();
         this.open();
         
         // Focus title field
@@ -482,6 +1321,8 @@ class PromptEditor {
         
         // Populate form with prompt data
         this.populateForm(prompt);
+        this.toggleChangeNoteField(true);
+        this.restoreDraft();
         
         this.open();
         
@@ -498,9 +1339,11 @@ class PromptEditor {
      * @param {Prompt} prompt - Prompt object
      */
     populateForm(prompt) {
+        this.refreshTypeOptions(prompt.type);
+        
         const fields = [
             'title', 'type', 'prompt', 'negative_prompt', 
-            'model', 'author', 'notes', 'version', 'category'
+            'author', 'notes', 'version', 'category'
         ];
         
         fields.forEach(field => {
@@ -521,6 +1364,42 @@ class PromptEditor {
         if (favoriteInput) {
             favoriteInput.checked = prompt.isFavorite;
         }
+        
+        // Handle models, copied so that cancelling leaves the prompt alone
+        this.modelEntries = Prompt.normalizeModels(prompt.model);
+        this.form.querySelectorAll('.models-editor__row').forEach(row => row.remove());
+        this.refreshModelsField();
+        
+        // Handle variable definitions
+        this.variableDefinitions = new Map(prompt.variables.map(variable => [variable.name, { ...variable }]));
+        this.form.querySelectorAll('.variables-editor__row').forEach(row => row.remove());
+        this.refreshVariablesField();
+        
+        // Handle extra fields and the layout of the type
+        this.fieldValues = { ...prompt.fields };
+        this.form.querySelector('#type-fields').innerHTML = '';
+        this.refreshTypeFields();
+        this.applyTypeLayout();
+        
+        // Handle custom metadata
+        this.metadataValues = { ...prompt.metadata };
+        this.form.querySelector('#metadata-fields').innerHTML = '';
+        this.refreshMetadataFields();
+        
+        // Keys the form doesn't show, kept for the YAML pane and for saving
+        this.extensions = Prompt.normalizeExtensions({ extensions: prompt.extensions });
+    }
+    
+    /**
+     * Show or hide the change note field
+     * @param {boolean} visible - Whether the field is visible
+     */
+    toggleChangeNoteField(visible) {
+        const changeNoteInput = this.form.querySelector('#changeNote');
+        if (changeNoteInput) {
+            changeNoteInput.value = '';
+            changeNoteInput.closest('.form-group').style.display = visible ? 'flex' : 'none';
+        }
     }
     
     /**
@@ -528,10 +1407,34 @@ class PromptEditor {
      */
     resetForm() {
         if (this.form) {
+            this.refreshTypeOptions();
             this.form.reset();
             
             // Clear validation errors
             this.clearValidationErrors();
+            
+            // Clear models
+            this.modelEntries = [];
+            this.form.querySelectorAll('.models-editor__row').forEach(row => row.remove());
+            this.refreshModelsField();
+            
+            // Clear variable definitions
+            this.variableDefinitions.clear();
+            this.form.querySelectorAll('.variables-editor__row').forEach(row => row.remove());
+            this.refreshVariablesField();
+            
+            // Clear extra fields
+            this.fieldValues = {};
+            this.form.querySelector('#type-fields').innerHTML = '';
+            this.refreshTypeFields();
+            this.applyTypeLayout();
+            
+            // Clear custom metadata
+            this.metadataValues = {};
+            this.form.querySelector('#metadata-fields').innerHTML = '';
+            this.refreshMetadataFields();
+            
+            this.extensions = {};
         }
     }
     
@@ -543,6 +1446,11 @@ class PromptEditor {
             this.modal.style.display = 'flex';
             document.body.style.overflow = 'hidden';
             
+            // The editor stays in the mode last used
+            if (this.mode === 'yaml') {
+                this.refreshYamlSource();
+            }
+            
             // Trap focus in modal
             this.trapFocus();
         }
@@ -555,7 +1463,9 @@ class PromptEditor {
         if (this.isDirty && !confirm('Ci sono modifiche non salvate. Sei sicuro di voler chiudere?')) {
             return;
         }
-
+        
+        this.clearDraft();
+        
         if (this.modal) {
             this.modal.style.display = 'none';
             document.body.style.overflow = '';
@@ -581,6 +1491,61 @@ class PromptEditor {
      */
     markDirty() {
         this.isDirty = true;
+        
+        if (this.storage.settings.autoSave) {
+            this.saveDraftLater();
+        }
+    }
+    
+    /**
+     * Keep the form content as a draft, so it survives closing or reloading the page
+     */
+    saveDraft() {
+        if (!this.isOpen() || !this.isDirty) return;
+        
+        try {
+            localStorage.setItem(PromptEditor.DRAFT_KEY, JSON.stringify({
+                promptId: this.currentPrompt ? this.currentPrompt.id : null,
+                data: this.collectFormData(),
+                savedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.warn('Failed to save editor draft:', error);
+        }
+    }
+    
+    /**
+     * Fill the form with the draft left for the prompt being opened, if any
+     */
+    restoreDraft() {
+        if (!this.storage.settings.autoSave) return;
+        
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(PromptEditor.DRAFT_KEY));
+        } catch (error) {
+            console.warn('Failed to load editor draft:', error);
+        }
+        
+        const promptId = this.currentPrompt ? this.currentPrompt.id : null;
+        if (!draft || !draft.data || draft.promptId !== promptId) return;
+        
+        this.populateForm({ tags: [], variables: [], model: [], fields: {}, metadata: {}, extensions: {}, isFavorite: false, ...draft.data });
+        this.form.querySelector('#type')?.dispatchEvent(new Event('change'));
+        this.isDirty = true;
+        
+        DOMUtils.showToast(`Bozza del ${DOMUtils.formatDate(draft.savedAt)} ripristinata`, 'info');
+    }
+    
+    /**
+     * Forget the draft
+     */
+    clearDraft() {
+        try {
+            localStorage.removeItem(PromptEditor.DRAFT_KEY);
+        } catch (error) {
+            console.warn('Failed to clear editor draft:', error);
+        }
     }
     
     /**
@@ -588,47 +1553,78 @@ class PromptEditor {
      */
     save() {
         try {
+            // In YAML mode the source is checked and copied into the form first
+            if (this.mode === 'yaml' && this.syncFromYaml().errors.length > 0) {
+                DOMUtils.showToast('Correggi gli errori nel YAML prima di salvare', 'error');
+                return;
+            }
+            
             // Validate form
             if (!this.validateForm()) {
+                // Problems the YAML check doesn't cover are shown on the form
+                if (this.mode === 'yaml') {
+                    this.setMode('form');
+                }
                 return;
             }
             
             // Collect form data
             const formData = this.collectFormData();
+            const changeNote = this.form.querySelector('#changeNote')?.value.trim() || '';
             
             if (this.isEditing && this.currentPrompt) {
-                // Update existing prompt
-                this.currentPrompt.update(formData);
-                this.storage.savePrompts();
-                
-                // Update favorites if needed
-                if (formData.isFavorite) {
-                    this.storage.favorites.add(this.currentPrompt.id);
-                } else {
-                    this.storage.favorites.delete(this.currentPrompt.id);
-                }
-                this.storage.saveFavorites();
+                this.storage.recordUndo(`Modifica "${this.currentPrompt.title}"`, () => {
+                    // Keep the pre-edit state if the prompt has no history yet
+                    if (this.storage.getRevisions(this.currentPrompt.id).length === 0) {
+                        this.storage.recordRevision(this.currentPrompt);
+                    }
+                    
+                    // Bump version on content changes unless it was edited by hand
+                    const previousVersion = this.currentPrompt.version;
+                    const hasChanges = this.currentPrompt.differsFrom({ ...this.currentPrompt.getSnapshot(), ...formData });
+                    if (hasChanges && formData.version === previousVersion) {
+                        formData.version = Prompt.bumpVersion(previousVersion);
+                    }
+                    
+                    // Update existing prompt
+                    this.currentPrompt.update(formData);
+                    this.storage.savePrompts();
+                    this.storage.recordRevision(this.currentPrompt, changeNote);
+                    
+                    // Update favorites if needed
+                    if (formData.isFavorite) {
+                        this.storage.favorites.add(this.currentPrompt.id);
+                    } else {
+                        this.storage.favorites.delete(this.currentPrompt.id);
+                    }
+                    this.storage.saveFavorites();
+                    return true;
+                });
                 
-                DOMUtils.showToast('Prompt aggiornato con successo', 'success');
+                DOMUtils.showUndoToast('Prompt aggiornato con successo', this.storage.undoManager);
                 
                 // Dispatch update event
                 window.dispatchEvent(new CustomEvent('prompt-updated', {
                     detail: { promptId: this.currentPrompt.id }
                 }));
-                
+            
             } else {
                 // Create new prompt
                 const prompt = new Prompt(formData);
-                this.storage.prompts.set(prompt.id, prompt);
-                this.storage.savePrompts();
-                
-                // Add to favorites if needed
-                if (formData.isFavorite) {
-                    this.storage.favorites.add(prompt.id);
-                    this.storage.saveFavorites();
-                }
+                this.storage.recordUndo(`Crea "${prompt.title}"`, () => {
+                    this.storage.prompts.set(prompt.id, prompt);
+                    this.storage.savePrompts();
+                    this.storage.recordRevision(prompt, 'Creazione');
+                    
+                    // Add to favorites if needed
+                    if (formData.isFavorite) {
+                        this.storage.favorites.add(prompt.id);
+                        this.storage.saveFavorites();
+                    }
+                    return prompt;
+                });
                 
-                DOMUtils.showToast('Prompt creato con successo', 'success');
+                DOMUtils.showUndoToast('Prompt creato con successo', this.storage.undoManager);
                 
                 // Dispatch creation event
                 window.dispatchEvent(new CustomEvent('prompt-created', {
@@ -636,8 +1632,10 @@ class PromptEditor {
                 }));
             }
             
+            // Saved content is neither unsaved changes nor a draft any more
+            this.isDirty = false;
             this.close();
-            
+        
         } catch (error) {
             console.error('Save failed:', error);
             DOMUtils.showToast(`Errore durante il salvataggio: ${error.message}`, 'error');
@@ -695,6 +1693,41 @@ class PromptEditor {
             }
         }
         
+        // Models count and parameters
+        const customInput = this.form.querySelector('#model-custom');
+        if (customInput && this.modelEntries.length > Prompt.MAX_MODELS) {
+            this.showFieldError(customInput, `Massimo ${Prompt.MAX_MODELS} modelli consentiti`);
+            isValid = false;
+        }
+        
+        this.form.querySelectorAll('.models-editor__row [name="model-parameter"]').forEach(input => {
+            const definition = Prompt.MODEL_PARAMETERS[input.dataset.parameter];
+            const value = input.value.trim();
+            if (definition.type === 'text' || (!value && !input.validity.badInput)) return;
+            
+            const number = Number(value);
+            if (input.validity.badInput || !Number.isFinite(number)) {
+                this.showFieldError(input, 'Inserisci un numero');
+                isValid = false;
+            } else if (definition.type === 'integer' && !Number.isInteger(number)) {
+                this.showFieldError(input, 'Inserisci un numero intero');
+                isValid = false;
+            }
+        });
+        
+        // Extra fields of the type and custom metadata
+        const typeFields = this.form.querySelector('#type-fields');
+        this.readCustomFieldValues(typeFields, this.fieldValues);
+        if (!this.validateCustomFields(typeFields, this.getSelectedType().fields, this.fieldValues)) {
+            isValid = false;
+        }
+        
+        const metadataFields = this.form.querySelector('#metadata-fields');
+        this.readCustomFieldValues(metadataFields, this.metadataValues);
+        if (!this.validateCustomFields(metadataFields, this.storage.metadataFields, this.metadataValues)) {
+            isValid = false;
+        }
+        
         return isValid;
     }
     
@@ -744,7 +1777,7 @@ class PromptEditor {
         const data = {};
         
         // Text fields
-        const textFields = ['title', 'type', 'prompt', 'negative_prompt', 'model', 'author', 'notes', 'version', 'category'];
+        const textFields = ['title', 'type', 'prompt', 'negative_prompt', 'author', 'notes', 'version', 'category'];
         textFields.forEach(field => {
             const input = this.form.querySelector(`#${field}`);
             if (input) {
@@ -764,6 +1797,36 @@ class PromptEditor {
             data.isFavorite = favoriteInput.checked;
         }
         
+        // Models, with the parameters typed for them
+        this.readModelParameters();
+        data.model = Prompt.normalizeModels(this.modelEntries);
+        
+        // Extra fields and metadata: values of the fields shown, plus those the prompt already had for other fields
+        const keepOthers = (values, fields) => Object.fromEntries(
+            Object.entries(values).filter(([name]) => !fields.some(field => field.name === name))
+        );
+        
+        const { fields } = this.getSelectedType();
+        this.readCustomFieldValues(this.form.querySelector('#type-fields'), this.fieldValues);
+        data.fields = {
+            ...keepOthers(this.currentPrompt ? this.currentPrompt.fields : {}, fields),
+            ...PromptType.normalizeValues(fields, this.fieldValues)
+        };
+        
+        this.readCustomFieldValues(this.form.querySelector('#metadata-fields'), this.metadataValues);
+        data.metadata = {
+            ...keepOthers(this.currentPrompt ? this.currentPrompt.metadata : {}, this.storage.metadataFields),
+            ...PromptType.normalizeValues(this.storage.metadataFields, this.metadataValues)
+        };
+        
+        // Variable definitions (only those still used in the text)
+        this.refreshVariablesField();
+        data.variables = Array.from(this.form.querySelectorAll('.variables-editor__row'))
+            .map(row => this.variableDefinitions.get(row.dataset.variable))
+            .filter(variable => variable && (variable.default || variable.description));
+        
+        data.extensions = { ...this.extensions };
+        
         return data;
     }
     
@@ -0,0 +1,478 @@
+/**
+ * Prompt Type Manager Component
+ * Lists the prompt types of the collection and edits them: name, icon, the optional editor
+ * fields they show and their extra fields with validation rules
+ */
+
+class PromptTypeManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.editing = null;
+        this.dialog = null;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize prompt type manager
+     */
+    init() {
+        // Undoing a change from its toast changes what the open dialog shows
+        window.addEventListener('undochange', () => {
+            if (this.editing === null) this.update();
+        });
+    }
+    
+    /**
+     * Open prompt type manager
+     */
+    open() {
+        this.editing = null;
+        this.dialog = DOMUtils.showModal({
+            title: 'Tipi di prompt',
+            className: 'type-manager',
+            body: this.render(),
+            actions: [
+                { label: 'Chiudi' }
+            ]
+        });
+    }
+    
+    /**
+     * Render dialog body again, after types changed or to switch between list and form
+     */
+    update() {
+        if (!this.dialog || !this.dialog.modal.isConnected) return;
+        
+        this.dialog.body.innerHTML = '';
+        this.render().forEach(element => this.dialog.body.appendChild(element));
+    }
+    
+    /**
+     * Render dialog body: the type being edited, or the list of types
+     * @returns {Array} Body elements
+     */
+    render() {
+        if (this.editing !== null) {
+            return [this.createForm(this.editing ? this.storage.getPromptType(this.editing) : null)];
+        }
+        
+        return [
+            DOMUtils.createElement('div', {
+                className: 'type-manager__intro'
+            }, [
+                DOMUtils.createElement('p', {}, 'Il tipo decide l\'icona del prompt, i campi mostrati nell\'editor e i campi aggiuntivi da compilare.'),
+                DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--secondary type-manager__create',
+                    onclick: () => this.edit('')
+                }, 'Nuovo tipo')
+            ]),
+            DOMUtils.createElement('ul', {
+                className: 'type-manager__list'
+            }, Array.from(this.storage.promptTypes.values()).map(type => this.createTypeItem(type)))
+        ];
+    }
+    
+    /**
+     * Create type list item
+     * @param {Object} type - Type schema
+     * @returns {Element} List item
+     */
+    createTypeItem(type) {
+        const count = this.storage.countPromptsOfType(type.id);
+        const details = [
+            type.id,
+            `${count} prompt`,
+            type.fields.length === 1 ? '1 campo' : `${type.fields.length} campi`
+        ];
+        if (type.builtin) {
+            details.push('predefinito');
+        }
+        
+        const deleteButton = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'btn btn--secondary btn--small type-manager__delete',
+            title: type.builtin
+                ? 'I tipi predefiniti non si eliminano'
+                : count > 0 ? 'Il tipo è usato da alcuni prompt' : 'Elimina il tipo',
+            onclick: () => this.delete(type.id)
+        }, 'Elimina');
+        deleteButton.disabled = type.builtin || count > 0;
+        
+        const icon = DOMUtils.createIcon(type.icon);
+        icon.setAttribute('class', 'type-manager__icon');
+        
+        return DOMUtils.createElement('li', {
+            className: 'type-manager__item',
+            dataset: { id: type.id }
+        }, [
+            icon,
+            DOMUtils.createElement('div', {
+                className: 'type-manager__label'
+            }, [
+                DOMUtils.createElement('span', { className: 'type-manager__name' }, type.name),
+                DOMUtils.createElement('span', { className: 'type-manager__detail' }, details.join(' · '))
+            ]),
+            DOMUtils.createElement('div', {
+                className: 'type-manager__actions'
+            }, [
+                DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--secondary btn--small type-manager__edit',
+                    onclick: () => this.edit(type.id)
+                }, 'Modifica'),
+                deleteButton
+            ])
+        ]);
+    }
+    
+    /**
+     * Create the form of a type
+     * @param {Object|null} type - Type schema, or null for a new type
+     * @returns {Element} Form element
+     */
+    createForm(type) {
+        const schema = type || { name: '', icon: 'file', modelKind: 'text', layout: ['model', 'variables'], fields: [] };
+        
+        const nameInput = DOMUtils.createElement('input', {
+            type: 'text',
+            id: 'type-name',
+            className: 'form-input',
+            maxlength: 50,
+            placeholder: 'es. Prompt di sistema'
+        });
+        nameInput.value = schema.name;
+        
+        const icons = DOMUtils.createElement('div', {
+            className: 'type-manager__icons',
+            role: 'radiogroup',
+            'aria-label': 'Icona'
+        }, Object.entries(PromptType.ICONS).map(([icon, label]) => {
+            const radio = DOMUtils.createElement('input', {
+                type: 'radio',
+                name: 'type-icon',
+                value: icon
+            });
+            radio.checked = schema.icon === icon;
+            
+            return DOMUtils.createElement('label', {
+                className: 'type-manager__icon-option',
+                title: label
+            }, [radio, DOMUtils.createIcon(icon)]);
+        }));
+        
+        const kindSelect = DOMUtils.createElement('select', {
+            id: 'type-model-kind',
+            className: 'form-select'
+        }, Object.entries(StorageManager.MODEL_KINDS).map(([value, text]) => (
+            DOMUtils.createElement('option', { value }, text)
+        )));
+        kindSelect.value = schema.modelKind;
+        
+        const layout = DOMUtils.createElement('div', {
+            className: 'type-manager__layout'
+        }, Object.entries(PromptType.LAYOUT_FIELDS).map(([name, label]) => {
+            const checkbox = DOMUtils.createElement('input', {
+                type: 'checkbox',
+                name: 'type-layout',
+                value: name
+            });
+            checkbox.checked = schema.layout.includes(name);
+            
+            return DOMUtils.createElement('label', {
+                className: 'settings-section__option'
+            }, [checkbox, label]);
+        }));
+        
+        const fieldList = DOMUtils.createElement('div', {
+            className: 'type-manager__fields',
+            id: 'type-fields-editor'
+        }, schema.fields.map(field => PromptTypeManager.createFieldRow(field)));
+        
+        const group = (label, control, forId = null) => {
+            const labelAttributes = { className: 'form-label' };
+            if (forId) labelAttributes.for = forId;
+            
+            return DOMUtils.createElement('div', { className: 'form-group' }, [
+                DOMUtils.createElement(forId ? 'label' : 'span', labelAttributes, label),
+                control
+            ]);
+        };
+        
+        return DOMUtils.createElement('form', {
+            className: 'type-manager__form',
+            onsubmit: (e) => {
+                e.preventDefault();
+                this.save(type ? type.id : null);
+            }
+        }, [
+            group('Nome *', nameInput, 'type-name'),
+            group('Icona', icons),
+            group('Modelli proposti', kindSelect, 'type-model-kind'),
+            group('Campi dell\'editor', layout),
+            group('Campi aggiuntivi', fieldList),
+            PromptTypeManager.createAddFieldButton(fieldList, 'add-type-field-btn'),
+            DOMUtils.createElement('div', {
+                className: 'type-manager__form-actions'
+            }, [
+                DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--secondary',
+                    onclick: () => this.edit(null)
+                }, 'Annulla'),
+                DOMUtils.createElement('button', {
+                    type: 'submit',
+                    className: 'btn btn--primary type-manager__save'
+                }, 'Salva tipo')
+            ])
+        ]);
+    }
+    
+    /**
+     * Create the row of a field, for a type or for the custom metadata of the collection
+     * Only the rules that apply to the kind of field are shown
+     * @param {Object|null} field - Field definition, or null for a new field
+     * @returns {Element} Row element
+     */
+    static createFieldRow(field) {
+        const input = (name, placeholder, value, attributes = {}) => {
+            const element = DOMUtils.createElement('input', {
+                className: 'form-input',
+                type: 'text',
+                name,
+                placeholder,
+                'aria-label': placeholder,
+                ...attributes
+            });
+            element.value = value == null ? '' : String(value);
+            return element;
+        };
+        
+        const typeSelect = DOMUtils.createElement('select', {
+            className: 'form-select',
+            name: 'field-type',
+            'aria-label': 'Tipo di campo'
+        }, Object.entries(PromptType.FIELD_TYPES).map(([value, text]) => (
+            DOMUtils.createElement('option', { value }, text)
+        )));
+        typeSelect.value = field ? field.type : 'text';
+        
+        const required = DOMUtils.createElement('input', {
+            type: 'checkbox',
+            name: 'field-required'
+        });
+        required.checked = Boolean(field && field.required);
+        
+        const rules = {
+            options: input('field-options', 'Scelte, separate da virgole', field && field.options ? field.options.join(', ') : ''),
+            min: input('field-min', 'Minimo', field && field.min, { type: 'number', step: 'any' }),
+            max: input('field-max', 'Massimo', field && field.max, { type: 'number', step: 'any' }),
+            pattern: input('field-pattern', 'Formato (espressione regolare)', field && field.pattern)
+        };
+        
+        const showRules = () => {
+            const kind = typeSelect.value;
+            rules.options.hidden = kind !== 'select';
+            rules.min.hidden = kind !== 'number';
+            rules.max.hidden = kind !== 'number';
+            rules.pattern.hidden = kind !== 'text' && kind !== 'textarea';
+        };
+        typeSelect.addEventListener('change', showRules);
+        showRules();
+        
+        // Existing fields keep their name, so values already on prompts still match
+        const row = DOMUtils.createElement('div', {
+            className: 'type-manager__field'
+        }, [
+            input('field-label', 'Etichetta', field ? field.label : ''),
+            typeSelect,
+            DOMUtils.createElement('label', {
+                className: 'type-manager__required'
+            }, [required, 'Obbligatorio']),
+            rules.options,
+            rules.min,
+            rules.max,
+            rules.pattern,
+            DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--icon btn--small type-manager__remove-field',
+                title: 'Rimuovi campo',
+                onclick: () => row.remove()
+            }, [DOMUtils.createIcon('x')])
+        ]);
+        
+        if (field) {
+            row.dataset.name = field.name;
+        }
+        return row;
+    }
+    
+    /**
+     * Create the button adding a field row to a list
+     * @param {Element} fieldList - Container of the field rows
+     * @param {string} id - Button ID
+     * @returns {Element} Button element
+     */
+    static createAddFieldButton(fieldList, id) {
+        return DOMUtils.createElement('button', {
+            type: 'button',
+            id,
+            className: 'btn btn--secondary btn--small',
+            onclick: () => {
+                if (fieldList.children.length >= PromptType.MAX_FIELDS) {
+                    DOMUtils.showToast(`Massimo ${PromptType.MAX_FIELDS} campi`, 'error');
+                    return;
+                }
+                fieldList.appendChild(PromptTypeManager.createFieldRow(null));
+                fieldList.lastElementChild.querySelector('[name="field-label"]').focus();
+            }
+        }, 'Aggiungi campo');
+    }
+    
+    /**
+     * Read field rows into field definitions
+     * @param {Element} fieldList - Container of the field rows
+     * @returns {Array|null} Field definitions, or null after showing what is wrong
+     */
+    static readFieldRows(fieldList) {
+        const fields = [];
+        const names = new Set();
+        
+        for (const row of fieldList.querySelectorAll('.type-manager__field')) {
+            const value = (fieldName) => row.querySelector(`[name="${fieldName}"]`).value.trim();
+            const label = value('field-label');
+            if (!label) {
+                DOMUtils.showToast('Ogni campo deve avere un\'etichetta', 'error');
+                return null;
+            }
+            
+            const fieldName = row.dataset.name || PromptType.createName(label);
+            if (!PromptType.FIELD_NAME_PATTERN.test(fieldName)) {
+                DOMUtils.showToast(`L'etichetta "${label}" deve contenere almeno una lettera`, 'error');
+                return null;
+            }
+            if (names.has(fieldName)) {
+                DOMUtils.showToast(`Il campo "${label}" è ripetuto`, 'error');
+                return null;
+            }
+            names.add(fieldName);
+            
+            const field = {
+                name: fieldName,
+                label,
+                type: value('field-type'),
+                required: row.querySelector('[name="field-required"]').checked,
+                options: value('field-options').split(','),
+                min: value('field-min'),
+                max: value('field-max'),
+                pattern: value('field-pattern')
+            };
+            
+            if (field.type === 'select' && !field.options.some(option => option.trim())) {
+                DOMUtils.showToast(`Indica le scelte del campo "${label}"`, 'error');
+                return null;
+            }
+            if (field.type === 'number' && field.min !== '' && field.max !== '' && Number(field.min) > Number(field.max)) {
+                DOMUtils.showToast(`Nel campo "${label}" il minimo supera il massimo`, 'error');
+                return null;
+            }
+            if (field.pattern && !PromptType.isValidPattern(field.pattern)) {
+                DOMUtils.showToast(`Il formato del campo "${label}" non è valido`, 'error');
+                return null;
+            }
+            
+            fields.push(field);
+        }
+        
+        return fields;
+    }
+    
+    /**
+     * Read the form into a type schema
+     * @returns {Object|null} Schema data, or null after showing what is wrong
+     */
+    readForm() {
+        const form = this.dialog.body.querySelector('.type-manager__form');
+        const name = form.querySelector('#type-name').value.trim();
+        if (!name) {
+            DOMUtils.showToast('Il nome del tipo è obbligatorio', 'error');
+            return null;
+        }
+        
+        const fields = PromptTypeManager.readFieldRows(form.querySelector('#type-fields-editor'));
+        if (!fields) return null;
+        
+        return {
+            name,
+            icon: form.querySelector('[name="type-icon"]:checked')?.value || 'file',
+            modelKind: form.querySelector('#type-model-kind').value,
+            layout: Array.from(form.querySelectorAll('[name="type-layout"]:checked')).map(input => input.value),
+            fields
+        };
+    }
+    
+    /**
+     * Show the form of a type, or go back to the list
+     * @param {string|null} typeId - Type ID, empty for a new type, null for the list
+     */
+    edit(typeId) {
+        this.editing = typeId;
+        this.update();
+        
+        this.dialog.body.querySelector('#type-name')?.focus();
+    }
+    
+    /**
+     * Save the type in the form
+     * @param {string|null} typeId - Type ID, or null for a new type
+     */
+    save(typeId) {
+        const data = this.readForm();
+        if (!data) return;
+        
+        const saved = typeId
+            ? this.storage.recordUndo(`Modifica tipo "${data.name}"`, () => this.storage.updatePromptType(typeId, data))
+            : this.storage.recordUndo(`Crea tipo "${data.name}"`, () => this.storage.createPromptType(data));
+        
+        if (!saved) {
+            DOMUtils.showToast('Impossibile creare un identificativo dal nome del tipo', 'error');
+            return;
+        }
+        
+        this.finishChange(typeId ? 'Tipo aggiornato' : 'Tipo creato');
+    }
+    
+    /**
+     * Delete a type
+     * @param {string} typeId - Type ID
+     */
+    delete(typeId) {
+        const type = this.storage.getPromptType(typeId);
+        if (!confirm(`Eliminare il tipo "${type.name}"?`)) {
+            return;
+        }
+        
+        const deleted = this.storage.recordUndo(`Elimina tipo "${type.name}"`, () => this.storage.deletePromptType(typeId));
+        if (!deleted) {
+            DOMUtils.showToast('Il tipo è predefinito o usato da alcuni prompt', 'error');
+            return;
+        }
+        
+        this.finishChange('Tipo eliminato');
+    }
+    
+    /**
+     * Refresh the interface after types changed
+     * @param {string} message - Confirmation message
+     */
+    finishChange(message) {
+        this.editing = null;
+        window.dispatchEvent(new CustomEvent('prompts-changed'));
+        DOMUtils.showUndoToast(message, this.storage.undoManager);
+        this.update();
+    }
+}
+
+// Export for use in other modules
+window.PromptTypeManager = PromptTypeManager;
@@ -8,7 +8,10 @@ class PromptViewer {
         this.container = container;
         this.storage = storageManager;
         this.currentPrompt = null;
-        this.currentView = 'structured'; // 'structured' or 'yaml'
+        this.isTrashed = false;
+        this.currentView = 'structured'; // 'structured', 'yaml' or 'history'
+        this.diffMode = 'inline'; // 'inline' or 'side-by-side'
+        this.compareSelection = [];
         
         this.init();
     }
@@ -28,6 +31,7 @@ class PromptViewer {
         // Tab switching
         const structuredTab = document.getElementById('tab-structured');
         const yamlTab = document.getElementById('tab-yaml');
+        const historyTab = document.getElementById('tab-history');
         
         if (structuredTab) {
             structuredTab.addEventListener('click', () => {
@@ -41,6 +45,12 @@ class PromptViewer {
             });
         }
         
+        if (historyTab) {
+            historyTab.addEventListener('click', () => {
+                this.switchView('history');
+            });
+        }
+        
         // Action buttons
         const copyBtn = document.getElementById('copy-prompt-btn');
         const editBtn = document.getElementById('edit-prompt-btn');
@@ -119,10 +129,12 @@ class PromptViewer {
                 case 'Delete':
                     this.deleteCurrentPrompt();
                     break;
-                case 'Tab':
+                case 'Tab': {
                     e.preventDefault();
-                    this.switchView(this.currentView === 'structured' ? 'yaml' : 'structured');
+                    const views = ['structured', 'yaml', 'history'];
+                    this.switchView(views[(views.indexOf(this.currentView) + 1) % views.length]);
                     break;
+                }
             }
         }
     }
@@ -150,13 +162,19 @@ class PromptViewer {
      * @param {string} promptId - Prompt ID to display
      */
     showPrompt(promptId) {
-        const prompt = this.storage.prompts.get(promptId);
+        // Prompts in the trash are shown read-only
+        const prompt = this.storage.prompts.get(promptId) || this.storage.getTrashedPrompt(promptId);
         if (!prompt) {
             this.showWelcomeScreen();
             return;
         }
         
+        if (!this.currentPrompt || this.currentPrompt.id !== promptId) {
+            this.compareSelection = [];
+        }
+        
         this.currentPrompt = prompt;
+        this.isTrashed = !this.storage.prompts.has(promptId);
         
         const welcomeScreen = document.getElementById('welcome-screen');
         const promptViewer = document.getElementById('prompt-viewer');
@@ -178,11 +196,63 @@ class PromptViewer {
     renderPromptContent() {
         if (!this.currentPrompt) return;
         
+        this.renderBreadcrumb();
         this.renderStructuredView();
         this.renderYamlView();
+        this.renderHistoryView();
         this.updateActionButtons();
     }
     
+    /**
+     * Render the path of the prompt, one link per folder holding it
+     * Folders that no longer exist, as for prompts in the trash, are shown as plain text
+     */
+    renderBreadcrumb() {
+        const container = document.getElementById('prompt-breadcrumb');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const prompt = this.currentPrompt;
+        const parts = prompt.category ? prompt.category.split('/') : [];
+        const crumbs = parts.map((part, index) => {
+            const path = parts.slice(0, index + 1).join('/');
+            const category = this.storage.categories.get(path);
+            
+            return category
+                ? DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'prompt-viewer__crumb',
+                    dataset: { path },
+                    onclick: () => window.dispatchEvent(new CustomEvent('category-reveal', {
+                        detail: { categoryPath: path }
+                    }))
+                }, category.name)
+                : DOMUtils.createElement('span', { className: 'prompt-viewer__crumb' }, part);
+        });
+        
+        if (crumbs.length === 0) {
+            crumbs.push(DOMUtils.createElement('span', { className: 'prompt-viewer__crumb' }, 'Senza categoria'));
+        }
+        if (this.isTrashed) {
+            crumbs.unshift(DOMUtils.createElement('span', { className: 'prompt-viewer__crumb' }, 'Cestino'));
+        }
+        crumbs.push(DOMUtils.createElement('span', {
+            className: 'prompt-viewer__crumb prompt-viewer__crumb--current',
+            'aria-current': 'page'
+        }, prompt.title));
+        
+        crumbs.forEach((crumb, index) => {
+            if (index > 0) {
+                container.appendChild(DOMUtils.createElement('span', {
+                    className: 'prompt-viewer__crumb-separator',
+                    'aria-hidden': 'true'
+                }, '›'));
+            }
+            container.appendChild(crumb);
+        });
+    }
+    
     /**
      * Render structured view
      */
@@ -194,6 +264,20 @@ class PromptViewer {
         
         const prompt = this.currentPrompt;
         
+        if (this.isTrashed) {
+            container.appendChild(DOMUtils.createElement('div', {
+                className: 'prompt-viewer__notice'
+            }, [
+                DOMUtils.createElement('span', {}, 'Questo prompt è nel cestino.'),
+                DOMUtils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--secondary btn--small',
+                    id: 'restore-prompt-btn',
+                    onclick: () => this.restoreFromTrash()
+                }, 'Ripristina')
+            ]));
+        }
+        
         // Title section
         const titleSection = this.createFieldGroup('Titolo');
         titleSection.appendChild(this.createField('Titolo', prompt.title));
@@ -202,10 +286,10 @@ class PromptViewer {
         // Metadata section
         const metadataSection = this.createFieldGroup('Metadati');
         
-        metadataSection.appendChild(this.createField('Tipo', prompt.getTypeDisplayName()));
+        metadataSection.appendChild(this.createField('Tipo', prompt.getTypeDisplayName(this.storage.promptTypes)));
         
-        if (prompt.model) {
-            metadataSection.appendChild(this.createField('Modello', prompt.model));
+        if (prompt.model.length > 0) {
+            metadataSection.appendChild(this.createModelField(prompt.model));
         }
         
         if (prompt.author) {
@@ -216,10 +300,17 @@ class PromptViewer {
         metadataSection.appendChild(this.createField('Creato', DOMUtils.formatDate(prompt.created)));
         metadataSection.appendChild(this.createField('Modificato', DOMUtils.formatDate(prompt.modified)));
         
+        if (prompt.usageCount > 0) {
+            metadataSection.appendChild(this.createField('Utilizzi', prompt.usageCount.toString()));
+        }
+        
         if (prompt.tags && prompt.tags.length > 0) {
             metadataSection.appendChild(this.createTagsField('Tag', prompt.tags));
         }
         
+        this.createCustomFields(this.storage.metadataFields, prompt.metadata)
+            .forEach(field => metadataSection.appendChild(field));
+        
         container.appendChild(metadataSection);
         
         // Content section
@@ -236,6 +327,24 @@ class PromptViewer {
         
         container.appendChild(contentSection);
         
+        // Extra fields of the prompt type
+        if (Object.keys(prompt.fields).length > 0) {
+            container.appendChild(this.createTypeFieldsSection(prompt));
+        }
+        
+        // Keys written by other tools
+        if (Object.keys(prompt.extensions).length > 0) {
+            container.appendChild(this.createExtensionsSection(prompt));
+        }
+        
+        // Variables section
+        const variables = prompt.getVariables();
+        if (variables.length > 0) {
+            const variablesSection = this.createFieldGroup('Variabili');
+            variablesSection.appendChild(this.createVariablesField(variables));
+            container.appendChild(variablesSection);
+        }
+        
         // Statistics section
         const statsSection = this.createFieldGroup('Statistiche');
         statsSection.appendChild(this.createField('Caratteri', prompt.getCharacterCount().toLocaleString()));
@@ -264,6 +373,246 @@ class PromptViewer {
         // this.applySyntaxHighlighting(container);
     }
     
+    /**
+     * Render revision history with compare and restore actions
+     */
+    renderHistoryView() {
+        const container = document.getElementById('history-view');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const revisions = this.storage.getRevisions(this.currentPrompt.id).slice().reverse();
+        
+        if (revisions.length === 0) {
+            container.appendChild(DOMUtils.createElement('p', {
+                className: 'history-view__empty'
+            }, 'Nessuna revisione registrata. Le revisioni vengono create a ogni salvataggio.'));
+            return;
+        }
+        
+        // Default comparison: latest revision against the previous one
+        const knownIds = new Set(revisions.map(revision => revision.id));
+        this.compareSelection = this.compareSelection.filter(id => knownIds.has(id));
+        if (this.compareSelection.length === 0 && revisions.length > 1) {
+            this.compareSelection = [revisions[1].id, revisions[0].id];
+        }
+        
+        const list = DOMUtils.createElement('ol', {
+            className: 'history-list'
+        });
+        
+        revisions.forEach((revision, index) => {
+            list.appendChild(this.createRevisionItem(revision, index === 0));
+        });
+        
+        const historyGroup = this.createFieldGroup(`Revisioni (${revisions.length})`);
+        historyGroup.appendChild(list);
+        container.appendChild(historyGroup);
+        
+        if (this.compareSelection.length === 2) {
+            container.appendChild(this.createRevisionDiff());
+        }
+    }
+    
+    /**
+     * Create revision list item
+     * @param {Object} revision - Revision
+     * @param {boolean} isLatest - Whether it is the most recent revision
+     * @returns {Element} List item element
+     */
+    createRevisionItem(revision, isLatest) {
+        const isSelected = this.compareSelection.includes(revision.id);
+        
+        const item = DOMUtils.createElement('li', {
+            className: `history-list__item ${isSelected ? 'history-list__item--selected' : ''}`,
+            dataset: { revisionId: revision.id }
+        });
+        
+        const checkbox = DOMUtils.createElement('input', {
+            type: 'checkbox',
+            title: 'Seleziona per il confronto',
+            onchange: () => this.toggleRevisionCompare(revision.id)
+        });
+        checkbox.checked = isSelected;
+        
+        const info = DOMUtils.createElement('div', {
+            className: 'history-list__info'
+        }, [
+            DOMUtils.createElement('span', { className: 'history-list__version' }, `v${revision.data.version}`),
+            DOMUtils.createElement('span', { className: 'history-list__date' }, DOMUtils.formatDate(revision.timestamp)),
+            DOMUtils.createElement('span', { className: 'history-list__note' }, revision.note || revision.data.title)
+        ]);
+        
+        item.appendChild(checkbox);
+        item.appendChild(info);
+        
+        if (isLatest) {
+            item.appendChild(DOMUtils.createElement('span', {
+                className: 'tag'
+            }, 'Attuale'));
+        } else if (!this.isTrashed) {
+            item.appendChild(DOMUtils.createElement('button', {
+                className: 'btn btn--text btn--small',
+                onclick: () => this.restoreRevision(revision.id)
+            }, 'Ripristina'));
+        }
+        
+        return item;
+    }
+    
+    /**
+     * Toggle revision selection for comparison (at most two)
+     * @param {string} revisionId - Revision ID
+     */
+    toggleRevisionCompare(revisionId) {
+        if (this.compareSelection.includes(revisionId)) {
+            this.compareSelection = this.compareSelection.filter(id => id !== revisionId);
+        } else {
+            this.compareSelection = [...this.compareSelection, revisionId].slice(-2);
+        }
+        
+        this.renderHistoryView();
+    }
+    
+    /**
+     * Create diff between the two selected revisions
+     * @returns {Element} Diff section element
+     */
+    createRevisionDiff() {
+        const promptId = this.currentPrompt.id;
+        const [older, newer] = this.compareSelection
+            .map(id => this.storage.getRevision(promptId, id))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        
+        const section = this.createFieldGroup(`Differenze: v${older.data.version} → v${newer.data.version}`);
+        
+        const modeToggle = DOMUtils.createElement('div', {
+            className: 'history-view__modes'
+        });
+        
+        [['inline', 'In linea'], ['side-by-side', 'Affiancata']].forEach(([mode, label]) => {
+            modeToggle.appendChild(DOMUtils.createElement('button', {
+                className: `tab ${this.diffMode === mode ? 'tab--active' : ''}`,
+                onclick: () => {
+                    this.diffMode = mode;
+                    this.renderHistoryView();
+                }
+            }, label));
+        });
+        
+        section.appendChild(modeToggle);
+        
+        const fieldLabels = {
+            title: 'Titolo',
+            type: 'Tipo',
+            prompt: 'Prompt',
+            negative_prompt: 'Prompt Negativo',
+            model: 'Modello',
+            author: 'Autore',
+            tags: 'Tag',
+            notes: 'Note',
+            version: 'Versione',
+            category: 'Categoria',
+            variables: 'Variabili',
+            fields: 'Campi',
+            metadata: 'Metadati personalizzati',
+            extensions: 'Altri campi del file'
+        };
+        
+        let changedFields = 0;
+        
+        Prompt.HISTORY_FIELDS.forEach(field => {
+            const operations = DiffUtils.diffWords(
+                this.formatRevisionValue(older.data[field], field),
+                this.formatRevisionValue(newer.data[field], field)
+            );
+            
+            if (!DiffUtils.hasChanges(operations)) return;
+            changedFields++;
+            
+            const diff = this.diffMode === 'inline'
+                ? DiffUtils.renderInline(operations)
+                : DiffUtils.renderSideBySide(operations);
+            
+            const fieldElement = DOMUtils.createElement('div', {
+                className: 'field'
+            }, [
+                DOMUtils.createElement('label', { className: 'field__label' }, fieldLabels[field] || field),
+                diff
+            ]);
+            
+            section.appendChild(fieldElement);
+        });
+        
+        if (changedFields === 0) {
+            section.appendChild(DOMUtils.createElement('p', {
+                className: 'history-view__empty'
+            }, 'Nessuna differenza tra le revisioni selezionate.'));
+        }
+        
+        return section;
+    }
+    
+    /**
+     * Format revision field value as text for diffing
+     * @param {*} value - Field value
+     * @param {string} field - Field name
+     * @returns {string} Text representation
+     */
+    formatRevisionValue(value, field) {
+        // Revisions saved before models were structured hold a plain string
+        if (field === 'model') {
+            return Prompt.normalizeModels(value).map(entry => Prompt.formatModel(entry, true)).join(', ');
+        }
+        
+        if (Array.isArray(value)) {
+            return value.map(item => (
+                typeof item === 'object' ? jsyaml.dump(item, { flowLevel: 0 }).trim() : item
+            )).join(', ');
+        }
+        
+        if (value && typeof value === 'object') {
+            return Object.entries(value).map(([name, item]) => (
+                `${name}: ${item && typeof item === 'object' ? JSON.stringify(item) : item}`
+            )).join(', ');
+        }
+        
+        return value || '';
+    }
+    
+    /**
+     * Restore current prompt from a revision
+     * @param {string} revisionId - Revision ID
+     */
+    restoreRevision(revisionId) {
+        if (!this.currentPrompt) return;
+        
+        const promptId = this.currentPrompt.id;
+        
+        try {
+            const restored = this.storage.recordUndo(`Ripristina revisione di "${this.currentPrompt.title}"`, () =>
+                this.storage.restoreRevision(promptId, revisionId)
+            );
+            
+            if (!restored) {
+                DOMUtils.showToast('Revisione non trovata', 'error');
+                return;
+            }
+            
+            this.compareSelection = [];
+            
+            window.dispatchEvent(new CustomEvent('prompt-updated', {
+                detail: { promptId }
+            }));
+            
+            DOMUtils.showUndoToast('Revisione ripristinata', this.storage.undoManager);
+        } catch (error) {
+            console.error('Restore failed:', error);
+            DOMUtils.showToast(`Errore durante il ripristino: ${error.message}`, 'error');
+        }
+    }
+    
     /**
      * Apply basic syntax highlighting to YAML
      * @param {Element} container - Container element
@@ -338,6 +687,92 @@ class PromptViewer {
         return field;
     }
     
+    /**
+     * Create section with the values of the extra fields of a prompt
+     * Fields follow the order of the type; values no field of the type describes come last, under their name
+     * @param {Prompt} prompt - Prompt instance
+     * @returns {Element} Section element
+     */
+    createTypeFieldsSection(prompt) {
+        const type = this.storage.getPromptType(prompt.type);
+        const section = this.createFieldGroup(`Campi di ${type.name}`);
+        this.createCustomFields(type.fields, prompt.fields).forEach(field => section.appendChild(field));
+        return section;
+    }
+    
+    /**
+     * Create section with the keys of the prompt file the app doesn't use
+     * They are shown as YAML, read-only, and written back unchanged on export
+     * @param {Prompt} prompt - Prompt instance
+     * @returns {Element} Section element
+     */
+    createExtensionsSection(prompt) {
+        const section = this.createFieldGroup('Altri campi del file');
+        section.appendChild(DOMUtils.createElement('p', {
+            className: 'form-help'
+        }, 'Campi aggiunti da altri strumenti: non si modificano qui, ma restano nel file quando esporti il prompt.'));
+        section.appendChild(this.createCodeField('YAML', jsyaml.dump(prompt.extensions, {
+            indent: 2,
+            lineWidth: -1,
+            noRefs: true
+        }).trimEnd()));
+        return section;
+    }
+    
+    /**
+     * Create fields showing values of user-defined fields
+     * Values follow the order of the definitions; values no definition describes come last, under their name
+     * @param {Array} definitions - Field definitions
+     * @param {Object} values - Values keyed by field name
+     * @returns {Array} Field elements
+     */
+    createCustomFields(definitions, values) {
+        const fields = definitions.filter(field => field.name in values);
+        const known = new Set(fields.map(field => field.name));
+        
+        return [
+            ...fields.map(field => {
+                const value = values[field.name];
+                if (field.type === 'textarea') {
+                    return this.createCodeField(field.label, PromptType.formatValue(field, value));
+                }
+                
+                const element = this.createField(field.label, PromptType.formatValue(field, value));
+                if (field.type === 'url' && PromptType.isValidUrl(String(value))) {
+                    const valueElement = element.querySelector('.field__value');
+                    valueElement.textContent = '';
+                    valueElement.appendChild(DOMUtils.createElement('a', {
+                        href: String(value),
+                        target: '_blank',
+                        rel: 'noopener noreferrer'
+                    }, String(value)));
+                }
+                return element;
+            }),
+            ...Object.entries(values)
+                .filter(([name]) => !known.has(name))
+                .map(([name, value]) => this.createField(name, PromptType.formatValue(null, value)))
+        ];
+    }
+    
+    /**
+     * Create field listing the models of a prompt, one per line with its parameters
+     * @param {Array} models - Model entries
+     * @returns {Element} Field element
+     */
+    createModelField(models) {
+        return DOMUtils.createElement('div', {
+            className: 'field'
+        }, [
+            DOMUtils.createElement('label', {
+                className: 'field__label'
+            }, models.length === 1 ? 'Modello' : 'Modelli'),
+            DOMUtils.createElement('ul', {
+                className: 'field__value prompt-viewer__models'
+            }, models.map(entry => DOMUtils.createElement('li', {}, Prompt.formatModel(entry, true))))
+        ]);
+    }
+    
     /**
      * Create code field
      * @param {string} label - Field label
@@ -395,29 +830,157 @@ class PromptViewer {
         return field;
     }
     
+    /**
+     * Create variables list
+     * @param {Array} variables - Variables ({ name, default, description })
+     * @returns {Element} Variables list element
+     */
+    createVariablesField(variables) {
+        const list = DOMUtils.createElement('dl', {
+            className: 'variables-list'
+        });
+        
+        variables.forEach(variable => {
+            list.appendChild(DOMUtils.createElement('dt', {
+                className: 'variables-list__name'
+            }, `{{${variable.name}}}`));
+            
+            const details = [];
+            if (variable.description) {
+                details.push(variable.description);
+            }
+            details.push(variable.default ? `Predefinito: ${variable.default}` : 'Nessun valore predefinito');
+            
+            list.appendChild(DOMUtils.createElement('dd', {
+                className: 'variables-list__details'
+            }, details.join(' — ')));
+        });
+        
+        return list;
+    }
+    
+    /**
+     * Show fill-in form for prompt variables and copy the rendered text
+     */
+    showVariablesForm() {
+        const prompt = this.currentPrompt;
+        if (!prompt) return;
+        
+        const values = {};
+        const form = DOMUtils.createElement('form', {
+            className: 'prompt-form variables-form'
+        });
+        
+        const preview = DOMUtils.createElement('div', {
+            className: 'field__value field__value--code variables-form__preview'
+        });
+        
+        const updatePreview = () => {
+            preview.textContent = prompt.render(values);
+        };
+        
+        prompt.getVariables().forEach(variable => {
+            const inputId = `variable-${variable.name}`;
+            const input = DOMUtils.createElement('textarea', {
+                className: 'form-textarea',
+                id: inputId,
+                rows: 1,
+                placeholder: variable.default || variable.name,
+                oninput: (e) => {
+                    values[variable.name] = e.target.value;
+                    updatePreview();
+                }
+            });
+            
+            const group = DOMUtils.createElement('div', {
+                className: 'form-group'
+            }, [
+                DOMUtils.createElement('label', { className: 'form-label', for: inputId }, variable.name),
+                input
+            ]);
+            
+            if (variable.description) {
+                group.appendChild(DOMUtils.createElement('div', {
+                    className: 'form-help'
+                }, variable.description));
+            }
+            
+            form.appendChild(group);
+        });
+        
+        const previewGroup = DOMUtils.createElement('div', {
+            className: 'form-group'
+        }, [
+            DOMUtils.createElement('label', { className: 'form-label' }, 'Anteprima'),
+            preview
+        ]);
+        
+        updatePreview();
+        
+        const copyRendered = async (close) => {
+            const success = await DOMUtils.copyToClipboard(prompt.render(values));
+            
+            if (success) {
+                this.recordUsage(prompt.id);
+                close();
+                DOMUtils.showToast('Prompt copiato negli appunti', 'success');
+            } else {
+                DOMUtils.showToast('Errore durante la copia', 'error');
+            }
+        };
+        
+        form.addEventListener('submit', (e) => e.preventDefault());
+        
+        const { modal, close } = DOMUtils.showModal({
+            title: 'Compila le variabili',
+            body: [form, previewGroup],
+            actions: [
+                { label: 'Annulla' },
+                { label: 'Copia', className: 'btn--primary', action: copyRendered }
+            ]
+        });
+        
+        // Ctrl+Enter copies straight from the form
+        form.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                e.preventDefault();
+                copyRendered(close);
+            }
+        });
+        
+        const firstInput = modal.querySelector('textarea');
+        if (firstInput) {
+            firstInput.focus();
+        }
+    }
+    
     /**
      * Switch between views
-     * @param {string} view - View name ('structured' or 'yaml')
+     * @param {string} view - View name ('structured', 'yaml' or 'history')
      */
     switchView(view) {
         this.currentView = view;
         
-        const structuredTab = document.getElementById('tab-structured');
-        const yamlTab = document.getElementById('tab-yaml');
-        const structuredView = document.getElementById('structured-view');
-        const yamlView = document.getElementById('yaml-view');
+        const views = {
+            structured: ['tab-structured', 'structured-view'],
+            yaml: ['tab-yaml', 'yaml-view'],
+            history: ['tab-history', 'history-view']
+        };
         
-        // Update tab states
-        if (structuredTab && yamlTab) {
-            structuredTab.classList.toggle('tab--active', view === 'structured');
-            yamlTab.classList.toggle('tab--active', view === 'yaml');
-        }
-        
-        // Update view visibility
-        if (structuredView && yamlView) {
-            structuredView.style.display = view === 'structured' ? 'block' : 'none';
-            yamlView.style.display = view === 'yaml' ? 'block' : 'none';
-        }
+        Object.entries(views).forEach(([name, [tabId, viewId]]) => {
+            const tab = document.getElementById(tabId);
+            const viewElement = document.getElementById(viewId);
+            
+            // Update tab state
+            if (tab) {
+                tab.classList.toggle('tab--active', view === name);
+            }
+            
+            // Update view visibility
+            if (viewElement) {
+                viewElement.style.display = view === name ? 'block' : 'none';
+            }
+        });
     }
     
     /**
@@ -435,11 +998,11 @@ class PromptViewer {
         }
         
         if (editBtn) {
-            editBtn.disabled = !hasPrompt;
+            editBtn.disabled = !hasPrompt || this.isTrashed;
         }
         
         if (deleteBtn) {
-            deleteBtn.disabled = !hasPrompt;
+            deleteBtn.disabled = !hasPrompt || this.isTrashed;
         }
     }
     
@@ -449,6 +1012,12 @@ class PromptViewer {
     async copyPromptToClipboard() {
         if (!this.currentPrompt) return;
         
+        // Prompts with placeholders are filled in before copying
+        if (this.currentView !== 'yaml' && this.currentPrompt.hasVariables()) {
+            this.showVariablesForm();
+            return;
+        }
+        
         const textToCopy = this.currentView === 'yaml' 
             ? this.currentPrompt.toYAML()
             : this.currentPrompt.prompt;
@@ -456,17 +1025,28 @@ class PromptViewer {
         const success = await DOMUtils.copyToClipboard(textToCopy);
         
         if (success) {
+            this.recordUsage(this.currentPrompt.id);
             DOMUtils.showToast('Prompt copiato negli appunti', 'success');
         } else {
             DOMUtils.showToast('Errore durante la copia', 'error');
         }
     }
     
+    /**
+     * Count a copy of a prompt
+     * The tree is refreshed too, since it may be sorted by usage
+     * @param {string} promptId - Prompt ID
+     */
+    recordUsage(promptId) {
+        this.storage.recordUsage(promptId);
+        window.dispatchEvent(new CustomEvent('prompts-changed'));
+    }
+    
     /**
      * Edit current prompt
      */
     editCurrentPrompt() {
-        if (!this.currentPrompt) return;
+        if (!this.currentPrompt || this.isTrashed) return;
         
         window.dispatchEvent(new CustomEvent('prompt-edit', {
             detail: { promptId: this.currentPrompt.id }
@@ -477,7 +1057,7 @@ class PromptViewer {
      * Delete current prompt
      */
     deleteCurrentPrompt() {
-        if (!this.currentPrompt) return;
+        if (!this.currentPrompt || this.isTrashed) return;
         
         const promptTitle = this.currentPrompt.title;
         
@@ -485,11 +1065,9 @@ class PromptViewer {
             const promptId = this.currentPrompt.id;
             
             // Remove from storage
-            this.storage.prompts.delete(promptId);
-            this.storage.favorites.delete(promptId);
-            
-            this.storage.savePrompts();
-            this.storage.saveFavorites();
+            this.storage.recordUndo(`Elimina "${promptTitle}"`, () =>
+                this.storage.deletePrompts([promptId]) || null
+            );
             
             // Clear current view
             this.showWelcomeScreen();
@@ -499,27 +1077,47 @@ class PromptViewer {
                 detail: { promptId }
             }));
             
-            DOMUtils.showToast('Prompt eliminato', 'success');
+            DOMUtils.showUndoToast('Prompt eliminato', this.storage.undoManager);
+        }
+    }
+    
+    /**
+     * Put the current prompt back from the trash
+     */
+    restoreFromTrash() {
+        if (!this.currentPrompt || !this.isTrashed) return;
+        
+        const { id, title } = this.currentPrompt;
+        const entry = this.storage.getTrashEntryForPrompt(id);
+        if (!entry) return;
+        
+        const path = this.storage.recordUndo(`Ripristina "${entry.name}"`, () =>
+            this.storage.restoreFromTrash(entry.id)
+        );
+        
+        if (path === null) {
+            DOMUtils.showToast('Esiste già una cartella con questo nome', 'error');
+            return;
         }
+        
+        // Folders may have come back with the prompt
+        window.dispatchEvent(new CustomEvent('categories-changed'));
+        
+        DOMUtils.showUndoToast(`"${title}" ripristinato`, this.storage.undoManager);
     }
     
     /**
      * Toggle favorite status
      */
     toggleFavorite() {
-        if (!this.currentPrompt) return;
+        if (!this.currentPrompt || this.isTrashed) return;
         
+        const { id, title } = this.currentPrompt;
         const newFavoriteStatus = !this.currentPrompt.isFavorite;
-        this.currentPrompt.update({ isFavorite: newFavoriteStatus });
-        
-        if (newFavoriteStatus) {
-            this.storage.favorites.add(this.currentPrompt.id);
-        } else {
-            this.storage.favorites.delete(this.currentPrompt.id);
-        }
         
-        this.storage.savePrompts();
-        this.storage.saveFavorites();
+        this.storage.recordUndo(newFavoriteStatus ? `Aggiungi "${title}" ai preferiti` : `Rimuovi "${title}" dai preferiti`, () =>
+            this.storage.setFavorites([id], newFavoriteStatus) || null
+        );
         
         // Update display
         this.renderPromptContent();
@@ -529,10 +1127,10 @@ class PromptViewer {
             detail: { promptId: this.currentPrompt.id }
         }));
         
-        const message = newFavoriteStatus ? 'Aggiunto ai preferiti' : 'Rimosso dai preferiti';
-        DOMUtils.showToast(message, 'success');
+        DOMUtils.showUndoToast(newFavoriteStatus ? 'Aggiunto ai preferiti' : 'Rimosso dai preferiti', this.storage.undoManager);
     }
     
+    
     /**
      * Export current prompt
      * @param {string} format - Export format ('json', 'yaml')
@@ -576,8 +1174,14 @@ class PromptViewer {
      * Refresh viewer content
      */
     refresh() {
+        // Look the prompt up again: it may have been replaced or deleted.
+        // A prompt that has just gone to the trash is closed, one opened from there stays.
         if (this.currentPrompt) {
-            this.renderPromptContent();
+            if (this.isTrashed || this.storage.prompts.has(this.currentPrompt.id)) {
+                this.showPrompt(this.currentPrompt.id);
+            } else {
+                this.showWelcomeScreen();
+            }
         }
     }
     
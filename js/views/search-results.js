@@ -0,0 +1,242 @@
+/**
+ * Search Results Component
+ * Ranked list of prompts matching a search, with highlighted titles and snippets.
+ * Shown in the sidebar in place of the tree while a search is active.
+ */
+
+class SearchResults {
+    constructor(container, storageManager) {
+        this.container = container;
+        this.storage = storageManager;
+        this.results = [];
+        this.selectedId = null;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize search results
+     */
+    init() {
+        this.container.setAttribute('aria-label', 'Risultati della ricerca');
+        
+        this.container.addEventListener('keydown', (e) => {
+            this.handleKeyDown(e);
+        });
+        
+        window.addEventListener('prompt-selected', (e) => {
+            this.markSelected(e.detail.promptId);
+        });
+    }
+    
+    /**
+     * Render results
+     * @param {Array} results - Results ({ prompt, terms }) in rank order
+     * @param {Array} highlightTerms - Query text to highlight besides the matched words
+     * @param {string} query - Search query, offered to be saved as a smart folder
+     */
+    render(results, highlightTerms = [], query = '') {
+        this.results = results;
+        this.container.innerHTML = '';
+        
+        const header = DOMUtils.createElement('div', {
+            className: 'search-results__header'
+        }, [
+            DOMUtils.createElement('span', {}, results.length === 1 ? '1 risultato' : `${results.length} risultati`)
+        ]);
+        
+        if (query) {
+            header.appendChild(DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--secondary btn--small search-results__save',
+                title: 'Salva la ricerca come cartella smart nella struttura',
+                onclick: () => window.dispatchEvent(new CustomEvent('smart-folder-new', { detail: { query } }))
+            }, 'Salva ricerca'));
+        }
+        
+        this.container.appendChild(header);
+        
+        if (results.length === 0) {
+            this.container.appendChild(DOMUtils.createElement('p', {
+                className: 'search-results__empty'
+            }, 'Nessun prompt trovato. Prova con meno parole o con altri filtri.'));
+            return;
+        }
+        
+        const list = DOMUtils.createElement('ul', {
+            className: 'search-results__list'
+        });
+        
+        this.container.appendChild(list);
+        this.showMore(list, highlightTerms);
+    }
+    
+    /**
+     * Add the next page of results to the list
+     * A button at the end of the list shows the following page
+     * @param {Element} list - Results list
+     * @param {Array} highlightTerms - Query text to highlight
+     */
+    showMore(list, highlightTerms) {
+        const shown = list.children.length;
+        this.results.slice(shown, shown + this.getPageSize()).forEach(result => {
+            list.appendChild(this.createItem(result, highlightTerms));
+        });
+        
+        this.container.querySelector('.search-results__more')?.remove();
+        
+        const remaining = this.results.length - list.children.length;
+        if (remaining > 0) {
+            this.container.appendChild(DOMUtils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--secondary btn--small search-results__more',
+                onclick: () => {
+                    const first = list.children.length;
+                    this.showMore(list, highlightTerms);
+                    list.children[first]?.querySelector('.search-results__item').focus();
+                }
+            }, remaining === 1 ? 'Mostra un altro risultato' : `Mostra altri ${remaining} risultati`));
+        }
+        
+        this.markSelected(this.selectedId);
+    }
+    
+    /**
+     * Get how many results are shown at a time
+     * @returns {number} Page size from the settings
+     */
+    getPageSize() {
+        const size = this.storage.settings.itemsPerPage;
+        return Number.isInteger(size) && size > 0 ? size : Infinity;
+    }
+    
+    /**
+     * Create result item
+     * @param {Object} result - Result ({ prompt, terms })
+     * @param {Array} highlightTerms - Query text to highlight
+     * @returns {Element} List item
+     */
+    createItem({ prompt, terms }, highlightTerms) {
+        const text = prompt.prompt || prompt.notes;
+        const highlight = (value) => DOMUtils.highlightText(value, [
+            ...SearchIndex.findWords(value, terms),
+            ...highlightTerms
+        ]);
+        
+        const title = DOMUtils.createElement('span', { className: 'search-results__title' });
+        title.innerHTML = highlight(prompt.title);
+        
+        const snippet = DOMUtils.createElement('span', { className: 'search-results__snippet' });
+        snippet.innerHTML = highlight(SearchIndex.getSnippet(text, terms));
+        
+        const button = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'search-results__item',
+            dataset: { id: prompt.id },
+            onclick: () => this.select(prompt.id)
+        }, [
+            title,
+            DOMUtils.createElement('span', {
+                className: 'search-results__path'
+            }, this.storage.prompts.has(prompt.id) ? this.getCategoryLabel(prompt.category) : 'Nel cestino'),
+            snippet
+        ]);
+        
+        return DOMUtils.createElement('li', {}, [button]);
+    }
+    
+    /**
+     * Get category label for a result
+     * @param {string} path - Category path
+     * @returns {string} Category name, or the uncategorized label
+     */
+    getCategoryLabel(path) {
+        if (!path) return 'Senza categoria';
+        
+        const category = this.storage.categories.get(path);
+        return category ? category.name : path;
+    }
+    
+    /**
+     * Select a result and show its prompt
+     * @param {string} promptId - Prompt ID
+     */
+    select(promptId) {
+        window.dispatchEvent(new CustomEvent('prompt-selected', {
+            detail: { promptId }
+        }));
+    }
+    
+    /**
+     * Highlight the selected result
+     * @param {string} promptId - Prompt ID
+     */
+    markSelected(promptId) {
+        this.selectedId = promptId;
+        this.container.querySelectorAll('.search-results__item').forEach(item => {
+            item.classList.toggle('search-results__item--selected', item.dataset.id === promptId);
+        });
+    }
+    
+    /**
+     * Focus and open the first result
+     * @returns {boolean} True if there was a result
+     */
+    focusFirst() {
+        const first = this.container.querySelector('.search-results__item');
+        if (!first) return false;
+        
+        first.focus();
+        first.click();
+        return true;
+    }
+    
+    /**
+     * Move between results with the arrow keys
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        
+        const items = Array.from(this.container.querySelectorAll('.search-results__item'));
+        const index = items.indexOf(document.activeElement);
+        if (index < 0) return;
+        
+        e.preventDefault();
+        const next = items[e.key === 'ArrowDown' ? Math.min(index + 1, items.length - 1) : index - 1];
+        
+        if (next) {
+            next.focus();
+            next.click();
+        } else {
+            document.getElementById('search-input')?.focus();
+        }
+    }
+    
+    /**
+     * Show results
+     */
+    show() {
+        this.container.hidden = false;
+    }
+    
+    /**
+     * Hide and empty results
+     */
+    hide() {
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        this.results = [];
+    }
+    
+    /**
+     * Check if results are shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        return !this.container.hidden;
+    }
+}
+
+// Export for use in other modules
+window.SearchResults = SearchResults;
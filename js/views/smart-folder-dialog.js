@@ -0,0 +1,178 @@
+/**
+ * Smart Folder Dialog Component
+ * Saves a search query as a smart folder, or edits an existing one, with a live
+ * count of the prompts it currently matches
+ */
+
+class SmartFolderDialog {
+    // Icons offered for smart folders, with their labels
+    static ICONS = {
+        search: 'Ricerca',
+        folder: 'Cartella',
+        starFilled: 'Stella',
+        bookmark: 'Segnalibro',
+        tag: 'Etichetta',
+        clock: 'Orologio',
+        file: 'Documento'
+    };
+    
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.folder = null;
+        this.dialog = null;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize smart folder dialog
+     */
+    init() {
+        window.addEventListener('smart-folder-new', (e) => {
+            this.open(null, e.detail && e.detail.query);
+        });
+        
+        window.addEventListener('smart-folder-edit', (e) => {
+            const folder = this.storage.smartFolders.get(e.detail.folderId);
+            if (folder) {
+                this.open(folder);
+            }
+        });
+    }
+    
+    /**
+     * Open dialog
+     * @param {Object|null} folder - Smart folder to edit, or null to create one
+     * @param {string} query - Query for a new smart folder
+     */
+    open(folder = null, query = '') {
+        this.folder = folder;
+        
+        this.dialog = DOMUtils.showModal({
+            title: folder ? 'Modifica cartella smart' : 'Salva ricerca come cartella smart',
+            className: 'smart-folder-dialog',
+            body: this.render(folder || { name: '', icon: 'search', query: query || '' }),
+            actions: [
+                { label: 'Annulla' },
+                {
+                    label: 'Salva',
+                    className: 'btn--primary smart-folder-dialog__save',
+                    action: (close) => {
+                        if (this.save()) close();
+                    }
+                }
+            ]
+        });
+        
+        this.updatePreview();
+        this.dialog.body.querySelector('#smart-folder-name').focus();
+    }
+    
+    /**
+     * Render dialog body
+     * @param {Object} values - Initial values ({ name, icon, query })
+     * @returns {Array} Body elements
+     */
+    render({ name, icon, query }) {
+        const nameInput = DOMUtils.createElement('input', {
+            type: 'text',
+            id: 'smart-folder-name',
+            className: 'form-input',
+            value: name,
+            placeholder: 'Es. Prompt Java recenti'
+        });
+        
+        const queryInput = DOMUtils.createElement('input', {
+            type: 'text',
+            id: 'smart-folder-query',
+            className: 'form-input',
+            value: query,
+            placeholder: 'Es. tag:java modified:>2025-01-01',
+            oninput: () => this.updatePreview()
+        });
+        
+        const icons = DOMUtils.createElement('div', {
+            className: 'smart-folder-dialog__icons',
+            role: 'radiogroup',
+            'aria-label': 'Icona'
+        }, Object.entries(SmartFolderDialog.ICONS).map(([iconName, label]) => {
+            const radio = DOMUtils.createElement('input', {
+                type: 'radio',
+                name: 'smart-folder-icon',
+                value: iconName
+            });
+            radio.checked = iconName === (SmartFolderDialog.ICONS[icon] ? icon : 'search');
+            
+            return DOMUtils.createElement('label', {
+                className: 'smart-folder-dialog__icon',
+                title: label
+            }, [radio, DOMUtils.createIcon(iconName)]);
+        }));
+        
+        return [
+            DOMUtils.createElement('div', { className: 'form-group' }, [
+                DOMUtils.createElement('label', { className: 'form-label', for: 'smart-folder-name' }, 'Nome'),
+                nameInput
+            ]),
+            DOMUtils.createElement('div', { className: 'form-group' }, [
+                DOMUtils.createElement('span', { className: 'form-label' }, 'Icona'),
+                icons
+            ]),
+            DOMUtils.createElement('div', { className: 'form-group' }, [
+                DOMUtils.createElement('label', { className: 'form-label', for: 'smart-folder-query' }, 'Ricerca'),
+                queryInput,
+                DOMUtils.createElement('p', { className: 'smart-folder-dialog__preview' })
+            ])
+        ];
+    }
+    
+    /**
+     * Show how many prompts the query matches now
+     */
+    updatePreview() {
+        const query = this.dialog.body.querySelector('#smart-folder-query').value.trim();
+        const count = query ? this.storage.searchPrompts(query).length : 0;
+        
+        this.dialog.body.querySelector('.smart-folder-dialog__preview').textContent = query
+            ? `${count === 1 ? '1 prompt corrisponde' : `${count} prompt corrispondono`} alla ricerca. La cartella si aggiorna da sola.`
+            : 'Inserisci una ricerca, con gli stessi filtri della barra di ricerca.';
+    }
+    
+    /**
+     * Save smart folder
+     * @returns {boolean} True if saved
+     */
+    save() {
+        const body = this.dialog.body;
+        const name = body.querySelector('#smart-folder-name').value.trim();
+        const query = body.querySelector('#smart-folder-query').value.trim();
+        const checked = body.querySelector('input[name="smart-folder-icon"]:checked');
+        const icon = checked ? checked.value : 'search';
+        
+        if (!name || !query) {
+            DOMUtils.showToast('Inserisci un nome e una ricerca', 'error');
+            return false;
+        }
+        
+        const folder = this.storage.recordUndo(this.folder ? `Modifica cartella smart "${name}"` : `Crea cartella smart "${name}"`, () =>
+            this.folder
+                ? this.storage.updateSmartFolder(this.folder.id, { name, icon, query })
+                : this.storage.createSmartFolder({ name, icon, query })
+        );
+        
+        if (!folder) {
+            DOMUtils.showToast('La cartella smart non esiste più', 'error');
+            return false;
+        }
+        
+        window.dispatchEvent(new CustomEvent('smart-folder-saved', {
+            detail: { folderId: folder.id }
+        }));
+        
+        DOMUtils.showUndoToast(this.folder ? 'Cartella smart aggiornata' : 'Cartella smart creata', this.storage.undoManager);
+        return true;
+    }
+}
+
+// Export for use in other modules
+window.SmartFolderDialog = SmartFolderDialog;
@@ -4,14 +4,38 @@
  */
 
 class TreeView {
+    // Tree paths of smart folders are their ID with this prefix
+    static SMART_FOLDER_PREFIX = 'smart:';
+    static SMART_FOLDER_COLOR = '#0ea5e9';
+    
+    // Tree path of the trash; category paths can't contain a colon
+    static TRASH_PATH = 'trash:';
+    
+    // Share of a folder row, at the top and at the bottom, that drops before or after it
+    static DROP_EDGE = 0.25;
+    
+    // Labels of the sort fields, in menu order
+    static SORT_LABELS = {
+        manual: 'Manuale',
+        title: 'Titolo',
+        created: 'Data di creazione',
+        modified: 'Ultima modifica',
+        type: 'Tipo',
+        usage: 'Utilizzi'
+    };
+    
     constructor(container, storageManager) {
         this.container = container;
         this.storage = storageManager;
         this.selectedNode = null;
         this.expandedNodes = new Set();
         this.draggedNode = null;
+        this.draggedItems = null;
+        this.selectedPromptIds = new Set();
+        this.selectionAnchor = null;
         this.searchQuery = '';
         this.filteredNodes = new Set();
+        this.hideContextMenu = null;
         
         this.init();
     }
@@ -22,6 +46,7 @@ class TreeView {
     init() {
         this.container.innerHTML = '';
         this.container.className = 'tree-view';
+        this.container.setAttribute('role', 'tree');
         
         this.setupEventListeners();
         this.render();
@@ -62,6 +87,16 @@ class TreeView {
             this.handleDrop(e);
         });
         
+        this.container.addEventListener('dragleave', (e) => {
+            if (!this.container.contains(e.relatedTarget)) {
+                this.clearDropIndicators();
+            }
+        });
+        
+        this.container.addEventListener('dragend', () => {
+            this.cleanupDrag();
+        });
+        
         // Keyboard navigation
         this.container.addEventListener('keydown', (e) => {
             this.handleKeyDown(e);
@@ -71,6 +106,23 @@ class TreeView {
         window.addEventListener('storagechange', () => {
             this.render();
         });
+        
+        // Sort or folders-first setting changed
+        window.addEventListener('settingschange', () => {
+            this.render();
+        });
+        
+        // Folder picked elsewhere, such as the breadcrumb of the viewer
+        window.addEventListener('category-reveal', (e) => {
+            this.selectCategoryByPath(e.detail.categoryPath);
+        });
+        
+        // Smart folder created or edited: show it open
+        window.addEventListener('smart-folder-saved', (e) => {
+            this.expandedNodes.add(TreeView.SMART_FOLDER_PREFIX + e.detail.folderId);
+            this.saveExpandedState();
+            this.render();
+        });
     }
     
     /**
@@ -93,28 +145,56 @@ class TreeView {
             fragment.appendChild(favoritesNode);
         }
         
-        // Render other categories
-        Object.entries(tree.categories).forEach(([categoryPath, data]) => {
-            if (categoryPath !== 'favorites') {
-                const categoryNode = this.renderCategoryNode(categoryPath, data.info, data.items);
-                fragment.appendChild(categoryNode);
-            }
+        // Render smart folders
+        tree.smartFolders.forEach(({ folder, items }) => {
+            const smartFolderNode = this.renderCategoryNode(TreeView.SMART_FOLDER_PREFIX + folder.id, {
+                name: folder.name,
+                icon: folder.icon || 'search',
+                color: TreeView.SMART_FOLDER_COLOR
+            }, items);
+            smartFolderNode.dataset.smartFolder = folder.id;
+            smartFolderNode.classList.add('tree-node--smart');
+            smartFolderNode.querySelector('.tree-node__content').title = folder.query;
+            fragment.appendChild(smartFolderNode);
         });
         
-        // Render uncategorized prompts
+        // Render top-level categories with their subfolders, and uncategorized prompts after or before them
+        const categoryNodes = Object.entries(tree.categories)
+            .filter(([categoryPath, data]) => categoryPath !== 'favorites' && !tree.categories[data.parent])
+            .map(([categoryPath]) => this.renderCategoryTree(categoryPath, tree));
+        
         if (tree.uncategorized && tree.uncategorized.length > 0) {
             const uncategorizedNode = this.renderCategoryNode('uncategorized', {
                 name: 'Senza Categoria',
                 icon: 'folder',
                 color: '#6b7280'
             }, tree.uncategorized);
-            fragment.appendChild(uncategorizedNode);
+            
+            if (this.storage.settings.foldersFirst === false) {
+                categoryNodes.unshift(uncategorizedNode);
+            } else {
+                categoryNodes.push(uncategorizedNode);
+            }
+        }
+        
+        categoryNodes.forEach(categoryNode => fragment.appendChild(categoryNode));
+        
+        // Render trash last
+        if (this.storage.trash.size > 0) {
+            const trashNode = this.renderCategoryNode(TreeView.TRASH_PATH, {
+                name: 'Cestino',
+                icon: 'trash',
+                color: '#6b7280'
+            }, this.storage.getTrashItems());
+            trashNode.classList.add('tree-node--trash');
+            fragment.appendChild(trashNode);
         }
         
         this.container.appendChild(fragment);
         
         // Restore expanded state
         this.restoreExpandedState();
+        this.markSelectedPrompts();
         
         // Apply search filter if active
         if (this.searchQuery) {
@@ -124,25 +204,32 @@ class TreeView {
     
     /**
      * Build tree structure from prompts and categories
+     * Smart folders hold the prompts currently matching their query
      * @returns {Object} Tree structure
      */
     buildTreeStructure() {
         const tree = {
             categories: {},
             favorites: [],
+            smartFolders: [],
             uncategorized: []
         };
         
-        // Initialize all categories from storage
-        this.storage.categories.forEach((info, path) => {
-            if (path !== 'favorites') {
-                tree.categories[path] = {
-                    info,
-                    items: [],
-                    parent: path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : null,
-                    children: []
-                };
-            }
+        this.storage.smartFolders.forEach(folder => {
+            tree.smartFolders.push({
+                folder,
+                items: this.storage.getSmartFolderPrompts(folder.id)
+            });
+        });
+        
+        // Initialize all categories from storage, in display order
+        this.storage.getOrderedCategories().forEach(path => {
+            tree.categories[path] = {
+                info: this.storage.categories.get(path),
+                items: [],
+                parent: path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : null,
+                children: []
+            };
         });
         
         // Populate children arrays
@@ -154,7 +241,7 @@ class TreeView {
                 }
             }
         });
-
+        
         // Get all prompts
         const prompts = Array.from(this.storage.prompts.values());
         
@@ -173,32 +260,63 @@ class TreeView {
             }
         });
         
+        // Count the prompts of each folder together with those of its subfolders
+        const countPrompts = (path) => {
+            const data = tree.categories[path];
+            if (data.total === undefined) {
+                data.total = data.children.reduce((sum, child) => sum + countPrompts(child), data.items.length);
+            }
+            return data.total;
+        };
+        Object.keys(tree.categories).forEach(countPrompts);
+        
         return tree;
     }
     
+    /**
+     * Render a category with its subfolders, at any depth
+     * @param {string} categoryPath - Category path
+     * @param {Object} tree - Tree structure from buildTreeStructure()
+     * @returns {Element} Category node element
+     */
+    renderCategoryTree(categoryPath, tree) {
+        const { info, items, children, total } = tree.categories[categoryPath];
+        const subfolders = children.map(child => this.renderCategoryTree(child, tree));
+        
+        return this.renderCategoryNode(categoryPath, info, items, subfolders, total);
+    }
+    
     /**
      * Render category node
      * @param {string} categoryPath - Category path
      * @param {Object} categoryInfo - Category information
      * @param {Array} items - Items in category
+     * @param {Array} subfolders - Rendered subfolder nodes
+     * @param {number} count - Prompts in the category and its subfolders
      * @returns {Element} Category node element
      */
-    renderCategoryNode(categoryPath, categoryInfo, items) {
+    renderCategoryNode(categoryPath, categoryInfo, items, subfolders = [], count = items.length) {
         const isExpanded = this.expandedNodes.has(categoryPath);
-        const hasChildren = items.length > 0;
+        const hasChildren = items.length > 0 || subfolders.length > 0;
         
         const node = DOMUtils.createElement('div', {
             className: 'tree-node',
             dataset: { type: 'category', path: categoryPath }
         });
         
+        if (this.isMovableCategory(categoryPath)) {
+            node.setAttribute('draggable', 'true');
+        }
+        
         // Category header
         const content = DOMUtils.createElement('div', {
             className: 'tree-node__content',
             tabindex: '0',
-            role: 'treeitem',
-            'aria-expanded': hasChildren ? isExpanded : undefined
+            role: 'treeitem'
         });
+        if (hasChildren) {
+            content.setAttribute('aria-expanded', String(isExpanded));
+        }
         
         // Toggle button
         if (hasChildren) {
@@ -226,11 +344,14 @@ class TreeView {
         }, categoryInfo.name);
         content.appendChild(label);
         
-        // Item count badge
-        if (items.length > 0) {
+        // Item count badge, with the prompts of subfolders
+        if (count > 0) {
             const badge = DOMUtils.createElement('span', {
                 className: 'tree-node__badge'
-            }, items.length.toString());
+            }, count.toString());
+            if (count !== items.length) {
+                badge.title = `${count} prompt, ${items.length} in questa cartella`;
+            }
             content.appendChild(badge);
         }
         
@@ -239,19 +360,20 @@ class TreeView {
         // Children container
         if (hasChildren) {
             const children = DOMUtils.createElement('div', {
-                className: `tree-node__children ${!isExpanded ? 'tree-node__children--hidden' : ''}`
+                className: `tree-node__children ${!isExpanded ? 'tree-node__children--hidden' : ''}`,
+                role: 'group'
             });
             
-            // Sort items: folders first, then prompts
-            const sortedItems = [...items].sort((a, b) => {
-                // If both are prompts, sort by title
-                return a.title.localeCompare(b.title);
-            });
+            // Prompts follow the sort of their folder, or the one in the settings;
+            // the trash lists its entries as given, newest first
+            const isTrash = categoryPath === TreeView.TRASH_PATH;
+            const sortedItems = isTrash ? items : this.storage.sortPrompts(categoryPath, items);
+            const itemNodes = sortedItems.map(item => isTrash ? this.renderTrashItemNode(item) : this.renderPromptNode(item));
             
-            sortedItems.forEach(item => {
-                const itemNode = this.renderPromptNode(item);
-                children.appendChild(itemNode);
-            });
+            const nodes = this.storage.settings.foldersFirst === false
+                ? [...itemNodes, ...subfolders]
+                : [...subfolders, ...itemNodes];
+            nodes.forEach(childNode => children.appendChild(childNode));
             
             node.appendChild(children);
         }
@@ -294,11 +416,13 @@ class TreeView {
         }, prompt.title);
         content.appendChild(label);
         
-        // Model badge
-        if (prompt.model) {
+        // Model badge: the first model, and how many more there are
+        if (prompt.model.length > 0) {
+            const more = prompt.model.length - 1;
             const badge = DOMUtils.createElement('span', {
-                className: 'tree-node__badge'
-            }, prompt.model);
+                className: 'tree-node__badge',
+                title: prompt.getModelString()
+            }, more > 0 ? `${prompt.model[0].name} +${more}` : prompt.model[0].name);
             content.appendChild(badge);
         }
         
@@ -313,19 +437,56 @@ class TreeView {
         return node;
     }
     
+    /**
+     * Render trash entry node
+     * @param {Object} entry - Trash entry
+     * @returns {Element} Trash entry node element
+     */
+    renderTrashItemNode(entry) {
+        const location = entry.path ? this.storage.getCategoryTrail(entry.path) : 'Senza Categoria';
+        
+        const node = DOMUtils.createElement('div', {
+            className: 'tree-node tree-node--trashed',
+            dataset: { type: 'trash', id: entry.id }
+        });
+        
+        const content = DOMUtils.createElement('div', {
+            className: 'tree-node__content',
+            tabindex: '0',
+            role: 'treeitem',
+            title: `${location} · eliminato il ${DOMUtils.formatDate(entry.deletedAt)}`
+        });
+        
+        content.appendChild(DOMUtils.createElement('span', {
+            className: 'tree-node__toggle'
+        }));
+        
+        const icon = DOMUtils.createIcon(entry.type === 'category' ? 'folder' : 'file');
+        icon.setAttribute('class', 'tree-node__icon');
+        content.appendChild(icon);
+        
+        content.appendChild(DOMUtils.createElement('span', {
+            className: 'tree-node__label'
+        }, entry.name));
+        
+        // Deleted folders show how many prompts went with them
+        if (entry.type === 'category' && entry.prompts.length > 0) {
+            content.appendChild(DOMUtils.createElement('span', {
+                className: 'tree-node__badge'
+            }, `${entry.prompts.length} prompt`));
+        }
+        
+        node.appendChild(content);
+        return node;
+    }
+    
     /**
      * Get icon for prompt type
      * @param {string} type - Prompt type
      * @returns {string} Icon name
      */
     getPromptIcon(type) {
-        const icons = {
-            'text_generation': 'file',
-            'image_generation': 'file',
-            'code': 'file',
-            'other': 'file'
-        };
-        return icons[type] || 'file';
+        return this.storage.getPromptType(type).icon;
     }
     
     /**
@@ -343,7 +504,13 @@ class TreeView {
         }
         
         const content = e.target.closest('.tree-node__content');
-        if (content) {
+        if (!content) return;
+        
+        if (e.shiftKey && node.dataset.type === 'prompt') {
+            this.selectPromptRange(node);
+        } else if ((e.ctrlKey || e.metaKey) && node.dataset.type === 'prompt') {
+            this.togglePromptSelection(node);
+        } else {
             this.selectNode(node);
         }
     }
@@ -382,20 +549,29 @@ class TreeView {
     
     /**
      * Handle drag start events
+     * A selected prompt takes the whole selection along; a folder takes its subfolders
      * @param {Event} e - Drag start event
      */
     handleDragStart(e) {
         const node = e.target.closest('.tree-node');
-        if (!node || node.dataset.type !== 'prompt') {
+        
+        if (node && node.dataset.type === 'prompt') {
+            const promptId = node.dataset.id;
+            const promptIds = this.selectedPromptIds.has(promptId) ? this.getSelectedPromptIds() : [promptId];
+            this.draggedItems = { type: 'prompts', promptIds };
+            e.dataTransfer.setData('text/plain', promptIds.join('\n'));
+        } else if (node && this.isMovableCategory(node.dataset.path)) {
+            this.draggedItems = { type: 'category', path: node.dataset.path };
+            e.dataTransfer.setData('text/plain', node.dataset.path);
+        } else {
             e.preventDefault();
             return;
         }
         
         this.draggedNode = node;
-        node.classList.add('tree-node__content--dragging');
+        node.querySelector('.tree-node__content').classList.add('tree-node__content--dragging');
         
         e.dataTransfer.effectAllowed = 'move';
-        e.dataTransfer.setData('text/plain', node.dataset.id);
     }
     
     /**
@@ -403,13 +579,19 @@ class TreeView {
      * @param {Event} e - Drag over event
      */
     handleDragOver(e) {
-        e.preventDefault();
-        
-        const node = e.target.closest('.tree-node');
-        if (!node || node.dataset.type !== 'category') return;
+        const target = this.getDropTarget(e);
+        this.clearDropIndicators();
+        if (!target) return;
         
+        e.preventDefault();
         e.dataTransfer.dropEffect = 'move';
-        node.classList.add('tree-node__content--drop-target');
+        
+        if (target.position === 'root') {
+            this.container.classList.add('tree-view--drop-root');
+        } else {
+            const modifier = target.position === 'inside' ? 'target' : target.position;
+            target.node.querySelector('.tree-node__content').classList.add(`tree-node__content--drop-${modifier}`);
+        }
     }
     
     /**
@@ -417,30 +599,166 @@ class TreeView {
      * @param {Event} e - Drop event
      */
     handleDrop(e) {
+        const target = this.getDropTarget(e);
+        const items = this.draggedItems;
+        this.cleanupDrag();
+        if (!target) return;
+        
         e.preventDefault();
         
-        const targetNode = e.target.closest('.tree-node');
-        if (!targetNode || targetNode.dataset.type !== 'category') return;
+        if (items.type === 'prompts') {
+            this.dropPrompts(items.promptIds, target);
+        } else {
+            this.dropCategory(items.path, target);
+        }
+    }
+    
+    /**
+     * Work out where the dragged items would land
+     * Prompts go into folders or next to the prompts of a folder, folders go into or
+     * next to other folders. Empty space and "Senza Categoria" stand for the top level.
+     * @param {Event} e - Drag event
+     * @returns {Object|null} Drop target ({ node, position: 'before'|'after'|'inside'|'root' }), or null if not allowed
+     */
+    getDropTarget(e) {
+        const items = this.draggedItems;
+        if (!items) return null;
+        
+        const isPrompts = items.type === 'prompts';
+        const root = { node: null, position: 'root' };
         
-        const promptId = e.dataTransfer.getData('text/plain');
-        const prompt = this.storage.prompts.get(promptId);
+        // Dropping at the top level only makes sense for items not already there
+        const canDropAtRoot = isPrompts
+            ? items.promptIds.some(id => this.storage.prompts.get(id)?.category)
+            : this.storage.categories.has(StorageManager.getParentPath(items.path));
+        
+        const content = e.target.closest('.tree-node__content');
+        if (!content) {
+            return e.target === this.container && canDropAtRoot ? root : null;
+        }
         
-        if (prompt && this.draggedNode) {
-            // Update prompt category
-            prompt.update({ category: targetNode.dataset.path });
-            this.storage.savePrompts();
+        const node = content.closest('.tree-node');
+        const rect = content.getBoundingClientRect();
+        const offset = rect.height > 0 ? (e.clientY - rect.top) / rect.height : 0.5;
+        
+        if (node.dataset.type === 'prompt') {
+            if (!isPrompts || items.promptIds.includes(node.dataset.id)) return null;
             
-            // Re-render tree
-            this.render();
+            const parentPath = node.parentElement.closest('.tree-node').dataset.path;
+            if (parentPath === 'uncategorized') {
+                return canDropAtRoot ? root : null;
+            }
+            if (!this.isMovableCategory(parentPath)) return null;
             
-            // Dispatch update event
-            window.dispatchEvent(new CustomEvent('prompt-moved', {
-                detail: { promptId, newCategory: targetNode.dataset.path }
-            }));
+            if (this.storage.isManualSort(parentPath)) {
+                return { node, position: offset < 0.5 ? 'before' : 'after' };
+            }
+            
+            // Folders in another order can't be arranged by hand: prompts just move into them
+            return items.promptIds.every(id => this.storage.prompts.get(id)?.category === parentPath)
+                ? null
+                : { node: node.parentElement.closest('.tree-node'), position: 'inside' };
         }
         
-        // Cleanup
-        this.cleanupDrag();
+        const path = node.dataset.path;
+        if (path === 'uncategorized') {
+            return canDropAtRoot ? root : null;
+        }
+        if (!this.isMovableCategory(path)) return null;
+        
+        if (isPrompts) {
+            return { node, position: 'inside' };
+        }
+        
+        // A folder can't go inside itself
+        if (StorageManager.isInCategory(path, items.path)) return null;
+        
+        if (this.storage.isManualSort(StorageManager.getParentPath(path))) {
+            if (offset < TreeView.DROP_EDGE) return { node, position: 'before' };
+            if (offset > 1 - TreeView.DROP_EDGE) return { node, position: 'after' };
+        }
+        
+        return StorageManager.getParentPath(items.path) === path ? null : { node, position: 'inside' };
+    }
+    
+    /**
+     * Move dragged prompts to a drop target
+     * @param {Array} promptIds - Prompt IDs
+     * @param {Object} target - Drop target from getDropTarget()
+     */
+    dropPrompts(promptIds, { node, position }) {
+        const first = this.storage.prompts.get(promptIds[0]);
+        const label = promptIds.length === 1 ? `Sposta "${first.title}"` : `Sposta ${promptIds.length} prompt`;
+        
+        const categoryPath = this.storage.recordUndo(label, () => {
+            if (position === 'before' || position === 'after') {
+                return this.storage.reorderPrompts(promptIds, node.dataset.id, position);
+            }
+            
+            const path = position === 'root' ? '' : node.dataset.path;
+            return this.storage.movePrompts(promptIds, path) > 0 ? path : null;
+        });
+        if (categoryPath === null) return;
+        
+        if (categoryPath) {
+            this.expandedNodes.add(categoryPath);
+            this.saveExpandedState();
+        }
+        this.render();
+        
+        window.dispatchEvent(new CustomEvent('prompt-moved', {
+            detail: { promptId: promptIds[0], promptIds, newCategory: categoryPath }
+        }));
+        
+        const message = promptIds.length === 1 ? 'Prompt spostato' : `${promptIds.length} prompt spostati`;
+        DOMUtils.showUndoToast(message, this.storage.undoManager);
+    }
+    
+    /**
+     * Move a dragged folder to a drop target
+     * @param {string} categoryPath - Category path
+     * @param {Object} target - Drop target from getDropTarget()
+     */
+    dropCategory(categoryPath, { node, position }) {
+        if (position === 'inside' || position === 'root') {
+            this.applyCategoryMove(categoryPath, position === 'root' ? '' : node.dataset.path);
+            return;
+        }
+        
+        const category = this.storage.categories.get(categoryPath);
+        const newPath = this.storage.recordUndo(`Sposta cartella "${category.name}"`, () =>
+            this.storage.reorderCategory(categoryPath, node.dataset.path, position)
+        );
+        
+        if (!newPath) {
+            DOMUtils.showToast('Impossibile spostare la cartella qui', 'error');
+            return;
+        }
+        
+        this.relocateExpandedState(categoryPath, newPath);
+        this.notifyCategoriesChanged();
+        DOMUtils.showUndoToast('Cartella spostata', this.storage.undoManager);
+    }
+    
+    /**
+     * Check if a tree path is a folder that can be moved and dropped into
+     * @param {string} path - Tree path
+     * @returns {boolean} True for real categories, not favorites, smart folders or uncategorized
+     */
+    isMovableCategory(path) {
+        return Boolean(path) && path !== 'favorites' && this.storage.categories.has(path);
+    }
+    
+    /**
+     * Remove drop position indicators
+     */
+    clearDropIndicators() {
+        const indicators = ['tree-node__content--drop-target', 'tree-node__content--drop-before', 'tree-node__content--drop-after'];
+        
+        this.container.classList.remove('tree-view--drop-root');
+        this.container.querySelectorAll(indicators.map(name => `.${name}`).join(', ')).forEach(content => {
+            content.classList.remove(...indicators);
+        });
     }
     
     /**
@@ -448,14 +766,13 @@ class TreeView {
      */
     cleanupDrag() {
         if (this.draggedNode) {
-            this.draggedNode.classList.remove('tree-node__content--dragging');
+            this.draggedNode.querySelector('.tree-node__content').classList.remove('tree-node__content--dragging');
             this.draggedNode = null;
         }
+        this.draggedItems = null;
         
         // Remove drop target indicators
-        this.container.querySelectorAll('.tree-node__content--drop-target').forEach(node => {
-            node.classList.remove('tree-node__content--drop-target');
-        });
+        this.clearDropIndicators();
     }
     
     /**
@@ -466,40 +783,79 @@ class TreeView {
         const node = e.target.closest('.tree-node');
         if (!node) return;
         
+        // Shift+arrows extend the selection, Ctrl+A selects every visible prompt
+        if (e.shiftKey && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+            e.preventDefault();
+            this.extendPromptSelection(node, e.key === 'ArrowDown' ? 1 : -1);
+            return;
+        }
+        
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            this.selectAllPrompts();
+            return;
+        }
+        
         switch (e.key) {
+            case 'Escape':
+                if (this.selectedPromptIds.size > 1) {
+                    e.preventDefault();
+                    this.clearPromptSelection();
+                }
+                break;
+            
             case 'Enter':
             case ' ':
                 e.preventDefault();
                 this.selectNode(node);
                 break;
-                
+            
             case 'ArrowRight':
+                // Open a folder, or go to its first item if it is open already
                 e.preventDefault();
-                if (node.dataset.type === 'category') {
+                if (this.isCollapsed(node)) {
                     this.expandNode(node);
+                } else if (node.dataset.type === 'category') {
+                    this.navigateToNext(node);
                 }
                 break;
-                
+            
             case 'ArrowLeft':
+                // Close a folder, or go up to the folder holding the item
                 e.preventDefault();
-                if (node.dataset.type === 'category') {
+                if (this.isExpanded(node)) {
                     this.collapseNode(node);
+                } else {
+                    const parent = node.parentElement.closest('.tree-node');
+                    if (parent) {
+                        this.selectNode(parent);
+                    }
                 }
                 break;
-                
+            
+            case 'Home':
+            case 'End': {
+                e.preventDefault();
+                const nodes = this.getVisibleNodes();
+                this.selectNode(nodes[e.key === 'Home' ? 0 : nodes.length - 1]);
+                break;
+            }
+            
             case 'ArrowDown':
                 e.preventDefault();
                 this.navigateToNext(node);
                 break;
-                
+            
             case 'ArrowUp':
                 e.preventDefault();
                 this.navigateToPrevious(node);
                 break;
-                
+            
             case 'Delete':
                 if (node.dataset.type === 'prompt') {
                     this.deletePrompt(node.dataset.id);
+                } else if (node.dataset.type === 'trash') {
+                    this.purgeTrashItem(node.dataset.id);
                 }
                 break;
         }
@@ -515,7 +871,7 @@ class TreeView {
         
         const isExpanded = this.expandedNodes.has(node.dataset.path);
         const shouldExpand = forceExpand !== null ? forceExpand : !isExpanded;
-
+        
         if (shouldExpand) {
             this.expandNode(node);
         } else {
@@ -533,8 +889,8 @@ class TreeView {
         const path = node.dataset.path;
         this.expandedNodes.add(path);
         
-        const toggle = node.querySelector('.tree-node__toggle');
-        const children = node.querySelector('.tree-node__children');
+        const toggle = node.querySelector(':scope > .tree-node__content > .tree-node__toggle');
+        const children = node.querySelector(':scope > .tree-node__children');
         
         if (toggle) {
             toggle.classList.add('tree-node__toggle--expanded');
@@ -545,7 +901,7 @@ class TreeView {
         }
         
         // Update aria-expanded
-        const content = node.querySelector('.tree-node__content');
+        const content = node.querySelector(':scope > .tree-node__content');
         if (content) {
             content.setAttribute('aria-expanded', 'true');
         }
@@ -563,8 +919,8 @@ class TreeView {
         const path = node.dataset.path;
         this.expandedNodes.delete(path);
         
-        const toggle = node.querySelector('.tree-node__toggle');
-        const children = node.querySelector('.tree-node__children');
+        const toggle = node.querySelector(':scope > .tree-node__content > .tree-node__toggle');
+        const children = node.querySelector(':scope > .tree-node__children');
         
         if (toggle) {
             toggle.classList.remove('tree-node__toggle--expanded');
@@ -575,7 +931,7 @@ class TreeView {
         }
         
         // Update aria-expanded
-        const content = node.querySelector('.tree-node__content');
+        const content = node.querySelector(':scope > .tree-node__content');
         if (content) {
             content.setAttribute('aria-expanded', 'false');
         }
@@ -583,19 +939,41 @@ class TreeView {
         this.saveExpandedState();
     }
     
+    /**
+     * Check if a node is a folder whose items are shown
+     * @param {Element} node - Node element
+     * @returns {boolean} True for open folders with items
+     */
+    isExpanded(node) {
+        const children = node.querySelector(':scope > .tree-node__children');
+        return Boolean(children) && !children.classList.contains('tree-node__children--hidden');
+    }
+    
+    /**
+     * Check if a node is a folder whose items are hidden
+     * @param {Element} node - Node element
+     * @returns {boolean} True for closed folders with items
+     */
+    isCollapsed(node) {
+        const children = node.querySelector(':scope > .tree-node__children');
+        return Boolean(children) && children.classList.contains('tree-node__children--hidden');
+    }
+    
     /**
      * Select node
      * @param {Element} node - Node element
      */
     selectNode(node) {
-        // Remove previous selection
-        if (this.selectedNode) {
-            this.selectedNode.querySelector('.tree-node__content')
-                .classList.remove('tree-node__content--selected');
-        }
+        // Remove previous selection, including prompts added with Ctrl
+        this.container.querySelectorAll('.tree-node__content--selected').forEach(content => {
+            content.classList.remove('tree-node__content--selected');
+        });
         
         // Set new selection
         this.selectedNode = node;
+        this.selectedPromptIds = new Set(node.dataset.type === 'prompt' ? [node.dataset.id] : []);
+        this.selectionAnchor = node.dataset.type === 'prompt' ? node : null;
+        this.notifySelectionChanged();
         node.querySelector('.tree-node__content')
             .classList.add('tree-node__content--selected');
         
@@ -611,84 +989,259 @@ class TreeView {
             window.dispatchEvent(new CustomEvent('category-selected', {
                 detail: { categoryPath: node.dataset.path }
             }));
+        } else if (node.dataset.type === 'trash') {
+            // A deleted prompt can still be looked at
+            const entry = this.storage.trash.get(node.dataset.id);
+            if (entry && entry.type === 'prompt' && entry.prompts.length > 0) {
+                window.dispatchEvent(new CustomEvent('prompt-selected', {
+                    detail: { promptId: entry.prompts[0].id }
+                }));
+            }
         }
     }
     
     /**
-     * Navigate to next node
-     * @param {Element} currentNode - Current node
+     * Add a prompt to the selection, or take it out
+     * @param {Element} node - Prompt node
      */
-    navigateToNext(currentNode) {
-        const allNodes = Array.from(this.container.querySelectorAll('.tree-node__content'));
-        const currentIndex = allNodes.indexOf(currentNode.querySelector('.tree-node__content'));
-        
-        if (currentIndex < allNodes.length - 1) {
-            const nextNode = allNodes[currentIndex + 1].closest('.tree-node');
-            this.selectNode(nextNode);
+    togglePromptSelection(node) {
+        const promptId = node.dataset.id;
+        if (this.selectedPromptIds.has(promptId)) {
+            this.selectedPromptIds.delete(promptId);
+        } else {
+            this.selectedPromptIds.add(promptId);
         }
+        this.selectionAnchor = node;
+        
+        this.markSelectedPrompts();
+        node.querySelector('.tree-node__content').focus();
+        this.notifySelectionChanged();
     }
     
     /**
-     * Navigate to previous node
-     * @param {Element} currentNode - Current node
+     * Select the visible prompts between the last clicked one and a prompt
+     * @param {Element} node - Prompt node ending the range
      */
-    navigateToPrevious(currentNode) {
-        const allNodes = Array.from(this.container.querySelectorAll('.tree-node__content'));
-        const currentIndex = allNodes.indexOf(currentNode.querySelector('.tree-node__content'));
+    selectPromptRange(node) {
+        const nodes = this.getVisiblePromptNodes();
+        const index = nodes.indexOf(node);
+        
+        // After a render the anchor is found again by its prompt
+        let anchorIndex = nodes.indexOf(this.selectionAnchor);
+        if (anchorIndex < 0 && this.selectionAnchor) {
+            anchorIndex = nodes.findIndex(item => item.dataset.id === this.selectionAnchor.dataset.id);
+        }
         
-        if (currentIndex > 0) {
-            const prevNode = allNodes[currentIndex - 1].closest('.tree-node');
-            this.selectNode(prevNode);
+        if (anchorIndex < 0 || index < 0) {
+            this.selectNode(node);
+            return;
         }
+        
+        this.selectedPromptIds = new Set(nodes
+            .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+            .map(item => item.dataset.id));
+        
+        this.markSelectedPrompts();
+        node.querySelector('.tree-node__content').focus();
+        this.notifySelectionChanged();
     }
     
     /**
-     * Show context menu
-     * @param {Event} e - Event object
-     * @param {Element} node - Target node
+     * Extend the selection to the next or previous visible prompt
+     * @param {Element} node - Focused node
+     * @param {number} direction - 1 for down, -1 for up
      */
-    showContextMenu(e, node) {
-        const contextMenu = document.getElementById('context-menu');
-        if (!contextMenu) return;
-        
-        // Clear existing menu
-        contextMenu.innerHTML = '';
+    extendPromptSelection(node, direction) {
+        const nodes = this.getVisiblePromptNodes();
+        const next = nodes[nodes.indexOf(node) + direction];
+        if (!next) return;
         
-        if (node.dataset.type === 'prompt') {
-            this.buildPromptContextMenu(contextMenu, node.dataset.id);
-        } else if (node.dataset.type === 'category') {
-            this.buildCategoryContextMenu(contextMenu, node.dataset.path);
+        if (!this.selectionAnchor && node.dataset.type === 'prompt') {
+            this.selectionAnchor = node;
         }
-        
-        // Position and show menu
-        contextMenu.style.left = `${e.clientX}px`;
-        contextMenu.style.top = `${e.clientY}px`;
-        contextMenu.style.display = 'block';
-        
-        // Hide menu on outside click
-        const hideMenu = (event) => {
-            if (!contextMenu.contains(event.target)) {
-                contextMenu.style.display = 'none';
-                document.removeEventListener('click', hideMenu);
-            }
-        };
-        
-        setTimeout(() => {
-            document.addEventListener('click', hideMenu);
-        }, 0);
+        this.selectPromptRange(next);
     }
     
     /**
-     * Build context menu for prompt
-     * @param {Element} menu - Menu container
-     * @param {string} promptId - Prompt ID
+     * Select every visible prompt
      */
-    buildPromptContextMenu(menu, promptId) {
-        const prompt = this.storage.prompts.get(promptId);
-        if (!prompt) return;
+    selectAllPrompts() {
+        this.selectedPromptIds = new Set(this.getVisiblePromptNodes().map(node => node.dataset.id));
+        this.markSelectedPrompts();
+        this.notifySelectionChanged();
+    }
+    
+    /**
+     * Reduce the selection to the focused prompt, or to nothing
+     */
+    clearPromptSelection() {
+        const focused = document.activeElement && document.activeElement.closest('.tree-node[data-type="prompt"]');
+        const keep = focused && this.container.contains(focused) ? [focused.dataset.id] : [];
         
-        const items = [
-            {
+        this.selectedPromptIds = new Set(keep);
+        this.markSelectedPrompts();
+        this.notifySelectionChanged();
+    }
+    
+    /**
+     * Get prompt nodes not hidden by a collapsed folder or the search filter, in tree order
+     * @returns {Array} Prompt nodes
+     */
+    getVisiblePromptNodes() {
+        return this.getVisibleNodes('.tree-node[data-type="prompt"]');
+    }
+    
+    /**
+     * Get nodes not hidden by a collapsed folder or the search filter, in tree order
+     * @param {string} selector - Node selector, all nodes by default
+     * @returns {Array} Node elements
+     */
+    getVisibleNodes(selector = '.tree-node') {
+        return Array.from(this.container.querySelectorAll(selector)).filter(node => {
+            for (let element = node; element && element !== this.container; element = element.parentElement) {
+                if (element.style.display === 'none' || element.classList.contains('tree-node__children--hidden')) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Tell other components which prompts are selected
+     */
+    notifySelectionChanged() {
+        window.dispatchEvent(new CustomEvent('selection-changed', {
+            detail: { promptIds: this.getSelectedPromptIds() }
+        }));
+    }
+    
+    /**
+     * Highlight the selected prompts, dropping those that no longer exist
+     */
+    markSelectedPrompts() {
+        const count = this.selectedPromptIds.size;
+        this.selectedPromptIds.forEach(promptId => {
+            if (!this.storage.prompts.has(promptId)) {
+                this.selectedPromptIds.delete(promptId);
+            }
+        });
+        if (this.selectedPromptIds.size !== count) {
+            this.notifySelectionChanged();
+        }
+        
+        this.container.querySelectorAll('.tree-node[data-type="prompt"]').forEach(node => {
+            node.querySelector('.tree-node__content').classList
+                .toggle('tree-node__content--selected', this.selectedPromptIds.has(node.dataset.id));
+        });
+    }
+    
+    /**
+     * Navigate to next node
+     * @param {Element} currentNode - Current node
+     */
+    navigateToNext(currentNode) {
+        const nodes = this.getVisibleNodes();
+        const currentIndex = nodes.indexOf(currentNode);
+        
+        if (currentIndex < nodes.length - 1) {
+            this.selectNode(nodes[currentIndex + 1]);
+        }
+    }
+    
+    /**
+     * Navigate to previous node
+     * @param {Element} currentNode - Current node
+     */
+    navigateToPrevious(currentNode) {
+        const nodes = this.getVisibleNodes();
+        const currentIndex = nodes.indexOf(currentNode);
+        
+        if (currentIndex > 0) {
+            this.selectNode(nodes[currentIndex - 1]);
+        }
+    }
+    
+    /**
+     * Show context menu
+     * @param {Event} e - Event object
+     * @param {Element} node - Target node
+     */
+    showContextMenu(e, node) {
+        const contextMenu = document.getElementById('context-menu');
+        if (!contextMenu) return;
+        
+        // Clear existing menu
+        contextMenu.innerHTML = '';
+        
+        if (node.dataset.type === 'prompt') {
+            this.buildPromptContextMenu(contextMenu, node.dataset.id);
+        } else if (node.dataset.smartFolder) {
+            this.buildSmartFolderContextMenu(contextMenu, node.dataset.smartFolder);
+        } else if (node.dataset.type === 'trash') {
+            this.buildTrashItemContextMenu(contextMenu, node.dataset.id);
+        } else if (node.dataset.path === TreeView.TRASH_PATH) {
+            this.buildTrashContextMenu(contextMenu);
+        } else if (node.dataset.type === 'category') {
+            this.buildCategoryContextMenu(contextMenu, node.dataset.path);
+        }
+        
+        this.openContextMenu(contextMenu, e.clientX, e.clientY);
+    }
+    
+    /**
+     * Show sort menu, for the whole tree or for one folder
+     * @param {number} x - Horizontal position
+     * @param {number} y - Vertical position
+     * @param {string|null} categoryPath - Folder with its own sort, or null for the settings
+     */
+    showSortMenu(x, y, categoryPath = null) {
+        const contextMenu = document.getElementById('context-menu');
+        if (!contextMenu) return;
+        
+        contextMenu.innerHTML = '';
+        this.buildSortMenu(contextMenu, categoryPath);
+        this.openContextMenu(contextMenu, x, y);
+    }
+    
+    /**
+     * Position and show the context menu, until the next click outside it
+     * @param {Element} menu - Menu container
+     * @param {number} x - Horizontal position
+     * @param {number} y - Vertical position
+     */
+    openContextMenu(menu, x, y) {
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+        menu.style.display = 'block';
+        
+        // Hide menu on outside click; items that rebuild the menu are no longer in it
+        // once the click gets here, so the path of the event is checked instead
+        document.removeEventListener('click', this.hideContextMenu);
+        const hideMenu = (event) => {
+            if (!event.composedPath().includes(menu)) {
+                menu.style.display = 'none';
+                document.removeEventListener('click', hideMenu);
+            }
+        };
+        this.hideContextMenu = hideMenu;
+        
+        setTimeout(() => {
+            document.addEventListener('click', hideMenu);
+        }, 0);
+    }
+    
+    /**
+     * Build context menu for prompt
+     * @param {Element} menu - Menu container
+     * @param {string} promptId - Prompt ID
+     */
+    buildPromptContextMenu(menu, promptId) {
+        const prompt = this.storage.prompts.get(promptId);
+        if (!prompt) return;
+        
+        const items = [
+            {
                 label: 'Modifica',
                 icon: 'edit',
                 action: () => window.dispatchEvent(new CustomEvent('prompt-edit', { detail: { promptId } }))
@@ -726,21 +1279,42 @@ class TreeView {
                 label: 'Nuovo prompt',
                 icon: 'plus',
                 action: () => window.dispatchEvent(new CustomEvent('prompt-new', { detail: { category: categoryPath } }))
-            },
-            {
-                label: 'Nuova sottocartella',
-                icon: 'folder',
-                action: () => this.createSubcategory(categoryPath)
             }
         ];
         
-        if (categoryPath !== 'favorites') {
+        // Favorites and uncategorized prompts are not real folders
+        if (categoryPath !== 'favorites' && this.storage.categories.has(categoryPath)) {
             items.push(
+                {
+                    label: 'Nuova sottocartella',
+                    icon: 'folder',
+                    action: () => this.createSubcategory(categoryPath)
+                },
                 { separator: true },
                 {
                     label: 'Rinomina',
                     icon: 'edit',
                     action: () => this.renameCategory(categoryPath)
+                },
+                {
+                    label: 'Sposta in…',
+                    icon: 'folder',
+                    action: () => this.moveCategory(categoryPath)
+                },
+                {
+                    label: 'Ordina…',
+                    icon: 'sort',
+                    action: () => {
+                        menu.innerHTML = '';
+                        this.buildSortMenu(menu, categoryPath);
+                    }
+                },
+                { separator: true },
+                {
+                    label: 'Elimina cartella',
+                    icon: 'trash',
+                    action: () => this.deleteCategory(categoryPath),
+                    danger: true
                 }
             );
         }
@@ -748,8 +1322,164 @@ class TreeView {
         this.renderContextMenuItems(menu, items);
     }
     
+    /**
+     * Build context menu for smart folder
+     * @param {Element} menu - Menu container
+     * @param {string} folderId - Smart folder ID
+     */
+    buildSmartFolderContextMenu(menu, folderId) {
+        const items = [
+            {
+                label: 'Modifica cartella smart',
+                icon: 'edit',
+                action: () => window.dispatchEvent(new CustomEvent('smart-folder-edit', { detail: { folderId } }))
+            },
+            { separator: true },
+            {
+                label: 'Elimina cartella smart',
+                icon: 'trash',
+                action: () => this.deleteSmartFolder(folderId),
+                danger: true
+            }
+        ];
+        
+        this.renderContextMenuItems(menu, items);
+    }
+    
+    /**
+     * Build context menu for trash entry
+     * @param {Element} menu - Menu container
+     * @param {string} entryId - Trash entry ID
+     */
+    buildTrashItemContextMenu(menu, entryId) {
+        const items = [
+            {
+                label: 'Ripristina',
+                icon: 'clock',
+                action: () => this.restoreTrashItem(entryId)
+            },
+            { separator: true },
+            {
+                label: 'Elimina definitivamente',
+                icon: 'trash',
+                action: () => this.purgeTrashItem(entryId),
+                danger: true
+            }
+        ];
+        
+        this.renderContextMenuItems(menu, items);
+    }
+    
+    /**
+     * Build context menu for the trash
+     * @param {Element} menu - Menu container
+     */
+    buildTrashContextMenu(menu) {
+        const items = [
+            {
+                label: 'Svuota cestino',
+                icon: 'trash',
+                action: () => this.emptyTrash(),
+                danger: true
+            }
+        ];
+        
+        this.renderContextMenuItems(menu, items);
+    }
+    
+    /**
+     * Build sort menu
+     * Choices are applied at once and the menu stays open, showing the new sort
+     * @param {Element} menu - Menu container
+     * @param {string|null} categoryPath - Folder with its own sort, or null for the settings
+     */
+    buildSortMenu(menu, categoryPath) {
+        const category = categoryPath ? this.storage.categories.get(categoryPath) : null;
+        const sort = this.storage.getSortOptions(categoryPath || '');
+        
+        const choose = (change) => {
+            change();
+            menu.innerHTML = '';
+            this.buildSortMenu(menu, categoryPath);
+        };
+        
+        const items = Object.entries(this.getSortLabels()).map(([by, label]) => ({
+            label,
+            checked: sort.by === by,
+            action: () => choose(() => this.setSort(categoryPath, { ...sort, by }))
+        }));
+        
+        items.push(
+            { separator: true },
+            {
+                label: 'Crescente',
+                checked: sort.order === 'asc',
+                action: () => choose(() => this.setSort(categoryPath, { ...sort, order: 'asc' }))
+            },
+            {
+                label: 'Decrescente',
+                checked: sort.order === 'desc',
+                action: () => choose(() => this.setSort(categoryPath, { ...sort, order: 'desc' }))
+            },
+            { separator: true }
+        );
+        
+        if (category) {
+            items.push({
+                label: 'Usa l\'ordinamento generale',
+                checked: !category.sort,
+                action: () => choose(() => this.setSort(categoryPath, null))
+            });
+        } else {
+            const foldersFirst = this.storage.settings.foldersFirst !== false;
+            items.push({
+                label: 'Cartelle prima',
+                checked: foldersFirst,
+                action: () => choose(() => this.storage.updateSettings({ foldersFirst: !foldersFirst }))
+            });
+        }
+        
+        this.renderContextMenuItems(menu, items);
+    }
+    
+    /**
+     * Get the labels of the sort fields, custom metadata fields included
+     * @returns {Object} Labels keyed by sort field, in menu order
+     */
+    getSortLabels() {
+        const labels = { ...TreeView.SORT_LABELS };
+        this.storage.metadataFields.forEach(field => {
+            labels[`${StorageManager.METADATA_PREFIX}${field.name}`] = field.label;
+        });
+        return labels;
+    }
+    
+    /**
+     * Change how the tree or a folder is sorted
+     * The general sort is a setting; the sort of a folder is part of the collection and can be undone
+     * @param {string|null} categoryPath - Folder path, or null for the general sort
+     * @param {Object|null} sort - Sort options ({ by, order }), null to use the general sort in the folder
+     */
+    setSort(categoryPath, sort) {
+        if (!categoryPath) {
+            this.storage.updateSettings({ sortBy: sort.by, sortOrder: sort.order });
+            return;
+        }
+        
+        const category = this.storage.categories.get(categoryPath);
+        if (!category) return;
+        
+        const changed = this.storage.recordUndo(`Ordina "${category.name}"`, () =>
+            this.storage.setCategorySort(categoryPath, sort)
+        );
+        if (changed) {
+            this.render();
+        }
+    }
+    
     /**
      * Render context menu items
+     * Items with a `checked` flag are choices, marked when checked
      * @param {Element} menu - Menu container
      * @param {Array} items - Menu items
      */
@@ -766,7 +1496,13 @@ class TreeView {
                     onclick: item.action
                 });
                 
-                if (item.icon) {
+                if (item.checked !== undefined) {
+                    menuItem.setAttribute('role', 'menuitemcheckbox');
+                    menuItem.setAttribute('aria-checked', String(item.checked));
+                    menuItem.appendChild(item.checked
+                        ? DOMUtils.createIcon('check')
+                        : DOMUtils.createElement('span', { className: 'context-menu__check' }));
+                } else if (item.icon) {
                     menuItem.appendChild(DOMUtils.createIcon(item.icon));
                 }
                 
@@ -781,7 +1517,7 @@ class TreeView {
      * @param {string} query - Search query
      */
     applySearchFilter(query) {
-        this.searchQuery = query.toLowerCase();
+        this.searchQuery = query;
         this.filteredNodes.clear();
         
         if (!query) {
@@ -793,40 +1529,43 @@ class TreeView {
         }
         
         // Find matching prompts
+        const searchQuery = new SearchQuery(query);
+        const highlightTerms = searchQuery.getTextTerms();
         const matchingPrompts = Array.from(this.storage.prompts.values())
-            .filter(prompt => prompt.matchesSearch(query));
+            .filter(prompt => searchQuery.matches(prompt, this.storage));
         
         matchingPrompts.forEach(prompt => {
             this.filteredNodes.add(prompt.id);
         });
         
-        // Show/hide nodes based on filter
-        this.container.querySelectorAll('.tree-node').forEach(node => {
-            if (node.dataset.type === 'prompt') {
-                const shouldShow = this.filteredNodes.has(node.dataset.id);
-                node.style.display = shouldShow ? '' : 'none';
-                
-                // Highlight matching text
-                if (shouldShow) {
-                    const label = node.querySelector('.tree-node__label');
-                    if (label) {
-                        const prompt = this.storage.prompts.get(node.dataset.id);
-                        label.innerHTML = DOMUtils.highlightText(prompt.title, query);
-                    }
-                }
-            } else if (node.dataset.type === 'category') {
-                // Show category if it has visible children
-                const hasVisibleChildren = Array.from(node.querySelectorAll('.tree-node[data-type="prompt"]'))
-                    .some(child => child.style.display !== 'none');
-                
-                node.style.display = hasVisibleChildren ? '' : 'none';
-                
-                // Auto-expand categories with matches
-                if (hasVisibleChildren) {
-                    this.expandNode(node);
+        // Show/hide prompts based on filter
+        this.container.querySelectorAll('.tree-node[data-type="prompt"]').forEach(node => {
+            const shouldShow = this.filteredNodes.has(node.dataset.id);
+            node.style.display = shouldShow ? '' : 'none';
+            
+            // Highlight matching text
+            if (shouldShow) {
+                const label = node.querySelector('.tree-node__label');
+                if (label) {
+                    const prompt = this.storage.prompts.get(node.dataset.id);
+                    label.innerHTML = DOMUtils.highlightText(prompt.title, highlightTerms);
                 }
             }
         });
+        
+        // Then folders, once the prompts in all their subfolders are settled
+        this.container.querySelectorAll('.tree-node[data-type="category"]').forEach(node => {
+            // Show category if it has visible prompts at any depth
+            const hasVisibleChildren = Array.from(node.querySelectorAll('.tree-node[data-type="prompt"]'))
+                .some(child => child.style.display !== 'none');
+            
+            node.style.display = hasVisibleChildren ? '' : 'none';
+            
+            // Auto-expand categories with matches
+            if (hasVisibleChildren) {
+                this.expandNode(node);
+            }
+        });
     }
     
     /**
@@ -858,13 +1597,13 @@ class TreeView {
         const prompt = this.storage.prompts.get(promptId);
         if (!prompt) return;
         
-        const duplicated = prompt.clone();
-        this.storage.prompts.set(duplicated.id, duplicated);
-        this.storage.savePrompts();
+        this.storage.recordUndo(`Duplica "${prompt.title}"`, () =>
+            this.storage.duplicatePrompts([promptId]).length || null
+        );
         
         this.render();
         
-        DOMUtils.showToast('Prompt duplicato con successo', 'success');
+        DOMUtils.showUndoToast('Prompt duplicato con successo', this.storage.undoManager);
     }
     
     /**
@@ -875,21 +1614,14 @@ class TreeView {
         const prompt = this.storage.prompts.get(promptId);
         if (!prompt) return;
         
-        prompt.update({ isFavorite: !prompt.isFavorite });
-        
-        if (prompt.isFavorite) {
-            this.storage.favorites.add(promptId);
-        } else {
-            this.storage.favorites.delete(promptId);
-        }
-        
-        this.storage.savePrompts();
-        this.storage.saveFavorites();
+        const favorite = !prompt.isFavorite;
+        this.storage.recordUndo(favorite ? `Aggiungi "${prompt.title}" ai preferiti` : `Rimuovi "${prompt.title}" dai preferiti`, () =>
+            this.storage.setFavorites([promptId], favorite) || null
+        );
         
         this.render();
         
-        const message = prompt.isFavorite ? 'Aggiunto ai preferiti' : 'Rimosso dai preferiti';
-        DOMUtils.showToast(message, 'success');
+        DOMUtils.showUndoToast(favorite ? 'Aggiunto ai preferiti' : 'Rimosso dai preferiti', this.storage.undoManager);
     }
     
     /**
@@ -901,11 +1633,9 @@ class TreeView {
         if (!prompt) return;
         
         if (confirm(`Sei sicuro di voler eliminare il prompt "${prompt.title}"?`)) {
-            this.storage.prompts.delete(promptId);
-            this.storage.favorites.delete(promptId);
-            
-            this.storage.savePrompts();
-            this.storage.saveFavorites();
+            this.storage.recordUndo(`Elimina "${prompt.title}"`, () =>
+                this.storage.deletePrompts([promptId]) || null
+            );
             
             this.render();
             
@@ -915,7 +1645,345 @@ class TreeView {
                 window.dispatchEvent(new CustomEvent('prompt-deselected'));
             }
             
-            DOMUtils.showToast('Prompt eliminato', 'success');
+            DOMUtils.showUndoToast('Prompt eliminato', this.storage.undoManager);
+        }
+    }
+    
+    /**
+     * Create subcategory
+     * @param {string} parentPath - Parent category path
+     */
+    createSubcategory(parentPath) {
+        const name = prompt('Inserisci il nome della nuova sottocartella:');
+        if (!name) return;
+        
+        if (!StorageManager.getCategorySlug(name)) {
+            DOMUtils.showToast('Nome cartella non valido', 'error');
+            return;
+        }
+        
+        if (!this.storage.recordUndo(`Crea cartella "${name.trim()}"`, () => this.storage.createCategory(name, parentPath))) {
+            DOMUtils.showToast('Cartella già esistente', 'warning');
+            return;
+        }
+        
+        this.expandedNodes.add(parentPath);
+        this.saveExpandedState();
+        this.render();
+        
+        DOMUtils.showUndoToast('Cartella creata con successo', this.storage.undoManager);
+    }
+    
+    /**
+     * Rename category
+     * @param {string} categoryPath - Category path
+     */
+    renameCategory(categoryPath) {
+        const category = this.storage.categories.get(categoryPath);
+        if (!category) return;
+        
+        const name = prompt('Nuovo nome della cartella:', category.name);
+        if (!name || name.trim() === category.name) return;
+        
+        if (!StorageManager.getCategorySlug(name)) {
+            DOMUtils.showToast('Nome cartella non valido', 'error');
+            return;
+        }
+        
+        const newPath = this.storage.recordUndo(`Rinomina cartella "${category.name}"`, () =>
+            this.storage.renameCategory(categoryPath, name)
+        );
+        
+        if (!newPath) {
+            DOMUtils.showToast('Esiste già una cartella con questo nome', 'warning');
+            return;
+        }
+        
+        this.relocateExpandedState(categoryPath, newPath);
+        this.notifyCategoriesChanged();
+        DOMUtils.showUndoToast('Cartella rinominata', this.storage.undoManager);
+    }
+    
+    /**
+     * Ask where to move a category, then move it
+     * @param {string} categoryPath - Category path
+     */
+    moveCategory(categoryPath) {
+        const category = this.storage.categories.get(categoryPath);
+        if (!category) return;
+        
+        const currentParent = StorageManager.getParentPath(categoryPath);
+        const leaf = categoryPath.split('/').pop();
+        
+        // Anywhere but inside itself, its current parent or next to a folder with the same name
+        const destinations = [['', 'Livello principale']];
+        this.storage.categories.forEach((info, path) => {
+            if (path !== 'favorites' && !StorageManager.isInCategory(path, categoryPath)) {
+                destinations.push([path, this.storage.getCategoryTrail(path)]);
+            }
+        });
+        
+        const available = destinations.filter(([path]) =>
+            path !== currentParent && !this.storage.categories.has(path ? `${path}/${leaf}` : leaf)
+        );
+        
+        if (available.length === 0) {
+            DOMUtils.showToast('Nessuna cartella di destinazione disponibile', 'warning');
+            return;
+        }
+        
+        const select = DOMUtils.createElement('select', {
+            id: 'category-move-target',
+            className: 'form-select'
+        }, available.map(([path, label]) => DOMUtils.createElement('option', { value: path }, label)));
+        
+        DOMUtils.showModal({
+            title: `Sposta "${category.name}"`,
+            className: 'category-move-dialog',
+            body: [
+                DOMUtils.createElement('div', { className: 'form-group' }, [
+                    DOMUtils.createElement('label', { className: 'form-label', for: 'category-move-target' }, 'Sposta in'),
+                    select
+                ])
+            ],
+            actions: [
+                { label: 'Annulla' },
+                {
+                    label: 'Sposta',
+                    className: 'btn--primary',
+                    action: (close) => {
+                        close();
+                        this.applyCategoryMove(categoryPath, select.value);
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Move a category under another one
+     * @param {string} categoryPath - Category path
+     * @param {string} parentPath - New parent path, empty for the top level
+     */
+    applyCategoryMove(categoryPath, parentPath) {
+        const category = this.storage.categories.get(categoryPath);
+        if (!category) return;
+        
+        const newPath = this.storage.recordUndo(`Sposta cartella "${category.name}"`, () =>
+            this.storage.moveCategory(categoryPath, parentPath)
+        );
+        
+        if (!newPath) {
+            DOMUtils.showToast('Impossibile spostare la cartella qui', 'error');
+            return;
+        }
+        
+        this.relocateExpandedState(categoryPath, newPath);
+        if (parentPath) {
+            this.expandedNodes.add(parentPath);
+            this.saveExpandedState();
+        }
+        this.notifyCategoriesChanged();
+        DOMUtils.showUndoToast('Cartella spostata', this.storage.undoManager);
+    }
+    
+    /**
+     * Delete category, asking what to do with its content
+     * @param {string} categoryPath - Category path
+     */
+    deleteCategory(categoryPath) {
+        const category = this.storage.categories.get(categoryPath);
+        if (!category) return;
+        
+        const promptCount = Array.from(this.storage.prompts.values())
+            .filter(prompt => StorageManager.isInCategory(prompt.category, categoryPath)).length;
+        const subfolderCount = Array.from(this.storage.categories.keys())
+            .filter(path => path !== categoryPath && StorageManager.isInCategory(path, categoryPath)).length;
+        
+        // An empty folder goes straight away: undo is enough to bring it back
+        if (promptCount === 0 && subfolderCount === 0) {
+            this.applyCategoryDelete(categoryPath, false);
+            return;
+        }
+        
+        const parent = this.storage.categories.get(StorageManager.getParentPath(categoryPath));
+        const destination = parent ? `in "${parent.name}"` : 'al livello principale';
+        
+        const contents = [
+            promptCount === 1 ? '1 prompt' : `${promptCount} prompt`,
+            subfolderCount === 1 ? '1 sottocartella' : `${subfolderCount} sottocartelle`
+        ];
+        
+        const createOption = (value, label, checked) => {
+            const radio = DOMUtils.createElement('input', {
+                type: 'radio',
+                name: 'category-delete-mode',
+                value
+            });
+            radio.checked = checked;
+            return DOMUtils.createElement('label', { className: 'category-delete-dialog__option' }, [radio, label]);
+        };
+        
+        const dialog = DOMUtils.showModal({
+            title: `Elimina "${category.name}"`,
+            className: 'category-delete-dialog',
+            body: [
+                DOMUtils.createElement('p', {}, `La cartella contiene ${contents.join(' e ')}.`),
+                createOption('move', `Sposta il contenuto ${destination}`, true),
+                createOption('delete', 'Elimina anche il contenuto', false)
+            ],
+            actions: [
+                { label: 'Annulla' },
+                {
+                    label: 'Elimina',
+                    className: 'btn--danger',
+                    action: (close) => {
+                        const mode = dialog.body.querySelector('input[name="category-delete-mode"]:checked').value;
+                        close();
+                        this.applyCategoryDelete(categoryPath, mode === 'delete');
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Delete a category
+     * @param {string} categoryPath - Category path
+     * @param {boolean} deleteContents - Whether prompts and subfolders are deleted rather than moved up
+     */
+    applyCategoryDelete(categoryPath, deleteContents) {
+        const category = this.storage.categories.get(categoryPath);
+        if (!category) return;
+        
+        const count = this.storage.recordUndo(`Elimina cartella "${category.name}"`, () =>
+            this.storage.deleteCategory(categoryPath, { deleteContents })
+        );
+        if (count === null) return;
+        
+        if (!deleteContents) {
+            // Subfolders now sit one level up
+            const parentPath = StorageManager.getParentPath(categoryPath);
+            Array.from(this.expandedNodes)
+                .filter(path => path !== categoryPath && StorageManager.isInCategory(path, categoryPath))
+                .forEach(path => {
+                    const relative = path.slice(categoryPath.length + 1);
+                    this.expandedNodes.delete(path);
+                    this.expandedNodes.add(parentPath ? `${parentPath}/${relative}` : relative);
+                });
+        }
+        this.expandedNodes.delete(categoryPath);
+        this.saveExpandedState();
+        
+        this.notifyCategoriesChanged();
+        const message = deleteContents && count > 0
+            ? `Cartella eliminata con ${count === 1 ? '1 prompt' : `${count} prompt`}`
+            : 'Cartella eliminata';
+        DOMUtils.showUndoToast(message, this.storage.undoManager);
+    }
+    
+    /**
+     * Keep a category open after its path changes
+     * @param {string} fromPath - Old category path
+     * @param {string} toPath - New category path
+     */
+    relocateExpandedState(fromPath, toPath) {
+        Array.from(this.expandedNodes)
+            .filter(path => StorageManager.isInCategory(path, fromPath))
+            .forEach(path => {
+                this.expandedNodes.delete(path);
+                this.expandedNodes.add(toPath + path.slice(fromPath.length));
+            });
+        this.saveExpandedState();
+    }
+    
+    /**
+     * Tell other components that categories, and maybe the prompts in them, changed
+     */
+    notifyCategoriesChanged() {
+        this.render();
+        window.dispatchEvent(new CustomEvent('categories-changed'));
+    }
+    
+    /**
+     * Delete smart folder
+     * @param {string} folderId - Smart folder ID
+     */
+    deleteSmartFolder(folderId) {
+        const folder = this.storage.smartFolders.get(folderId);
+        if (!folder) return;
+        
+        if (confirm(`Eliminare la cartella smart "${folder.name}"? I prompt non verranno eliminati.`)) {
+            this.storage.recordUndo(`Elimina cartella smart "${folder.name}"`, () =>
+                this.storage.deleteSmartFolder(folderId)
+            );
+            this.expandedNodes.delete(TreeView.SMART_FOLDER_PREFIX + folderId);
+            this.saveExpandedState();
+            
+            this.render();
+            
+            DOMUtils.showUndoToast('Cartella smart eliminata', this.storage.undoManager);
+        }
+    }
+    
+    /**
+     * Put a trash entry back where it was deleted from
+     * @param {string} entryId - Trash entry ID
+     */
+    restoreTrashItem(entryId) {
+        const entry = this.storage.trash.get(entryId);
+        if (!entry) return;
+        
+        const path = this.storage.recordUndo(`Ripristina "${entry.name}"`, () =>
+            this.storage.restoreFromTrash(entryId)
+        );
+        
+        if (path === null) {
+            DOMUtils.showToast('Esiste già una cartella con questo nome', 'error');
+            return;
+        }
+        
+        if (path) {
+            this.expandedNodes.add(path);
+            this.saveExpandedState();
+        }
+        
+        this.notifyCategoriesChanged();
+        DOMUtils.showUndoToast(entry.type === 'category' ? 'Cartella ripristinata' : 'Prompt ripristinato', this.storage.undoManager);
+    }
+    
+    /**
+     * Permanently delete a trash entry
+     * @param {string} entryId - Trash entry ID
+     */
+    purgeTrashItem(entryId) {
+        const entry = this.storage.trash.get(entryId);
+        if (!entry) return;
+        
+        if (confirm(`Eliminare definitivamente "${entry.name}"?`)) {
+            this.storage.recordUndo(`Elimina definitivamente "${entry.name}"`, () =>
+                this.storage.purgeTrash([entryId]) || null
+            );
+            
+            this.notifyCategoriesChanged();
+            DOMUtils.showUndoToast('Eliminato definitivamente', this.storage.undoManager);
+        }
+    }
+    
+    /**
+     * Permanently delete everything in the trash
+     */
+    emptyTrash() {
+        const count = this.storage.trash.size;
+        if (count === 0) return;
+        
+        if (confirm(`Svuotare il cestino? ${count === 1 ? '1 elemento verrà eliminato' : `${count} elementi verranno eliminati`} definitivamente.`)) {
+            this.storage.recordUndo('Svuota cestino', () => this.storage.purgeTrash() || null);
+            this.expandedNodes.delete(TreeView.TRASH_PATH);
+            this.saveExpandedState();
+            
+            this.notifyCategoriesChanged();
+            DOMUtils.showUndoToast('Cestino svuotato', this.storage.undoManager);
         }
     }
     
@@ -954,13 +2022,13 @@ class TreeView {
     refresh() {
         this.render();
     }
-
+    
     expandAll() {
         this.container.querySelectorAll('.tree-node[data-type="category"]').forEach(folderNode => {
             this.toggleNode(folderNode, true);
         });
     }
-
+    
     collapseAll() {
         this.container.querySelectorAll('.tree-node[data-type="category"]').forEach(folderNode => {
             if (folderNode.dataset.path !== 'favorites') { 
@@ -979,6 +2047,14 @@ class TreeView {
             : null;
     }
     
+    /**
+     * Get IDs of all selected prompts
+     * @returns {Array} Prompt IDs, in the order they were selected
+     */
+    getSelectedPromptIds() {
+        return Array.from(this.selectedPromptIds);
+    }
+    
     /**
      * Select prompt by ID
      * @param {string} promptId - Prompt ID to select
@@ -1001,6 +2077,22 @@ class TreeView {
             DOMUtils.scrollIntoView(node);
         }
     }
+    
+    /**
+     * Select a folder, opening the folders holding it
+     * @param {string} categoryPath - Category path
+     */
+    selectCategoryByPath(categoryPath) {
+        const node = this.container.querySelector(`.tree-node[data-type="category"][data-path="${categoryPath}"]`);
+        if (!node) return;
+        
+        for (let parent = node.parentElement.closest('.tree-node'); parent; parent = parent.parentElement.closest('.tree-node')) {
+            this.expandNode(parent);
+        }
+        
+        this.selectNode(node);
+        DOMUtils.scrollIntoView(node);
+    }
 }
 
 // Export for use in other modules
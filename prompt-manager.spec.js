@@ -46,8 +46,9 @@ test.describe('Prompt Collection Manager - Suite di Test Completa', () => {
 
   test.describe('Gestione dei Prompt', () => {
     
+    // Il cestino e il suo contenuto non fanno parte della collezione
     const getItems = (page) => page.evaluate(() => 
-      Array.from(document.querySelectorAll('#tree-view .tree-node')).map(item => ({
+      Array.from(document.querySelectorAll('#tree-view .tree-node:not(.tree-node--trash):not(.tree-node--trashed)')).map(item => ({
         id: item.dataset.id || item.dataset.path,
         text: item.querySelector('.tree-node__label').textContent.trim()
       }))
@@ -76,6 +77,7 @@ test.describe('Prompt Collection Manager - Suite di Test Completa', () => {
       const finalItems = await getItems(page);
       expect(finalItems.find(item => item.id === promptToDelete.id)).toBeUndefined();
       expect(finalItems.length).toBe(initialItems.length - 1);
+      await expect(page.locator('.tree-node--trash .tree-node__label', { hasText: 'Furry 2D Art generator' })).toHaveCount(1);
     });
 
     test('Test 5: Duplicazione Prompt', async ({ page }) => {
@@ -124,9 +126,857 @@ test.describe('Prompt Collection Manager - Suite di Test Completa', () => {
         await expect(favoritesNode.locator('.tree-node[data-type="prompt"]')).toHaveCount(initialFavoriteCount);
     });
 
+    test('Test 21: Selezione multipla e azioni in blocco', async ({ page }) => {
+      const promptRow = (title) => page.locator('//div[@data-type="prompt" and not(ancestor::div[@data-path="favorites"])]/div[contains(@class, "tree-node__content")]', { hasText: title });
+      const bar = page.locator('#bulk-action-bar');
+
+      // Maiusc+clic seleziona l'intervallo, Ctrl+clic toglie un prompt
+      await promptRow('Recruiter').click();
+      await expect(bar).toBeHidden();
+      await promptRow('Furry 2D Art generator').click({ modifiers: ['Shift'] });
+      await expect(bar).toBeVisible();
+      await expect(bar.locator('.bulk-bar__count')).toHaveText('3 selezionati');
+      await promptRow('AI Code Review').click({ modifiers: ['Control'] });
+      await expect(bar.locator('.bulk-bar__count')).toHaveText('2 selezionati');
+
+      // Aggiunta di un tag a tutta la selezione, annullabile in un solo passo
+      await bar.locator('.bulk-bar__action--tags').click();
+      await page.fill('#bulk-tags-add', 'revisionato');
+      await page.click('.bulk-dialog__confirm');
+      await expect(page.locator('.toast--success').last()).toContainText('Tag aggiornati su 2 prompt');
+      await page.fill('#search-input', 'tag:revisionato');
+      await expect(page.locator('#search-results .search-results__item')).toHaveCount(2);
+
+      await page.locator('.toast__action', { hasText: 'Annulla' }).last().click();
+      await expect(page.locator('#search-results .search-results__item')).toHaveCount(0);
+      await page.fill('#search-input', '');
+
+      // Eliminazione in blocco
+      page.once('dialog', dialog => dialog.accept());
+      await bar.locator('.bulk-bar__action--delete').click();
+      await expect(page.locator('.toast--success').last()).toContainText('2 prompt eliminati');
+      await expect(promptRow('Recruiter')).toHaveCount(0);
+      await expect(bar).toBeHidden();
+    });
+
+    test('Test 22: Annulla e ripeti con Ctrl+Z e dal messaggio di conferma', async ({ page }) => {
+      const promptRow = page.locator('//div[@data-type="prompt" and not(ancestor::div[@data-path="favorites"])]/div[contains(@class, "tree-node__content")]', { hasText: 'Furry 2D Art generator' });
+      const favoritesNode = page.locator('.tree-node[data-path="favorites"]');
+
+      // Eliminazione annullata con Ctrl+Z e ripetuta con Ctrl+Maiusc+Z
+      await promptRow.click();
+      page.once('dialog', dialog => dialog.accept());
+      await page.click('#delete-prompt-btn');
+      await expect(promptRow).toHaveCount(0);
+
+      await page.keyboard.press('Control+z');
+      await expect(page.locator('.toast').last()).toContainText('Annullato: Elimina "Furry 2D Art generator"');
+      await expect(promptRow).toHaveCount(1);
+
+      await page.keyboard.press('Control+Shift+z');
+      await expect(page.locator('.toast').last()).toContainText('Ripetuto: Elimina "Furry 2D Art generator"');
+      await expect(promptRow).toHaveCount(0);
+      await page.keyboard.press('Control+z');
+
+      // Preferito annullato dal pulsante nel messaggio
+      await promptRow.click({ button: 'right' });
+      await page.click('.context-menu__item:has-text("Aggiungi ai preferiti")');
+      await expect(favoritesNode.locator('.tree-node[data-type="prompt"]')).toHaveCount(2);
+      await page.locator('.toast__action', { hasText: 'Annulla' }).last().click();
+      await expect(favoritesNode.locator('.tree-node[data-type="prompt"]')).toHaveCount(1);
+    });
+
+    test('Test 23: Cestino con ripristino ed esclusione dalla ricerca', async ({ page }) => {
+      const promptRow = page.locator('//div[@data-type="prompt" and not(ancestor::div[@data-path="favorites"])]/div[contains(@class, "tree-node__content")]', { hasText: 'Recruiter' });
+      const trashRow = page.locator('.tree-node--trash .tree-node[data-type="trash"] > .tree-node__content', { hasText: 'Recruiter' });
+
+      // Il prompt eliminato finisce nel cestino
+      await promptRow.click({ button: 'right' });
+      page.once('dialog', dialog => dialog.accept());
+      await page.click('.context-menu__item:has-text("Elimina")');
+      await expect(promptRow).toHaveCount(0);
+      await page.locator('.tree-node--trash > .tree-node__content .tree-node__toggle').click();
+      await expect(trashRow).toHaveCount(1);
+
+      // Escluso dalla ricerca, salvo che con is:trashed
+      await page.fill('#search-input', 'Recruiter');
+      await expect(page.locator('#search-results .search-results__item')).toHaveCount(0);
+      await page.fill('#search-input', 'is:trashed Recruiter');
+      await expect(page.locator('#search-results .search-results__item')).toHaveCount(1);
+      await expect(page.locator('#search-results .search-results__path')).toHaveText('Nel cestino');
+      await page.fill('#search-input', '');
+
+      // Ripristino nella cartella di origine
+      await trashRow.click({ button: 'right' });
+      await page.click('.context-menu__item:has-text("Ripristina")');
+      await expect(page.locator('.toast--success').last()).toContainText('Prompt ripristinato');
+      await expect(page.locator('.tree-node[data-path="productivity"] .tree-node__label', { hasText: 'Recruiter' })).toHaveCount(1);
+      await expect(page.locator('.tree-node--trash')).toHaveCount(0);
+    });
+
+    test('Test 28: Più modelli con fornitore e parametri, registro e filtri di ricerca', async ({ page }) => {
+      // I modelli registrati si scelgono con un clic, gli altri si aggiungono per nome
+      await page.click('#add-prompt-btn');
+      await page.fill('#title', 'Prompt multimodello');
+      await page.fill('#prompt', 'Riassumi il testo');
+      await page.locator('.models-editor__option', { hasText: 'GPT-4o' }).click();
+      await page.fill('#model-custom', 'Llama 3');
+      await page.press('#model-custom', 'Enter');
+      await expect(page.locator('.models-editor__row')).toHaveCount(2);
+      await expect(page.locator('#model-custom')).toHaveValue('');
+
+      // I parametri dipendono dal tipo di modello e vengono validati
+      const gptRow = page.locator('.models-editor__row', { hasText: 'GPT-4o' });
+      await gptRow.locator('[data-parameter="max_tokens"]').fill('1.5');
+      await page.click('#save-prompt-btn');
+      await expect(gptRow.locator('.form-error')).toContainText('numero intero');
+      await gptRow.locator('[data-parameter="max_tokens"]').fill('500');
+      await gptRow.locator('[data-parameter="temperature"]').fill('0.7');
+      await page.click('#save-prompt-btn');
+      await expect(page.locator('#prompt-editor-modal')).not.toBeVisible();
+
+      const node = page.locator('.tree-node[data-type="prompt"]', { hasText: 'Prompt multimodello' }).first();
+      await expect(node.locator('.tree-node__badge')).toHaveText('GPT-4o +1');
+      await node.locator('.tree-node__content').click();
+      await expect(page.locator('.prompt-viewer__models li')).toHaveText([
+        'GPT-4o (OpenAI): Temperatura 0.7, Token massimi 500',
+        'Llama 3'
+      ]);
+
+      // La ricerca filtra per uno qualsiasi dei modelli e per fornitore
+      const results = page.locator('#search-results .search-results__item');
+      await page.fill('#search-input', 'model:llama');
+      await expect(results).toHaveCount(1);
+      await page.fill('#search-input', 'provider:anthropic');
+      await expect(results.filter({ hasText: 'AI Code Review' })).toHaveCount(1);
+      await expect(results.filter({ hasText: 'Prompt multimodello' })).toHaveCount(0);
+      await page.fill('#search-input', '');
+
+      // I modelli usati nei prompt si registrano dalle impostazioni
+      await page.click('#settings-btn');
+      await page.click('#register-used-models-btn');
+      await expect(page.locator('#model-registry [name="model-name"]').last()).toHaveValue('Llama 3');
+      expect(await page.evaluate(() => window.appController.storage.findRegisteredModel('llama 3')?.name)).toBe('Llama 3');
+    });
+
+    test('Test 29: Tipi di prompt personalizzati con campi aggiuntivi e regole', async ({ page }) => {
+      // Il tipo si crea dalle impostazioni con icona, campi dell'editor e campi aggiuntivi
+      await page.click('#settings-btn');
+      await page.click('#manage-types-btn');
+      await page.click('.type-manager__create');
+      await page.fill('#type-name', 'Prompt di sistema');
+      await page.locator('.type-manager__icon-option[title="Terminale"]').click();
+      await page.locator('.type-manager__layout label', { hasText: 'Variabili' }).locator('input').uncheck();
+      await page.click('#add-type-field-btn');
+      const field = page.locator('.type-manager__field').last();
+      await field.locator('[name="field-label"]').fill('Ruolo');
+      await field.locator('[name="field-type"]').selectOption('select');
+      await field.locator('[name="field-required"]').check();
+      await field.locator('[name="field-options"]').fill('assistente, critico');
+      await page.click('.type-manager__save');
+      await expect(page.locator('.type-manager__item[data-id="prompt_di_sistema"]')).toContainText('Prompt di sistema');
+      await page.keyboard.press('Escape');
+
+      // L'editor mostra i campi del tipo e ne applica le regole
+      await page.click('#add-prompt-btn');
+      await page.fill('#title', 'Revisore severo');
+      await page.fill('#prompt', 'Sei un revisore attento');
+      await page.selectOption('#type', 'prompt_di_sistema');
+      await expect(page.locator('#variables-editor')).not.toBeVisible();
+      await page.click('#save-prompt-btn');
+      await expect(page.locator('#type-fields .form-error')).toContainText('obbligatorio');
+      await page.selectOption('#type-field-ruolo', 'critico');
+      await page.click('#save-prompt-btn');
+      await expect(page.locator('#prompt-editor-modal')).not.toBeVisible();
+
+      // Icona nella struttura, valori nel visualizzatore e tipo salvato con la collezione
+      const node = page.locator('.tree-node[data-type="prompt"]', { hasText: 'Revisore severo' }).first();
+      await expect(node.locator('.tree-node__icon path')).toHaveAttribute('d', 'M4 17l6-6-6-6M12 19h8');
+      await node.locator('.tree-node__content').click();
+      await expect(page.locator('#prompt-viewer')).toContainText('Campi di Prompt di sistema');
+      await expect(page.locator('#prompt-viewer')).toContainText('critico');
+
+      const exported = await page.evaluate(() => JSON.parse(window.appController.storage.exportData('json')));
+      expect(exported.promptTypes.map(type => type.id)).toContain('prompt_di_sistema');
+      expect(exported.prompts.find(prompt => prompt.title === 'Revisore severo').fields).toEqual({ ruolo: 'critico' });
+    });
+
+    test('Test 30: Metadati personalizzati modificabili, ricercabili e ordinabili', async ({ page }) => {
+      // I campi si definiscono per tutta la collezione dalle impostazioni
+      await page.click('#settings-btn');
+      await page.click('#manage-metadata-btn');
+      await page.click('#add-metadata-field-btn');
+      const license = page.locator('#metadata-fields-editor .type-manager__field').last();
+      await license.locator('[name="field-label"]').fill('Licenza');
+      await license.locator('[name="field-type"]').selectOption('select');
+      await license.locator('[name="field-options"]').fill('MIT, CC-BY');
+      await page.click('#add-metadata-field-btn');
+      const rating = page.locator('#metadata-fields-editor .type-manager__field').last();
+      await rating.locator('[name="field-label"]').fill('Valutazione');
+      await rating.locator('[name="field-type"]').selectOption('number');
+      await rating.locator('[name="field-max"]').fill('5');
+      await page.locator('.type-manager .modal__footer button', { hasText: 'Salva' }).click();
+      await expect(page.locator('.toast--success')).toContainText('Metadati personalizzati salvati');
+
+      // L'editor li mostra per ogni prompt e ne controlla i valori
+      await page.locator('.tree-node[data-type="prompt"]:has-text("Recruiter")').first().click();
+      await page.click('#edit-prompt-btn');
+      await page.selectOption('#metadata-field-licenza', 'MIT');
+      await page.fill('#metadata-field-valutazione', '9');
+      await page.click('#save-prompt-btn');
+      await expect(page.locator('#metadata-fields .form-error')).toContainText('Il valore massimo è 5');
+      await page.fill('#metadata-field-valutazione', '5');
+      await page.click('#save-prompt-btn');
+      await expect(page.locator('#prompt-editor-modal')).not.toBeVisible();
+      await expect(page.locator('#prompt-viewer')).toContainText('Licenza');
+      await expect(page.locator('#prompt-viewer')).toContainText('MIT');
+
+      // Ricerca con meta.<campo> e ordinamento per metadato
+      await page.fill('#search-input', 'meta.valutazione:>=4');
+      await expect(page.locator('.tree-node[data-type="prompt"]')).toHaveCount(1);
+      await expect(page.locator('.tree-node[data-type="prompt"]').first()).toContainText('Recruiter');
+      await page.fill('#search-input', '');
+      const sorted = await page.evaluate(() => {
+        const storage = window.appController.storage;
+        return storage.sortPrompts('', [...storage.prompts.values()], { by: 'meta.valutazione', order: 'desc' })[0].title;
+      });
+      expect(sorted).toContain('Recruiter');
+
+      // I valori restano nel YAML e nell'esportazione
+      const exported = await page.evaluate(() => {
+        const storage = window.appController.storage;
+        const prompt = [...storage.prompts.values()].find(item => item.metadata.licenza);
+        return { yaml: prompt.toYAML(), data: JSON.parse(storage.exportData('json')) };
+      });
+      expect(exported.yaml).toContain('metadata:');
+      expect(exported.yaml).toContain('valutazione: 5');
+      expect(exported.data.metadataFields.map(field => field.name)).toEqual(['licenza', 'valutazione']);
+    });
+
+    test('Test 32: Modifica del prompt in YAML con errori per riga e sincronizzazione col modulo', async ({ page }) => {
+      await page.locator('.tree-node[data-type="prompt"]:has-text("Recruiter")').first().click();
+      await page.click('#edit-prompt-btn');
+      await page.click('#editor-mode-yaml');
+      await expect(page.locator('#prompt-form')).not.toBeVisible();
+      await expect(page.locator('#yaml-source')).toHaveValue(/title: Recruiter/);
+      await expect(page.locator('.yaml-editor__line-number').first()).toHaveText('1');
+      await expect(page.locator('.yaml-editor__highlight .yaml-token--key').first()).toHaveText('title');
+
+      // Gli errori di sintassi e di validazione indicano la riga
+      const source = await page.locator('#yaml-source').inputValue();
+      await page.fill('#yaml-source', source.replace(/^title: .*$/m, 'title: [rotto'));
+      await expect(page.locator('#yaml-errors')).toContainText('Errore di sintassi');
+      await expect(page.locator('.yaml-editor__line-number--error')).toHaveCount(1);
+      await page.click('#editor-mode-form');
+      await expect(page.locator('#prompt-form')).not.toBeVisible();
+
+      await page.fill('#yaml-source', source.replace(/^version: .*$/m, 'version: abc'));
+      await expect(page.locator('#yaml-errors')).toContainText(/Riga \d+: Version must be in format/);
+
+      // Le modifiche passano dal YAML al modulo e viceversa
+      await page.fill('#yaml-source', source.replace(/^title: .*$/m, 'title: Recruiter YAML'));
+      await expect(page.locator('#yaml-errors')).toContainText('YAML valido');
+      await page.click('#editor-mode-form');
+      await expect(page.locator('#title')).toHaveValue('Recruiter YAML');
+      await page.fill('#notes', 'Scritta nel modulo');
+      await page.click('#editor-mode-yaml');
+      await expect(page.locator('#yaml-source')).toHaveValue(/notes: Scritta nel modulo/);
+
+      await page.click('#save-prompt-btn');
+      await expect(page.locator('#prompt-editor-modal')).not.toBeVisible();
+      await expect(page.locator('#prompt-viewer')).toContainText('Recruiter YAML');
+      await expect(page.locator('#prompt-viewer')).toContainText('Scritta nel modulo');
+    });
+
+  });
+
+  // --- GRUPPO 3: VARIABILI DEI TEMPLATE ---
+
+  test.describe('Variabili dei Template', () => {
+
+    test('Test 8: Compilazione variabili prima della copia', async ({ page }) => {
+      await page.click('#add-prompt-btn');
+      await page.fill('#title', 'Prompt con variabili');
+      await page.fill('#prompt', 'Traduci {{testo}} in {{lingua|inglese}}');
+      await expect(page.locator('.variables-editor__row')).toHaveCount(2);
+      await page.click('#save-prompt-btn');
+
+      await page.locator('.tree-node__label:has-text("Prompt con variabili")').first().click();
+      await expect(page.locator('.variables-list')).toContainText('{{lingua}}');
+
+      await page.click('#copy-prompt-btn');
+      const preview = page.locator('.variables-form__preview');
+      await expect(preview).toHaveText('Traduci {{testo}} in inglese');
+
+      await page.fill('#variable-testo', 'ciao');
+      await expect(preview).toHaveText('Traduci ciao in inglese');
+    });
+
+  });
+
+  // --- GRUPPO 4: CRONOLOGIA DELLE VERSIONI ---
+
+  test.describe('Cronologia delle Versioni', () => {
+
+    test('Test 9: Revisioni, differenze e ripristino', async ({ page }) => {
+      await page.locator('.tree-node[data-type="prompt"]:has-text("Recruiter")').first().click();
+      await page.click('#edit-prompt-btn');
+      await page.fill('#prompt', 'Agisci come un recruiter tecnico.');
+      await page.fill('#changeNote', 'Prompt più specifico');
+      await page.click('#save-prompt-btn');
+
+      await page.click('#tab-history');
+      await expect(page.locator('.history-list__item')).toHaveCount(2);
+      await expect(page.locator('.history-list')).toContainText('Prompt più specifico');
+      await expect(page.locator('.diff__insert').first()).toBeVisible();
+
+      await page.click('.history-list__item button:has-text("Ripristina")');
+      await expect(page.locator('.toast--success')).toContainText('Revisione ripristinata');
+      await expect(page.locator('.history-list__item')).toHaveCount(3);
+    });
+
+  });
+
+  // --- GRUPPO 5: PERSISTENZA ---
+
+  test.describe('Persistenza dei Dati', () => {
+
+    test('Test 10: Salvataggio in IndexedDB e migrazione da localStorage', async ({ page }) => {
+      // 1. Le modifiche sopravvivono al ricaricamento della pagina
+      await page.locator('.tree-node[data-type="prompt"]:has-text("Recruiter")').first().click();
+      await page.click('#edit-prompt-btn');
+      await page.fill('#title', 'Recruiter Persistente');
+      await page.click('#save-prompt-btn');
+      await page.reload();
+      await page.click('#expand-all-btn');
+      await expect(page.locator('.tree-node[data-type="prompt"]:has-text("Recruiter Persistente")')).toBeVisible();
+
+      // 2. I dati non sono più in localStorage
+      const legacyPrompts = await page.evaluate(() => localStorage.getItem('prompt-manager-prompts'));
+      expect(legacyPrompts).toBeNull();
+
+      // 3. I dati di una versione precedente vengono migrati una sola volta
+      await page.evaluate(async () => {
+        await IndexedDBAdapter.deleteDatabase();
+        localStorage.setItem('prompt-manager-prompts', JSON.stringify([{
+          id: 'prompt-legacy', title: 'Prompt Legacy', type: 'other', prompt: 'Testo', category: 'general'
+        }]));
+      });
+      await page.reload();
+      await page.click('#expand-all-btn');
+      await expect(page.locator('.tree-node[data-id="prompt-legacy"]')).toBeVisible();
+      expect(await page.evaluate(() => localStorage.getItem('prompt-manager-prompts'))).toBeNull();
+    });
+
+    test('Test 11: Adattatore in memoria iniettato e selezione nelle impostazioni', async ({ page }) => {
+      // 1. L'adattatore in memoria non conserva nulla tra un caricamento e l'altro
+      await page.addInitScript(() => {
+        window.PROMPT_MANAGER_STORAGE_ADAPTER = 'memory';
+      });
+      await page.reload();
+      await page.click('#expand-all-btn');
+      expect(await page.evaluate(() => appController.storage.adapter.name)).toBe('memory');
+
+      await page.locator('.tree-node[data-type="prompt"]:has-text("Recruiter")').first().click();
+      await page.click('#edit-prompt-btn');
+      await page.fill('#title', 'Recruiter Temporaneo');
+      await page.click('#save-prompt-btn');
+      await page.reload();
+      await page.click('#expand-all-btn');
+      await expect(page.locator('.tree-node[data-type="prompt"]:has-text("Recruiter Temporaneo")')).toHaveCount(0);
+
+      // 2. Le impostazioni mostrano l'archivio in uso e permettono di cambiarlo
+      await page.click('#settings-btn');
+      await expect(page.locator('#storage-adapter')).toHaveValue('memory');
+      await page.selectOption('#storage-adapter', 'localstorage');
+      await page.click('#apply-storage-adapter-btn');
+      await expect(page.locator('.toast--success')).toContainText('Collezione copiata nel nuovo archivio');
+      const stored = await page.evaluate(() => JSON.parse(localStorage.getItem('prompt-manager-prompts')).length);
+      expect(stored).toBeGreaterThan(0);
+    });
+
+    test('Test 24: Impostazioni applicate subito, salvate e ripristinabili', async ({ page }) => {
+      // 1. Ogni modifica si applica senza confermare e resta dopo il ricaricamento
+      await page.click('#settings-btn');
+      await page.selectOption('#theme-setting', 'dark');
+      await expect(page.locator('html')).toHaveAttribute('data-theme', 'dark');
+      await page.selectOption('#default-category', 'llm');
+      await page.fill('#items-per-page', '1');
+      await page.press('#items-per-page', 'Tab');
+      await page.reload();
+      await page.click('#expand-all-btn');
+
+      // 2. I nuovi prompt partono dalla categoria predefinita
+      await page.click('#add-prompt-btn');
+      await expect(page.locator('#category')).toHaveValue('llm');
+      await page.click('#cancel-editor-btn');
+
+      // 3. I risultati della ricerca si mostrano una pagina alla volta
+      await page.fill('#search-input', '-is:trashed');
+      await expect(page.locator('#search-results .search-results__item')).toHaveCount(1);
+      await page.click('.search-results__more');
+      await expect(page.locator('#search-results .search-results__item')).toHaveCount(2);
+      await page.fill('#search-input', '');
+
+      // 4. Le impostazioni si esportano e tornano ai valori predefiniti
+      await page.click('#settings-btn');
+      const downloadPromise = page.waitForEvent('download');
+      await page.click('#export-settings-btn');
+      const download = await downloadPromise;
+      expect(download.suggestedFilename()).toMatch(/^prompt-manager-settings-.*\.json$/);
+
+      page.once('dialog', dialog => dialog.accept());
+      await page.click('#reset-settings-btn');
+      await expect(page.locator('#items-per-page')).toHaveValue('50');
+      await expect(page.locator('html')).toHaveAttribute('data-theme', 'light');
+
+      // 5. Dai file si importano solo valori che il modulo accetterebbe
+      const chooserPromise = page.waitForEvent('filechooser');
+      await page.click('#import-settings-btn');
+      const chooser = await chooserPromise;
+      await chooser.setFiles({
+        name: 'impostazioni.json',
+        mimeType: 'application/json',
+        buffer: Buffer.from(JSON.stringify({ settings: { itemsPerPage: 0, searchDebounce: -1, theme: 'nope', backupRetention: 10 } }))
+      });
+      await expect(page.locator('.toast--success').last()).toContainText('1 impostazione importata');
+      await expect(page.locator('#items-per-page')).toHaveValue('50');
+      await expect(page.locator('#search-debounce')).toHaveValue('300');
+      await expect(page.locator('#backup-retention')).toHaveValue('10');
+      await expect(page.locator('html')).toHaveAttribute('data-theme', 'light');
+    });
+
+    test('Test 25: Gestione dei backup con differenze e ripristino selettivo', async ({ page }) => {
+      const promptRow = page.locator('//div[@data-type="prompt" and not(ancestor::div[@data-path="favorites"])]/div[contains(@class, "tree-node__content")]', { hasText: 'Recruiter' });
+
+      // 1. Backup, poi eliminazione di un prompt
+      await page.click('#settings-btn');
+      await page.click('.btn:has-text("Crea Backup")');
+      await page.keyboard.press('Escape');
+      await promptRow.click({ button: 'right' });
+      page.once('dialog', dialog => dialog.accept());
+      await page.click('.context-menu__item:has-text("Elimina")');
+      await expect(promptRow).toHaveCount(0);
+
+      // 2. Il gestore elenca i backup e mostra cosa è cambiato
+      await page.click('#settings-btn');
+      await page.click('#manage-backups-btn');
+      await expect(page.locator('.backup-manager__item')).not.toHaveCount(0);
+      await page.locator('.backup-manager__compare').first().click();
+      const change = page.locator('.backup-manager__change', { hasText: 'Recruiter' });
+      await expect(change.locator('.backup-manager__badge')).toHaveText('Eliminato');
+
+      // 3. Il singolo prompt torna nella sua cartella
+      await change.locator('.backup-manager__restore').click();
+      await expect(page.locator('.toast--success').last()).toContainText('Prompt ripristinato dal backup');
+      await expect(change).toHaveCount(0);
+      await expect(page.locator('.tree-node[data-path="productivity"] .tree-node__label', { hasText: 'Recruiter' })).toHaveCount(1);
+
+      // 4. Il backup si scarica come file importabile
+      const downloadPromise = page.waitForEvent('download');
+      await page.locator('.backup-manager__download').first().click();
+      const download = await downloadPromise;
+      expect(download.suggestedFilename()).toMatch(/^prompt-manager-backup-.*\.json$/);
+    });
+
+  });
+
+  // --- GRUPPO 6: IMPORTAZIONE ED ESPORTAZIONE ---
+
+  test.describe('Importazione ed Esportazione', () => {
+
+    test('Test 12: Cartelle e archivi zip di file .prompt.yaml', async ({ page }) => {
+      // 1. L'esportazione zip reimportata non duplica i prompt
+      await page.click('#settings-btn');
+      const downloadPromise = page.waitForEvent('download');
+      await page.click('#export-zip-btn');
+      const download = await downloadPromise;
+      expect(download.suggestedFilename()).toMatch(/\.zip$/);
+
+      const chooserPromise = page.waitForEvent('filechooser');
+      await page.click('#import-zip-btn');
+      const chooser = await chooserPromise;
+      await chooser.setFiles(await download.path());
+      await expect(page.locator('.toast--success').last()).toContainText('0 nuovi, 0 aggiornati, 3 invariati');
+
+      // 2. Le sottocartelle diventano percorsi di categoria
+      await page.evaluate(() => appController.applyPromptFileImport([{
+        path: 'team/backend/deploy.prompt.yaml',
+        content: 'title: Deploy\ntype: code\nprompt: Esegui il deploy'
+      }]));
+      const category = await page.evaluate(() => {
+        const prompt = Array.from(appController.storage.prompts.values()).find(item => item.title === 'Deploy');
+        return [prompt.category, appController.storage.categories.has('team')];
+      });
+      expect(category).toEqual(['team/backend', true]);
+
+      // 3. Le date scritte senza virgolette diventano testo e si possono ordinare e filtrare
+      await page.evaluate(() => appController.applyPromptFileImport([
+        { path: 'datati/primo.prompt.yaml', content: 'title: Primo\nprompt: uno\ncreated: 2025-01-15\nmodified: 2025-02-01' },
+        { path: 'datati/secondo.prompt.yaml', content: 'title: Secondo\nprompt: due\ncreated: 2024-06-30\nmodified: 2024-07-01' }
+      ]));
+      const dates = await page.evaluate(() => Array.from(appController.storage.prompts.values())
+        .filter(item => item.category === 'datati')
+        .map(item => [item.title, item.created, item.modified]));
+      expect(dates).toEqual(expect.arrayContaining([['Primo', '2025-01-15', '2025-02-01'], ['Secondo', '2024-06-30', '2024-07-01']]));
+
+      await page.evaluate(() => appController.storage.updateSettings({ sortBy: 'created', sortOrder: 'asc' }));
+      await page.click('#expand-all-btn');
+      await expect(page.locator('.tree-node[data-path="datati"] .tree-node__label', { hasText: 'Secondo' })).toHaveCount(1);
+
+      await page.fill('#search-input', 'created:>=2025-01-01');
+      await expect(page.locator('#search-results .search-results__item', { hasText: 'Primo' })).toHaveCount(1);
+      await expect(page.locator('#search-results .search-results__item', { hasText: 'Secondo' })).toHaveCount(0);
+    });
+
+    test('Test 13: Archivio zip della collezione con procedura di importazione', async ({ page }) => {
+      await page.click('#settings-btn');
+      const downloadPromise = page.waitForEvent('download');
+      await page.click('#export-archive-btn');
+      const download = await downloadPromise;
+
+      // Elimina un prompt per vederlo ricomparire dopo l'importazione
+      await page.evaluate(() => {
+        const prompt = Array.from(appController.storage.prompts.values()).find(item => item.title === 'Recruiter');
+        appController.storage.prompts.delete(prompt.id);
+        appController.storage.savePrompts();
+      });
+
+      const chooserPromise = page.waitForEvent('filechooser');
+      await page.click('#import-data-btn');
+      const chooser = await chooserPromise;
+      await chooser.setFiles(await download.path());
+
+      const wizard = page.locator('.modal__content.import-wizard');
+      await expect(wizard.locator('.import-wizard__counts')).toContainText('1 nuovi');
+      await expect(wizard.locator('.import-wizard__counts')).toContainText('0 in conflitto');
+      await expect(wizard.locator('.import-wizard__item--new')).toContainText('Recruiter');
+      await wizard.locator('button:has-text("Importa")').click();
+
+      await expect(wizard.locator('h3')).toHaveText('Importazione completata');
+      await expect(wizard.locator('.import-wizard__summary')).toContainText('Prompt aggiunti');
+      await wizard.locator('button:has-text("Chiudi")').click();
+      await page.click('#expand-all-btn');
+      await expect(page.locator('.tree-node[data-type="prompt"]:has-text("Recruiter")')).toBeVisible();
+    });
+
+    test('Test 14: Risoluzione dei conflitti in importazione', async ({ page }) => {
+      // Esporta, poi modifica localmente un prompt per creare un conflitto
+      await page.evaluate(() => {
+        const storage = appController.storage;
+        const data = JSON.parse(storage.exportData('json'));
+        const prompt = Array.from(storage.prompts.values()).find(item => item.title === 'Recruiter');
+        prompt.update({ prompt: 'Versione locale' });
+        storage.savePrompts();
+        window.importDone = appController.importWizard.open(data, 'collezione.json');
+      });
+
+      const wizard = page.locator('.modal__content.import-wizard');
+      await expect(wizard.locator('.import-wizard__counts')).toContainText('1 in conflitto');
+      await expect(wizard.locator('.import-wizard__item--conflict .import-wizard__diff')).toBeVisible();
+
+      await wizard.locator('.import-wizard__bulk[data-status="conflict"] [data-resolution="both"]').click();
+      await wizard.locator('button:has-text("Importa")').click();
+      await expect(wizard.locator('.import-wizard__summary')).toContainText('Prompt importati come copia');
+
+      const titles = await page.evaluate(() => Array.from(appController.storage.prompts.values()).map(item => item.title));
+      expect(titles).toContain('Recruiter');
+      expect(titles).toContain('Recruiter (importato)');
+    });
+
+    test('Test 15: Ricerca e unione dei duplicati', async ({ page }) => {
+      // Stesso testo con un ID diverso, come dopo un'importazione da un altro computer
+      await page.evaluate(() => {
+        const storage = appController.storage;
+        const original = Array.from(storage.prompts.values()).find(item => item.title === 'Recruiter');
+        const copy = new Prompt({ ...original.toObject(), id: undefined, tags: ['duplicato'], created: '2020-01-01' });
+        storage.prompts.set(copy.id, copy);
+        storage.favorites.add(original.id);
+        storage.saveAll();
+      });
+
+      await page.click('#settings-btn');
+      await page.click('#find-duplicates-btn');
+
+      const dialog = page.locator('.modal__content.duplicate-dialog');
+      await expect(dialog.locator('.duplicate-dialog__group')).toHaveCount(1);
+      await expect(dialog.locator('.duplicate-dialog__candidate')).toHaveCount(2);
+      await dialog.locator('.duplicate-dialog__merge-btn').click();
+      await expect(dialog.locator('.duplicate-dialog__group--merged')).toContainText('2 prompt uniti');
+
+      const merged = await page.evaluate(() => Array.from(appController.storage.prompts.values())
+        .filter(item => item.title === 'Recruiter')
+        .map(item => ({ tags: item.tags, created: item.created, favorite: appController.storage.favorites.has(item.id) })));
+      expect(merged).toHaveLength(1);
+      expect(merged[0].tags).toContain('duplicato');
+      expect(merged[0].created).toBe('2020-01-01');
+      expect(merged[0].favorite).toBe(true);
+    });
+
+    test('Test 31: Campi sconosciuti dei file YAML conservati in esportazione', async ({ page }) => {
+      // Un file scritto da un altro strumento con campi che l'app non usa
+      await page.evaluate(() => appController.applyPromptFileImport([{
+        path: 'esterni/riassunto.prompt.yaml',
+        content: 'title: Riassunto esterno\ntype: text_generation\nprompt: Riassumi il testo\ntemperature: 0.7\nlicense: MIT\nsource_url: https://example.com/riassunto\n'
+      }]));
+      await page.click('#expand-all-btn');
+      await page.locator('.tree-node[data-type="prompt"]:has-text("Riassunto esterno")').first().click();
+
+      // Il visualizzatore li mostra in sola lettura
+      await expect(page.locator('#structured-view')).toContainText('Altri campi del file');
+      await expect(page.locator('#structured-view')).toContainText('source_url: https://example.com/riassunto');
+
+      // Restano dopo una modifica e vengono riscritti nel file esportato
+      await page.click('#edit-prompt-btn');
+      await page.fill('#prompt', 'Riassumi il testo in tre frasi');
+      await page.click('#save-prompt-btn');
+      const yaml = await page.evaluate(() => Array.from(appController.storage.prompts.values())
+        .find(item => item.title === 'Riassunto esterno').toYAML());
+      expect(yaml).toContain('temperature: 0.7');
+      expect(yaml).toContain('license: MIT');
+      expect(yaml).toContain('source_url: https://example.com/riassunto');
+    });
+
+  });
+
+  // --- GRUPPO 7: RICERCA AVANZATA ---
+
+  test.describe('Ricerca Avanzata', () => {
+
+    test('Test 16: Filtri per campo, operatori booleani e completamento', async ({ page }) => {
+      const searchInput = page.locator('#search-input');
+      const results = page.locator('#search-results .search-results__item');
+
+      await searchInput.fill('tag:java OR type:image');
+      await searchInput.press('Enter');
+      await expect(results.filter({ hasText: 'AI Code Review' }).first()).toBeVisible();
+      await expect(results.filter({ hasText: 'Furry 2D Art generator' })).toHaveCount(1);
+      await expect(results.filter({ hasText: 'Recruiter' })).toHaveCount(0);
+
+      await searchInput.fill('-tag:java -type:image');
+      await searchInput.press('Enter');
+      await expect(results).toHaveCount(1);
+      await expect(results.first()).toContainText('Recruiter');
+
+      // Il meno davanti a una parentesi esclude l'intero gruppo
+      await searchInput.fill('-(tag:java OR type:image)');
+      await searchInput.press('Enter');
+      await expect(results).toHaveCount(1);
+      await expect(results.first()).toContainText('Recruiter');
+
+      await searchInput.fill('tag:java -(author:marco)');
+      await searchInput.press('Enter');
+      await expect(results.filter({ hasText: 'AI Code Review' }).first()).toBeVisible();
+      await expect(results.filter({ hasText: 'Recruiter' })).toHaveCount(0);
+
+      // Il completamento propone prima il nome del campo, poi i valori noti
+      await searchInput.fill('');
+      await searchInput.pressSequentially('ta');
+      await expect(page.locator('.search-suggestions__item').first()).toContainText('tag:');
+      await searchInput.press('Tab');
+      await expect(searchInput).toHaveValue('tag:');
+      await searchInput.pressSequentially('ja');
+      await expect(page.locator('.search-suggestions__item').first()).toContainText('tag:java');
+      await searchInput.press('Tab');
+      await expect(searchInput).toHaveValue('tag:java ');
+    });
+
+    test('Test 17: Ricerca tollerante agli errori con risultati ordinati', async ({ page }) => {
+      const searchInput = page.locator('#search-input');
+      const results = page.locator('#search-results .search-results__item');
+
+      // Lettere scambiate e parole troncate trovano comunque il prompt
+      await searchInput.fill('recrutier');
+      await expect(results.first()).toContainText('Recruiter');
+      await expect(page.locator('#tree-view')).toBeHidden();
+
+      // Il titolo pesa più del testo: il prompt intitolato "Code Review" viene prima
+      await searchInput.fill('review');
+      await expect(results.first()).toContainText('AI Code Review');
+      await expect(results.first().locator('.search-results__snippet')).not.toBeEmpty();
+      await expect(results.first().locator('.search-highlight').first()).toBeVisible();
+
+      await results.first().click();
+      await expect(page.locator('#prompt-viewer')).toContainText('AI Code Review');
+
+      await page.click('#search-clear');
+      await expect(page.locator('#search-results')).toBeHidden();
+      await expect(page.locator('#tree-view')).toBeVisible();
+    });
+
+    test('Test 18: Ricerca salvata come cartella smart', async ({ page }) => {
+      const searchInput = page.locator('#search-input');
+
+      await searchInput.fill('tag:java');
+      await page.locator('.search-results__save').click();
+
+      const dialog = page.locator('.smart-folder-dialog');
+      await expect(dialog.locator('#smart-folder-query')).toHaveValue('tag:java');
+      await dialog.locator('#smart-folder-name').fill('Solo Java');
+      await dialog.locator('.smart-folder-dialog__save').click();
+      await expect(dialog).toHaveCount(0);
+
+      await page.click('#search-clear');
+      const smartFolder = page.locator('#tree-view .tree-node--smart');
+      await expect(smartFolder.locator('.tree-node__label').first()).toHaveText('Solo Java');
+      await expect(smartFolder.locator('.tree-node[data-type="prompt"]')).toHaveCount(1);
+
+      // La cartella si aggiorna quando cambia la ricerca salvata
+      await smartFolder.locator('.tree-node__content').first().click({ button: 'right' });
+      await page.locator('.context-menu__item', { hasText: 'Modifica cartella smart' }).click();
+      await dialog.locator('#smart-folder-query').fill('tag:java OR type:image');
+      await dialog.locator('.smart-folder-dialog__save').click();
+      await expect(smartFolder.locator('.tree-node[data-type="prompt"]')).toHaveCount(2);
+
+      page.once('dialog', confirmDialog => confirmDialog.accept());
+      await smartFolder.locator('.tree-node__content').first().click({ button: 'right' });
+      await page.locator('.context-menu__item', { hasText: 'Elimina cartella smart' }).click();
+      await expect(smartFolder).toHaveCount(0);
+    });
+
+  });
+
+  // --- GRUPPO 8: GESTIONE CARTELLE ---
+
+  test.describe('Gestione Cartelle', () => {
+
+    test('Test 19: Rinomina, spostamento ed eliminazione di cartelle con annullamento', async ({ page }) => {
+      const openMenu = async (path) => {
+        await page.locator(`.tree-node[data-path="${path}"] > .tree-node__content`).click({ button: 'right' });
+        await page.waitForSelector('.context-menu');
+      };
+      const javaPrompt = page.locator('.tree-node[data-path="linguaggi/java"] .tree-node__label', { hasText: 'AI Code Review' });
+
+      // Rinomina: la sottocartella e i prompt seguono il nuovo percorso
+      page.once('dialog', dialog => dialog.accept('Programmazione'));
+      await openMenu('linguaggi');
+      await page.click('.context-menu__item:has-text("Rinomina")');
+      await expect(page.locator('.tree-node[data-path="programmazione/java"]')).toHaveCount(1);
+      await expect(page.locator('.tree-node[data-path="linguaggi"]')).toHaveCount(0);
+
+      await page.locator('.toast__action', { hasText: 'Annulla' }).last().click();
+      await expect(page.locator('.tree-node[data-path="linguaggi"]')).toHaveCount(1);
+      await expect(javaPrompt).toHaveCount(1);
+
+      // Sposta sotto un'altra cartella
+      await openMenu('linguaggi/java');
+      await page.click('.context-menu__item:has-text("Sposta in")');
+      await page.selectOption('#category-move-target', 'llm');
+      await page.locator('.category-move-dialog .modal__footer button', { hasText: 'Sposta' }).click();
+      await expect(page.locator('.tree-node[data-path="llm/java"]')).toHaveCount(1);
+
+      // Elimina spostando il contenuto nella cartella superiore
+      await openMenu('llm/java');
+      await page.click('.context-menu__item:has-text("Elimina cartella")');
+      await expect(page.locator('.category-delete-dialog')).toContainText('1 prompt');
+      await page.locator('.category-delete-dialog .modal__footer button', { hasText: 'Elimina' }).click();
+      await expect(page.locator('.tree-node[data-path="llm/java"]')).toHaveCount(0);
+      await expect(page.locator('.tree-node[data-path="llm"] .tree-node__label', { hasText: 'AI Code Review' })).toHaveCount(1);
+
+      await page.locator('.toast__action', { hasText: 'Annulla' }).last().click();
+      await expect(page.locator('.tree-node[data-path="llm/java"]')).toHaveCount(1);
+    });
+
+    test('Test 20: Trascinamento di cartelle, selezione multipla e ordinamento manuale', async ({ page }) => {
+      const row = (path) => page.locator(`.tree-node[data-path="${path}"] > .tree-node__content`);
+      const promptRow = (title) => page.locator('.tree-node[data-type="prompt"] > .tree-node__content', { hasText: title });
+      const categoryOrder = () => page.locator('.tree-node[data-type="category"]').evaluateAll(nodes => nodes.map(node => node.dataset.path));
+
+      // Una cartella trascinata al centro di un'altra vi entra, con le sue sottocartelle
+      await row('linguaggi').dragTo(row('llm'));
+      await expect(page.locator('.tree-node[data-path="llm/linguaggi/java"]')).toHaveCount(1);
+
+      // Trascinata sul bordo superiore viene messa prima, e l'ordine resta dopo il ricaricamento
+      await row('general').dragTo(row('productivity'), { targetPosition: { x: 20, y: 1 } });
+      await page.reload();
+      await page.waitForSelector('.tree-node');
+      const order = await categoryOrder();
+      expect(order.indexOf('general')).toBeLessThan(order.indexOf('productivity'));
+
+      // Ctrl+clic seleziona più prompt, che si trascinano insieme
+      await promptRow('Recruiter').click();
+      await promptRow('Furry 2D Art generator').click({ modifiers: ['Control'] });
+      await expect(page.locator('.tree-node__content--selected')).toHaveCount(2);
+
+      await promptRow('Furry 2D Art generator').dragTo(row('general'));
+      await expect(page.locator('.tree-node[data-path="general"] .tree-node[data-type="prompt"]')).toHaveCount(2);
+
+      await page.locator('.toast__action', { hasText: 'Annulla' }).last().click();
+      await expect(page.locator('.tree-node[data-path="general"] .tree-node[data-type="prompt"]')).toHaveCount(0);
+    });
+
+    test('Test 26: Ordinamento generale e per cartella dal menu della barra laterale', async ({ page }) => {
+      const menu = page.locator('#context-menu');
+      const menuItem = (label) => menu.locator('.context-menu__item', { hasText: label });
+      const topLevel = () => page.locator('.tree-view > .tree-node > .tree-node__content .tree-node__label').allTextContents();
+
+      // Ordinate per titolo decrescente, le cartelle vanno dalla Z alla A; il menu resta aperto
+      await page.locator('#sort-btn').click();
+      await menuItem('Titolo').click();
+      await menuItem('Decrescente').click();
+      await expect(menuItem('Decrescente')).toHaveAttribute('aria-checked', 'true');
+      const names = (await topLevel()).filter(name => !name.includes('Favorites'));
+      expect(names).toEqual([...names].sort((a, b) => b.localeCompare(a)));
+
+      // La scelta viene ricordata dopo il ricaricamento
+      await page.reload();
+      await page.waitForSelector('.tree-node');
+      await page.locator('#sort-btn').click();
+      await expect(menuItem('Titolo')).toHaveAttribute('aria-checked', 'true');
+      await page.mouse.click(5, 5);
+
+      // Una cartella può avere un ordinamento suo, che si annulla con Ctrl+Z
+      await page.locator('.tree-node[data-path="immagini"] > .tree-node__content').click({ button: 'right' });
+      await menuItem('Ordina…').click();
+      await menuItem('Utilizzi').click();
+      await expect(menuItem('Usa l\'ordinamento generale')).toHaveAttribute('aria-checked', 'false');
+      expect(await page.evaluate(() => window.appController.storage.getSortOptions('immagini').by)).toBe('usage');
+      expect(await page.evaluate(() => window.appController.storage.getSortOptions('productivity').by)).toBe('title');
+
+      await page.mouse.click(5, 5);
+      await page.keyboard.press('Control+z');
+      expect(await page.evaluate(() => window.appController.storage.getSortOptions('immagini').by)).toBe('title');
+    });
+
+    test('Test 27: Sottocartelle annidate, conteggi, percorso del prompt e navigazione da tastiera', async ({ page }) => {
+      const node = (path) => page.locator(`.tree-node[data-path="${path}"]`);
+      const row = (path) => page.locator(`.tree-node[data-path="${path}"] > .tree-node__content`);
+
+      // La sottocartella sta dentro la cartella madre, non accanto
+      await expect(page.locator('.tree-view > .tree-node[data-path="linguaggi/java"]')).toHaveCount(0);
+      await expect(node('linguaggi').locator('> .tree-node__children > .tree-node[data-path="linguaggi/java"]')).toHaveCount(1);
+
+      // Il conteggio della cartella madre include i prompt delle sottocartelle
+      await expect(row('linguaggi').locator('.tree-node__badge')).toHaveText('1');
+
+      // Il percorso del prompt porta alla cartella nella struttura
+      await page.locator('.tree-node[data-type="prompt"] > .tree-node__content', { hasText: 'AI Code Review' }).first().click();
+      const breadcrumb = page.locator('#prompt-breadcrumb');
+      await expect(breadcrumb).toContainText('Linguaggi');
+      await expect(breadcrumb).toContainText('Java');
+      await page.locator('#collapse-all-btn').click();
+      await breadcrumb.locator('button', { hasText: 'Java' }).click();
+      await expect(row('linguaggi/java')).toBeFocused();
+
+      // Freccia sinistra risale alla cartella madre e poi la chiude, freccia destra la apre ed entra
+      await page.keyboard.press('ArrowLeft');
+      await expect(row('linguaggi')).toBeFocused();
+      await page.keyboard.press('ArrowLeft');
+      await expect(node('linguaggi').locator('> .tree-node__children')).toBeHidden();
+      await page.keyboard.press('ArrowRight');
+      await page.keyboard.press('ArrowRight');
+      await expect(row('linguaggi/java')).toBeFocused();
+
+      // Freccia giù salta il contenuto delle cartelle chiuse
+      await page.keyboard.press('ArrowLeft');
+      await page.keyboard.press('ArrowLeft');
+      await page.keyboard.press('ArrowDown');
+      await expect(row('immagini')).toBeFocused();
+    });
+
   });
 
-  // --- GRUPPO 3: QUALITÀ DEL CODICE E BUG FIXES ---
+  // --- GRUPPO 9: QUALITÀ DEL CODICE E BUG FIXES ---
 
   test.describe('Qualità del Codice e Stabilità', () => {
 